@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "seriesId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "SessionSeries" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "teacherId" INTEGER,
+    "timezone" TEXT NOT NULL,
+    "weekdays" INTEGER[],
+    "startMin" INTEGER NOT NULL,
+    "durationMin" INTEGER NOT NULL,
+    "startDate" TEXT NOT NULL,
+    "weeks" INTEGER NOT NULL,
+    "joinUrl" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SessionSeries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SessionSeries_userId_idx" ON "SessionSeries"("userId");
+
+-- CreateIndex
+CREATE INDEX "SessionSeries_teacherId_idx" ON "SessionSeries"("teacherId");
+
+-- CreateIndex
+CREATE INDEX "Session_seriesId_startAt_idx" ON "Session"("seriesId", "startAt");
+
+-- AddForeignKey
+ALTER TABLE "Session" ADD CONSTRAINT "Session_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "SessionSeries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
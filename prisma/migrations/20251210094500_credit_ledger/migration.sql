@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "CreditReason" AS ENUM ('opening_balance', 'booking', 'completion', 'cancel_refund', 'admin_adjustment', 'expiry');
+
+-- CreateTable
+CREATE TABLE "CreditTransaction" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "userPackageId" INTEGER NOT NULL,
+    "sessionId" INTEGER,
+    "delta" INTEGER NOT NULL,
+    "reason" "CreditReason" NOT NULL,
+    "idempotencyKey" TEXT,
+    "actorId" INTEGER,
+    "meta" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CreditTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CreditTransaction_idempotencyKey_key" ON "CreditTransaction"("idempotencyKey");
+
+-- CreateIndex
+CREATE INDEX "CreditTransaction_userId_createdAt_idx" ON "CreditTransaction"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CreditTransaction_userPackageId_idx" ON "CreditTransaction"("userPackageId");
+
+-- CreateIndex
+CREATE INDEX "CreditTransaction_sessionId_idx" ON "CreditTransaction"("sessionId");
+
+-- Backfill: credits reserved by live bookings
+INSERT INTO "CreditTransaction" ("userId", "userPackageId", "sessionId", "delta", "reason", "idempotencyKey", "createdAt")
+SELECT s."userId", s."userPackageId", s."id", -1, 'booking', 'session:' || s."id" || ':charge:0', s."createdAt"
+FROM "Session" s
+JOIN "UserPackage" up ON up."id" = s."userPackageId"
+WHERE s."status" <> 'canceled';
+
+-- Backfill: whatever else sessionsUsed says was spent, so the ledger
+-- matches the existing cache exactly
+INSERT INTO "CreditTransaction" ("userId", "userPackageId", "delta", "reason", "idempotencyKey")
+SELECT up."userId", up."id", -(up."sessionsUsed" - COALESCE(b."n", 0)), 'opening_balance', 'pack:' || up."id" || ':opening'
+FROM "UserPackage" up
+LEFT JOIN (
+    SELECT "userPackageId", COUNT(*)::INTEGER AS "n"
+    FROM "CreditTransaction"
+    GROUP BY "userPackageId"
+) b ON b."userPackageId" = up."id"
+WHERE up."sessionsUsed" <> COALESCE(b."n", 0);
+
+-- AlterTable: the ledger now records which pack a booking reserved
+ALTER TABLE "Session" DROP COLUMN "userPackageId";
@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "JobLock" (
+    "name" TEXT NOT NULL,
+    "lockedBy" TEXT,
+    "lockedUntil" TIMESTAMP(3),
+    "nextRunAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "failures" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "JobLock_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateTable
+CREATE TABLE "JobRun" (
+    "id" SERIAL NOT NULL,
+    "job" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "attempt" INTEGER NOT NULL DEFAULT 1,
+    "instanceId" TEXT NOT NULL,
+    "result" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "JobRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "JobRun_job_startedAt_idx" ON "JobRun"("job", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "JobRun_status_idx" ON "JobRun"("status");
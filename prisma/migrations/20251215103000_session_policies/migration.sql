@@ -0,0 +1,39 @@
+-- AlterEnum
+ALTER TYPE "SessionStatus" ADD VALUE 'no_show';
+
+-- AlterEnum
+ALTER TYPE "CreditReason" ADD VALUE 'late_cancel_fee';
+ALTER TYPE "CreditReason" ADD VALUE 'no_show_fee';
+
+-- AlterTable: fees can be part of a credit
+ALTER TABLE "UserPackage" ALTER COLUMN "sessionsUsed" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "CreditTransaction" ALTER COLUMN "delta" SET DATA TYPE DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "SessionPolicy" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "packageId" INTEGER,
+    "audience" "Audience",
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "refundWindowHours" INTEGER NOT NULL DEFAULT 12,
+    "lateCancelFeeCredits" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "noShowFeeCredits" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "teacherCancelRefunds" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SessionPolicy_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SessionPolicy_packageId_key" ON "SessionPolicy"("packageId");
+
+-- CreateIndex
+CREATE INDEX "SessionPolicy_audience_idx" ON "SessionPolicy"("audience");
+
+-- Seed the default policy with today's terms (12h window, late = no refund)
+INSERT INTO "SessionPolicy" ("name", "isDefault", "updatedAt")
+VALUES ('Standard', true, CURRENT_TIMESTAMP);
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "SessionPolicy" ADD COLUMN     "rescheduleNoticeHours" INTEGER NOT NULL DEFAULT 12,
+ADD COLUMN     "maxReschedules" INTEGER NOT NULL DEFAULT 2,
+ADD COLUMN     "rescheduleRequiresApproval" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "rescheduleCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "RescheduleRequest" (
+    "id" SERIAL NOT NULL,
+    "sessionId" INTEGER NOT NULL,
+    "proposedById" INTEGER NOT NULL,
+    "startAt" TIMESTAMP(3) NOT NULL,
+    "endAt" TIMESTAMP(3),
+    "note" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "respondedById" INTEGER,
+    "respondedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RescheduleRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RescheduleRequest_sessionId_status_idx" ON "RescheduleRequest"("sessionId", "status");
+
+-- AddForeignKey
+ALTER TABLE "RescheduleRequest" ADD CONSTRAINT "RescheduleRequest_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "Session"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "WaitlistEntry" (
+    "id" SERIAL NOT NULL,
+    "learnerId" INTEGER NOT NULL,
+    "teacherId" INTEGER NOT NULL,
+    "windowStart" TIMESTAMP(3) NOT NULL,
+    "windowEnd" TIMESTAMP(3) NOT NULL,
+    "durationMin" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'waiting',
+    "offerStartAt" TIMESTAMP(3),
+    "offerEndAt" TIMESTAMP(3),
+    "offeredAt" TIMESTAMP(3),
+    "holdExpiresAt" TIMESTAMP(3),
+    "sessionId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "WaitlistEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_teacherId_status_windowStart_idx" ON "WaitlistEntry"("teacherId", "status", "windowStart");
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_learnerId_status_idx" ON "WaitlistEntry"("learnerId", "status");
+
+-- CreateIndex
+CREATE INDEX "WaitlistEntry_status_holdExpiresAt_idx" ON "WaitlistEntry"("status", "holdExpiresAt");
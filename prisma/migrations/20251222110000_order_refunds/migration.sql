@@ -0,0 +1,31 @@
+-- AlterEnum
+ALTER TYPE "CreditReason" ADD VALUE 'refund_clawback';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "refundedCents" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "UserPackage" ADD COLUMN     "orderId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "UserPackage_orderId_idx" ON "UserPackage"("orderId");
+
+-- CreateTable
+CREATE TABLE "OrderRefund" (
+    "id" SERIAL NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "kind" TEXT NOT NULL DEFAULT 'refund',
+    "pspRefundId" TEXT,
+    "source" TEXT NOT NULL,
+    "actorId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderRefund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrderRefund_pspRefundId_key" ON "OrderRefund"("pspRefundId");
+
+-- CreateIndex
+CREATE INDEX "OrderRefund_orderId_idx" ON "OrderRefund"("orderId");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "PackagePrice" (
+    "id" SERIAL NOT NULL,
+    "packageId" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "PackagePrice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FxRate" (
+    "currency" TEXT NOT NULL,
+    "perUSD" DOUBLE PRECISION NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FxRate_pkey" PRIMARY KEY ("currency")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PackagePrice_packageId_currency_key" ON "PackagePrice"("packageId", "currency");
+
+-- AddForeignKey
+ALTER TABLE "PackagePrice" ADD CONSTRAINT "PackagePrice_packageId_fkey" FOREIGN KEY ("packageId") REFERENCES "Package"("id") ON DELETE CASCADE ON UPDATE CASCADE;
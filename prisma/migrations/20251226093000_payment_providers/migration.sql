@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "pspPaymentId" TEXT;
+
+-- Backfill from the Paymob-only column
+UPDATE "Order" SET "pspPaymentId" = "paymobTxnId"::TEXT WHERE "paymobTxnId" IS NOT NULL;
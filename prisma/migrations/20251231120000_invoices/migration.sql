@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "billingCompany" TEXT,
+ADD COLUMN     "billingTaxId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" SERIAL NOT NULL,
+    "number" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "userId" INTEGER,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sellerName" TEXT NOT NULL,
+    "sellerAddress" TEXT,
+    "sellerTaxId" TEXT,
+    "buyerName" TEXT,
+    "buyerEmail" TEXT,
+    "buyerCompany" TEXT,
+    "buyerTaxId" TEXT,
+    "packageId" INTEGER,
+    "description" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "subtotalCents" INTEGER NOT NULL,
+    "discountCents" INTEGER NOT NULL DEFAULT 0,
+    "couponCode" TEXT,
+    "taxRatePercent" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "taxCents" INTEGER NOT NULL DEFAULT 0,
+    "totalCents" INTEGER NOT NULL,
+    "emailedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InvoiceCounter" (
+    "year" INTEGER NOT NULL,
+    "last" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "InvoiceCounter_pkey" PRIMARY KEY ("year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_number_key" ON "Invoice"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_orderId_key" ON "Invoice"("orderId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_userId_idx" ON "Invoice"("userId");
@@ -0,0 +1,53 @@
+-- AlterEnum
+ALTER TYPE "PriceType" ADD VALUE 'SUBSCRIPTION';
+
+-- AlterEnum
+ALTER TYPE "CreditReason" ADD VALUE 'rollover';
+
+-- AlterTable
+ALTER TABLE "Package" ADD COLUMN     "billingInterval" TEXT,
+ADD COLUMN     "rolloverMax" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "subscriptionId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "UserPackage" ADD COLUMN     "subscriptionId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "Subscription" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "packageId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "interval" TEXT NOT NULL DEFAULT 'month',
+    "creditsPerPeriod" INTEGER NOT NULL,
+    "rolloverMax" INTEGER NOT NULL DEFAULT 0,
+    "minutesPerSession" INTEGER,
+    "amountCents" INTEGER NOT NULL,
+    "currency" TEXT NOT NULL,
+    "psp" TEXT NOT NULL,
+    "cardToken" TEXT,
+    "cardLast4" TEXT,
+    "currentPeriodStart" TIMESTAMP(3),
+    "currentPeriodEnd" TIMESTAMP(3),
+    "nextChargeAt" TIMESTAMP(3),
+    "failedAttempts" INTEGER NOT NULL DEFAULT 0,
+    "cancelAtPeriodEnd" BOOLEAN NOT NULL DEFAULT false,
+    "pausedAt" TIMESTAMP(3),
+    "canceledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Subscription_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UserPackage_subscriptionId_idx" ON "UserPackage"("subscriptionId");
+
+-- CreateIndex
+CREATE INDEX "Subscription_userId_idx" ON "Subscription"("userId");
+
+-- CreateIndex
+CREATE INDEX "Subscription_status_nextChargeAt_idx" ON "Subscription"("status", "nextChargeAt");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Package" ADD COLUMN     "validityDays" INTEGER DEFAULT 90;
+
+-- AlterTable
+ALTER TABLE "UserPackage" ADD COLUMN     "frozenAt" TIMESTAMP(3),
+ADD COLUMN     "expiryWarning14dSentAt" TIMESTAMP(3),
+ADD COLUMN     "expiryWarning3dSentAt" TIMESTAMP(3);
+
@@ -0,0 +1,8 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `teacherCancelRefunds` on the `SessionPolicy` table. All the data in the column will be lost.
+
+*/
+-- AlterTable
+ALTER TABLE "SessionPolicy" DROP COLUMN "teacherCancelRefunds";
@@ -16,13 +16,7 @@ import cors from "cors";
 import bcrypt from "bcryptjs";
 import { prisma } from "../src/lib/prisma.js";
 import crypto from "node:crypto";
-import {
-  PAYMOB_API_KEY,
-  PAYMOB_INTEGRATION_ID,
-  PAYMOB_IFRAME_ID,
-  PAYMOB_HMAC_SECRET,
-  ALLOWED_ORIGINS,
-} from "./config/env.js";
+import { ALLOWED_ORIGINS } from "./config/env.js";
 import { sessionMiddleware } from "./middleware/session.js";
 import authRoutes from "./routes/auth.js";
 import paymentsRoutes from "./routes/payments.js";
@@ -30,15 +24,18 @@ import sessionsRoutes from "./routes/sessions.js";
 import packagesRoutes from "./routes/packages.js";
 import adminRoutes from "./routes/admin.js";
 import onboardingAssessmentRoutes from "./routes/onboarding-assessment.js";
+import availabilityRoutes from "./routes/availability.js";
+import seriesRoutes from "./routes/series.js";
+import policiesRoutes from "./routes/policies.js";
+import waitlistRoutes from "./routes/waitlist.js";
+import ordersRoutes from "./routes/orders.js";
+import subscriptionsRoutes from "./routes/subscriptions.js";
+import organizationsRoutes from "./routes/organizations.js";
 import {
   overlapsFilter,
   findSessionConflicts,
-  getRemainingCredits,
-  consumeOneCredit,
-  refundOneCredit,
-  finalizeExpiredSessionsForUser,
-  finalizeExpiredSessionsForTeacher,
 } from "./services/sessionsService.js";
+import { withBalances } from "./services/creditsService.js";
 import { sendEmail } from "./services/emailService.js";
 import { requireAuth, requireAdmin } from "./middleware/auth-helpers.js";
 import { csrfMiddleware, csrfErrorHandler } from "./middleware/csrf.js";
@@ -51,25 +48,20 @@ initSentry(app);
 
 axios.defaults.withCredentials = true;
 
-// Base URL for Paymob APIs
-const PAYMOB_BASE = "https://accept.paymob.com/api";
-
-if (
-  !PAYMOB_API_KEY ||
-  !PAYMOB_INTEGRATION_ID ||
-  !PAYMOB_IFRAME_ID ||
-  !PAYMOB_HMAC_SECRET
-) {
-  console.warn(
-    "⚠️  Missing one or more Paymob env vars (PAYMOB_API_KEY, PAYMOB_INTEGRATION_ID, PAYMOB_IFRAME_ID, PAYMOB_HMAC_SECRET). Test mode will fail until set."
-  );
-}
-
 /* ========================================================================== */
 /*                               MIDDLEWARE                                   */
 /* ========================================================================== */
 
-app.use(express.json());
+app.use(
+  express.json({
+    // Webhook signatures (Stripe) cover the exact bytes sent
+    verify(req, _res, buf) {
+      if (req.originalUrl.startsWith("/api/payments/webhook/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.set("trust proxy", 1);
 app.use(helmet());
 
@@ -110,6 +102,13 @@ app.use("/api", sessionsRoutes);
 app.use("/api", packagesRoutes);
 app.use("/api", adminRoutes);
 app.use("/api", onboardingAssessmentRoutes);
+app.use("/api", availabilityRoutes);
+app.use("/api", seriesRoutes);
+app.use("/api", policiesRoutes);
+app.use("/api", waitlistRoutes);
+app.use("/api", ordersRoutes);
+app.use("/api", subscriptionsRoutes);
+app.use("/api", organizationsRoutes);
 
 /* ========================================================================== */
 /*                                  HELPERS                                   */
@@ -324,7 +323,6 @@ app.patch("/api/me", requireAuth, async (req, res) => {
 /* ========================================================================== */
 app.get("/api/teacher/summary", requireAuth, async (req, res) => {
   try {
-    await finalizeExpiredSessionsForTeacher(req.viewUserId);
     const userId = req.viewUserId;
     const now = new Date();
 
@@ -389,9 +387,6 @@ app.get("/api/me/summary", requireAuth, async (req, res) => {
   const now = new Date();
 
   try {
-    // Make sure any ended sessions are marked completed and credits consumed
-    await finalizeExpiredSessionsForUser(req.viewUserId);
-
     const role = req.user.role || "learner";
     const whereBase =
       role === "teacher"
@@ -447,23 +442,21 @@ app.get("/api/me/packages", requireAuth, async (req, res) => {
         sessionsUsed: true,
         expiresAt: true,
         status: true,
+        frozenAt: true,
         createdAt: true,
         updatedAt: true,
       },
     });
 
+    // Used/remaining come from the credit ledger, not the sessionsUsed cache
     const now = Date.now();
-    const items = rows.map((r) => {
-      const remaining = Math.max(
-        0,
-        Number(r.sessionsTotal) - Number(r.sessionsUsed || 0)
-      );
+    const items = (await withBalances(rows)).map(({ used, ...r }) => {
       const expired = r.expiresAt
         ? new Date(r.expiresAt).getTime() < now
         : false;
       return {
         ...r,
-        remaining,
+        sessionsUsed: used,
         expired,
       };
     });
@@ -25,6 +25,39 @@ export const PAYMOB_API_KEY = process.env.PAYMOB_API_KEY || "";
 export const PAYMOB_INTEGRATION_ID = process.env.PAYMOB_INTEGRATION_ID || "";
 export const PAYMOB_IFRAME_ID = process.env.PAYMOB_IFRAME_ID || "";
 export const PAYMOB_HMAC_SECRET = process.env.PAYMOB_HMAC_SECRET || "";
+// MOTO integration used to charge saved cards (subscription renewals)
+export const PAYMOB_MOTO_INTEGRATION_ID =
+  process.env.PAYMOB_MOTO_INTEGRATION_ID || "";
+// Override to point at a sandbox or a local fake in tests
+export const PAYMOB_BASE_URL =
+  process.env.PAYMOB_BASE_URL || "https://accept.paymob.com/api";
+
+// Stripe config (Checkout, for buyers who can't pay through Paymob)
+export const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "";
+export const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || "";
+export const STRIPE_BASE_URL =
+  process.env.STRIPE_BASE_URL || "https://api.stripe.com/v1";
+// Local stub provider that "charges" without a PSP (never in production)
+export const PAYMENTS_STUB =
+  !isProd && String(process.env.PAYMENTS_STUB || "").toLowerCase() === "true";
+// Where hosted checkouts send the buyer back to (defaults to the frontend)
+export const CHECKOUT_RETURN_URL =
+  process.env.CHECKOUT_RETURN_URL || `${ALLOWED_ORIGINS[0] || ""}/packages`;
+
+// Invoices: seller details printed on every invoice, and the tax rate (%)
+// included in our prices (0 = no tax line)
+export const INVOICE_SELLER_NAME =
+  process.env.INVOICE_SELLER_NAME || "Speexify";
+export const INVOICE_SELLER_ADDRESS = process.env.INVOICE_SELLER_ADDRESS || "";
+export const INVOICE_SELLER_TAX_ID = process.env.INVOICE_SELLER_TAX_ID || "";
+export const INVOICE_TAX_RATE = Number(process.env.INVOICE_TAX_RATE || 0);
+
+// Signaling backplane that lets app instances share /ws rooms: "memory"
+// (a single instance) or "redis" (needs REDIS_URL)
+export const SIGNALING_BACKPLANE = (
+  process.env.SIGNALING_BACKPLANE || "memory"
+).toLowerCase();
+export const REDIS_URL = process.env.REDIS_URL || "";
 // You can add more later (SMTP, Google client ID, etc.)
 
 // Log level (pino): "debug", "info", "warn", "error"
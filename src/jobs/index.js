@@ -0,0 +1,71 @@
+// src/jobs/index.js
+import { logger } from "../lib/logger.js";
+import { finalizeExpiredSessions } from "../services/sessionsService.js";
+import { expireDuePackages } from "../services/creditsService.js";
+import { expireWaitlistHolds } from "../services/waitlistService.js";
+import { sendSessionReminders } from "./reminders.js";
+import { sendExpiryWarnings } from "./packageExpiry.js";
+import { runSubscriptionRenewals } from "./subscriptions.js";
+import { startJobRunner } from "./runner.js";
+
+const MIN_MS = 60 * 1000;
+
+export const jobs = [
+  {
+    name: "finalize-sessions",
+    intervalMs: 5 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => finalizeExpiredSessions(),
+  },
+  {
+    name: "expire-packages",
+    intervalMs: 60 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => expireDuePackages(),
+  },
+  {
+    name: "expiry-warnings-14d",
+    intervalMs: 60 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => sendExpiryWarnings("14d"),
+  },
+  {
+    name: "expiry-warnings-3d",
+    intervalMs: 60 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => sendExpiryWarnings("3d"),
+  },
+  {
+    name: "reminders-24h",
+    intervalMs: 10 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => sendSessionReminders("24h"),
+  },
+  {
+    name: "reminders-1h",
+    intervalMs: 5 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => sendSessionReminders("1h"),
+  },
+  {
+    name: "waitlist-holds",
+    intervalMs: 5 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => expireWaitlistHolds(),
+  },
+  {
+    name: "subscription-renewals",
+    intervalMs: 15 * MIN_MS,
+    timeoutMs: 10 * MIN_MS,
+    handler: () => runSubscriptionRenewals(),
+  },
+];
+
+// Set JOBS_ENABLED=false on instances that should only serve HTTP
+export function startJobs() {
+  if (process.env.JOBS_ENABLED === "false") {
+    logger.info("[jobs] disabled by JOBS_ENABLED=false");
+    return () => {};
+  }
+  return startJobRunner(jobs);
+}
@@ -0,0 +1,100 @@
+// src/jobs/packageExpiry.js
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { withBalances } from "../services/creditsService.js";
+import {
+  sendEmail,
+  escapeHtml,
+  formatInTimeZone,
+} from "../services/emailService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Packs expiring in (floor, lead] get the warning. Each window starts where
+// the next one ends, so a pack bought close to expiry gets one email, not
+// two at once.
+export const EXPIRY_WARNINGS = {
+  "14d": {
+    leadMs: 14 * DAY_MS,
+    floorMs: 3 * DAY_MS,
+    field: "expiryWarning14dSentAt",
+  },
+  "3d": { leadMs: 3 * DAY_MS, floorMs: 0, field: "expiryWarning3dSentAt" },
+};
+
+export function expiryWarningEmail(kind, pack) {
+  const tz = pack.user?.timezone || "UTC";
+  const when = formatInTimeZone(pack.expiresAt, tz);
+  const credits = `${pack.remaining} credit${pack.remaining === 1 ? "" : "s"}`;
+
+  const subject =
+    kind === "3d"
+      ? `Last days to use your ${pack.title} credits`
+      : `Your ${pack.title} credits expire soon`;
+
+  const html = [
+    `<p>Hi ${escapeHtml(pack.user?.name || "there")},</p>`,
+    `<p>You have <strong>${escapeHtml(credits)}</strong> left in <strong>${escapeHtml(pack.title)}</strong>. They expire on ${escapeHtml(when)} (${escapeHtml(tz)}).</p>`,
+    `<p>Book your next sessions before then so they don't go to waste.</p>`,
+    `<p>— Speexify</p>`,
+  ].join("\n");
+
+  return { subject, html };
+}
+
+/**
+ * Warn learners whose pack expires within the `kind` window and still has
+ * unused credits. Subscription packs are left out; they renew. Packs are
+ * claimed (sent-at stamped) before sending, like session reminders.
+ */
+export async function sendExpiryWarnings(kind, now = new Date()) {
+  const { leadMs, floorMs, field } = EXPIRY_WARNINGS[kind];
+
+  const packs = await prisma.userPackage.findMany({
+    where: {
+      status: "active",
+      subscriptionId: null,
+      expiresAt: {
+        gt: new Date(now.getTime() + floorMs),
+        lte: new Date(now.getTime() + leadMs),
+      },
+      [field]: null,
+    },
+    include: {
+      user: { select: { email: true, name: true, timezone: true } },
+    },
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const pack of await withBalances(packs)) {
+    const { count } = await prisma.userPackage.updateMany({
+      where: { id: pack.id, [field]: null },
+      data: { [field]: new Date() },
+    });
+    if (!count) continue; // another instance got it
+    if (pack.remaining <= 0 || !pack.user?.email) continue;
+
+    try {
+      const { subject, html } = expiryWarningEmail(kind, pack);
+      await sendEmail(pack.user.email, subject, html);
+      sent += 1;
+    } catch (err) {
+      failed += 1;
+      logger.error(
+        { err, userPackageId: pack.id, kind },
+        "[expiry] warning send failed"
+      );
+      await prisma.userPackage.update({
+        where: { id: pack.id },
+        data: { [field]: null },
+      });
+    }
+  }
+
+  if (failed) {
+    throw new Error(`${failed} of ${packs.length} ${kind} warnings failed`);
+  }
+  return { found: packs.length, sent };
+}
@@ -0,0 +1,103 @@
+// src/jobs/reminders.js
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import {
+  sendEmail,
+  escapeHtml,
+  formatInTimeZone,
+} from "../services/emailService.js";
+
+const MIN_MS = 60 * 1000;
+
+// Sessions starting in (lead - span, lead] get the reminder. The span is
+// wide enough that a late or retried run still catches every session.
+export const REMINDER_WINDOWS = {
+  "24h": {
+    leadMs: 24 * 60 * MIN_MS,
+    spanMs: 60 * MIN_MS,
+    field: "reminder24hSentAt",
+  },
+  "1h": {
+    leadMs: 60 * MIN_MS,
+    spanMs: 50 * MIN_MS,
+    field: "reminder1hSentAt",
+  },
+};
+
+export function reminderEmail(kind, session) {
+  const title = session.title || "Session";
+  const tz = session.user?.timezone || "UTC";
+  const when = formatInTimeZone(session.startAt, tz);
+
+  const subject =
+    kind === "1h"
+      ? `Starting in ~1 hour: ${title} – ${when}`
+      : `Reminder: ${title} – ${when}`;
+
+  const html = [
+    `<p>Hi ${escapeHtml(session.user?.name || "there")},</p>`,
+    kind === "1h"
+      ? `<p>Your session starts in about one hour:</p>`
+      : `<p>This is a quick reminder for your session:</p>`,
+    `<p><strong>${escapeHtml(title)}</strong><br>`,
+    `${escapeHtml(when)} (${escapeHtml(tz)})</p>`,
+    session.joinUrl
+      ? `<p><a href="${escapeHtml(session.joinUrl)}">Join the session</a></p>`
+      : "",
+    `<p>See you soon!<br>— Speexify</p>`,
+  ].join("\n");
+
+  return { subject, html };
+}
+
+/**
+ * Email learners whose session falls in the `kind` reminder window.
+ * Each session is claimed (sent-at stamped) before sending, so two
+ * instances never both send; a failed send un-claims it for the retry.
+ */
+export async function sendSessionReminders(kind, now = new Date()) {
+  const { leadMs, spanMs, field } = REMINDER_WINDOWS[kind];
+
+  const sessions = await prisma.session.findMany({
+    where: {
+      status: "scheduled",
+      startAt: {
+        gt: new Date(now.getTime() + leadMs - spanMs),
+        lte: new Date(now.getTime() + leadMs),
+      },
+      [field]: null,
+    },
+    include: {
+      user: { select: { email: true, name: true, timezone: true } },
+    },
+  });
+
+  let sent = 0;
+  let failed = 0;
+
+  for (const s of sessions) {
+    const { count } = await prisma.session.updateMany({
+      where: { id: s.id, [field]: null },
+      data: { [field]: new Date() },
+    });
+    if (!count) continue; // another instance got it
+
+    try {
+      const { subject, html } = reminderEmail(kind, s);
+      await sendEmail(s.user.email, subject, html);
+      sent += 1;
+    } catch (err) {
+      failed += 1;
+      logger.error({ err, sessionId: s.id, kind }, "[reminders] send failed");
+      await prisma.session.update({
+        where: { id: s.id },
+        data: { [field]: null },
+      });
+    }
+  }
+
+  if (failed) {
+    throw new Error(`${failed} of ${sessions.length} ${kind} reminders failed`);
+  }
+  return { found: sessions.length, sent };
+}
@@ -0,0 +1,150 @@
+// src/jobs/runner.js
+// In-process job runner. Each job has a JobLock row that doubles as its
+// shared schedule, so with several API instances only one runs a job at a
+// time; every attempt is recorded as a JobRun.
+import os from "node:os";
+import crypto from "node:crypto";
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+
+const TICK_MS = 15 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const MAX_ERROR_LENGTH = 2000;
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+// Wait after `failures` consecutive failures: 30s, 1m, 2m, 4m, … but never
+// longer than the job's normal interval.
+export function retryDelayMs(failures, intervalMs, baseMs = RETRY_BASE_MS) {
+  return Math.min(baseMs * 2 ** Math.max(0, failures - 1), intervalMs);
+}
+
+// Take the job's lock if it is due and nobody else holds a live lock
+async function acquire(job, now) {
+  const { count } = await prisma.jobLock.updateMany({
+    where: {
+      name: job.name,
+      nextRunAt: { lte: now },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }],
+    },
+    data: {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + job.timeoutMs),
+    },
+  });
+  return count === 1;
+}
+
+async function release(job, data) {
+  await prisma.jobLock.updateMany({
+    where: { name: job.name, lockedBy: INSTANCE_ID },
+    data: { ...data, lockedBy: null, lockedUntil: null },
+  });
+}
+
+/**
+ * Run `job` once if it is due and this instance wins the lock.
+ * Returns null when skipped, otherwise { ok, result | error }.
+ */
+export async function runJob(job) {
+  const now = new Date();
+  if (!(await acquire(job, now))) return null;
+
+  const lock = await prisma.jobLock.findUnique({ where: { name: job.name } });
+  const run = await prisma.jobRun.create({
+    data: {
+      job: job.name,
+      attempt: lock.failures + 1,
+      instanceId: INSTANCE_ID,
+    },
+  });
+
+  try {
+    const result = await job.handler();
+    await prisma.jobRun.update({
+      where: { id: run.id },
+      data: {
+        status: "succeeded",
+        ...(result !== undefined ? { result } : {}),
+        finishedAt: new Date(),
+      },
+    });
+    await release(job, {
+      failures: 0,
+      nextRunAt: new Date(Date.now() + job.intervalMs),
+    });
+    return { ok: true, result };
+  } catch (err) {
+    const failures = lock.failures + 1;
+    logger.error(
+      { err, job: job.name, attempt: failures },
+      "[jobs] run failed"
+    );
+    await prisma.jobRun.update({
+      where: { id: run.id },
+      data: {
+        status: "failed",
+        error: String(err?.stack || err).slice(0, MAX_ERROR_LENGTH),
+        finishedAt: new Date(),
+      },
+    });
+    await release(job, {
+      failures,
+      nextRunAt: new Date(Date.now() + retryDelayMs(failures, job.intervalMs)),
+    });
+    return { ok: false, error: err };
+  }
+}
+
+/**
+ * Start polling `jobs` ({ name, intervalMs, timeoutMs, handler }).
+ * Returns a stop() function.
+ */
+export function startJobRunner(jobs, { tickMs = TICK_MS } = {}) {
+  let busy = false;
+  let stopped = false;
+  let registered = false;
+
+  async function tick() {
+    if (busy || stopped) return;
+    busy = true;
+    try {
+      if (!registered) {
+        await prisma.jobLock.createMany({
+          data: jobs.map((j) => ({ name: j.name })),
+          skipDuplicates: true,
+        });
+        registered = true;
+      }
+      for (const job of jobs) {
+        if (stopped) break;
+        try {
+          await runJob(job);
+        } catch (err) {
+          // Lock/bookkeeping failure (e.g. DB down); the lock lapses by itself
+          logger.error({ err, job: job.name }, "[jobs] tick failed");
+        }
+      }
+    } catch (err) {
+      logger.error({ err }, "[jobs] could not register jobs");
+    } finally {
+      busy = false;
+    }
+  }
+
+  const timer = setInterval(tick, tickMs);
+  timer.unref();
+  tick();
+
+  logger.info(
+    { instanceId: INSTANCE_ID, jobs: jobs.map((j) => j.name) },
+    "[jobs] runner started"
+  );
+
+  return function stop() {
+    stopped = true;
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,102 @@
+// src/jobs/subscriptions.js
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { getProvider } from "../services/payments/index.js";
+import { newOrderId } from "../services/pricingService.js";
+import { createOrder, applyPaymentEvent } from "../services/ordersService.js";
+import { closeEndedSubscriptions } from "../services/subscriptionService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A renewal that is charging is pushed back this far, so the next run
+// doesn't charge it again while the provider's webhook is on its way
+export const RENEWAL_IN_FLIGHT_MS = 24 * HOUR_MS;
+
+/**
+ * Job: charge the saved card of every subscription that is due (renewals and
+ * dunning retries). The result comes back as a payment event, which grants
+ * the next period or records the failure.
+ */
+export async function runSubscriptionRenewals(now = new Date()) {
+  const closed = await closeEndedSubscriptions(now);
+
+  const due = await prisma.subscription.findMany({
+    where: {
+      status: { in: ["active", "past_due"] },
+      nextChargeAt: { lte: now },
+    },
+    orderBy: { nextChargeAt: "asc" },
+  });
+
+  let charged = 0;
+  let failed = 0;
+  for (const sub of due) {
+    // Claim it (compare-and-set on the time we read)
+    const { count } = await prisma.subscription.updateMany({
+      where: { id: sub.id, nextChargeAt: sub.nextChargeAt },
+      data: { nextChargeAt: new Date(now.getTime() + RENEWAL_IN_FLIGHT_MS) },
+    });
+    if (!count) continue;
+
+    const ok = await chargeRenewal(sub);
+    if (ok) charged += 1;
+    else failed += 1;
+  }
+
+  return { closed, due: due.length, charged, failed };
+}
+
+async function chargeRenewal(sub) {
+  const provider = getProvider(sub.psp);
+  const { order } = await createOrder({
+    id: newOrderId(),
+    amountCents: sub.amountCents,
+    currency: sub.currency,
+    psp: sub.psp,
+    userId: sub.userId,
+    packageId: sub.packageId,
+    subscriptionId: sub.id,
+  });
+
+  const fail = (reason) =>
+    applyPaymentEvent(provider || { name: sub.psp }, {
+      kind: "payment",
+      orderId: order.id,
+      success: false,
+      reason,
+    });
+
+  if (!provider?.chargeSavedCard || !sub.cardToken) {
+    logger.warn(
+      { subscriptionId: sub.id, psp: sub.psp },
+      "[subscriptions] no saved card to renew with"
+    );
+    await fail("no_saved_card");
+    return false;
+  }
+
+  try {
+    const result = await provider.chargeSavedCard({
+      order,
+      token: sub.cardToken,
+    });
+    if (result?.pspOrderId) {
+      await prisma.order.update({
+        where: { id: order.id },
+        data: { pspOrderId: Number(result.pspOrderId) },
+      });
+    }
+    if (result?.event) {
+      await applyPaymentEvent(provider, result.event);
+      return result.event.success !== false;
+    }
+    return true;
+  } catch (err) {
+    logger.error(
+      { err, subscriptionId: sub.id, orderId: order.id },
+      "[subscriptions] renewal charge failed"
+    );
+    await fail("charge_error");
+    return false;
+  }
+}
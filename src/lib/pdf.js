@@ -0,0 +1,68 @@
+// src/lib/pdf.js
+// Minimal PDF writer (no extra dependency): one A4 page of Helvetica text,
+// enough for receipts. Text outside Latin-1 is replaced with "?".
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+function pdfString(text) {
+  const latin1 = String(text ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+  return `(${latin1.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+/**
+ * A one-page PDF (as a Buffer) from `lines`, laid out top to bottom. Each
+ * line is a string or { text, size = 11, bold, gap, columns }, where
+ * `columns` is [[x, text], ...] for tabular rows and `gap` adds space above.
+ */
+export function textPdf(lines, { title = "" } = {}) {
+  const ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const raw of lines) {
+    const line = typeof raw === "string" ? { text: raw } : raw;
+    const size = line.size || 11;
+    y -= (line.gap || 0) + size * 1.4;
+    if (y < MARGIN) break;
+
+    const font = line.bold ? "/F2" : "/F1";
+    const cells = line.columns || [[0, line.text]];
+    for (const [x, text] of cells) {
+      ops.push(
+        `BT ${font} ${size} Tf ${MARGIN + x} ${y.toFixed(1)} Td ${pdfString(text)} Tj ET`
+      );
+    }
+  }
+
+  const content = ops.join("\n");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      "/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+    `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`,
+    `<< /Title ${pdfString(title)} /Producer (Speexify) >>`,
+  ];
+
+  // Byte offsets for the cross-reference table (latin1: one byte per char)
+  let out = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets
+    .map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  out +=
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n` +
+    `startxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(out, "latin1");
+}
@@ -0,0 +1,106 @@
+// src/lib/timezone.js
+// Small IANA time-zone helpers built on Intl (no extra dependency).
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let fmt = formatterCache.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "short",
+    });
+    formatterCache.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock parts of `date` as seen in `timeZone`
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const p of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[p.type] = p.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+// Offset of `timeZone` from UTC at instant `date`, in ms (e.g. +2h for Cairo)
+export function getTimeZoneOffsetMs(date, timeZone) {
+  const ms = new Date(date).getTime();
+  const p = getZonedParts(ms, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * Convert a local wall-clock time (y-m-d + minutes from midnight) in
+ * `timeZone` to a UTC Date. Wall times skipped or repeated by a DST change
+ * resolve to one of the neighbouring instants.
+ */
+export function zonedTimeToUtc({ year, month, day, minutes = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const firstOffset = getTimeZoneOffsetMs(guess, timeZone);
+  let utc = guess - firstOffset;
+  const secondOffset = getTimeZoneOffsetMs(utc, timeZone);
+  if (secondOffset !== firstOffset) utc = guess - secondOffset;
+  return new Date(utc);
+}
+
+// Calendar arithmetic on plain { year, month, day } objects
+export function addDays({ year, month, day }, days) {
+  const d = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+    weekday: d.getUTCDay(),
+  };
+}
+
+// "HH:mm" -> minutes from midnight (null when malformed)
+export function parseTimeOfDay(value) {
+  const m = String(value || "").match(/^([01]?\d|2[0-4]):([0-5]\d)$/);
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+export function formatTimeOfDay(minutes) {
+  const h = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const m = String(minutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+}
@@ -27,6 +27,7 @@ const CSRF_EXCLUDE_PREFIXES = [
 
   // ---- WEBHOOKS ----
   "/payments/webhook",
+  "/api/payments/webhook",
 ];
 
 // ------------------------------------------------------------
@@ -5,6 +5,22 @@ import crypto from "node:crypto";
 import { requireAuth, requireAdmin } from "../middleware/auth-helpers.js";
 import { logger } from "../lib/logger.js";
 import { sendEmail } from "../services/emailService.js";
+import {
+  getTeacherWorkload,
+  workloadToCsv,
+} from "../services/workloadService.js";
+import {
+  withBalances,
+  reconcileCredits,
+  extendPackage,
+  freezePackage,
+  unfreezePackage,
+  adjustPackCredits,
+  grantPack,
+  roundCredits,
+} from "../services/creditsService.js";
+import { getProvider } from "../services/payments/index.js";
+import { applyOrderRefund } from "../services/ordersService.js";
 
 const router = Router();
 
@@ -220,6 +236,542 @@ router.post(
   }
 );
 
+/* ========================================================================== */
+/*                        ADMIN: TEACHER WORKLOAD (PAYROLL)                   */
+/* ========================================================================== */
+
+// Parse ?from=&to= (ISO dates). Defaults to the current calendar month (UTC).
+function parseReportRange(query) {
+  const now = new Date();
+  const from = query.from
+    ? new Date(String(query.from))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = query.to
+    ? new Date(String(query.to))
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from)
+    return null;
+  return { from, to };
+}
+
+// GET /api/admin/teachers/workload?from=&to=&teacherId=&format=json|csv
+router.get(
+  "/admin/teachers/workload",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const range = parseReportRange(req.query);
+      if (!range) {
+        return res
+          .status(400)
+          .json({ error: "from/to must be valid dates with from < to" });
+      }
+
+      const teacherId = req.query.teacherId
+        ? Number(req.query.teacherId)
+        : null;
+      const teachers = await getTeacherWorkload({ ...range, teacherId });
+
+      if (String(req.query.format || "").toLowerCase() === "csv") {
+        const day = (d) => d.toISOString().slice(0, 10);
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="workload_${day(range.from)}_${day(
+            range.to
+          )}.csv"`
+        );
+        return res.send(workloadToCsv(teachers));
+      }
+
+      const totals = teachers.reduce(
+        (acc, t) => ({
+          sessions: acc.sessions + t.sessions,
+          minutes: acc.minutes + t.minutes,
+          payCents: acc.payCents + t.payCents,
+        }),
+        { sessions: 0, minutes: 0, payCents: 0 }
+      );
+
+      res.json({ from: range.from, to: range.to, totals, teachers });
+    } catch (err) {
+      logger.error({ err }, "admin.teachersWorkload error");
+      res.status(500).json({ error: "Failed to build workload report" });
+    }
+  }
+);
+
+/* ========================================================================== */
+/*                             ADMIN: CREDIT LEDGER                           */
+/* ========================================================================== */
+
+// GET /api/admin/users/:id/credits — packs with ledger balances + history
+router.get(
+  "/admin/users/:id/credits",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = Number(req.params.id);
+      const [packs, transactions] = await Promise.all([
+        prisma.userPackage.findMany({
+          where: { userId },
+          orderBy: { createdAt: "desc" },
+          select: {
+            id: true,
+            title: true,
+            sessionsTotal: true,
+            sessionsUsed: true,
+            expiresAt: true,
+            status: true,
+            frozenAt: true,
+            createdAt: true,
+          },
+        }),
+        prisma.creditTransaction.findMany({
+          where: { userId },
+          orderBy: { id: "desc" },
+          take: 200,
+        }),
+      ]);
+
+      res.json({ userId, packs: await withBalances(packs), transactions });
+    } catch (err) {
+      logger.error({ err }, "admin.userCredits error");
+      res.status(500).json({ error: "Failed to load credits" });
+    }
+  }
+);
+
+// Admin credit changes must say why (bank transfer, goodwill, …)
+function adminReason(body) {
+  const reason = String(body?.reason ?? "").trim();
+  return reason && reason.length <= 500 ? reason : null;
+}
+
+/**
+ * POST /api/admin/users/:id/packages
+ *   { reason, packageId, sessionsTotal?, expiresAt? }   — from a Package
+ *   { reason, title, sessionsTotal, minutesPerSession?, expiresAt? }
+ * Gives a learner a pack outside checkout. A template's values can be
+ * overridden; without expiresAt it follows the package's validityDays.
+ */
+router.post(
+  "/admin/users/:id/packages",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = Number(req.params.id);
+      const reason = adminReason(req.body);
+      if (!reason)
+        return res
+          .status(400)
+          .json({ error: "reason is required (max 500 characters)" });
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { role: true },
+      });
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (user.role !== "learner")
+        return res
+          .status(400)
+          .json({ error: "Packages can only be given to learners" });
+
+      const r = await grantPack({ userId }, req.body);
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+      const { pack } = r;
+
+      await audit(req.user.id, "package_grant", "UserPackage", pack.id, {
+        userId,
+        packageId: pack.packageId || null,
+        sessionsTotal: pack.sessionsTotal,
+        expiresAt: pack.expiresAt,
+        reason,
+      });
+      const [withBalance] = await withBalances([pack]);
+      res.status(201).json({ ok: true, pack: withBalance });
+    } catch (err) {
+      logger.error({ err }, "admin.packageGrant error");
+      res.status(500).json({ error: "Failed to grant package" });
+    }
+  }
+);
+
+// POST /api/admin/user-packages/:id/adjust { delta, reason }
+// delta > 0 adds credits, < 0 takes unused ones away
+router.post(
+  "/admin/user-packages/:id/adjust",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const delta = Number(req.body?.delta);
+      const reason = adminReason(req.body);
+      // Credits are kept to 2 decimals (see roundCredits)
+      if (
+        !Number.isFinite(delta) ||
+        delta === 0 ||
+        roundCredits(delta) !== delta
+      )
+        return res.status(400).json({
+          error: "delta must be a non-zero number with at most 2 decimals",
+        });
+      if (!reason)
+        return res
+          .status(400)
+          .json({ error: "reason is required (max 500 characters)" });
+
+      const r = await adjustPackCredits(id, delta, {
+        actorId: req.user.id,
+        note: reason,
+      });
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(req.user.id, "credits_adjust", "UserPackage", id, {
+        userId: r.entry.userId,
+        delta,
+        remaining: r.remaining,
+        creditTransactionId: r.entry.id,
+        reason,
+      });
+      res.json({ ok: true, entry: r.entry, remaining: r.remaining });
+    } catch (err) {
+      logger.error({ err }, "admin.creditsAdjust error");
+      res.status(500).json({ error: "Failed to adjust credits" });
+    }
+  }
+);
+
+// GET /api/admin/credits/reconcile?userId= — report only
+router.get(
+  "/admin/credits/reconcile",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = req.query.userId ? Number(req.query.userId) : null;
+      res.json(await reconcileCredits({ userId }));
+    } catch (err) {
+      logger.error({ err }, "admin.creditsReconcile error");
+      res.status(500).json({ error: "Failed to reconcile credits" });
+    }
+  }
+);
+
+// POST /api/admin/credits/reconcile { userId? } — rewrite sessionsUsed
+// caches from the ledger
+router.post(
+  "/admin/credits/reconcile",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const userId = req.body?.userId ? Number(req.body.userId) : null;
+      const report = await reconcileCredits({ userId, fix: true });
+
+      await audit(req.user.id, "credits_reconcile", "UserPackage", null, {
+        userId,
+        fixed: report.mismatches,
+      });
+
+      res.json(report);
+    } catch (err) {
+      logger.error({ err }, "admin.creditsReconcile fix error");
+      res.status(500).json({ error: "Failed to reconcile credits" });
+    }
+  }
+);
+
+// POST /api/admin/user-packages/:id/extend { days } | { expiresAt }
+// Also reactivates an expired pack with the credits its expiry wrote off
+router.post(
+  "/admin/user-packages/:id/extend",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const days = req.body?.days !== undefined ? Number(req.body.days) : null;
+      const expiresAt = req.body?.expiresAt
+        ? new Date(req.body.expiresAt)
+        : null;
+      if (expiresAt ? isNaN(expiresAt) : !(Number.isInteger(days) && days > 0))
+        return res
+          .status(400)
+          .json({ error: "Provide a whole number of days or an expiresAt" });
+
+      const before = await prisma.userPackage.findUnique({
+        where: { id },
+        select: { expiresAt: true, status: true },
+      });
+      const r = await extendPackage(id, {
+        days,
+        expiresAt,
+        actorId: req.user.id,
+      });
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(req.user.id, "package_extend", "UserPackage", id, {
+        from: before?.expiresAt,
+        to: r.pack.expiresAt,
+        reactivated: before?.status === "expired",
+        reinstated: r.reinstated,
+      });
+      const [pack] = await withBalances([r.pack]);
+      res.json({ ok: true, pack, reinstated: r.reinstated });
+    } catch (err) {
+      logger.error({ err }, "admin.packageExtend error");
+      res.status(500).json({ error: "Failed to extend package" });
+    }
+  }
+);
+
+// POST /api/admin/user-packages/:id/freeze — stop the expiry clock
+// POST /api/admin/user-packages/:id/unfreeze — restart it, pushed back by
+// the time spent frozen
+for (const [action, run] of [
+  ["freeze", freezePackage],
+  ["unfreeze", unfreezePackage],
+]) {
+  router.post(
+    `/admin/user-packages/:id/${action}`,
+    requireAuth,
+    requireAdmin,
+    async (req, res) => {
+      try {
+        const id = Number(req.params.id);
+        const r = await run(id);
+        if (r.error) return res.status(r.error.status).json(r.error.body);
+
+        await audit(req.user.id, `package_${action}`, "UserPackage", id, {
+          userId: r.pack.userId,
+          expiresAt: r.pack.expiresAt,
+          reason: req.body?.reason || null,
+        });
+        res.json({ ok: true, pack: r.pack });
+      } catch (err) {
+        logger.error({ err }, `admin.package ${action} error`);
+        res.status(500).json({ error: `Failed to ${action} package` });
+      }
+    }
+  );
+}
+
+/* ========================================================================== */
+/*                            ADMIN: BACKGROUND JOBS                          */
+/* ========================================================================== */
+
+// GET /api/admin/jobs — every job's schedule/lock state
+router.get("/admin/jobs", requireAuth, requireAdmin, async (_req, res) => {
+  try {
+    const jobs = await prisma.jobLock.findMany({ orderBy: { name: "asc" } });
+    res.json(jobs);
+  } catch (err) {
+    logger.error({ err }, "admin.jobs error");
+    res.status(500).json({ error: "Failed to load jobs" });
+  }
+});
+
+// GET /api/admin/jobs/runs?job=&status=&limit=
+router.get("/admin/jobs/runs", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.job) where.job = String(req.query.job);
+    if (req.query.status) where.status = String(req.query.status);
+    const take = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    const runs = await prisma.jobRun.findMany({
+      where,
+      orderBy: { id: "desc" },
+      take,
+    });
+    res.json(runs);
+  } catch (err) {
+    logger.error({ err }, "admin.jobRuns error");
+    res.status(500).json({ error: "Failed to load job runs" });
+  }
+});
+
+/* ========================================================================== */
+/*                          ADMIN: ORDERS & REFUNDS                           */
+/* ========================================================================== */
+
+// GET /api/admin/orders/:id — order with its refunds and the packs it bought
+router.get("/admin/orders/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    const order = await prisma.order.findUnique({ where: { id } });
+    if (!order) return res.status(404).json({ error: "Not found" });
+
+    const [refunds, packs] = await Promise.all([
+      prisma.orderRefund.findMany({
+        where: { orderId: id },
+        orderBy: { id: "asc" },
+      }),
+      prisma.userPackage.findMany({
+        where: { orderId: id },
+        select: {
+          id: true,
+          title: true,
+          sessionsTotal: true,
+          status: true,
+          expiresAt: true,
+        },
+      }),
+    ]);
+
+    res.json({ ...order, refunds, packs: await withBalances(packs) });
+  } catch (err) {
+    logger.error({ err }, "admin.order error");
+    res.status(500).json({ error: "Failed to load order" });
+  }
+});
+
+// An admin refund claim older than this is treated as abandoned
+const REFUND_CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * POST /api/admin/orders/:id/refund  { amountCents?, void? }
+ * Refunds through the order's provider (the rest of the order when
+ * amountCents is left out), or voids a same-day Paymob payment. The order
+ * and the package's unused credits are updated right away; the provider's
+ * webhook for the same refund is then a no-op. One refund per order runs at
+ * a time; a second one gets 409 until the first is done.
+ */
+router.post(
+  "/admin/orders/:id/refund",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = String(req.params.id);
+      if (!(await prisma.order.findUnique({ where: { id } })))
+        return res.status(404).json({ error: "Not found" });
+
+      // Claim the order so a concurrent refund is refused; `left` below is
+      // then read after any earlier refund was applied
+      const { count } = await prisma.order.updateMany({
+        where: {
+          id,
+          OR: [
+            { refundStartedAt: null },
+            { refundStartedAt: { lt: new Date(Date.now() - REFUND_CLAIM_MS) } },
+          ],
+        },
+        data: { refundStartedAt: new Date() },
+      });
+      if (!count) {
+        return res
+          .status(409)
+          .json({ error: "Another refund of this order is in progress" });
+      }
+
+      try {
+        const order = await prisma.order.findUnique({ where: { id } });
+
+        if (
+          !["paid", "partially_refunded", "amount_mismatch"].includes(
+            order.status
+          )
+        ) {
+          return res
+            .status(409)
+            .json({ error: `Order is ${order.status}; nothing to refund` });
+        }
+        const provider = getProvider(order.psp);
+        if (!provider || !provider.canRefund(order)) {
+          return res
+            .status(409)
+            .json({ error: "Order has no payment to refund" });
+        }
+
+        const isVoid = req.body?.void === true;
+        if (isVoid && !provider.voidPayment) {
+          return res.status(409).json({
+            error: `${order.psp} payments can't be voided; refund it`,
+          });
+        }
+        const left = order.amountCents - order.refundedCents;
+        const amountCents =
+          req.body?.amountCents !== undefined
+            ? Number(req.body.amountCents)
+            : left;
+
+        if (isVoid && order.refundedCents > 0) {
+          return res
+            .status(409)
+            .json({ error: "A partly refunded order can't be voided" });
+        }
+        if (!isVoid && (!Number.isInteger(amountCents) || amountCents <= 0)) {
+          return res
+            .status(400)
+            .json({ error: "amountCents must be a positive integer" });
+        }
+        if (!isVoid && amountCents > left) {
+          return res
+            .status(400)
+            .json({ error: `At most ${left} cents can still be refunded` });
+        }
+
+        let psp;
+        try {
+          psp = isVoid
+            ? await provider.voidPayment({ order })
+            : await provider.refund({ order, amountCents });
+        } catch (err) {
+          logger.error(
+            { err, orderId: id, provider: order.psp },
+            "admin.orderRefund provider error"
+          );
+          return res.status(502).json({
+            error: isVoid ? "Void failed" : "Refund failed",
+            detail:
+              err.response?.data?.error?.message ||
+              err.response?.data?.message ||
+              err.message,
+          });
+        }
+
+        const r = await applyOrderRefund(id, {
+          voided: isVoid,
+          amountCents,
+          pspRefundId: psp?.id ?? null,
+          actorId: req.user.id,
+          source: "admin",
+        });
+
+        await audit(
+          req.user.id,
+          isVoid ? "order_void" : "order_refund",
+          "Order",
+          null,
+          {
+            orderId: id,
+            amountCents: isVoid ? order.amountCents : amountCents,
+            pspRefundId: psp?.id ?? null,
+            clawback: r.clawback,
+          }
+        );
+
+        res.json({ ok: true, order: r.order, clawback: r.clawback });
+      } finally {
+        await prisma.order.update({
+          where: { id },
+          data: { refundStartedAt: null },
+        });
+      }
+    } catch (err) {
+      logger.error({ err }, "admin.orderRefund error");
+      res.status(500).json({ error: "Failed to refund order" });
+    }
+  }
+);
+
 /* ========================================================================== */
 /*                              ADMIN: IMPERSONATE                            */
 /* ========================================================================== */
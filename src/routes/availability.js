@@ -0,0 +1,293 @@
+// src/routes/availability.js
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { requireAuth } from "../middleware/auth-helpers.js";
+import { logger } from "../lib/logger.js";
+import {
+  isValidTimeZone,
+  parseTimeOfDay,
+  formatTimeOfDay,
+} from "../lib/timezone.js";
+import { getTeacherFreeSlots } from "../services/availabilityService.js";
+
+const router = Router();
+
+const MAX_SLOT_RANGE_DAYS = 31;
+const DEFAULT_SLOT_DURATION_MIN = 60;
+const DEFAULT_SLOT_STEP_MIN = 30;
+const EXCEPTION_KINDS = ["time_off", "extra"];
+
+/* -------------------------------------------------------------------------- */
+/* Helpers                                                                    */
+/* -------------------------------------------------------------------------- */
+
+async function loadTeacher(id) {
+  if (!id || Number.isNaN(id)) return null;
+  const teacher = await prisma.user.findUnique({
+    where: { id },
+    select: { id: true, role: true, timezone: true, isDisabled: true },
+  });
+  return teacher && teacher.role === "teacher" ? teacher : null;
+}
+
+// Only the teacher themself or an admin may change availability
+function canManage(req, teacherId) {
+  return req.user.role === "admin" || req.user.id === teacherId;
+}
+
+function shapeRule(r) {
+  return {
+    id: r.id,
+    weekday: r.weekday,
+    start: formatTimeOfDay(r.startMin),
+    end: formatTimeOfDay(r.endMin),
+    timezone: r.timezone,
+  };
+}
+
+/* ========================================================================== */
+/*                         TEACHER AVAILABILITY (WEEKLY)                      */
+/* ========================================================================== */
+
+// GET /api/teachers/:id/availability
+router.get("/teachers/:id/availability", requireAuth, async (req, res) => {
+  try {
+    const teacher = await loadTeacher(Number(req.params.id));
+    if (!teacher) return res.status(404).json({ error: "Teacher not found" });
+
+    const [rules, exceptions] = await Promise.all([
+      prisma.teacherAvailability.findMany({
+        where: { teacherId: teacher.id },
+        orderBy: [{ weekday: "asc" }, { startMin: "asc" }],
+      }),
+      prisma.teacherAvailabilityException.findMany({
+        where: { teacherId: teacher.id, endAt: { gte: new Date() } },
+        orderBy: { startAt: "asc" },
+        select: {
+          id: true,
+          kind: true,
+          startAt: true,
+          endAt: true,
+          reason: true,
+        },
+      }),
+    ]);
+
+    res.json({
+      teacherId: teacher.id,
+      timezone: teacher.timezone || null,
+      weekly: rules.map(shapeRule),
+      exceptions,
+    });
+  } catch (err) {
+    logger.error({ err }, "GET /teachers/:id/availability failed");
+    res.status(500).json({ error: "Failed to load availability" });
+  }
+});
+
+/**
+ * PUT /api/teachers/:id/availability
+ * Body: { timezone?, weekly: [{ weekday: 0-6, start: "09:00", end: "12:30" }] }
+ * Replaces the whole weekly pattern.
+ */
+router.put("/teachers/:id/availability", requireAuth, async (req, res) => {
+  try {
+    const teacher = await loadTeacher(Number(req.params.id));
+    if (!teacher) return res.status(404).json({ error: "Teacher not found" });
+    if (!canManage(req, teacher.id))
+      return res.status(403).json({ error: "Forbidden" });
+
+    const timezone = String(req.body?.timezone || teacher.timezone || "UTC");
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: "timezone must be an IANA zone" });
+    }
+
+    const weekly = Array.isArray(req.body?.weekly) ? req.body.weekly : null;
+    if (!weekly) {
+      return res.status(400).json({ error: "weekly must be an array" });
+    }
+
+    const rows = [];
+    for (const w of weekly) {
+      const weekday = Number(w?.weekday);
+      const startMin = parseTimeOfDay(w?.start);
+      const endMin = parseTimeOfDay(w?.end);
+
+      if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+        return res.status(400).json({ error: "weekday must be 0-6" });
+      }
+      if (startMin === null || endMin === null || endMin <= startMin) {
+        return res
+          .status(400)
+          .json({ error: "Each window needs start < end in HH:mm" });
+      }
+      rows.push({ teacherId: teacher.id, weekday, startMin, endMin, timezone });
+    }
+
+    const saved = await prisma.$transaction(async (tx) => {
+      await tx.teacherAvailability.deleteMany({
+        where: { teacherId: teacher.id },
+      });
+      if (rows.length) await tx.teacherAvailability.createMany({ data: rows });
+      return tx.teacherAvailability.findMany({
+        where: { teacherId: teacher.id },
+        orderBy: [{ weekday: "asc" }, { startMin: "asc" }],
+      });
+    });
+
+    res.json({ teacherId: teacher.id, timezone, weekly: saved.map(shapeRule) });
+  } catch (err) {
+    logger.error({ err }, "PUT /teachers/:id/availability failed");
+    res.status(500).json({ error: "Failed to save availability" });
+  }
+});
+
+/* ========================================================================== */
+/*                      TEACHER AVAILABILITY (EXCEPTIONS)                     */
+/* ========================================================================== */
+
+// POST /api/teachers/:id/availability/exceptions
+// Body: { kind: "time_off" | "extra", startAt, endAt, reason? }
+router.post(
+  "/teachers/:id/availability/exceptions",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const teacher = await loadTeacher(Number(req.params.id));
+      if (!teacher) return res.status(404).json({ error: "Teacher not found" });
+      if (!canManage(req, teacher.id))
+        return res.status(403).json({ error: "Forbidden" });
+
+      const kind = String(req.body?.kind || "time_off");
+      const startAt = new Date(String(req.body?.startAt || ""));
+      const endAt = new Date(String(req.body?.endAt || ""));
+
+      if (!EXCEPTION_KINDS.includes(kind)) {
+        return res
+          .status(400)
+          .json({ error: "kind must be time_off or extra" });
+      }
+      if (
+        Number.isNaN(startAt.getTime()) ||
+        Number.isNaN(endAt.getTime()) ||
+        endAt <= startAt
+      ) {
+        return res
+          .status(400)
+          .json({ error: "startAt/endAt must be valid and startAt < endAt" });
+      }
+
+      const created = await prisma.teacherAvailabilityException.create({
+        data: {
+          teacherId: teacher.id,
+          kind,
+          startAt,
+          endAt,
+          reason: req.body?.reason ? String(req.body.reason) : null,
+        },
+        select: {
+          id: true,
+          kind: true,
+          startAt: true,
+          endAt: true,
+          reason: true,
+        },
+      });
+
+      res.status(201).json(created);
+    } catch (err) {
+      logger.error(
+        { err },
+        "POST /teachers/:id/availability/exceptions failed"
+      );
+      res.status(500).json({ error: "Failed to save exception" });
+    }
+  }
+);
+
+// DELETE /api/teachers/:id/availability/exceptions/:exceptionId
+router.delete(
+  "/teachers/:id/availability/exceptions/:exceptionId",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const teacherId = Number(req.params.id);
+      if (!canManage(req, teacherId))
+        return res.status(403).json({ error: "Forbidden" });
+
+      const { count } = await prisma.teacherAvailabilityException.deleteMany({
+        where: { id: Number(req.params.exceptionId), teacherId },
+      });
+      if (!count) return res.status(404).json({ error: "Not found" });
+
+      res.json({ ok: true });
+    } catch (err) {
+      logger.error(
+        { err },
+        "DELETE /teachers/:id/availability/exceptions failed"
+      );
+      res.status(500).json({ error: "Failed to delete exception" });
+    }
+  }
+);
+
+/* ========================================================================== */
+/*                               BOOKABLE SLOTS                               */
+/* ========================================================================== */
+
+// GET /api/teachers/:id/slots?from=&to=&durationMin=&stepMin=
+router.get("/teachers/:id/slots", requireAuth, async (req, res) => {
+  try {
+    const teacher = await loadTeacher(Number(req.params.id));
+    if (!teacher || teacher.isDisabled)
+      return res.status(404).json({ error: "Teacher not found" });
+
+    const from = new Date(String(req.query.from || ""));
+    const to = new Date(String(req.query.to || ""));
+    if (
+      Number.isNaN(from.getTime()) ||
+      Number.isNaN(to.getTime()) ||
+      to <= from
+    ) {
+      return res
+        .status(400)
+        .json({ error: "from/to must be valid ISO datetimes with from < to" });
+    }
+    if (to - from > MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: `Range must not exceed ${MAX_SLOT_RANGE_DAYS} days`,
+      });
+    }
+
+    const durationMin = req.query.durationMin
+      ? Number(req.query.durationMin)
+      : DEFAULT_SLOT_DURATION_MIN;
+    const stepMin = req.query.stepMin
+      ? Number(req.query.stepMin)
+      : DEFAULT_SLOT_STEP_MIN;
+    if (
+      !Number.isInteger(durationMin) ||
+      durationMin <= 0 ||
+      !Number.isInteger(stepMin) ||
+      stepMin < 5
+    ) {
+      return res
+        .status(400)
+        .json({ error: "durationMin must be > 0 and stepMin >= 5" });
+    }
+
+    const slots = await getTeacherFreeSlots(teacher.id, {
+      from,
+      to,
+      durationMin,
+      stepMin,
+    });
+
+    res.json({ teacherId: teacher.id, durationMin, slots });
+  } catch (err) {
+    logger.error({ err }, "GET /teachers/:id/slots failed");
+    res.status(500).json({ error: "Failed to load slots" });
+  }
+});
+
+export default router;
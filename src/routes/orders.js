@@ -0,0 +1,103 @@
+// src/routes/orders.js
+/* ========================================================================== */
+/*                          MY ORDERS & INVOICES                              */
+/*   GET /api/me/orders                  -> my order history                  */
+/*   GET /api/me/orders/:id/invoice      -> receipt (HTML, or ?format=pdf)    */
+/* ========================================================================== */
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { requireAuth } from "../middleware/auth-helpers.js";
+import { logger } from "../lib/logger.js";
+import {
+  INVOICEABLE_STATUSES,
+  issueInvoice,
+  invoiceHtml,
+  invoicePdf,
+} from "../services/invoiceService.js";
+
+const router = Router();
+
+router.get("/me/orders", requireAuth, async (req, res) => {
+  try {
+    const orders = await prisma.order.findMany({
+      where: { userId: req.viewUserId, status: { not: "pending" } },
+      orderBy: { createdAt: "desc" },
+      select: {
+        id: true,
+        status: true,
+        amountCents: true,
+        discountCents: true,
+        refundedCents: true,
+        currency: true,
+        psp: true,
+        packageId: true,
+        createdAt: true,
+      },
+    });
+
+    const [packages, invoices] = await Promise.all([
+      prisma.package.findMany({
+        where: { id: { in: orders.map((o) => o.packageId).filter(Boolean) } },
+        select: { id: true, title: true },
+      }),
+      prisma.invoice.findMany({
+        where: { orderId: { in: orders.map((o) => o.id) } },
+        select: { orderId: true, number: true },
+      }),
+    ]);
+    const titles = new Map(packages.map((p) => [p.id, p.title]));
+    const numbers = new Map(invoices.map((i) => [i.orderId, i.number]));
+
+    res.json(
+      orders.map((o) => ({
+        ...o,
+        packageTitle: titles.get(o.packageId) || null,
+        invoiceNumber: numbers.get(o.id) || null,
+        hasInvoice: INVOICEABLE_STATUSES.includes(o.status),
+      }))
+    );
+  } catch (err) {
+    logger.error({ err }, "GET /me/orders failed");
+    res.status(500).json({ error: "Failed to load orders" });
+  }
+});
+
+/**
+ * GET /api/me/orders/:id/invoice?format=html|pdf
+ * Orders paid before invoicing existed get their invoice issued on the
+ * first request.
+ */
+router.get("/me/orders/:id/invoice", requireAuth, async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({
+      where: { id: String(req.params.id) },
+      select: { id: true, userId: true, status: true },
+    });
+    if (!order || order.userId !== req.viewUserId) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    if (!INVOICEABLE_STATUSES.includes(order.status)) {
+      return res.status(404).json({ error: "This order has no invoice" });
+    }
+
+    const invoice = await issueInvoice(order.id);
+    if (!invoice) {
+      return res.status(404).json({ error: "This order has no invoice" });
+    }
+
+    if (String(req.query.format || "").toLowerCase() === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="${invoice.number}.pdf"`
+      );
+      return res.send(invoicePdf(invoice));
+    }
+    res.type("html").send(invoiceHtml(invoice));
+  } catch (err) {
+    logger.error({ err }, "GET /me/orders/:id/invoice failed");
+    res.status(500).json({ error: "Failed to load invoice" });
+  }
+});
+
+export default router;
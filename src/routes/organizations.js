@@ -0,0 +1,538 @@
+// src/routes/organizations.js
+/* ========================================================================== */
+/*                    ORGANIZATIONS (CORPORATE ACCOUNTS)                      */
+/*   Platform admin:                                                          */
+/*     GET   /api/admin/organizations              -> list                    */
+/*     POST  /api/admin/organizations              -> create                  */
+/*     PATCH /api/admin/organizations/:id          -> name, seats, active…    */
+/*     POST  /api/admin/organizations/:id/packages -> add credits to the pool */
+/*     POST  /api/organizations/:id/members        -> add by email            */
+/*   Org admins (and platform admins):                                        */
+/*     GET    /api/organizations/:id/dashboard     -> pool + per-member usage */
+/*     GET    /api/organizations/:id/members/:userId/sessions                 */
+/*     POST   /api/organizations/:id/invites       -> invite by email         */
+/*     PATCH  /api/organizations/:id/members/:userId -> role, creditCap       */
+/*     DELETE /api/organizations/:id/members/:userId -> remove                */
+/*     POST   /api/organizations/:id/allocations   -> pool → member's pack    */
+/*   Members:                                                                 */
+/*     GET   /api/me/organization                  -> my org, cap and pool    */
+/*     GET   /api/me/organization-invites          -> invites to my email     */
+/*     POST  /api/me/organization-invites/:inviteId/accept -> join            */
+/* ========================================================================== */
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { requireAuth, requireAdmin } from "../middleware/auth-helpers.js";
+import { logger } from "../lib/logger.js";
+import {
+  grantPack,
+  allocatePoolCredits,
+  memberPool,
+  poolUsage,
+  withBalances,
+} from "../services/creditsService.js";
+import {
+  addMember,
+  updateMember,
+  removeMember,
+  inviteMember,
+  listMyInvites,
+  acceptInvite,
+  memberSessionsWhere,
+  organizationDashboard,
+} from "../services/organizationService.js";
+
+const router = Router();
+
+async function audit(actorId, action, entity, entityId, meta = {}) {
+  try {
+    await prisma.audit.create({
+      data: { actorId, action, entity, entityId, meta },
+    });
+  } catch (e) {
+    logger.error({ err: e }, "audit failed");
+  }
+}
+
+// Seats: null (unlimited) or a whole number
+function parseSeats(raw) {
+  if (raw === null) return { value: null };
+  const value = Number(raw);
+  return Number.isInteger(value) && value >= 0
+    ? { value }
+    : { error: "seats must be a whole number or null" };
+}
+
+function parseDate(raw) {
+  if (!raw) return null;
+  const d = new Date(raw);
+  return isNaN(d) ? undefined : d;
+}
+
+/**
+ * Loads :id into req.organization and lets through platform admins and the
+ * organization's own admins.
+ */
+async function requireOrgAdmin(req, res, next) {
+  try {
+    const org = await prisma.organization.findUnique({
+      where: { id: Number(req.params.id) },
+    });
+    if (!org) return res.status(404).json({ error: "Organization not found" });
+
+    if (req.user.role !== "admin") {
+      const member = await prisma.organizationMember.findUnique({
+        where: { userId: req.user.id },
+        select: { organizationId: true, role: true },
+      });
+      if (member?.organizationId !== org.id || member.role !== "admin")
+        return res.status(403).json({ error: "Forbidden" });
+    }
+
+    req.organization = org;
+    next();
+  } catch (e) {
+    logger.error({ err: e }, "organization access check error");
+    res.status(500).json({ error: "Failed to load organization" });
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Platform admin                                                             */
+/* -------------------------------------------------------------------------- */
+
+router.get(
+  "/admin/organizations",
+  requireAuth,
+  requireAdmin,
+  async (_req, res) => {
+    try {
+      const orgs = await prisma.organization.findMany({
+        orderBy: { name: "asc" },
+        include: { _count: { select: { members: true } } },
+      });
+      res.json(orgs);
+    } catch (e) {
+      logger.error({ err: e }, "admin organizations list error");
+      res.status(500).json({ error: "Failed to load organizations" });
+    }
+  }
+);
+
+// POST /api/admin/organizations { name, billingEmail?, seats? }
+router.post(
+  "/admin/organizations",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const name = String(req.body?.name ?? "").trim();
+      if (!name) return res.status(400).json({ error: "name is required" });
+      const seats = parseSeats(req.body?.seats ?? null);
+      if (seats.error) return res.status(400).json({ error: seats.error });
+
+      const org = await prisma.organization.create({
+        data: {
+          name,
+          billingEmail: req.body?.billingEmail || null,
+          seats: seats.value,
+        },
+      });
+      await audit(req.user.id, "organization_create", "Organization", org.id, {
+        name,
+        seats: org.seats,
+      });
+      res.status(201).json(org);
+    } catch (e) {
+      logger.error({ err: e }, "admin organization create error");
+      res.status(500).json({ error: "Failed to create organization" });
+    }
+  }
+);
+
+// PATCH /api/admin/organizations/:id { name?, billingEmail?, seats?, active? }
+router.patch(
+  "/admin/organizations/:id",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const data = {};
+      if (req.body?.name !== undefined) {
+        data.name = String(req.body.name).trim();
+        if (!data.name)
+          return res.status(400).json({ error: "name can't be empty" });
+      }
+      if (req.body?.billingEmail !== undefined)
+        data.billingEmail = req.body.billingEmail || null;
+      if (req.body?.seats !== undefined) {
+        const seats = parseSeats(req.body.seats);
+        if (seats.error) return res.status(400).json({ error: seats.error });
+        data.seats = seats.value;
+      }
+      if (req.body?.active !== undefined) data.active = !!req.body.active;
+
+      const exists = await prisma.organization.findUnique({ where: { id } });
+      if (!exists)
+        return res.status(404).json({ error: "Organization not found" });
+
+      const org = await prisma.organization.update({ where: { id }, data });
+      await audit(req.user.id, "organization_update", "Organization", id, {
+        changes: data,
+      });
+      res.json(org);
+    } catch (e) {
+      logger.error({ err: e }, "admin organization update error");
+      res.status(500).json({ error: "Failed to update organization" });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/organizations/:id/packages
+ *   { reason, packageId, sessionsTotal?, expiresAt? }
+ *   { reason, title, sessionsTotal, minutesPerSession?, expiresAt? }
+ * Adds credits to the organization's shared pool (same input as a
+ * learner grant, POST /admin/users/:id/packages).
+ */
+router.post(
+  "/admin/organizations/:id/packages",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const organizationId = Number(req.params.id);
+      const reason = String(req.body?.reason ?? "").trim();
+      if (!reason || reason.length > 500)
+        return res
+          .status(400)
+          .json({ error: "reason is required (max 500 characters)" });
+
+      const org = await prisma.organization.findUnique({
+        where: { id: organizationId },
+        select: { id: true },
+      });
+      if (!org)
+        return res.status(404).json({ error: "Organization not found" });
+
+      const r = await grantPack({ organizationId }, req.body);
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(req.user.id, "package_grant", "UserPackage", r.pack.id, {
+        organizationId,
+        packageId: r.pack.packageId || null,
+        sessionsTotal: r.pack.sessionsTotal,
+        expiresAt: r.pack.expiresAt,
+        reason,
+      });
+      const [pack] = await withBalances([r.pack]);
+      res.status(201).json({ ok: true, pack });
+    } catch (e) {
+      logger.error({ err: e }, "admin organization grant error");
+      res.status(500).json({ error: "Failed to add credits" });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/* Org admins                                                                 */
+/* -------------------------------------------------------------------------- */
+
+// GET /api/organizations/:id/dashboard?from=&to= (sessions starting in range)
+router.get(
+  "/organizations/:id/dashboard",
+  requireAuth,
+  requireOrgAdmin,
+  async (req, res) => {
+    try {
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if (from === undefined || to === undefined)
+        return res.status(400).json({ error: "from/to must be dates" });
+
+      res.json(await organizationDashboard(req.organization, { from, to }));
+    } catch (e) {
+      logger.error({ err: e }, "organization dashboard error");
+      res.status(500).json({ error: "Failed to load dashboard" });
+    }
+  }
+);
+
+// GET /api/organizations/:id/members/:userId/sessions?from=&to=
+router.get(
+  "/organizations/:id/members/:userId/sessions",
+  requireAuth,
+  requireOrgAdmin,
+  async (req, res) => {
+    try {
+      const userId = Number(req.params.userId);
+      const member = await prisma.organizationMember.findUnique({
+        where: { userId },
+        select: { organizationId: true, userId: true, createdAt: true },
+      });
+      if (member?.organizationId !== req.organization.id)
+        return res.status(404).json({ error: "Not a member" });
+
+      const from = parseDate(req.query.from);
+      const to = parseDate(req.query.to);
+      if (from === undefined || to === undefined)
+        return res.status(400).json({ error: "from/to must be dates" });
+
+      const sessions = await prisma.session.findMany({
+        where: memberSessionsWhere(member, { from, to }),
+        orderBy: { startAt: "desc" },
+        take: 200,
+        select: {
+          id: true,
+          title: true,
+          startAt: true,
+          endAt: true,
+          status: true,
+          teacher: { select: { id: true, name: true } },
+        },
+      });
+      res.json(sessions);
+    } catch (e) {
+      logger.error({ err: e }, "organization member sessions error");
+      res.status(500).json({ error: "Failed to load sessions" });
+    }
+  }
+);
+
+// POST /api/organizations/:id/members { email, role?, creditCap? }
+// Platform admins only; org admins invite
+router.post(
+  "/organizations/:id/members",
+  requireAuth,
+  requireAdmin,
+  requireOrgAdmin,
+  async (req, res) => {
+    try {
+      const r = await addMember(req.organization, req.body || {});
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(
+        req.user.id,
+        "organization_member_add",
+        "Organization",
+        req.organization.id,
+        {
+          userId: r.member.userId,
+          role: r.member.role,
+          creditCap: r.member.creditCap,
+        }
+      );
+      res.status(201).json(r.member);
+    } catch (e) {
+      logger.error({ err: e }, "organization member add error");
+      res.status(500).json({ error: "Failed to add member" });
+    }
+  }
+);
+
+// POST /api/organizations/:id/invites { email, role?, creditCap? }
+// The same answer whether or not the email has an account
+router.post(
+  "/organizations/:id/invites",
+  requireAuth,
+  requireOrgAdmin,
+  async (req, res) => {
+    try {
+      const r = await inviteMember(req.organization, req.body || {}, {
+        invitedById: req.user.id,
+      });
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(
+        req.user.id,
+        "organization_invite",
+        "Organization",
+        req.organization.id,
+        { email: r.invite.email, role: r.invite.role }
+      );
+      res.status(201).json({
+        ok: true,
+        email: r.invite.email,
+        role: r.invite.role,
+        creditCap: r.invite.creditCap,
+        expiresAt: r.invite.expiresAt,
+      });
+    } catch (e) {
+      logger.error({ err: e }, "organization invite error");
+      res.status(500).json({ error: "Failed to send invite" });
+    }
+  }
+);
+
+// PATCH /api/organizations/:id/members/:userId { role?, creditCap? }
+router.patch(
+  "/organizations/:id/members/:userId",
+  requireAuth,
+  requireOrgAdmin,
+  async (req, res) => {
+    try {
+      const r = await updateMember(
+        req.organization,
+        req.params.userId,
+        req.body || {},
+        req.user
+      );
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(
+        req.user.id,
+        "organization_member_update",
+        "Organization",
+        req.organization.id,
+        {
+          userId: r.member.userId,
+          role: r.member.role,
+          creditCap: r.member.creditCap,
+        }
+      );
+      res.json(r.member);
+    } catch (e) {
+      logger.error({ err: e }, "organization member update error");
+      res.status(500).json({ error: "Failed to update member" });
+    }
+  }
+);
+
+// DELETE /api/organizations/:id/members/:userId — unused allocated credits
+// go back to the pool
+router.delete(
+  "/organizations/:id/members/:userId",
+  requireAuth,
+  requireOrgAdmin,
+  async (req, res) => {
+    try {
+      const r = await removeMember(req.organization, req.params.userId, {
+        actorId: req.user.id,
+      });
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(
+        req.user.id,
+        "organization_member_remove",
+        "Organization",
+        req.organization.id,
+        { userId: r.member.userId, reclaimed: r.reclaimed }
+      );
+      res.json({ ok: true, reclaimed: r.reclaimed });
+    } catch (e) {
+      logger.error({ err: e }, "organization member remove error");
+      res.status(500).json({ error: "Failed to remove member" });
+    }
+  }
+);
+
+// POST /api/organizations/:id/allocations { userId, credits }
+router.post(
+  "/organizations/:id/allocations",
+  requireAuth,
+  requireOrgAdmin,
+  async (req, res) => {
+    try {
+      const userId = Number(req.body?.userId);
+      const credits = Number(req.body?.credits);
+      if (!Number.isInteger(credits) || credits <= 0)
+        return res
+          .status(400)
+          .json({ error: "credits must be a positive whole number" });
+
+      const member = await prisma.organizationMember.findUnique({
+        where: { userId: Number.isInteger(userId) ? userId : -1 },
+        select: { organizationId: true, role: true },
+      });
+      if (member?.organizationId !== req.organization.id)
+        return res.status(404).json({ error: "Not a member" });
+      // Org admins don't take a seat, so they get no pool credits either
+      if (member.role !== "learner")
+        return res
+          .status(400)
+          .json({ error: "Credits can only go to learner members" });
+
+      const r = await allocatePoolCredits(req.organization.id, {
+        userId,
+        credits,
+        actorId: req.user.id,
+      });
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(
+        req.user.id,
+        "organization_allocate",
+        "Organization",
+        req.organization.id,
+        { userId, credits, userPackageIds: r.packs.map((p) => p.id) }
+      );
+      res.status(201).json({ ok: true, packs: r.packs });
+    } catch (e) {
+      logger.error({ err: e }, "organization allocation error");
+      res.status(500).json({ error: "Failed to allocate credits" });
+    }
+  }
+);
+
+/* -------------------------------------------------------------------------- */
+/* Members                                                                    */
+/* -------------------------------------------------------------------------- */
+
+// GET /api/me/organization — null when not in one
+router.get("/me/organization", requireAuth, async (req, res) => {
+  try {
+    const member = await prisma.organizationMember.findUnique({
+      where: { userId: req.viewUserId },
+      include: { organization: { select: { id: true, name: true } } },
+    });
+    if (!member) return res.json(null);
+
+    const pool = await memberPool(req.viewUserId);
+    res.json({
+      organization: member.organization,
+      role: member.role,
+      creditCap: member.creditCap,
+      poolUsed: await poolUsage(req.viewUserId, member.organizationId),
+      poolAvailable: pool?.available ?? 0,
+    });
+  } catch (e) {
+    logger.error({ err: e }, "my organization error");
+    res.status(500).json({ error: "Failed to load organization" });
+  }
+});
+
+// GET /api/me/organization-invites — open invites to my email
+router.get("/me/organization-invites", requireAuth, async (req, res) => {
+  try {
+    res.json(await listMyInvites(req.user));
+  } catch (e) {
+    logger.error({ err: e }, "my organization invites error");
+    res.status(500).json({ error: "Failed to load invites" });
+  }
+});
+
+// POST /api/me/organization-invites/:inviteId/accept
+router.post(
+  "/me/organization-invites/:inviteId/accept",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const r = await acceptInvite(req.user, req.params.inviteId);
+      if (r.error) return res.status(r.error.status).json(r.error.body);
+
+      await audit(
+        req.user.id,
+        "organization_member_join",
+        "Organization",
+        r.member.organizationId,
+        { userId: r.member.userId, role: r.member.role }
+      );
+      res.status(201).json(r.member);
+    } catch (e) {
+      logger.error({ err: e }, "organization invite accept error");
+      res.status(500).json({ error: "Failed to accept invite" });
+    }
+  }
+);
+
+export default router;
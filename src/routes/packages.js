@@ -2,6 +2,14 @@
 import { Router } from "express";
 import { prisma } from "../lib/prisma.js";
 import { logger } from "../lib/logger.js";
+import {
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  localizePackage,
+  loadFxRates,
+} from "../services/pricingService.js";
+import { normalizeCode } from "../services/couponService.js";
+import { SUBSCRIPTION_INTERVALS } from "../services/subscriptionService.js";
 
 const router = Router();
 
@@ -58,13 +66,24 @@ function requireAdmin(req, res, next) {
 /*  PUBLIC: /api/packages                                             */
 /* ------------------------------------------------------------------ */
 
-// GET /api/packages
+// GET /api/packages?audience=&currency=
+// With a currency, each package also gets `price` / `startingAt` in it
+// ({ amountCents, currency, source } or null when it can't be priced there).
 router.get("/packages", async (req, res) => {
   try {
     const aud = String(req.query?.audience || "").toUpperCase();
     const where = { active: true };
     if (aud === "INDIVIDUAL" || aud === "CORPORATE") where.audience = aud;
 
+    const currency = req.query?.currency
+      ? normalizeCurrency(req.query.currency)
+      : null;
+    if (req.query?.currency && !currency) {
+      return res.status(400).json({
+        error: `currency must be one of ${SUPPORTED_CURRENCIES.join(", ")}`,
+      });
+    }
+
     const packages = await prisma.package.findMany({
       where,
       orderBy: [{ sortOrder: "asc" }, { priceUSD: "asc" }],
@@ -81,12 +100,21 @@ router.get("/packages", async (req, res) => {
         sortOrder: true,
         sessionsPerPack: true,
         durationMin: true,
+        billingInterval: true,
+        rolloverMax: true,
+        validityDays: true,
         image: true,
         features: true,
+        prices: { select: { currency: true, amountCents: true } },
       },
     });
 
-    const mapped = packages.map((p) => ({ ...p, featuresRaw: p.features }));
+    const fxRates = currency ? await loadFxRates() : {};
+    const mapped = packages.map(({ prices, ...p }) => ({
+      ...p,
+      featuresRaw: p.features,
+      ...(currency ? localizePackage({ ...p, prices }, currency, fxRates) : {}),
+    }));
     res.json(mapped);
   } catch (error) {
     logger.error({ err: error }, "[packages] list error");
@@ -121,6 +149,7 @@ router.get("/admin/packages", requireAuth, requireAdmin, async (req, res) => {
     const items = await prisma.package.findMany({
       where,
       orderBy: [{ audience: "asc" }, { sortOrder: "asc" }, { id: "asc" }],
+      include: { prices: { orderBy: { currency: "asc" } } },
     });
 
     res.json(items);
@@ -130,6 +159,35 @@ router.get("/admin/packages", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+const PRICE_TYPES = ["PER_SESSION", "BUNDLE", "CUSTOM", "SUBSCRIPTION"];
+
+/**
+ * Subscription fields of a package: a SUBSCRIPTION package renews every
+ * `billingInterval` and carries up to `rolloverMax` unused credits into the
+ * next period. Returns { data } or { error }.
+ */
+function subscriptionFields({ priceType, billingInterval, rolloverMax }) {
+  if (priceType !== "SUBSCRIPTION") {
+    return { data: { billingInterval: null, rolloverMax: 0 } };
+  }
+  const interval = billingInterval ?? "month";
+  if (!SUBSCRIPTION_INTERVALS.includes(interval)) {
+    return {
+      error: `billingInterval must be one of ${SUBSCRIPTION_INTERVALS.join(", ")}`,
+    };
+  }
+  const max = Number(rolloverMax ?? 0);
+  if (!Number.isInteger(max) || max < 0) {
+    return { error: "rolloverMax must be a whole number of credits" };
+  }
+  return { data: { billingInterval: interval, rolloverMax: max } };
+}
+
+// Days a purchased pack stays valid; null = never expires
+const isValidityDays = (v) =>
+  v === null || (Number.isInteger(Number(v)) && Number(v) > 0);
+const VALIDITY_ERROR = "validityDays must be a positive whole number or null";
+
 // POST /api/admin/packages
 router.post("/admin/packages", requireAuth, requireAdmin, async (req, res) => {
   try {
@@ -147,6 +205,9 @@ router.post("/admin/packages", requireAuth, requireAdmin, async (req, res) => {
       sortOrder = 0,
       image = null,
       features = "",
+      billingInterval,
+      rolloverMax,
+      validityDays = 90,
     } = req.body;
 
     if (!title) return res.status(400).json({ error: "title is required" });
@@ -155,9 +216,14 @@ router.post("/admin/packages", requireAuth, requireAdmin, async (req, res) => {
         .status(400)
         .json({ error: "audience must be INDIVIDUAL or CORPORATE" });
     }
-    if (!["PER_SESSION", "BUNDLE", "CUSTOM"].includes(priceType)) {
+    if (!PRICE_TYPES.includes(priceType)) {
       return res.status(400).json({ error: "priceType invalid" });
     }
+    const sub = subscriptionFields({ priceType, billingInterval, rolloverMax });
+    if (sub.error) return res.status(400).json({ error: sub.error });
+    if (!isValidityDays(validityDays)) {
+      return res.status(400).json({ error: VALIDITY_ERROR });
+    }
 
     const created = await prisma.package.create({
       data: {
@@ -175,6 +241,8 @@ router.post("/admin/packages", requireAuth, requireAdmin, async (req, res) => {
         sortOrder: Number(sortOrder || 0),
         image: image || null,
         features: features || "",
+        validityDays: validityDays === null ? null : Number(validityDays),
+        ...sub.data,
       },
     });
 
@@ -208,6 +276,7 @@ router.patch(
         "durationMin",
         "priceUSD",
         "startingAtUSD",
+        "validityDays",
       ];
       for (const k of fields) {
         if (req.body[k] !== undefined) data[k] = req.body[k];
@@ -228,10 +297,38 @@ router.patch(
         data.durationMin =
           data.durationMin === null ? null : Number(data.durationMin);
       }
+      if (data.validityDays !== undefined) {
+        if (!isValidityDays(data.validityDays))
+          return res.status(400).json({ error: VALIDITY_ERROR });
+        data.validityDays =
+          data.validityDays === null ? null : Number(data.validityDays);
+      }
       if (data.sortOrder !== undefined) data.sortOrder = Number(data.sortOrder);
       if (data.isPopular !== undefined) data.isPopular = !!data.isPopular;
       if (data.active !== undefined) data.active = !!data.active;
 
+      if (data.priceType !== undefined && !PRICE_TYPES.includes(data.priceType))
+        return res.status(400).json({ error: "priceType invalid" });
+      const { billingInterval, rolloverMax } = req.body;
+      if (
+        data.priceType !== undefined ||
+        billingInterval !== undefined ||
+        rolloverMax !== undefined
+      ) {
+        const current = await prisma.package.findUnique({
+          where: { id },
+          select: { priceType: true, billingInterval: true, rolloverMax: true },
+        });
+        if (!current) return res.status(404).json({ error: "Not found" });
+        const sub = subscriptionFields({
+          priceType: data.priceType ?? current.priceType,
+          billingInterval: billingInterval ?? current.billingInterval,
+          rolloverMax: rolloverMax ?? current.rolloverMax,
+        });
+        if (sub.error) return res.status(400).json({ error: sub.error });
+        Object.assign(data, sub.data);
+      }
+
       const updated = await prisma.package.update({ where: { id }, data });
       res.json(updated);
     } catch (err) {
@@ -258,4 +355,310 @@ router.delete(
   }
 );
 
+/* ------------------------------------------------------------------ */
+/*  ADMIN: price lists & FX rates                                     */
+/* ------------------------------------------------------------------ */
+
+// PUT /api/admin/packages/:id/prices  { prices: { EGP: 450000, EUR: null } }
+// Amounts in cents; null removes that currency's list price (it falls back
+// to the FX-derived price).
+router.put(
+  "/admin/packages/:id/prices",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const prices = req.body?.prices;
+      if (!prices || typeof prices !== "object" || Array.isArray(prices)) {
+        return res.status(400).json({ error: "prices object is required" });
+      }
+
+      const upserts = [];
+      const removed = [];
+      for (const [key, value] of Object.entries(prices)) {
+        const currency = normalizeCurrency(key);
+        if (!currency) {
+          return res
+            .status(400)
+            .json({ error: `Unsupported currency: ${key}` });
+        }
+        if (value === null) {
+          removed.push(currency);
+          continue;
+        }
+        const amountCents = Number(value);
+        if (!Number.isInteger(amountCents) || amountCents <= 0) {
+          return res
+            .status(400)
+            .json({ error: `${currency} must be a positive amount in cents` });
+        }
+        upserts.push({ currency, amountCents });
+      }
+
+      const pkg = await prisma.package.findUnique({ where: { id } });
+      if (!pkg) return res.status(404).json({ error: "Package not found" });
+
+      await prisma.$transaction([
+        prisma.packagePrice.deleteMany({
+          where: { packageId: id, currency: { in: removed } },
+        }),
+        ...upserts.map(({ currency, amountCents }) =>
+          prisma.packagePrice.upsert({
+            where: { packageId_currency: { packageId: id, currency } },
+            create: { packageId: id, currency, amountCents },
+            update: { amountCents },
+          })
+        ),
+      ]);
+
+      const items = await prisma.packagePrice.findMany({
+        where: { packageId: id },
+        orderBy: { currency: "asc" },
+      });
+      res.json(items);
+    } catch (err) {
+      logger.error({ err: err }, "[packages] admin prices error");
+      res.status(500).json({ error: "Failed to update prices" });
+    }
+  }
+);
+
+// GET /api/admin/fx-rates
+router.get("/admin/fx-rates", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const items = await prisma.fxRate.findMany({
+      orderBy: { currency: "asc" },
+    });
+    res.json(items);
+  } catch (err) {
+    logger.error({ err: err }, "[packages] fx rates list error");
+    res.status(500).json({ error: "Failed to load FX rates" });
+  }
+});
+
+// PUT /api/admin/fx-rates/:currency  { perUSD }  (units of currency per 1 USD)
+router.put(
+  "/admin/fx-rates/:currency",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const currency = normalizeCurrency(req.params.currency);
+      if (!currency || currency === "USD") {
+        return res
+          .status(400)
+          .json({ error: `Unsupported currency: ${req.params.currency}` });
+      }
+      const perUSD = Number(req.body?.perUSD);
+      if (!Number.isFinite(perUSD) || perUSD <= 0) {
+        return res.status(400).json({ error: "perUSD must be positive" });
+      }
+
+      const rate = await prisma.fxRate.upsert({
+        where: { currency },
+        create: { currency, perUSD },
+        update: { perUSD },
+      });
+      res.json(rate);
+    } catch (err) {
+      logger.error({ err: err }, "[packages] fx rate update error");
+      res.status(500).json({ error: "Failed to update FX rate" });
+    }
+  }
+);
+
+// DELETE /api/admin/fx-rates/:currency
+router.delete(
+  "/admin/fx-rates/:currency",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const currency = normalizeCurrency(req.params.currency);
+      if (!currency) {
+        return res
+          .status(400)
+          .json({ error: `Unsupported currency: ${req.params.currency}` });
+      }
+      await prisma.fxRate.deleteMany({ where: { currency } });
+      res.json({ ok: true });
+    } catch (err) {
+      logger.error({ err: err }, "[packages] fx rate delete error");
+      res.status(500).json({ error: "Failed to delete FX rate" });
+    }
+  }
+);
+
+/* ------------------------------------------------------------------ */
+/*  ADMIN: coupons                                                    */
+/* ------------------------------------------------------------------ */
+
+const optionalInt = (v) => (v === null || v === "" ? null : Number(v));
+const optionalDate = (v) => (v === null || v === "" ? null : new Date(v));
+
+/**
+ * Coupon fields from a request body. Only the keys present are returned,
+ * so PATCH can reuse it. Returns { data } or { error }.
+ */
+function parseCouponInput(body, existing = null) {
+  const data = {};
+  if (body.code !== undefined) data.code = normalizeCode(body.code);
+  if (body.description !== undefined) {
+    data.description = body.description || null;
+  }
+  for (const k of [
+    "percentOff",
+    "amountOffCents",
+    "maxRedemptions",
+    "perUserLimit",
+  ]) {
+    if (body[k] !== undefined) data[k] = optionalInt(body[k]);
+  }
+  if (body.currency !== undefined) {
+    data.currency = body.currency ? normalizeCurrency(body.currency) : null;
+    if (body.currency && !data.currency) {
+      return { error: `Unsupported currency: ${body.currency}` };
+    }
+  }
+  for (const k of ["startsAt", "expiresAt"]) {
+    if (body[k] !== undefined) data[k] = optionalDate(body[k]);
+    if (data[k] && Number.isNaN(data[k].getTime())) {
+      return { error: `${k} must be a date` };
+    }
+  }
+  if (body.packageIds !== undefined) {
+    data.packageIds = (body.packageIds || []).map(Number);
+    if (data.packageIds.some((id) => !Number.isInteger(id))) {
+      return { error: "packageIds must be package ids" };
+    }
+  }
+  if (body.audience !== undefined) {
+    data.audience = body.audience || null;
+    if (data.audience && !["INDIVIDUAL", "CORPORATE"].includes(data.audience)) {
+      return { error: "audience must be INDIVIDUAL or CORPORATE" };
+    }
+  }
+  if (body.active !== undefined) data.active = !!body.active;
+
+  // Check the coupon as it will be saved
+  const c = { ...existing, ...data };
+  if (!c.code) return { error: "code is required" };
+  if (!!c.percentOff === !!c.amountOffCents) {
+    return { error: "Set exactly one of percentOff or amountOffCents" };
+  }
+  if (c.percentOff && !(c.percentOff >= 1 && c.percentOff <= 100)) {
+    return { error: "percentOff must be between 1 and 100" };
+  }
+  if (c.amountOffCents && !(c.amountOffCents > 0 && c.currency)) {
+    return { error: "amountOffCents needs a positive amount and a currency" };
+  }
+  for (const k of [
+    "percentOff",
+    "amountOffCents",
+    "maxRedemptions",
+    "perUserLimit",
+  ]) {
+    if (c[k] != null && !Number.isInteger(c[k])) {
+      return { error: `${k} must be a whole number` };
+    }
+  }
+  if (c.startsAt && c.expiresAt && c.startsAt >= c.expiresAt) {
+    return { error: "expiresAt must be after startsAt" };
+  }
+  return { data };
+}
+
+// GET /api/admin/coupons  (with how often each was redeemed)
+router.get("/admin/coupons", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const [items, used] = await Promise.all([
+      prisma.coupon.findMany({ orderBy: [{ active: "desc" }, { id: "desc" }] }),
+      prisma.couponRedemption.groupBy({
+        by: ["couponId"],
+        where: { status: "redeemed" },
+        _count: { _all: true },
+      }),
+    ]);
+    const counts = new Map(used.map((u) => [u.couponId, u._count._all]));
+    res.json(items.map((c) => ({ ...c, redeemed: counts.get(c.id) || 0 })));
+  } catch (err) {
+    logger.error({ err: err }, "[packages] coupons list error");
+    res.status(500).json({ error: "Failed to load coupons" });
+  }
+});
+
+// POST /api/admin/coupons
+router.post("/admin/coupons", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = parseCouponInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const created = await prisma.coupon.create({ data });
+    res.status(201).json(created);
+  } catch (err) {
+    if (err?.code === "P2002") {
+      return res.status(409).json({ error: "A coupon with this code exists" });
+    }
+    logger.error({ err: err }, "[packages] coupon create error");
+    res.status(500).json({ error: "Failed to create coupon" });
+  }
+});
+
+// PATCH /api/admin/coupons/:id
+router.patch(
+  "/admin/coupons/:id",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const existing = await prisma.coupon.findUnique({ where: { id } });
+      if (!existing) return res.status(404).json({ error: "Not found" });
+
+      const { data, error } = parseCouponInput(req.body || {}, existing);
+      if (error) return res.status(400).json({ error });
+
+      const updated = await prisma.coupon.update({ where: { id }, data });
+      res.json(updated);
+    } catch (err) {
+      if (err?.code === "P2002") {
+        return res
+          .status(409)
+          .json({ error: "A coupon with this code exists" });
+      }
+      logger.error({ err: err }, "[packages] coupon update error");
+      res.status(500).json({ error: "Failed to update coupon" });
+    }
+  }
+);
+
+// DELETE /api/admin/coupons/:id
+// A coupon that was ever used is only deactivated, so its orders keep it.
+router.delete(
+  "/admin/coupons/:id",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const used = await prisma.couponRedemption.count({
+        where: { couponId: id },
+      });
+      if (used) {
+        await prisma.coupon.update({ where: { id }, data: { active: false } });
+        return res.json({ ok: true, deactivated: true });
+      }
+      await prisma.coupon.delete({ where: { id } });
+      res.json({ ok: true });
+    } catch (err) {
+      if (err?.code === "P2025") {
+        return res.status(404).json({ error: "Not found" });
+      }
+      logger.error({ err: err }, "[packages] coupon delete error");
+      res.status(500).json({ error: "Failed to delete coupon" });
+    }
+  }
+);
+
 export default router;
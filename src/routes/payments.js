@@ -1,174 +1,185 @@
 // src/routes/payments.js
 /* ========================================================================== */
-/*                             PAYMENTS: PAYMOB                               */
-/*   Step 1: hosted checkout (iframe) flow                                    */
+/*                                 PAYMENTS                                   */
+/*   Hosted checkout through a payment provider (Paymob or Stripe, picked     */
+/*   by currency / country; see services/payments)                            */
 /*   Routes:                                                                   */
-/*     POST /api/payments/create-intent  -> returns iframeUrl                  */
-/*     POST /api/payments/webhook/paymob -> Paymob webhook (verify HMAC)       */
+/*     POST /api/payments/quote              -> price incl. coupon (auth)     */
+/*     POST /api/payments/create-intent      -> returns checkoutUrl (auth;    */
+/*                                              priced on the server)         */
+/*     POST /api/payments/subscribe          -> same, for a subscription      */
+/*     POST /api/payments/webhook/:provider  -> provider webhook (verified)   */
+/*       payments, refunds and voids                                          */
 /* ========================================================================== */
 import { Router } from "express";
-import axios from "axios";
-import crypto from "node:crypto";
 import { prisma } from "../lib/prisma.js";
-import {
-  PAYMOB_API_KEY,
-  PAYMOB_IFRAME_ID,
-  PAYMOB_HMAC_SECRET,
-  PAYMOB_INTEGRATION_ID,
-} from "../config/env.js";
+import { getProvider, providerFor } from "../services/payments/index.js";
+import { createOrder, applyPaymentEvent } from "../services/ordersService.js";
+import { quoteCheckout, newOrderId } from "../services/pricingService.js";
+import { createSubscription } from "../services/subscriptionService.js";
+import { requireAuth } from "../middleware/auth-helpers.js";
 import { logger } from "../lib/logger.js";
 
 const router = Router();
 
-// Base URL for Paymob APIs
-const PAYMOB_BASE = "https://accept.paymob.com/api";
-
-if (
-  !PAYMOB_API_KEY ||
-  !PAYMOB_INTEGRATION_ID ||
-  !PAYMOB_IFRAME_ID ||
-  !PAYMOB_HMAC_SECRET
-) {
-  logger.warn(
-    {},
-    "⚠️  Missing one or more Paymob env vars (PAYMOB_API_KEY, PAYMOB_INTEGRATION_ID, PAYMOB_IFRAME_ID, PAYMOB_HMAC_SECRET). Test mode will fail until set."
-  );
+// Shared body parsing for quote / create-intent
+function checkoutInput(req) {
+  const packageId = Number(req.body?.packageId);
+  if (!Number.isInteger(packageId) || packageId <= 0) return null;
+  return {
+    packageId,
+    currency: req.body?.currency || "EGP",
+    couponCode: req.body?.couponCode || null,
+    userId: req.viewUserId,
+  };
 }
 
-// -- helper: get Paymob auth token
-async function paymobAuthToken() {
-  const { data } = await axios.post(`${PAYMOB_BASE}/auth/tokens`, {
-    api_key: PAYMOB_API_KEY,
+const quoteBody = (q) => ({
+  packageId: q.pkg.id,
+  currency: q.price.currency,
+  listAmountCents: q.price.amountCents,
+  discountCents: q.discountCents,
+  amountCents: q.amountCents,
+  coupon: q.coupon
+    ? {
+        code: q.coupon.code,
+        description: q.coupon.description,
+        percentOff: q.coupon.percentOff,
+        amountOffCents: q.coupon.amountOffCents,
+      }
+    : null,
+});
+
+/**
+ * Create the order for a quote and open the provider's checkout for it.
+ * Subscription checkouts ask the provider to save the card for renewals.
+ * Returns the response body, or { error } when the order can't be created.
+ */
+async function openCheckout({
+  q,
+  userId,
+  provider,
+  buyer,
+  customer,
+  subscriptionId = null,
+}) {
+  const { order, error } = await createOrder({
+    id: newOrderId(),
+    amountCents: q.amountCents,
+    currency: q.price.currency,
+    psp: provider.name,
+    userId,
+    packageId: q.pkg.id,
+    coupon: q.coupon,
+    discountCents: q.discountCents,
+    subscriptionId,
+    customer,
+    customerEmail: buyer?.email,
   });
-  return data.token;
-}
+  if (error) return { error };
 
-// -- helper: build iframe URL
-function paymobIframeUrl(paymentToken) {
-  return `${PAYMOB_BASE}/acceptance/iframes/${PAYMOB_IFRAME_ID}?payment_token=${paymentToken}`;
-}
+  const checkout = await provider.createCheckout({
+    order,
+    pkg: q.pkg,
+    buyer,
+    customer,
+    saveCard: !!subscriptionId,
+  });
+
+  if (checkout.pspOrderId) {
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { pspOrderId: checkout.pspOrderId },
+    });
+  }
 
-// -- helper: verify HMAC from Paymob webhook
-function verifyPaymobHmac(payloadObj, hmacFromPaymob) {
-  const FIELDS = [
-    "amount_cents",
-    "created_at",
-    "currency",
-    "error_occured",
-    "has_parent_transaction",
-    "id",
-    "integration_id",
-    "is_3d_secure",
-    "is_auth",
-    "is_capture",
-    "is_refunded",
-    "is_standalone_payment",
-    "is_voided",
-    "order.id",
-    "owner",
-    "pending",
-    "source_data.pan",
-    "source_data.sub_type",
-    "source_data.type",
-    "success",
-  ];
-  const get = (obj, path) =>
-    path
-      .split(".")
-      .reduce((o, k) => (o && o[k] !== undefined ? o[k] : ""), obj);
-  const concatenated = FIELDS.map((f) => String(get(payloadObj, f))).join("");
-  const computed = crypto
-    .createHmac("sha512", PAYMOB_HMAC_SECRET)
-    .update(concatenated)
-    .digest("hex");
-  return computed === hmacFromPaymob;
+  return {
+    ok: true,
+    provider: provider.name,
+    checkoutUrl: checkout.checkoutUrl,
+    ...checkout.response,
+    orderId: order.id,
+    ...quoteBody(q),
+  };
 }
 
 /**
- * POST /api/payments/create-intent
+ * POST /api/payments/quote  { packageId, currency?, couponCode? }
+ * What the buyer would pay, checking the coupon (if any) without using it.
  */
-router.post("/create-intent", async (req, res) => {
+router.post("/quote", requireAuth, async (req, res) => {
   try {
-    const { amountCents, orderId, customer, currency = "EGP" } = req.body || {};
+    const input = checkoutInput(req);
+    if (!input) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "packageId is required" });
+    }
 
-    const buyerId = req.session?.user?.id || null;
+    const q = await quoteCheckout(input);
+    if (q.error) return res.status(q.error.status).json(q.error.body);
 
-    const packageId =
-      typeof req.body?.packageId === "number"
-        ? req.body.packageId
-        : (() => {
-            const m = String(orderId).match(/_(\d+)_user/i);
-            return m ? Number(m[1]) : null;
-          })();
+    return res.json({ ok: true, ...quoteBody(q) });
+  } catch (err) {
+    logger.error({ err }, "quote error");
+    return res.status(500).json({ ok: false, message: "quote failed" });
+  }
+});
 
-    const amount = Number(amountCents);
+/**
+ * POST /api/payments/create-intent
+ *   { packageId, currency?, couponCode?, country?, customer? }
+ * `customer` may carry company / taxId for the invoice.
+ * The amount comes from the package's price in the chosen currency (its list
+ * price there, or the USD price converted at the stored FX rate), less the
+ * coupon, and the order id is generated here; the client only picks what to
+ * buy. The currency and the buyer's country decide which provider takes the
+ * payment.
+ */
+router.post("/create-intent", requireAuth, async (req, res) => {
+  try {
+    const { customer } = req.body || {};
+    const country = req.body?.country || customer?.country || null;
+    const input = checkoutInput(req);
+    if (!input) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "packageId is required" });
+    }
 
-    if (!orderId || !amount || Number.isNaN(amount) || amount <= 0) {
+    const [q, buyer] = await Promise.all([
+      quoteCheckout(input),
+      prisma.user.findUnique({
+        where: { id: input.userId },
+        select: { email: true, name: true },
+      }),
+    ]);
+    if (q.error) return res.status(q.error.status).json(q.error.body);
+    const { price } = q;
+    if (q.pkg.priceType === "SUBSCRIPTION") {
       return res.status(400).json({
         ok: false,
-        message: "Valid amountCents & orderId are required",
+        message: "Subscribe to this package via /payments/subscribe",
       });
     }
 
-    const token = await paymobAuthToken();
-
-    const { data: order } = await axios.post(
-      `${PAYMOB_BASE}/ecommerce/orders`,
-      {
-        auth_token: token,
-        delivery_needed: false,
-        amount_cents: amount,
-        currency,
-        merchant_order_id: String(orderId),
-        items: [],
-      }
-    );
-
-    const { data: paymentKey } = await axios.post(
-      `${PAYMOB_BASE}/acceptance/payment_keys`,
-      {
-        auth_token: token,
-        amount_cents: amount,
-        currency,
-        order_id: order.id,
-        billing_data: {
-          first_name: customer?.firstName || "NA",
-          last_name: customer?.lastName || "NA",
-          email: customer?.email || "na@example.com",
-          phone_number: customer?.phone || "01000000000",
-          apartment: "NA",
-          floor: "NA",
-          street: "NA",
-          building: "NA",
-          shipping_method: "NA",
-          postal_code: "NA",
-          city: "Cairo",
-          country: "EG",
-          state: "EG",
-        },
-        expiration: 3600,
-        integration_id: Number(PAYMOB_INTEGRATION_ID),
-      }
-    );
-
-    const iframeUrl = paymobIframeUrl(paymentKey.token);
+    const provider = providerFor({ currency: price.currency, country });
+    if (!provider) {
+      return res.status(400).json({
+        ok: false,
+        message: `No payment provider takes ${price.currency}`,
+      });
+    }
 
-    await prisma.order.create({
-      data: {
-        id: String(orderId),
-        amountCents: Number(amountCents),
-        currency,
-        status: "pending",
-        psp: "paymob",
-        pspOrderId: order.id,
-        userId: buyerId,
-        packageId: packageId,
-        customerEmail: customer?.email || null,
-        customerPhone: customer?.phone || null,
-      },
+    const body = await openCheckout({
+      q,
+      userId: input.userId,
+      provider,
+      buyer,
+      customer,
     });
-
-    return res.json({ ok: true, iframeUrl, paymobOrderId: order.id });
+    if (body.error) return res.status(body.error.status).json(body.error.body);
+    return res.json(body);
   } catch (err) {
     logger.error({ err }, "create-intent error");
     return res.status(500).json({ ok: false, message: "payment init failed" });
@@ -176,100 +187,126 @@ router.post("/create-intent", async (req, res) => {
 });
 
 /**
- * POST /api/payments/webhook/paymob
+ * POST /api/payments/subscribe
+ *   { packageId, currency?, couponCode?, country?, customer? }
+ * Starts a subscription to a SUBSCRIPTION package: checkout for the first
+ * period through a provider that can save the card for renewals. The
+ * subscription becomes active when the webhook reports the payment.
  */
-router.post("/webhook/paymob", async (req, res) => {
+router.post("/subscribe", requireAuth, async (req, res) => {
   try {
-    const hmac = req.query?.hmac || req.body?.hmac;
-    const payload = req.body?.obj || req.body;
-
-    if (!hmac || !payload) return res.sendStatus(400);
-
-    const valid = verifyPaymobHmac(payload, hmac);
-    if (!valid) return res.sendStatus(400);
-
-    const success = String(payload?.success).toLowerCase() === "true";
-    const merchantOrderId = payload?.order?.merchant_order_id;
-    const paymobOrderId = payload?.order?.id;
-
-    if (!merchantOrderId) {
-      logger.warn({ payload }, "Webhook missing merchant_order_id");
-      return res.sendStatus(200);
+    const { customer } = req.body || {};
+    const country = req.body?.country || customer?.country || null;
+    const input = checkoutInput(req);
+    if (!input) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "packageId is required" });
     }
 
-    // Look up order
-    const existingOrder = await prisma.order.findUnique({
-      where: { id: String(merchantOrderId) },
-      select: {
-        id: true,
-        status: true,
-        userId: true,
-        packageId: true,
-      },
-    });
-
-    if (!existingOrder) {
-      logger.warn({ merchantOrderId }, "Webhook for unknown order");
-      // No order to update — don't keep retrying on Paymob side
-      return res.sendStatus(200);
+    const [q, buyer, current] = await Promise.all([
+      quoteCheckout(input),
+      prisma.user.findUnique({
+        where: { id: input.userId },
+        select: { email: true, name: true },
+      }),
+      prisma.subscription.findFirst({
+        where: {
+          userId: input.userId,
+          packageId: input.packageId,
+          status: { in: ["active", "past_due", "paused"] },
+        },
+        select: { id: true },
+      }),
+    ]);
+    if (q.error) return res.status(q.error.status).json(q.error.body);
+    if (q.pkg.priceType !== "SUBSCRIPTION") {
+      return res
+        .status(400)
+        .json({ ok: false, message: "This package isn't a subscription" });
+    }
+    if (current) {
+      return res.status(409).json({
+        ok: false,
+        message: "You already have this subscription",
+        subscriptionId: current.id,
+      });
     }
 
-    // If already paid and we get another success webhook, do nothing (idempotent)
-    if (existingOrder.status === "paid" && success) {
-      logger.info({ merchantOrderId }, "Duplicate success webhook ignored");
-      return res.sendStatus(200);
+    const provider = providerFor({
+      currency: q.price.currency,
+      country,
+      recurring: true,
+    });
+    if (!provider) {
+      return res.status(400).json({
+        ok: false,
+        message: `No payment provider renews ${q.price.currency} subscriptions`,
+      });
     }
 
-    // Update order status
-    const updatedOrder = await prisma.order.update({
-      where: { id: String(merchantOrderId) },
-      data: {
-        status: success ? "paid" : "failed",
-        pspOrderId: paymobOrderId,
-      },
-      select: {
-        id: true,
-        status: true,
-        userId: true,
-        packageId: true,
-      },
+    // Renewals charge the full price; a coupon only covers the first period
+    const subscription = await createSubscription({
+      userId: input.userId,
+      pkg: q.pkg,
+      price: q.price,
+      psp: provider.name,
     });
+    const body = await openCheckout({
+      q,
+      userId: input.userId,
+      provider,
+      buyer,
+      customer,
+      subscriptionId: subscription.id,
+    });
+    if (body.error) {
+      await prisma.subscription.delete({ where: { id: subscription.id } });
+      return res.status(body.error.status).json(body.error.body);
+    }
+    return res.json({ ...body, subscriptionId: subscription.id });
+  } catch (err) {
+    logger.error({ err }, "subscribe error");
+    return res.status(500).json({ ok: false, message: "payment init failed" });
+  }
+});
 
-    if (success && updatedOrder.userId && updatedOrder.packageId) {
-      const pkg = await prisma.package.findUnique({
-        where: { id: Number(updatedOrder.packageId) },
-        select: {
-          id: true,
-          title: true,
-          sessionsPerPack: true,
-          durationMin: true,
-        },
-      });
+/**
+ * POST /api/payments/webhook/:provider
+ * The provider verifies and normalizes the callback; the handling is shared.
+ * Payment results mark the order paid (granting the package) or failed.
+ * Refunds and voids record the refund and claw back the unused credits of
+ * the package the order bought.
+ */
+router.post("/webhook/:provider", async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) return res.sendStatus(404);
 
-      if (pkg) {
-        const sessionsTotal = Number(pkg.sessionsPerPack || 0);
-        if (sessionsTotal > 0) {
-          const expiresAt = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+  try {
+    const event = provider.parseWebhook(req);
+    if (!event) return res.sendStatus(400);
 
-          await prisma.userPackage.create({
-            data: {
-              userId: updatedOrder.userId,
-              packageId: pkg.id,
-              title: pkg.title,
-              minutesPerSession: pkg.durationMin || null,
-              sessionsTotal,
-              sessionsUsed: 0,
-              expiresAt,
-              status: "active",
-            },
-          });
-        }
+    if (event.kind === "ignored") {
+      if (event.reason) {
+        logger.warn(
+          { provider: provider.name, reason: event.reason },
+          "Webhook ignored"
+        );
       }
+      return res.sendStatus(200);
     }
 
+    const found = await applyPaymentEvent(provider, event);
+    if (!found) {
+      logger.warn(
+        { provider: provider.name, orderId: event.orderId },
+        "Webhook for unknown order"
+      );
+      // No order to update — don't keep retrying on the provider's side
+    }
     return res.sendStatus(200);
   } catch (e) {
-    logger.error({ err: e }, "webhook error");
+    logger.error({ err: e, provider: provider.name }, "webhook error");
     return res.sendStatus(500);
   }
 });
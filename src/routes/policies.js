@@ -0,0 +1,202 @@
+// src/routes/policies.js
+/* ========================================================================== */
+/*           ADMIN: CANCELLATION / NO-SHOW / RESCHEDULE POLICIES              */
+/*   GET    /api/admin/session-policies                                       */
+/*   POST   /api/admin/session-policies                                       */
+/*   PATCH  /api/admin/session-policies/:id                                   */
+/*   DELETE /api/admin/session-policies/:id                                   */
+/* ========================================================================== */
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { requireAuth, requireAdmin } from "../middleware/auth-helpers.js";
+import { logger } from "../lib/logger.js";
+
+const router = Router();
+
+const AUDIENCES = ["INDIVIDUAL", "CORPORATE"];
+
+async function audit(actorId, action, entity, entityId, meta = {}) {
+  try {
+    await prisma.audit.create({
+      data: { actorId, action, entity, entityId, meta },
+    });
+  } catch (e) {
+    logger.error({ err: e }, "audit failed");
+  }
+}
+
+// Validate a create/patch body; returns { data } or { error }
+function parsePolicyBody(body, { partial }) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name ?? "").trim();
+    if (!name) return { error: "name is required" };
+    data.name = name;
+  }
+  if (body.packageId !== undefined) {
+    data.packageId = body.packageId === null ? null : Number(body.packageId);
+    if (data.packageId !== null && !Number.isInteger(data.packageId))
+      return { error: "packageId must be an integer or null" };
+  }
+  if (body.audience !== undefined) {
+    data.audience = body.audience === null ? null : String(body.audience);
+    if (data.audience !== null && !AUDIENCES.includes(data.audience))
+      return { error: "audience must be INDIVIDUAL, CORPORATE or null" };
+  }
+  if (body.isDefault !== undefined) data.isDefault = body.isDefault === true;
+  if (body.rescheduleRequiresApproval !== undefined)
+    data.rescheduleRequiresApproval = body.rescheduleRequiresApproval === true;
+
+  for (const key of [
+    "refundWindowHours",
+    "rescheduleNoticeHours",
+    "maxReschedules",
+  ]) {
+    if (body[key] === undefined) continue;
+    data[key] = Number(body[key]);
+    if (!Number.isInteger(data[key]) || data[key] < 0)
+      return { error: `${key} must be a whole number >= 0` };
+  }
+  for (const key of ["lateCancelFeeCredits", "noShowFeeCredits"]) {
+    if (body[key] === undefined) continue;
+    data[key] = Number(body[key]);
+    if (!Number.isFinite(data[key]) || data[key] < 0 || data[key] > 1)
+      return { error: `${key} must be between 0 and 1` };
+  }
+
+  return { data };
+}
+
+// Only one policy can be the default
+async function savePolicy(tx, id, data) {
+  if (data.isDefault) {
+    await tx.sessionPolicy.updateMany({
+      where: { isDefault: true, ...(id ? { id: { not: id } } : {}) },
+      data: { isDefault: false },
+    });
+  }
+  return id
+    ? tx.sessionPolicy.update({ where: { id }, data })
+    : tx.sessionPolicy.create({ data });
+}
+
+function isUniqueViolation(e) {
+  return e?.code === "P2002";
+}
+
+router.get(
+  "/admin/session-policies",
+  requireAuth,
+  requireAdmin,
+  async (_req, res) => {
+    try {
+      const policies = await prisma.sessionPolicy.findMany({
+        orderBy: [{ isDefault: "desc" }, { id: "asc" }],
+      });
+      res.json(policies);
+    } catch (err) {
+      logger.error({ err }, "admin.sessionPolicies.list error");
+      res.status(500).json({ error: "Failed to load policies" });
+    }
+  }
+);
+
+/**
+ * Body: { name, packageId?, audience?, isDefault?, refundWindowHours?,
+ *         lateCancelFeeCredits? (0–1), noShowFeeCredits? (0–1),
+ *         rescheduleNoticeHours?, maxReschedules?,
+ *         rescheduleRequiresApproval? }
+ */
+router.post(
+  "/admin/session-policies",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { data, error } = parsePolicyBody(req.body || {}, {
+        partial: false,
+      });
+      if (error) return res.status(400).json({ error });
+
+      const created = await prisma.$transaction((tx) =>
+        savePolicy(tx, null, data)
+      );
+      await audit(
+        req.user.id,
+        "session_policy_create",
+        "SessionPolicy",
+        created.id,
+        data
+      );
+      res.status(201).json(created);
+    } catch (err) {
+      if (isUniqueViolation(err))
+        return res
+          .status(409)
+          .json({ error: "That package already has a policy" });
+      logger.error({ err }, "admin.sessionPolicies.create error");
+      res.status(500).json({ error: "Failed to create policy" });
+    }
+  }
+);
+
+router.patch(
+  "/admin/session-policies/:id",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const existing = await prisma.sessionPolicy.findUnique({ where: { id } });
+      if (!existing) return res.status(404).json({ error: "Not found" });
+
+      const { data, error } = parsePolicyBody(req.body || {}, {
+        partial: true,
+      });
+      if (error) return res.status(400).json({ error });
+
+      const updated = await prisma.$transaction((tx) =>
+        savePolicy(tx, id, data)
+      );
+      await audit(
+        req.user.id,
+        "session_policy_update",
+        "SessionPolicy",
+        id,
+        data
+      );
+      res.json(updated);
+    } catch (err) {
+      if (isUniqueViolation(err))
+        return res
+          .status(409)
+          .json({ error: "That package already has a policy" });
+      logger.error({ err }, "admin.sessionPolicies.update error");
+      res.status(500).json({ error: "Failed to update policy" });
+    }
+  }
+);
+
+router.delete(
+  "/admin/session-policies/:id",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const { count } = await prisma.sessionPolicy.deleteMany({
+        where: { id },
+      });
+      if (!count) return res.status(404).json({ error: "Not found" });
+
+      await audit(req.user.id, "session_policy_delete", "SessionPolicy", id);
+      res.json({ ok: true });
+    } catch (err) {
+      logger.error({ err }, "admin.sessionPolicies.delete error");
+      res.status(500).json({ error: "Failed to delete policy" });
+    }
+  }
+);
+
+export default router;
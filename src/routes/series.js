@@ -0,0 +1,502 @@
+// src/routes/series.js
+/* ========================================================================== */
+/*                     ADMIN: RECURRING SESSION SERIES                        */
+/*   POST  /api/admin/series                                   -> create       */
+/*   GET   /api/admin/series/:id                               -> details      */
+/*   PATCH /api/admin/series/:id/sessions/:sessionId           -> edit         */
+/*   POST  /api/admin/series/:id/sessions/:sessionId/cancel    -> cancel       */
+/*   Edits/cancels take scope: "this" | "following" | "all"                    */
+/* ========================================================================== */
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { requireAuth, requireAdmin } from "../middleware/auth-helpers.js";
+import { logger } from "../lib/logger.js";
+import {
+  isValidTimeZone,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  zonedTimeToUtc,
+} from "../lib/timezone.js";
+import { getRemainingCredits } from "../services/creditsService.js";
+import { offerFreedSlot } from "../services/waitlistService.js";
+import {
+  generateOccurrences,
+  findOccurrenceClashes,
+  parseLocalDate,
+  localDateOf,
+} from "../services/seriesService.js";
+
+const router = Router();
+
+const MAX_SERIES_WEEKS = 52;
+const SCOPES = ["this", "following", "all"];
+
+const sessionSelect = {
+  id: true,
+  title: true,
+  userId: true,
+  teacherId: true,
+  startAt: true,
+  endAt: true,
+  joinUrl: true,
+  status: true,
+  seriesId: true,
+};
+
+async function audit(actorId, action, entity, entityId, meta = {}) {
+  try {
+    await prisma.audit.create({
+      data: { actorId, action, entity, entityId, meta },
+    });
+  } catch (e) {
+    logger.error({ err: e }, "audit failed");
+  }
+}
+
+function shapeSeries(series) {
+  const { startMin, ...rest } = series;
+  return { ...rest, startTime: formatTimeOfDay(startMin) };
+}
+
+// Load the series + the occurrence the admin clicked on, and work out which
+// scheduled occurrences the requested scope covers.
+async function resolveScope(req) {
+  const seriesId = Number(req.params.id);
+  const sessionId = Number(req.params.sessionId);
+  const scope = String(req.body?.scope || "this");
+
+  if (!SCOPES.includes(scope)) {
+    return { error: "scope must be this, following or all", status: 400 };
+  }
+
+  const series = await prisma.sessionSeries.findUnique({
+    where: { id: seriesId },
+  });
+  if (!series) return { error: "Series not found", status: 404 };
+
+  const anchor = await prisma.session.findFirst({
+    where: { id: sessionId, seriesId },
+    select: sessionSelect,
+  });
+  if (!anchor) return { error: "Session not found in series", status: 404 };
+
+  let targets;
+  if (scope === "this") {
+    targets = [anchor];
+  } else {
+    targets = await prisma.session.findMany({
+      where: {
+        seriesId,
+        status: "scheduled",
+        ...(scope === "following" ? { startAt: { gte: anchor.startAt } } : {}),
+      },
+      orderBy: { startAt: "asc" },
+      select: sessionSelect,
+    });
+  }
+
+  return { series, anchor, scope, targets };
+}
+
+/* ========================================================================== */
+/*                                   CREATE                                   */
+/* ========================================================================== */
+
+/**
+ * Body: {
+ *   learnerId, teacherId, title?, meetingUrl?,
+ *   weekdays: [2, 4], startTime: "18:00", durationMin: 60,
+ *   startDate?: "YYYY-MM-DD", weeks: 12, timezone? (defaults to learner's),
+ *   dryRun?: boolean, skipConflicts?: boolean, allowNoCredit?: boolean
+ * }
+ * Clashing dates are reported; with skipConflicts they're left out,
+ * otherwise nothing is created and 409 is returned.
+ */
+router.post("/admin/series", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const learnerId = Number(req.body?.learnerId ?? req.body?.userId);
+    const teacherId = Number(req.body?.teacherId ?? req.body?.tutorId) || null;
+    const title = (req.body?.title ?? "").toString().trim() || "Lesson";
+    const joinUrl = (req.body?.meetingUrl ?? "").toString().trim() || null;
+    const weekdays = Array.isArray(req.body?.weekdays)
+      ? [...new Set(req.body.weekdays.map(Number))]
+      : [];
+    const startMin = parseTimeOfDay(req.body?.startTime);
+    const durationMin = Number(req.body?.durationMin);
+    const weeks = Number(req.body?.weeks);
+    const dryRun = req.body?.dryRun === true;
+    const skipConflicts = req.body?.skipConflicts === true;
+    const allowNoCredit = req.body?.allowNoCredit === true;
+
+    if (!learnerId)
+      return res.status(400).json({ error: "learnerId/userId is required" });
+    if (
+      !weekdays.length ||
+      weekdays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+    )
+      return res
+        .status(400)
+        .json({ error: "weekdays must be a non-empty array of 0-6" });
+    if (startMin === null)
+      return res.status(400).json({ error: "startTime must be HH:mm" });
+    if (!Number.isInteger(durationMin) || durationMin <= 0)
+      return res.status(400).json({ error: "durationMin must be > 0" });
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_SERIES_WEEKS)
+      return res
+        .status(400)
+        .json({ error: `weeks must be between 1 and ${MAX_SERIES_WEEKS}` });
+
+    const [learner, teacher] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: learnerId },
+        select: { id: true, role: true, isDisabled: true, timezone: true },
+      }),
+      teacherId
+        ? prisma.user.findUnique({
+            where: { id: teacherId },
+            select: { id: true, role: true, isDisabled: true },
+          })
+        : null,
+    ]);
+
+    if (!learner) return res.status(404).json({ error: "Learner not found" });
+    if (learner.isDisabled)
+      return res.status(400).json({ error: "Learner is disabled" });
+    if (teacherId) {
+      if (!teacher) return res.status(404).json({ error: "Teacher not found" });
+      if (teacher.isDisabled)
+        return res.status(400).json({ error: "Teacher is disabled" });
+      if (teacher.role !== "teacher")
+        return res
+          .status(400)
+          .json({ error: "teacherId must refer to a teacher" });
+    }
+
+    const timezone = String(req.body?.timezone || learner.timezone || "UTC");
+    if (!isValidTimeZone(timezone))
+      return res.status(400).json({ error: "timezone must be an IANA zone" });
+
+    const startDate = req.body?.startDate
+      ? String(req.body.startDate)
+      : localDateOf(new Date(), timezone);
+    if (!parseLocalDate(startDate))
+      return res.status(400).json({ error: "startDate must be YYYY-MM-DD" });
+
+    const template = {
+      startDate,
+      weekdays,
+      startMin,
+      durationMin,
+      weeks,
+      timezone,
+    };
+    const now = Date.now();
+    const occurrences = generateOccurrences(template).filter(
+      (o) => o.startAt.getTime() > now
+    );
+    if (!occurrences.length)
+      return res.status(400).json({ error: "Series has no future dates" });
+
+    const clashes = await findOccurrenceClashes(occurrences, {
+      userId: learnerId,
+      teacherId,
+    });
+    const clashDates = new Set(clashes.map((c) => c.date));
+    const toCreate = occurrences.filter((o) => !clashDates.has(o.date));
+
+    if (dryRun) {
+      return res.json({ ok: true, dryRun: true, occurrences, clashes });
+    }
+    if (clashes.length && !skipConflicts) {
+      return res.status(409).json({ error: "Time conflict", clashes });
+    }
+    if (!toCreate.length) {
+      return res
+        .status(409)
+        .json({ error: "Every date in the series clashes", clashes });
+    }
+
+    const remaining = await getRemainingCredits(learnerId);
+    if (!allowNoCredit && remaining < toCreate.length) {
+      return res.status(422).json({
+        error: "no_credits",
+        message: `Learner has ${remaining} remaining credits for ${toCreate.length} sessions. Add a package or pass allowNoCredit: true to override.`,
+        remaining,
+      });
+    }
+
+    const { series, sessions } = await prisma.$transaction(async (tx) => {
+      const series = await tx.sessionSeries.create({
+        data: {
+          ...template,
+          title,
+          userId: learnerId,
+          teacherId,
+          joinUrl,
+          createdById: req.user.id,
+        },
+      });
+      await tx.session.createMany({
+        data: toCreate.map((o) => ({
+          userId: learnerId,
+          teacherId,
+          title,
+          startAt: o.startAt,
+          endAt: o.endAt,
+          joinUrl,
+          status: "scheduled",
+          seriesId: series.id,
+        })),
+      });
+      const sessions = await tx.session.findMany({
+        where: { seriesId: series.id },
+        orderBy: { startAt: "asc" },
+        select: sessionSelect,
+      });
+      return { series, sessions };
+    });
+
+    await audit(req.user.id, "series_create", "SessionSeries", series.id, {
+      learnerId,
+      teacherId,
+      created: sessions.length,
+      skipped: clashes.map((c) => c.date),
+    });
+
+    return res
+      .status(201)
+      .json({ ok: true, series: shapeSeries(series), sessions, clashes });
+  } catch (e) {
+    logger.error({ err: e }, "admin.createSeries error");
+    return res.status(500).json({ error: "Failed to create series" });
+  }
+});
+
+/* ========================================================================== */
+/*                                    READ                                    */
+/* ========================================================================== */
+
+router.get("/admin/series/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const series = await prisma.sessionSeries.findUnique({
+      where: { id: Number(req.params.id) },
+      include: {
+        sessions: { orderBy: { startAt: "asc" }, select: sessionSelect },
+      },
+    });
+    if (!series) return res.status(404).json({ error: "Series not found" });
+    res.json(shapeSeries(series));
+  } catch (e) {
+    logger.error({ err: e }, "admin.getSeries error");
+    res.status(500).json({ error: "Failed to load series" });
+  }
+});
+
+/* ========================================================================== */
+/*                                    EDIT                                    */
+/* ========================================================================== */
+
+/**
+ * Body: { scope, title?, meetingUrl?, teacherId?, startTime?, durationMin?,
+ *         startAt?/endAt? (scope "this" only) }
+ * Time changes keep each occurrence on its own local date. All edited
+ * occurrences are conflict-checked first; any clash aborts with 409.
+ */
+router.patch(
+  "/admin/series/:id/sessions/:sessionId",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const resolved = await resolveScope(req);
+      if (resolved.error)
+        return res.status(resolved.status).json({ error: resolved.error });
+      const { series, scope, targets } = resolved;
+
+      const body = req.body || {};
+      const common = {};
+      if (body.title !== undefined)
+        common.title = String(body.title).trim() || "Lesson";
+      if (body.meetingUrl !== undefined)
+        common.joinUrl = String(body.meetingUrl || "").trim() || null;
+      if (body.teacherId !== undefined)
+        common.teacherId = body.teacherId ? Number(body.teacherId) : null;
+
+      const startMin =
+        body.startTime !== undefined ? parseTimeOfDay(body.startTime) : null;
+      if (body.startTime !== undefined && startMin === null)
+        return res.status(400).json({ error: "startTime must be HH:mm" });
+
+      const durationMin =
+        body.durationMin !== undefined ? Number(body.durationMin) : null;
+      if (
+        durationMin !== null &&
+        (!Number.isInteger(durationMin) || durationMin <= 0)
+      )
+        return res.status(400).json({ error: "durationMin must be > 0" });
+
+      const absolute = body.startAt !== undefined;
+      if (absolute && scope !== "this")
+        return res
+          .status(400)
+          .json({ error: "startAt/endAt can only be used with scope=this" });
+
+      if (common.teacherId) {
+        const teacher = await prisma.user.findUnique({
+          where: { id: common.teacherId },
+          select: { role: true, isDisabled: true },
+        });
+        if (!teacher || teacher.role !== "teacher" || teacher.isDisabled)
+          return res.status(400).json({ error: "Invalid teacherId" });
+      }
+
+      // Work out the new time window of every targeted occurrence
+      const planned = targets.map((s) => {
+        let startAt = s.startAt;
+        let endAt = s.endAt;
+        const currentMin = s.endAt
+          ? Math.round((s.endAt - s.startAt) / 60000)
+          : series.durationMin;
+
+        if (absolute) {
+          startAt = new Date(String(body.startAt));
+          endAt = body.endAt
+            ? new Date(String(body.endAt))
+            : new Date(startAt.getTime() + currentMin * 60000);
+        } else if (startMin !== null || durationMin !== null) {
+          const day = parseLocalDate(localDateOf(s.startAt, series.timezone));
+          if (startMin !== null) {
+            startAt = zonedTimeToUtc(
+              { ...day, minutes: startMin },
+              series.timezone
+            );
+          }
+          endAt = new Date(
+            startAt.getTime() + (durationMin ?? currentMin) * 60000
+          );
+        }
+
+        return {
+          sessionId: s.id,
+          date: localDateOf(startAt, series.timezone),
+          startAt,
+          endAt,
+        };
+      });
+
+      if (
+        planned.some(
+          (p) =>
+            Number.isNaN(p.startAt.getTime()) ||
+            (p.endAt && Number.isNaN(p.endAt.getTime()))
+        )
+      )
+        return res
+          .status(400)
+          .json({ error: "startAt/endAt must be valid ISO datetimes" });
+
+      const timeChanged = absolute || startMin !== null || durationMin !== null;
+      if (timeChanged || common.teacherId !== undefined) {
+        const clashes = await findOccurrenceClashes(planned, {
+          userId: series.userId,
+          teacherId:
+            common.teacherId !== undefined
+              ? common.teacherId
+              : series.teacherId,
+          excludeIds: targets.map((t) => t.id),
+        });
+        if (clashes.length)
+          return res.status(409).json({ error: "Time conflict", clashes });
+      }
+
+      const sessions = await prisma.$transaction(async (tx) => {
+        for (const p of planned) {
+          await tx.session.update({
+            where: { id: p.sessionId },
+            data: {
+              ...common,
+              ...(timeChanged ? { startAt: p.startAt, endAt: p.endAt } : {}),
+            },
+          });
+        }
+
+        // "following"/"all" also change the template for the rest of the run
+        if (scope !== "this") {
+          await tx.sessionSeries.update({
+            where: { id: series.id },
+            data: {
+              ...common,
+              ...(startMin !== null ? { startMin } : {}),
+              ...(durationMin !== null ? { durationMin } : {}),
+            },
+          });
+        }
+
+        return tx.session.findMany({
+          where: { id: { in: planned.map((p) => p.sessionId) } },
+          orderBy: { startAt: "asc" },
+          select: sessionSelect,
+        });
+      });
+
+      await audit(req.user.id, "series_update", "SessionSeries", series.id, {
+        scope,
+        sessionIds: sessions.map((s) => s.id),
+        changes: body,
+      });
+
+      res.json({ ok: true, scope, sessions });
+    } catch (e) {
+      logger.error({ err: e }, "admin.patchSeries error");
+      res.status(500).json({ error: "Failed to update series" });
+    }
+  }
+);
+
+/* ========================================================================== */
+/*                                   CANCEL                                   */
+/* ========================================================================== */
+
+router.post(
+  "/admin/series/:id/sessions/:sessionId/cancel",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const resolved = await resolveScope(req);
+      if (resolved.error)
+        return res.status(resolved.status).json({ error: resolved.error });
+      const { series, scope, targets } = resolved;
+
+      const canceled = targets.filter((s) => s.status === "scheduled");
+      const ids = canceled.map((s) => s.id);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.session.updateMany({
+          where: { id: { in: ids } },
+          data: { status: "canceled" },
+        });
+        if (scope === "all") {
+          await tx.sessionSeries.update({
+            where: { id: series.id },
+            data: { status: "canceled" },
+          });
+        }
+      });
+
+      for (const s of canceled) await offerFreedSlot(s);
+
+      await audit(req.user.id, "series_cancel", "SessionSeries", series.id, {
+        scope,
+        sessionIds: ids,
+      });
+
+      res.json({ ok: true, scope, canceled: ids });
+    } catch (e) {
+      logger.error({ err: e }, "admin.cancelSeries error");
+      res.status(500).json({ error: "Failed to cancel series sessions" });
+    }
+  }
+);
+
+export default router;
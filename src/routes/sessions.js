@@ -4,12 +4,29 @@ import { requireAuth, requireAdmin } from "../middleware/auth-helpers.js";
 import {
   overlapsFilter,
   findSessionConflicts,
-  getRemainingCredits,
-  consumeOneCredit,
-  refundOneCredit,
-  finalizeExpiredSessionsForUser,
-  finalizeExpiredSessionsForTeacher,
+  transitionSession,
 } from "../services/sessionsService.js";
+import {
+  getRemainingCredits,
+  getSessionCharge,
+  refundSessionCredit,
+} from "../services/creditsService.js";
+import { bookSession } from "../services/bookingService.js";
+import { offerFreedSlot } from "../services/waitlistService.js";
+import {
+  getPolicyForSession,
+  evaluateCancellation,
+  evaluateNoShow,
+  evaluateReschedule,
+} from "../services/policyService.js";
+import {
+  parseNewTime,
+  checkNewSlot,
+  moveSession,
+  notifyReschedule,
+} from "../services/rescheduleService.js";
+import { signJoinToken } from "../services/roomAccessService.js";
+import { getSessionAttendance } from "../services/attendanceService.js";
 import { csrfMiddleware } from "../middleware/csrf.js";
 import { logger } from "../lib/logger.js";
 
@@ -150,6 +167,75 @@ router.get("/sessions/:id", requireAuth, async (req, res) => {
   }
 });
 
+// --------------------------------------------------------------------------
+// GET /sessions/:id/join-token - Short-lived token for the lesson's signaling
+// rooms (/ws/prep, /ws/classroom), for clients that can't send the session
+// cookie with the WebSocket upgrade. Pass it as ?token= or a subprotocol.
+// --------------------------------------------------------------------------
+router.get("/sessions/:id/join-token", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) {
+      return res.status(400).json({ error: "Invalid session id" });
+    }
+
+    const s = await prisma.session.findUnique({
+      where: { id },
+      select: { id: true, userId: true, teacherId: true },
+    });
+    if (!s) return res.status(404).json({ error: "Session not found" });
+
+    const isLearner = s.userId === req.user.id;
+    const isTeacher = s.teacherId === req.user.id;
+    const isAdmin = req.user.role === "admin";
+
+    if (!(isLearner || isTeacher || isAdmin)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    const { token, expiresAt } = signJoinToken({
+      sessionId: s.id,
+      userId: req.user.id,
+    });
+    res.json({ token, expiresAt, roomId: String(s.id) });
+  } catch (e) {
+    logger.error({ err: e }, "GET /sessions/:id/join-token error");
+    res.status(500).json({ error: "Failed to issue join token" });
+  }
+});
+
+// --------------------------------------------------------------------------
+// GET /sessions/:id/classroom-state - The classroom as it was last saved
+// (material, page, annotations, shared notes), for review after the lesson
+// --------------------------------------------------------------------------
+router.get("/sessions/:id/classroom-state", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!id || Number.isNaN(id)) {
+      return res.status(400).json({ error: "Invalid session id" });
+    }
+
+    const s = await prisma.session.findUnique({
+      where: { id },
+      select: { id: true, userId: true, teacherId: true, classroomState: true },
+    });
+    if (!s) return res.status(404).json({ error: "Session not found" });
+
+    const isLearner = s.userId === req.user.id;
+    const isTeacher = s.teacherId === req.user.id;
+    const isAdmin = req.user.role === "admin";
+
+    if (!(isLearner || isTeacher || isAdmin)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    res.json({ sessionId: s.id, classroomState: s.classroomState ?? null });
+  } catch (e) {
+    logger.error({ err: e }, "GET /sessions/:id/classroom-state error");
+    res.status(500).json({ error: "Failed to load classroom state" });
+  }
+});
+
 // --------------------------------------------------------------------------
 // GET /sessions/:id/feedback - Get detailed teacher feedback
 // --------------------------------------------------------------------------
@@ -302,20 +388,28 @@ router.post("/sessions/:id/complete", requireAuth, async (req, res) => {
 
     if (!canComplete) return res.status(403).json({ error: "Forbidden" });
 
-    if (s.status !== "completed") {
-      await prisma.session.update({
-        where: { id },
-        data: { status: "completed" },
-      });
-      try {
-        await consumeOneCredit(s.userId);
-      } catch (e) {
-        logger.error(
-          { err: e, userId: s.userId, sessionId: s.id },
-          "consumeOneCredit failed during complete"
-        );
-      }
+    // Only scheduled sessions complete; canceled and no-show ones keep
+    // their settled credit
+    if (!["scheduled", "completed"].includes(s.status)) {
+      return res.status(409).json({ error: `Session is already ${s.status}` });
     }
+
+    // Booked sessions already hold their credit; the charge is a no-op.
+    // A request that loses a race to complete the same session does nothing.
+    const r = await transitionSession(id, {
+      from: "scheduled",
+      to: "completed",
+      credit: "charge",
+      reason: "completion",
+      actorId: req.user.id,
+    });
+    if (r.changed && !r.credit.ok) {
+      logger.warn(
+        { userId: s.userId, sessionId: s.id },
+        "[credits] no credit to charge on complete"
+      );
+    }
+
     res.json({ ok: true });
   } catch (e) {
     logger.error({ err: e }, "complete error");
@@ -338,100 +432,152 @@ router.post("/sessions/:id/cancel", requireAuth, async (req, res) => {
       return res.status(403).json({ error: "Forbidden" });
     }
 
-    // Simple policy: refund if user cancels >= 12h before start
-    const startsAt = new Date(sessionRow.startAt);
-    const twelveHoursMs = 12 * 60 * 60 * 1000;
-    const eligibleForRefund =
-      isOwner && startsAt.getTime() - Date.now() >= twelveHoursMs;
+    if (sessionRow.status !== "scheduled") {
+      return res
+        .status(409)
+        .json({ error: `Session is already ${sessionRow.status}` });
+    }
 
-    const updated = await prisma.session.update({
-      where: { id },
-      data: { status: "canceled" },
+    // The learner's package (or its audience) decides the terms; the
+    // session ends up charged exactly `feeCredits` (0 = full refund).
+    const actor = isOwner ? "learner" : isTeacher ? "teacher" : "admin";
+    const policy = await getPolicyForSession(sessionRow);
+    const outcome = evaluateCancellation(policy, {
+      actor,
+      startAt: sessionRow.startAt,
+      now: new Date(),
     });
 
-    try {
-      if (eligibleForRefund) {
-        const r = await refundOneCredit(sessionRow.userId);
-        if (!r.ok) {
-          logger.warn(
-            { userId: sessionRow.userId, sessionId: sessionRow.id },
-            "[credits] cancel refund not applied (none to refund)"
-          );
-        }
-      }
-    } catch (e) {
-      logger.error(
-        { err: e, userId: sessionRow.userId, sessionId: sessionRow.id },
-        "[credits] cancel refund failed"
+    const r = await transitionSession(id, {
+      from: "scheduled",
+      to: "canceled",
+      credit: "settle",
+      settleTo: outcome.feeCredits,
+      reason: outcome.feeCredits > 0 ? "late_cancel_fee" : "cancel_refund",
+      meta: { rule: outcome.rule, policyId: policy.id },
+      actorId: req.user.id,
+    });
+    if (!r.changed) {
+      return res.status(409).json({ error: "Session was already changed" });
+    }
+    if (!r.credit.ok) {
+      logger.warn(
+        { userId: sessionRow.userId, sessionId: sessionRow.id, outcome },
+        "[credits] cancel fee not charged (no credits left)"
       );
     }
 
-    res.json({ ok: true, session: updated });
+    // The freed time goes to the teacher's waitlist first
+    await offerFreedSlot(sessionRow);
+
+    res.json({
+      ok: true,
+      session: r.session,
+      policy: {
+        id: policy.id,
+        name: policy.name,
+        ...outcome,
+        creditsCharged: r.credit.held ?? 0,
+      },
+    });
   } catch (e) {
     logger.error({ err: e }, "Cancel failed");
     res.status(400).json({ error: "Failed to cancel session" });
   }
 });
 
-router.post("/sessions/:id/reschedule", requireAuth, async (req, res) => {
+/**
+ * POST /api/sessions/:id/no-show  { party?: "learner" | "teacher" }
+ * A learner no-show is reported by the teacher (or an admin) and charges the
+ * policy's no-show fee; a teacher no-show is reported by the learner (or an
+ * admin) and refunds the credit. Only scheduled sessions can be reported,
+ * except that an admin may correct one finalization completed. A report is
+ * refused when attendance shows the reported party was in the lesson.
+ */
+router.post("/sessions/:id/no-show", requireAuth, async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const { startAt, endAt } = req.body;
-
-    if (!startAt) return res.status(400).json({ error: "startAt is required" });
+    const party = String(req.body?.party || "learner");
+    if (!["learner", "teacher"].includes(party)) {
+      return res
+        .status(400)
+        .json({ error: "party must be learner or teacher" });
+    }
 
-    const s = await prisma.session.findUnique({
-      where: { id },
-      select: { id: true, userId: true, teacherId: true, status: true },
-    });
-    if (!s) return res.status(404).json({ error: "Not found" });
+    const sessionRow = await prisma.session.findUnique({ where: { id } });
+    if (!sessionRow)
+      return res.status(404).json({ error: "Session not found" });
 
-    const isOwner = s.userId === req.user.id;
-    const isTeacher = s.teacherId === req.user.id;
     const isAdmin = req.user.role === "admin";
-    if (!(isOwner || isTeacher || isAdmin)) {
-      return res.status(403).json({ error: "Forbidden" });
+    const canReport =
+      isAdmin ||
+      (party === "learner" && sessionRow.teacherId === req.user.id) ||
+      (party === "teacher" && sessionRow.userId === req.user.id);
+    if (!canReport) return res.status(403).json({ error: "Forbidden" });
+
+    if (new Date(sessionRow.startAt) > new Date()) {
+      return res
+        .status(400)
+        .json({ error: "A no-show can only be reported after the start" });
     }
 
-    const conflicts = await findSessionConflicts({
-      startAt: new Date(startAt),
-      endAt: endAt ? new Date(endAt) : null,
-      userId: s.userId,
-      teacherId: s.teacherId,
-      excludeId: id,
+    const reportable = isAdmin ? ["scheduled", "completed"] : ["scheduled"];
+    if (!reportable.includes(sessionRow.status)) {
+      return res
+        .status(409)
+        .json({ error: `Session is already ${sessionRow.status}` });
+    }
+
+    const absentId =
+      party === "learner" ? sessionRow.userId : sessionRow.teacherId;
+    const { participants } = await getSessionAttendance(sessionRow);
+    if (participants.some((p) => p.userId === absentId && p.attended)) {
+      return res.status(409).json({
+        error: `Attendance shows the ${party} was in the lesson`,
+      });
+    }
+
+    const policy = await getPolicyForSession(sessionRow);
+    const outcome = evaluateNoShow(policy, { party });
+
+    const r = await transitionSession(id, {
+      from: { in: reportable },
+      to: party === "learner" ? "no_show" : "canceled",
+      credit: "settle",
+      settleTo: outcome.feeCredits,
+      reason: outcome.feeCredits > 0 ? "no_show_fee" : "cancel_refund",
+      meta: { rule: outcome.rule, policyId: policy.id },
+      actorId: req.user.id,
     });
-    if (conflicts.length) {
-      return res.status(409).json({ error: "Time conflict", conflicts });
+    if (!r.changed) {
+      return res
+        .status(409)
+        .json({ error: `Session is already ${sessionRow.status}` });
     }
 
-    const updated = await prisma.session.update({
-      where: { id },
-      data: {
-        startAt: new Date(startAt),
-        endAt: endAt ? new Date(endAt) : null,
-        status: "scheduled",
-      },
+    await audit(req.user.id, "session_no_show", "Session", id, {
+      party,
+      rule: outcome.rule,
     });
 
-    res.json({ ok: true, session: updated });
+    res.json({
+      ok: true,
+      session: r.session,
+      policy: {
+        id: policy.id,
+        name: policy.name,
+        ...outcome,
+        creditsCharged: r.credit.held ?? 0,
+      },
+    });
   } catch (e) {
-    logger.error({ err: e }, "reschedule error");
-    res.status(400).json({ error: "Failed to reschedule session" });
+    logger.error({ err: e }, "No-show failed");
+    res.status(500).json({ error: "Failed to record no-show" });
   }
 });
 
 router.get("/me/sessions", requireAuth, async (req, res) => {
   try {
-    // Best-effort finalization, don't break if it fails
-    try {
-      await finalizeExpiredSessionsForUser(req.viewUserId);
-    } catch (e) {
-      logger.error(
-        { err: e, userId: req.viewUserId },
-        "finalizeExpiredSessionsForUser failed"
-      );
-    }
-
     const userId = req.viewUserId;
     const role = req.user.role || "learner";
     const { range = "upcoming", limit = 10 } = req.query;
@@ -660,6 +806,455 @@ router.get("/me/progress", requireAuth, async (req, res) => {
   }
 });
 
+/* ========================================================================== */
+/*                                RESCHEDULING                                */
+/* ========================================================================== */
+
+// Which side of a session the current user is on (null = not involved)
+function sessionActor(session, user) {
+  if (session.userId === user.id) return "learner";
+  if (session.teacherId === user.id) return "teacher";
+  if (user.role === "admin") return "admin";
+  return null;
+}
+
+const otherParty = (actor) => (actor === "learner" ? "teacher" : "learner");
+
+/**
+ * POST /api/sessions/:id/reschedule  { startAt, endAt? }
+ * Moves a scheduled session directly. Participants are held to the session
+ * policy (notice, max reschedules, and — when the policy requires approval —
+ * must propose instead); admins aren't. Both participants are emailed.
+ */
+router.post("/sessions/:id/reschedule", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const s = await prisma.session.findUnique({ where: { id } });
+    if (!s) return res.status(404).json({ error: "Not found" });
+
+    const actor = sessionActor(s, req.user);
+    if (!actor) return res.status(403).json({ error: "Forbidden" });
+
+    const time = parseNewTime(s, req.body);
+    if (time.error) return res.status(400).json({ error: time.error });
+
+    const policy = await getPolicyForSession(s);
+    const rule = evaluateReschedule(policy, {
+      actor,
+      session: s,
+      now: new Date(),
+    });
+    if (!rule.ok) {
+      return res.status(409).json({ error: rule.explanation, rule: rule.rule });
+    }
+    if (actor !== "admin" && policy.rescheduleRequiresApproval) {
+      return res.status(409).json({
+        error: `The ${otherParty(actor)} has to accept a new time; propose one instead`,
+        rule: "approval_required",
+      });
+    }
+
+    // Learners can only move into the teacher's open hours
+    const slotError = await checkNewSlot(s, time, {
+      checkAvailability: actor === "learner",
+    });
+    if (slotError) return res.status(slotError.status).json(slotError.body);
+
+    const moved = await moveSession(s, time);
+    if (moved.error)
+      return res.status(moved.error.status).json(moved.error.body);
+
+    await audit(req.user.id, "session_reschedule", "Session", id, {
+      from: s.startAt,
+      to: time.startAt,
+      rule: rule.rule,
+    });
+    await notifyReschedule("moved", id, ["learner", "teacher"], {
+      previousStartAt: s.startAt,
+      actorName: req.user.name,
+    });
+
+    res.json({ ok: true, session: moved.session });
+  } catch (e) {
+    logger.error({ err: e }, "reschedule error");
+    res.status(500).json({ error: "Failed to reschedule session" });
+  }
+});
+
+/**
+ * GET /api/sessions/:id/reschedule-requests
+ * Proposals for a session, newest first.
+ */
+router.get(
+  "/sessions/:id/reschedule-requests",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const s = await prisma.session.findUnique({
+        where: { id },
+        select: { id: true, userId: true, teacherId: true },
+      });
+      if (!s) return res.status(404).json({ error: "Not found" });
+      if (!sessionActor(s, req.user))
+        return res.status(403).json({ error: "Forbidden" });
+
+      const requests = await prisma.rescheduleRequest.findMany({
+        where: { sessionId: id },
+        orderBy: { createdAt: "desc" },
+      });
+      res.json(requests);
+    } catch (e) {
+      logger.error({ err: e }, "reschedule requests list error");
+      res.status(500).json({ error: "Failed to load reschedule requests" });
+    }
+  }
+);
+
+/**
+ * POST /api/sessions/:id/reschedule-requests  { startAt, endAt?, note? }
+ * Proposes a new time; nothing moves until the other participant (or an
+ * admin) accepts. The policy is checked now and again on accept.
+ */
+router.post(
+  "/sessions/:id/reschedule-requests",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const s = await prisma.session.findUnique({ where: { id } });
+      if (!s) return res.status(404).json({ error: "Not found" });
+
+      const actor = sessionActor(s, req.user);
+      if (!actor) return res.status(403).json({ error: "Forbidden" });
+      if (actor === "admin") {
+        return res
+          .status(400)
+          .json({ error: "Admins reschedule directly; no proposal needed" });
+      }
+
+      const time = parseNewTime(s, req.body);
+      if (time.error) return res.status(400).json({ error: time.error });
+
+      const policy = await getPolicyForSession(s);
+      const rule = evaluateReschedule(policy, {
+        actor,
+        session: s,
+        now: new Date(),
+      });
+      if (!rule.ok) {
+        return res
+          .status(409)
+          .json({ error: rule.explanation, rule: rule.rule });
+      }
+
+      const slotError = await checkNewSlot(s, time);
+      if (slotError) return res.status(slotError.status).json(slotError.body);
+
+      const pending = await prisma.rescheduleRequest.findFirst({
+        where: { sessionId: id, status: "pending" },
+        select: { id: true },
+      });
+      if (pending) {
+        return res.status(409).json({
+          error: "A new time has already been proposed for this session",
+          requestId: pending.id,
+        });
+      }
+
+      const created = await prisma.rescheduleRequest.create({
+        data: {
+          sessionId: id,
+          proposedById: req.user.id,
+          startAt: time.startAt,
+          endAt: time.endAt,
+          note: req.body?.note ? String(req.body.note).slice(0, 500) : null,
+        },
+      });
+
+      await notifyReschedule("proposed", id, [otherParty(actor)], {
+        proposedStartAt: created.startAt,
+        actorName: req.user.name,
+      });
+
+      res.status(201).json(created);
+    } catch (e) {
+      logger.error({ err: e }, "reschedule request create error");
+      res.status(500).json({ error: "Failed to propose a new time" });
+    }
+  }
+);
+
+// Load a pending request with its session; responds and returns null on error
+async function loadPendingRequest(req, res) {
+  const request = await prisma.rescheduleRequest.findUnique({
+    where: { id: Number(req.params.requestId) },
+    include: { session: true },
+  });
+  if (!request) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  if (!sessionActor(request.session, req.user)) {
+    res.status(403).json({ error: "Forbidden" });
+    return null;
+  }
+  if (request.status !== "pending") {
+    res.status(409).json({ error: `Request is already ${request.status}` });
+    return null;
+  }
+  return request;
+}
+
+/**
+ * POST /api/reschedule-requests/:requestId/accept
+ * The other participant (or an admin) accepts: the session moves and both
+ * participants are emailed.
+ */
+router.post(
+  "/reschedule-requests/:requestId/accept",
+  requireAuth,
+  async (req, res) => {
+    try {
+      const request = await loadPendingRequest(req, res);
+      if (!request) return;
+      const s = request.session;
+
+      if (request.proposedById === req.user.id) {
+        return res
+          .status(403)
+          .json({ error: "The other participant has to accept" });
+      }
+
+      // Re-check: time has passed and the session may have changed
+      const proposer =
+        s.userId === request.proposedById ? "learner" : "teacher";
+      const actor = req.user.role === "admin" ? "admin" : proposer;
+      const policy = await getPolicyForSession(s);
+      const rule = evaluateReschedule(policy, {
+        actor,
+        session: s,
+        now: new Date(),
+      });
+      if (!rule.ok) {
+        return res
+          .status(409)
+          .json({ error: rule.explanation, rule: rule.rule });
+      }
+      if (request.startAt <= new Date()) {
+        return res
+          .status(409)
+          .json({ error: "The proposed time has already passed" });
+      }
+
+      const time = { startAt: request.startAt, endAt: request.endAt };
+      const slotError = await checkNewSlot(s, time);
+      if (slotError) return res.status(slotError.status).json(slotError.body);
+
+      const moved = await moveSession(s, {
+        ...time,
+        requestId: request.id,
+        respondedById: req.user.id,
+      });
+      if (moved.error)
+        return res.status(moved.error.status).json(moved.error.body);
+
+      await audit(req.user.id, "session_reschedule", "Session", s.id, {
+        from: s.startAt,
+        to: time.startAt,
+        requestId: request.id,
+        rule: rule.rule,
+      });
+      await notifyReschedule("moved", s.id, ["learner", "teacher"], {
+        previousStartAt: s.startAt,
+        actorName: req.user.name,
+      });
+
+      res.json({ ok: true, session: moved.session });
+    } catch (e) {
+      logger.error({ err: e }, "reschedule request accept error");
+      res.status(500).json({ error: "Failed to accept the new time" });
+    }
+  }
+);
+
+/**
+ * POST /api/reschedule-requests/:requestId/decline  (other participant/admin)
+ * POST /api/reschedule-requests/:requestId/withdraw (proposer)
+ * Closes a pending proposal; a decline emails the proposer.
+ */
+function closeRescheduleRequest(action) {
+  return async (req, res) => {
+    try {
+      const request = await loadPendingRequest(req, res);
+      if (!request) return;
+
+      const isProposer = request.proposedById === req.user.id;
+      const declining = action === "decline";
+      if (declining === isProposer) {
+        return res.status(403).json({
+          error: declining
+            ? "You can't decline your own proposal; withdraw it"
+            : "Only the proposer can withdraw",
+        });
+      }
+
+      const status = declining ? "declined" : "withdrawn";
+      const { count } = await prisma.rescheduleRequest.updateMany({
+        where: { id: request.id, status: "pending" },
+        data: { status, respondedById: req.user.id, respondedAt: new Date() },
+      });
+      if (!count) {
+        return res.status(409).json({ error: "Request was already answered" });
+      }
+
+      if (declining) {
+        const proposer =
+          request.session.userId === request.proposedById
+            ? "learner"
+            : "teacher";
+        await notifyReschedule("declined", request.sessionId, [proposer], {
+          proposedStartAt: request.startAt,
+          actorName: req.user.name,
+        });
+      }
+
+      res.json({ ok: true, status });
+    } catch (e) {
+      logger.error({ err: e, action }, "reschedule request close error");
+      res.status(500).json({ error: "Failed to update the request" });
+    }
+  };
+}
+
+router.post(
+  "/reschedule-requests/:requestId/decline",
+  requireAuth,
+  closeRescheduleRequest("decline")
+);
+router.post(
+  "/reschedule-requests/:requestId/withdraw",
+  requireAuth,
+  closeRescheduleRequest("withdraw")
+);
+
+/* ========================================================================== */
+/*                        LEARNER: SELF-SERVICE BOOKING                       */
+/* ========================================================================== */
+
+const DEFAULT_BOOKING_DURATION_MIN = 60;
+const MAX_BOOKING_DURATION_MIN = 240;
+
+/**
+ * POST /api/sessions  (alias: POST /api/me/sessions)
+ * Body: { teacherId, startAt, durationMin? | endAt?, title? }
+ *
+ * Books a lesson for the current (or impersonated) learner and reserves one
+ * credit from their packages immediately, so learners can't overbook.
+ */
+async function bookSessionForLearner(req, res) {
+  try {
+    const learnerId = req.viewUserId;
+    const teacherId = Number(req.body?.teacherId ?? req.body?.tutorId);
+
+    const startStr = String(req.body?.startAt ?? req.body?.start ?? "");
+    const startAt = new Date(startStr);
+    const endAtStr = req.body?.endAt ? String(req.body.endAt) : null;
+    const endAt = endAtStr ? new Date(endAtStr) : null;
+    const title = (req.body?.title ?? "").toString().trim() || "Lesson";
+
+    if (!teacherId)
+      return res.status(400).json({ error: "teacherId is required" });
+    if (!startStr || Number.isNaN(startAt.getTime()))
+      return res
+        .status(400)
+        .json({ error: "startAt must be a valid ISO datetime" });
+    if (endAtStr && Number.isNaN(endAt.getTime()))
+      return res
+        .status(400)
+        .json({ error: "endAt must be a valid ISO datetime" });
+    if (startAt.getTime() <= Date.now())
+      return res.status(400).json({ error: "startAt must be in the future" });
+
+    const [learner, teacher] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: learnerId },
+        select: { id: true, role: true, isDisabled: true },
+      }),
+      prisma.user.findUnique({
+        where: { id: teacherId },
+        select: { id: true, role: true, isDisabled: true },
+      }),
+    ]);
+
+    if (!learner || learner.role !== "learner")
+      return res.status(403).json({ error: "Only learners can book sessions" });
+    if (!teacher || teacher.role !== "teacher" || teacher.isDisabled)
+      return res.status(404).json({ error: "Teacher not found" });
+
+    // Duration: explicit endAt > explicit durationMin > the learner's pack length
+    let durationMin = null;
+    if (endAt) {
+      durationMin = Math.round((endAt.getTime() - startAt.getTime()) / 60000);
+    } else if (req.body?.durationMin !== undefined) {
+      durationMin = Number(req.body.durationMin);
+    } else {
+      const pack = await prisma.userPackage.findFirst({
+        where: {
+          userId: learnerId,
+          status: "active",
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+        },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        select: { minutesPerSession: true },
+      });
+      durationMin = pack?.minutesPerSession || DEFAULT_BOOKING_DURATION_MIN;
+    }
+
+    if (
+      !Number.isFinite(durationMin) ||
+      durationMin <= 0 ||
+      durationMin > MAX_BOOKING_DURATION_MIN
+    ) {
+      return res.status(400).json({
+        error: `Duration must be between 1 and ${MAX_BOOKING_DURATION_MIN} minutes`,
+      });
+    }
+
+    const finalEndAt = new Date(startAt.getTime() + durationMin * 60 * 1000);
+
+    const result = await bookSession({
+      learnerId,
+      teacherId,
+      startAt,
+      endAt: finalEndAt,
+      title,
+      actorId: req.user.id,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    await audit(req.user.id, "session_book", "Session", result.session.id, {
+      learnerId,
+      teacherId,
+      userPackageId: result.credit.packId,
+    });
+
+    return res.status(201).json({
+      ok: true,
+      session: result.session,
+      remaining: await getRemainingCredits(learnerId),
+    });
+  } catch (e) {
+    logger.error({ err: e }, "learner booking error");
+    return res.status(500).json({ error: "Failed to book session" });
+  }
+}
+
+router.post("/sessions", requireAuth, bookSessionForLearner);
+router.post("/me/sessions", requireAuth, bookSessionForLearner);
+
 /* ========================================================================== */
 /*                               ADMIN: SESSIONS                              */
 /* ========================================================================== */
@@ -728,6 +1323,55 @@ router.get("/admin/sessions", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/sessions/:id/attendance
+ * Who joined the lesson's rooms: per participant first join, connected
+ * minutes and reconnects (learner and teacher listed even if they never
+ * came), the raw intervals, and the outcome finalization reads from them.
+ */
+router.get(
+  "/admin/sessions/:id/attendance",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const session = await prisma.session.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          status: true,
+          startAt: true,
+          endAt: true,
+          userId: true,
+          teacherId: true,
+        },
+      });
+      if (!session) return res.status(404).json({ error: "Not found" });
+
+      const attendance = await getSessionAttendance(session);
+      const users = await prisma.user.findMany({
+        where: { id: { in: attendance.participants.map((p) => p.userId) } },
+        select: { id: true, name: true, email: true },
+      });
+      const byId = new Map(users.map((u) => [u.id, u]));
+
+      res.json({
+        session,
+        outcome: attendance.outcome,
+        participants: attendance.participants.map((p) => ({
+          ...p,
+          user: byId.get(p.userId) || null,
+        })),
+        intervals: attendance.intervals,
+      });
+    } catch (err) {
+      logger.error({ err }, "admin.sessions.attendance error");
+      res.status(500).json({ error: "Failed to load attendance" });
+    }
+  }
+);
+
 router.post("/admin/sessions", requireAuth, requireAdmin, async (req, res) => {
   try {
     const learnerId = Number(req.body.learnerId ?? req.body.userId);
@@ -907,52 +1551,89 @@ router.patch(
       if (patch.endAt !== undefined)
         patch.endAt = patch.endAt ? new Date(patch.endAt) : null;
 
+      // The credit a session holds is its learner's; it can't follow the
+      // session to someone else
+      if (patch.userId !== undefined && patch.userId !== existing.userId) {
+        const { held } = await getSessionCharge(id);
+        if (held > 0) {
+          return res.status(409).json({
+            error:
+              "This session holds the learner's credit; cancel it and book one for the other learner",
+          });
+        }
+      }
+
       const prevStatus = existing.status;
       const nextStatus = patch.status ?? existing.status;
 
-      let shouldConsume = false;
-      let shouldRefund = false;
-
-      if (prevStatus !== "completed" && nextStatus === "completed") {
-        shouldConsume = true;
+      // Canceling or marking a no-show settles the credit on the same terms
+      // as POST /sessions/:id/cancel and /no-show by an admin. Completion
+      // charges once (a no-op for booked sessions); undoing it only refunds
+      // a charge completion made, booking reservations stay.
+      let credit = null;
+      let reason = "admin_adjustment";
+      let settleTo;
+      let meta;
+      if (
+        nextStatus !== prevStatus &&
+        (nextStatus === "canceled" || nextStatus === "no_show")
+      ) {
+        const policy = await getPolicyForSession(existing);
+        const outcome =
+          nextStatus === "canceled"
+            ? evaluateCancellation(policy, {
+                actor: "admin",
+                startAt: existing.startAt,
+                now: new Date(),
+              })
+            : evaluateNoShow(policy, { party: "learner" });
+        credit = "settle";
+        settleTo = outcome.feeCredits;
+        reason = outcome.feeCredits > 0 ? "no_show_fee" : "cancel_refund";
+        meta = { rule: outcome.rule, policyId: policy.id };
+      } else if (prevStatus !== "completed" && nextStatus === "completed") {
+        credit = "charge";
+        reason = "completion";
       } else if (prevStatus === "completed" && nextStatus !== "completed") {
-        shouldRefund = true;
+        credit = "refund";
       }
 
-      const updated = await prisma.session.update({
-        where: { id },
-        data: patch,
+      // Compare-and-set on the status we read, so a concurrent change
+      // (another admin, a completion) isn't silently overwritten.
+      const { status: _status, ...fields } = patch;
+      const r = await transitionSession(id, {
+        from: prevStatus,
+        to: nextStatus,
+        data: fields,
+        credit,
+        reason,
+        settleTo,
+        meta,
+        refundOnlyReason: "completion",
+        actorId: req.user.id,
         include: {
           user: { select: { id: true, name: true, email: true } },
           teacher: { select: { id: true, name: true, email: true } },
         },
       });
+      if (!r.changed) {
+        return res
+          .status(409)
+          .json({ error: "Session was changed by someone else; reload" });
+      }
+      const updated = r.session;
 
-      try {
-        if (shouldConsume) {
-          const resUse = await consumeOneCredit(updated.userId);
-          if (!resUse.ok) {
-            logger.warn(
-              { userId: updated.userId, sessionId: updated.id },
-              "[credits] No active credits to consume for user"
-            );
-          }
-        } else if (shouldRefund) {
-          const resRef = await refundOneCredit(updated.userId);
-          if (!resRef.ok) {
-            logger.warn(
-              { userId: updated.userId, sessionId: updated.id },
-              "[credits] Nothing to refund for user"
-            );
-          }
-        }
-      } catch (e) {
-        logger.error(
-          { err: e, userId: updated.userId, sessionId: updated.id },
-          "[credits] accounting failure"
+      if (credit === "charge" && !r.credit.ok) {
+        logger.warn(
+          { userId: updated.userId, sessionId: updated.id },
+          "[credits] No active credits to consume for user"
         );
       }
 
+      if (prevStatus !== "canceled" && nextStatus === "canceled") {
+        await offerFreedSlot(updated);
+      }
+
       await audit(req.user.id, "session_update", "Session", id, patch);
       res.json(updated);
     } catch (err) {
@@ -962,6 +1643,8 @@ router.patch(
   }
 );
 
+// The credit the session holds goes back to the learner before the session
+// is deleted, so its charge isn't left behind in the ledger
 router.delete(
   "/admin/sessions/:id",
   requireAuth,
@@ -969,9 +1652,25 @@ router.delete(
   async (req, res) => {
     try {
       const id = Number(req.params.id);
-      await prisma.session.delete({ where: { id } });
-      await audit(req.user.id, "session_delete", "Session", id);
-      res.json({ ok: true });
+      const session = await prisma.session.findUnique({
+        where: { id },
+        select: { id: true },
+      });
+      if (!session) return res.status(404).json({ error: "Not found" });
+
+      const refund = await prisma.$transaction(async (tx) => {
+        const r = await refundSessionCredit(id, {
+          reason: "cancel_refund",
+          actorId: req.user.id,
+          db: tx,
+        });
+        await tx.session.delete({ where: { id } });
+        return r;
+      });
+      await audit(req.user.id, "session_delete", "Session", id, {
+        refunded: refund.ok,
+      });
+      res.json({ ok: true, refunded: refund.ok });
     } catch (err) {
       logger.error({ err }, "admin.sessions.delete error");
       res.status(500).json({ error: "Failed to delete session" });
@@ -0,0 +1,140 @@
+// src/routes/subscriptions.js
+/* ========================================================================== */
+/*                          SUBSCRIPTIONS (RECURRING PLANS)                   */
+/*   GET  /api/me/subscriptions              -> my subscriptions              */
+/*   POST /api/subscriptions/:id/pause       -> stop renewing for now         */
+/*   POST /api/subscriptions/:id/resume      -> renew again                   */
+/*   POST /api/subscriptions/:id/cancel      -> cancel ({ atPeriodEnd })      */
+/*   GET  /api/admin/subscriptions           -> all, filter by ?status=       */
+/*   (Subscribing is POST /api/payments/subscribe)                            */
+/* ========================================================================== */
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { requireAuth, requireAdmin } from "../middleware/auth-helpers.js";
+import { logger } from "../lib/logger.js";
+import {
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+} from "../services/subscriptionService.js";
+
+const router = Router();
+
+const STATUSES = ["pending", "active", "past_due", "paused", "canceled"];
+
+// Everything but the saved-card token
+const PUBLIC_SELECT = {
+  id: true,
+  userId: true,
+  packageId: true,
+  title: true,
+  status: true,
+  interval: true,
+  creditsPerPeriod: true,
+  rolloverMax: true,
+  amountCents: true,
+  currency: true,
+  psp: true,
+  cardLast4: true,
+  currentPeriodStart: true,
+  currentPeriodEnd: true,
+  nextChargeAt: true,
+  failedAttempts: true,
+  cancelAtPeriodEnd: true,
+  pausedAt: true,
+  canceledAt: true,
+  createdAt: true,
+};
+
+// Simple audit stub, same as the sessions routes
+async function audit(userId, action, entity, entityId, meta = {}) {
+  logger.info({ userId, action, entity, entityId, meta }, "audit event");
+}
+
+// GET /api/me/subscriptions — newest first; pending ones that were never
+// paid are left out
+router.get("/me/subscriptions", requireAuth, async (req, res) => {
+  try {
+    const subscriptions = await prisma.subscription.findMany({
+      where: { userId: req.viewUserId, status: { not: "pending" } },
+      orderBy: { createdAt: "desc" },
+      select: PUBLIC_SELECT,
+    });
+    res.json(subscriptions);
+  } catch (e) {
+    logger.error({ err: e }, "subscriptions list error");
+    res.status(500).json({ error: "Failed to load subscriptions" });
+  }
+});
+
+const ACTIONS = {
+  pause: (sub) => pauseSubscription(sub),
+  resume: (sub) => resumeSubscription(sub),
+  cancel: (sub, body) =>
+    cancelSubscription(sub, { atPeriodEnd: body?.atPeriodEnd !== false }),
+};
+
+for (const [action, run] of Object.entries(ACTIONS)) {
+  router.post(`/subscriptions/:id/${action}`, requireAuth, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const sub = await prisma.subscription.findUnique({ where: { id } });
+      if (!sub) return res.status(404).json({ error: "Not found" });
+      if (sub.userId !== req.viewUserId && req.user.role !== "admin")
+        return res.status(403).json({ error: "Forbidden" });
+
+      const updated = await run(sub, req.body);
+      if (!updated)
+        return res
+          .status(409)
+          .json({ error: `Can't ${action} a ${sub.status} subscription` });
+
+      await audit(req.user.id, `subscription_${action}`, "Subscription", id, {
+        from: sub.status,
+        to: updated.status,
+        cancelAtPeriodEnd: updated.cancelAtPeriodEnd,
+      });
+      const { cardToken, ...rest } = updated;
+      res.json({ ok: true, subscription: rest });
+    } catch (e) {
+      logger.error({ err: e }, `subscription ${action} error`);
+      res.status(500).json({ error: `Failed to ${action} the subscription` });
+    }
+  });
+}
+
+// GET /api/admin/subscriptions?status=past_due
+router.get(
+  "/admin/subscriptions",
+  requireAuth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const status = req.query.status ? String(req.query.status) : null;
+      if (status && !STATUSES.includes(status))
+        return res
+          .status(400)
+          .json({ error: `status must be one of ${STATUSES.join(", ")}` });
+
+      const subscriptions = await prisma.subscription.findMany({
+        where: status ? { status } : {},
+        orderBy: { createdAt: "desc" },
+        take: 500,
+        select: PUBLIC_SELECT,
+      });
+      const users = await prisma.user.findMany({
+        where: { id: { in: [...new Set(subscriptions.map((s) => s.userId))] } },
+        select: { id: true, email: true, name: true },
+      });
+      const byId = new Map(users.map((u) => [u.id, u]));
+      res.json(
+        subscriptions.map((s) => ({ ...s, user: byId.get(s.userId) || null }))
+      );
+    } catch (e) {
+      logger.error({ err: e }, "admin subscriptions list error");
+      res.status(500).json({ error: "Failed to load subscriptions" });
+    }
+  }
+);
+
+export default router;
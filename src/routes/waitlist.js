@@ -0,0 +1,238 @@
+// src/routes/waitlist.js
+/* ========================================================================== */
+/*                          WAITLIST (FULLY-BOOKED TEACHERS)                  */
+/*   POST   /api/waitlist                 -> join for a teacher + window      */
+/*   GET    /api/me/waitlist              -> my entries                       */
+/*   DELETE /api/waitlist/:id             -> leave                            */
+/*   POST   /api/waitlist/:id/claim       -> book the slot held for me        */
+/*   GET    /api/admin/waitlist           -> all active entries               */
+/* ========================================================================== */
+import { Router } from "express";
+import { prisma } from "../lib/prisma.js";
+import { requireAuth, requireAdmin } from "../middleware/auth-helpers.js";
+import { logger } from "../lib/logger.js";
+import { bookSession } from "../services/bookingService.js";
+import { getRemainingCredits } from "../services/creditsService.js";
+import { offerFreedSlot } from "../services/waitlistService.js";
+
+const router = Router();
+
+const MAX_WINDOW_DAYS = 31;
+const MAX_ACTIVE_ENTRIES = 5;
+const MAX_DURATION_MIN = 240;
+const ACTIVE_STATUSES = ["waiting", "offered"];
+
+// Simple audit stub, same as the sessions routes
+async function audit(userId, action, entity, entityId, meta = {}) {
+  logger.info({ userId, action, entity, entityId, meta }, "audit event");
+}
+
+/**
+ * Body: { teacherId, windowStart, windowEnd, durationMin? }
+ * Any slot inside the window that frees up can be offered to the learner.
+ */
+router.post("/waitlist", requireAuth, async (req, res) => {
+  try {
+    const learnerId = req.viewUserId;
+    const teacherId = Number(req.body?.teacherId);
+    const windowStart = new Date(String(req.body?.windowStart ?? ""));
+    const windowEnd = new Date(String(req.body?.windowEnd ?? ""));
+    const durationMin =
+      req.body?.durationMin !== undefined ? Number(req.body.durationMin) : null;
+
+    if (!teacherId)
+      return res.status(400).json({ error: "teacherId is required" });
+    if (
+      Number.isNaN(windowStart.getTime()) ||
+      Number.isNaN(windowEnd.getTime())
+    )
+      return res
+        .status(400)
+        .json({
+          error: "windowStart and windowEnd must be valid ISO datetimes",
+        });
+    if (windowEnd <= windowStart || windowEnd <= new Date())
+      return res
+        .status(400)
+        .json({
+          error: "windowEnd must be after windowStart and in the future",
+        });
+    if (windowEnd - windowStart > MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+      return res
+        .status(400)
+        .json({ error: `Window can be at most ${MAX_WINDOW_DAYS} days` });
+    if (
+      durationMin !== null &&
+      (!Number.isInteger(durationMin) ||
+        durationMin <= 0 ||
+        durationMin > MAX_DURATION_MIN)
+    )
+      return res.status(400).json({
+        error: `durationMin must be between 1 and ${MAX_DURATION_MIN}`,
+      });
+
+    const [learner, teacher] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: learnerId },
+        select: { role: true },
+      }),
+      prisma.user.findUnique({
+        where: { id: teacherId },
+        select: { role: true, isDisabled: true },
+      }),
+    ]);
+    if (!learner || learner.role !== "learner")
+      return res
+        .status(403)
+        .json({ error: "Only learners can join a waitlist" });
+    if (!teacher || teacher.role !== "teacher" || teacher.isDisabled)
+      return res.status(404).json({ error: "Teacher not found" });
+
+    const active = await prisma.waitlistEntry.count({
+      where: { learnerId, status: { in: ACTIVE_STATUSES } },
+    });
+    if (active >= MAX_ACTIVE_ENTRIES)
+      return res.status(409).json({
+        error: `You can be on at most ${MAX_ACTIVE_ENTRIES} waitlists at once`,
+      });
+
+    const entry = await prisma.waitlistEntry.create({
+      data: { learnerId, teacherId, windowStart, windowEnd, durationMin },
+    });
+
+    await audit(req.user.id, "waitlist_join", "WaitlistEntry", entry.id, {
+      learnerId,
+      teacherId,
+    });
+    res.status(201).json(entry);
+  } catch (e) {
+    logger.error({ err: e }, "waitlist join error");
+    res.status(500).json({ error: "Failed to join the waitlist" });
+  }
+});
+
+// GET /api/me/waitlist — active entries first, then the last 20 closed ones
+router.get("/me/waitlist", requireAuth, async (req, res) => {
+  try {
+    const learnerId = req.viewUserId;
+    const [active, closed] = await Promise.all([
+      prisma.waitlistEntry.findMany({
+        where: { learnerId, status: { in: ACTIVE_STATUSES } },
+        orderBy: { windowStart: "asc" },
+      }),
+      prisma.waitlistEntry.findMany({
+        where: { learnerId, status: { notIn: ACTIVE_STATUSES } },
+        orderBy: { updatedAt: "desc" },
+        take: 20,
+      }),
+    ]);
+    res.json({ active, closed });
+  } catch (e) {
+    logger.error({ err: e }, "waitlist list error");
+    res.status(500).json({ error: "Failed to load waitlist" });
+  }
+});
+
+// DELETE /api/waitlist/:id — leave the list (or turn down an offer)
+router.delete("/waitlist/:id", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const entry = await prisma.waitlistEntry.findUnique({ where: { id } });
+    if (!entry) return res.status(404).json({ error: "Not found" });
+    if (entry.learnerId !== req.viewUserId && req.user.role !== "admin")
+      return res.status(403).json({ error: "Forbidden" });
+
+    const { count } = await prisma.waitlistEntry.updateMany({
+      where: { id, status: { in: ACTIVE_STATUSES } },
+      data: { status: "canceled" },
+    });
+    if (!count)
+      return res
+        .status(409)
+        .json({ error: `Entry is already ${entry.status}` });
+
+    // A turned-down offer goes to the next learner in line
+    if (entry.status === "offered") {
+      await offerFreedSlot({
+        teacherId: entry.teacherId,
+        startAt: entry.offerStartAt,
+        endAt: entry.offerEndAt,
+      });
+    }
+
+    await audit(req.user.id, "waitlist_leave", "WaitlistEntry", id);
+    res.json({ ok: true });
+  } catch (e) {
+    logger.error({ err: e }, "waitlist leave error");
+    res.status(500).json({ error: "Failed to leave the waitlist" });
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/claim
+ * Books the held slot through the normal booking path (availability,
+ * conflicts, one credit reserved).
+ */
+router.post("/waitlist/:id/claim", requireAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const entry = await prisma.waitlistEntry.findUnique({ where: { id } });
+    if (!entry) return res.status(404).json({ error: "Not found" });
+    if (entry.learnerId !== req.viewUserId)
+      return res.status(403).json({ error: "Forbidden" });
+    if (entry.status !== "offered" || entry.holdExpiresAt <= new Date())
+      return res
+        .status(409)
+        .json({ error: "This offer is no longer available" });
+
+    const result = await bookSession({
+      learnerId: entry.learnerId,
+      teacherId: entry.teacherId,
+      startAt: entry.offerStartAt,
+      endAt: entry.offerEndAt,
+      title: (req.body?.title ?? "").toString().trim() || "Lesson",
+      actorId: req.user.id,
+      waitlistEntryId: entry.id,
+    });
+    if (result.error) {
+      return res.status(result.error.status).json(result.error.body);
+    }
+
+    await audit(req.user.id, "session_book", "Session", result.session.id, {
+      learnerId: entry.learnerId,
+      teacherId: entry.teacherId,
+      userPackageId: result.credit.packId,
+      waitlistEntryId: entry.id,
+    });
+
+    res.status(201).json({
+      ok: true,
+      session: result.session,
+      remaining: await getRemainingCredits(entry.learnerId),
+    });
+  } catch (e) {
+    logger.error({ err: e }, "waitlist claim error");
+    res.status(500).json({ error: "Failed to claim the slot" });
+  }
+});
+
+// GET /api/admin/waitlist?teacherId= — active entries in queue order
+router.get("/admin/waitlist", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const teacherId = req.query.teacherId ? Number(req.query.teacherId) : null;
+    const entries = await prisma.waitlistEntry.findMany({
+      where: {
+        status: { in: ACTIVE_STATUSES },
+        ...(teacherId ? { teacherId } : {}),
+      },
+      orderBy: [{ teacherId: "asc" }, { createdAt: "asc" }],
+      take: 500,
+    });
+    res.json(entries);
+  } catch (e) {
+    logger.error({ err: e }, "admin waitlist list error");
+    res.status(500).json({ error: "Failed to load waitlist" });
+  }
+});
+
+export default router;
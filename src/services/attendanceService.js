@@ -0,0 +1,275 @@
+// src/services/attendanceService.js
+// Who actually showed up to a lesson: the signaling server records each
+// socket in a lesson's /ws/prep or /ws/classroom room as a SessionAttendance
+// interval. Summaries (first join, connected minutes, reconnects) are shown
+// to admins, and finalization decides completion and no-shows from them.
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { sessionIdFromRoom } from "./roomAccessService.js";
+
+// Open intervals are touched this often while their socket is connected
+export const ATTENDANCE_HEARTBEAT_MS = 60 * 1000;
+// An open interval not touched for this long belongs to a dead instance
+export const ATTENDANCE_STALE_MS = 3 * ATTENDANCE_HEARTBEAT_MS;
+
+// Connected time inside the lesson that counts as showing up (at most half
+// of a shorter lesson)
+export const MIN_ATTENDED_MINUTES = 5;
+// Lesson length assumed for sessions without an endAt
+const DEFAULT_LESSON_MIN = 60;
+
+const MIN_MS = 60 * 1000;
+
+export async function openAttendance({ sessionId, userId, role, channel, at }) {
+  const row = await prisma.sessionAttendance.create({
+    data: { sessionId, userId, role, channel, joinedAt: at, lastSeenAt: at },
+    select: { id: true },
+  });
+  return row.id;
+}
+
+export async function closeAttendance(id, at) {
+  await prisma.sessionAttendance.updateMany({
+    where: { id, leftAt: null },
+    data: { leftAt: at, lastSeenAt: at },
+  });
+}
+
+export async function touchAttendance(ids, at) {
+  if (!ids.length) return;
+  await prisma.sessionAttendance.updateMany({
+    where: { id: { in: ids }, leftAt: null },
+    data: { lastSeenAt: at },
+  });
+}
+
+// When an interval ended: its leave, now while it's still being touched,
+// or its last heartbeat when the instance that held it died
+export function intervalEnd(row, now = new Date()) {
+  if (row.leftAt) return new Date(row.leftAt);
+  const lastSeen = new Date(row.lastSeenAt);
+  return now - lastSeen <= ATTENDANCE_STALE_MS ? now : lastSeen;
+}
+
+/**
+ * One summary per user from their intervals:
+ *   { userId, role, firstJoinAt, lastSeenAt, connectedMinutes, reconnects,
+ *     connected }
+ * Overlapping intervals (video and classroom, two tabs) count once towards
+ * connectedMinutes; every join after the first on a channel is a reconnect.
+ */
+export function summarizeAttendance(rows, now = new Date()) {
+  const byUser = new Map();
+  for (const row of rows) {
+    if (!byUser.has(row.userId)) byUser.set(row.userId, []);
+    byUser.get(row.userId).push(row);
+  }
+
+  return Array.from(byUser, ([userId, list]) => {
+    const spans = list
+      .map((row) => {
+        const start = new Date(row.joinedAt).getTime();
+        const end = Math.max(start, intervalEnd(row, now).getTime());
+        return [start, end];
+      })
+      .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const [start, end] of spans) {
+      const last = merged.at(-1);
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+    }
+    const connectedMs = merged.reduce((sum, [s, e]) => sum + (e - s), 0);
+
+    const joinsPerChannel = new Map();
+    for (const row of list) {
+      joinsPerChannel.set(
+        row.channel,
+        (joinsPerChannel.get(row.channel) || 0) + 1
+      );
+    }
+    let reconnects = 0;
+    for (const joins of joinsPerChannel.values()) reconnects += joins - 1;
+
+    const first = list.reduce((a, b) =>
+      new Date(b.joinedAt) < new Date(a.joinedAt) ? b : a
+    );
+
+    return {
+      userId,
+      role: first.role,
+      firstJoinAt: new Date(merged[0][0]),
+      lastSeenAt: new Date(Math.max(...merged.map(([, e]) => e))),
+      connectedMinutes: Math.round(connectedMs / MIN_MS),
+      reconnects,
+      connected: list.some(
+        (row) =>
+          !row.leftAt && intervalEnd(row, now).getTime() === now.getTime()
+      ),
+    };
+  });
+}
+
+/**
+ * Ids of the users who were present for the lesson: connected at least
+ * MIN_ATTENDED_MINUTES between its startAt and endAt. Time in the room
+ * before or after the lesson (a test the day before, waiting early) doesn't
+ * count.
+ */
+export function presentUserIds(session, rows, now = new Date()) {
+  const from = new Date(session.startAt).getTime();
+  const to = session.endAt
+    ? new Date(session.endAt).getTime()
+    : from + DEFAULT_LESSON_MIN * MIN_MS;
+  const minMinutes = Math.min(MIN_ATTENDED_MINUTES, (to - from) / MIN_MS / 2);
+
+  const inLesson = [];
+  for (const row of rows) {
+    const start = Math.max(from, new Date(row.joinedAt).getTime());
+    const end = Math.min(to, intervalEnd(row, now).getTime());
+    if (end <= start) continue;
+    inLesson.push({
+      ...row,
+      joinedAt: new Date(start),
+      lastSeenAt: new Date(end),
+      leftAt: new Date(end),
+    });
+  }
+
+  return summarizeAttendance(inLesson, now)
+    .filter((s) => s.connectedMinutes >= minMinutes)
+    .map((s) => s.userId);
+}
+
+/**
+ * What attendance says about a finished session, from the ids of the users
+ * present for it (see presentUserIds):
+ *   "completed"        – the learner came, and the teacher if one is assigned
+ *   "learner_no_show"  – only the teacher came
+ *   "teacher_no_show"  – only the learner came
+ *   "no_attendance"    – neither came to the in-app rooms (the lesson may have
+ *                        run on an external joinUrl), so it can't tell
+ */
+export function attendanceOutcome(session, attendeeIds) {
+  const came = (id) => id != null && attendeeIds.includes(id);
+  const learner = came(session.userId);
+  const teacher = came(session.teacherId);
+
+  if (learner && (teacher || session.teacherId == null)) return "completed";
+  if (teacher) return "learner_no_show";
+  if (learner) return "teacher_no_show";
+  return "no_attendance";
+}
+
+/**
+ * A session's attendance for admins: a summary for the learner and teacher
+ * (listed even when they never joined) and anyone else who joined, plus the
+ * raw intervals. `attended` is whether they were present for the lesson.
+ */
+export async function getSessionAttendance(session, now = new Date()) {
+  const intervals = await prisma.sessionAttendance.findMany({
+    where: { sessionId: session.id },
+    orderBy: [{ joinedAt: "asc" }, { id: "asc" }],
+  });
+
+  const summaries = summarizeAttendance(intervals, now);
+  const present = presentUserIds(session, intervals, now);
+  const participants = [];
+  for (const [userId, role] of [
+    [session.userId, "learner"],
+    [session.teacherId, "teacher"],
+  ]) {
+    if (userId == null) continue;
+    const summary = summaries.find((s) => s.userId === userId);
+    participants.push(
+      summary
+        ? { ...summary, attended: present.includes(userId) }
+        : {
+            userId,
+            role,
+            attended: false,
+            firstJoinAt: null,
+            lastSeenAt: null,
+            connectedMinutes: 0,
+            reconnects: 0,
+            connected: false,
+          }
+    );
+  }
+  for (const summary of summaries) {
+    if (summary.userId === session.userId) continue;
+    if (summary.userId === session.teacherId) continue;
+    participants.push({
+      ...summary,
+      attended: present.includes(summary.userId),
+    });
+  }
+
+  return {
+    participants,
+    intervals,
+    outcome: attendanceOutcome(session, present),
+  };
+}
+
+/**
+ * Open attendance intervals of this instance's sockets, by socket key.
+ * `start` opens one when an authenticated user joins a lesson's room (rooms
+ * that aren't a Session's are ignored), `stop` closes it when they leave,
+ * and `heartbeat` keeps the open ones fresh.
+ */
+export function createAttendanceRecorder({
+  open = openAttendance,
+  close = closeAttendance,
+  touch = touchAttendance,
+} = {}) {
+  const active = new Map(); // key -> Promise of the interval id (null if failed)
+
+  function stop(key, now = new Date()) {
+    const pending = active.get(key);
+    if (!pending) return Promise.resolve();
+    active.delete(key);
+    return pending
+      .then((id) => (id ? close(id, now) : null))
+      .catch((err) => {
+        logger.error({ err }, "[Attendance] close failed");
+      });
+  }
+
+  function start(key, { roomId, userId, role, channel }, now = new Date()) {
+    const sessionId = sessionIdFromRoom(roomId);
+    if (!sessionId || userId == null) return Promise.resolve();
+
+    stop(key, now);
+    const pending = open({ sessionId, userId, role, channel, at: now }).catch(
+      (err) => {
+        logger.error({ err, roomId }, "[Attendance] open failed");
+        return null;
+      }
+    );
+    active.set(key, pending);
+    return pending;
+  }
+
+  async function heartbeat(now = new Date()) {
+    const ids = (await Promise.all(active.values())).filter(Boolean);
+    try {
+      await touch(ids, now);
+    } catch (err) {
+      logger.error({ err }, "[Attendance] heartbeat failed");
+    }
+  }
+
+  return {
+    start,
+    stop,
+    heartbeat,
+    stopAll(now = new Date()) {
+      return Promise.all(Array.from(active.keys(), (key) => stop(key, now)));
+    },
+    getOpenCount() {
+      return active.size;
+    },
+  };
+}
@@ -0,0 +1,201 @@
+// src/services/availabilityService.js
+import { prisma } from "../lib/prisma.js";
+import { addDays, getZonedParts, zonedTimeToUtc } from "../lib/timezone.js";
+
+const MIN_MS = 60 * 1000;
+
+/* -------------------------------------------------------------------------- */
+/* Interval helpers (pure; intervals are { start: Date, end: Date })           */
+/* -------------------------------------------------------------------------- */
+
+export function mergeIntervals(intervals) {
+  const sorted = intervals
+    .filter((i) => i.end > i.start)
+    .sort((a, b) => a.start - b.start);
+
+  const out = [];
+  for (const i of sorted) {
+    const last = out[out.length - 1];
+    if (last && i.start <= last.end) {
+      if (i.end > last.end) last.end = i.end;
+    } else {
+      out.push({ start: new Date(i.start), end: new Date(i.end) });
+    }
+  }
+  return out;
+}
+
+export function subtractIntervals(free, busy) {
+  let result = mergeIntervals(free);
+  for (const b of mergeIntervals(busy)) {
+    const next = [];
+    for (const f of result) {
+      if (b.end <= f.start || b.start >= f.end) {
+        next.push(f);
+        continue;
+      }
+      if (b.start > f.start) next.push({ start: f.start, end: b.start });
+      if (b.end < f.end) next.push({ start: b.end, end: f.end });
+    }
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Turn weekly rules ({ weekday, startMin, endMin, timezone }) into concrete
+ * UTC windows overlapping [from, to). Each rule is expanded in its own zone.
+ */
+export function expandWeeklyRules(rules, from, to) {
+  const windows = [];
+
+  for (const rule of rules) {
+    // Walk local calendar days, padded by one day on both ends so that
+    // windows crossing UTC midnight are not lost.
+    let day = addDays(getZonedParts(from, rule.timezone), -1);
+    const last = addDays(getZonedParts(to, rule.timezone), 1);
+
+    while (
+      Date.UTC(day.year, day.month - 1, day.day) <=
+      Date.UTC(last.year, last.month - 1, last.day)
+    ) {
+      if (day.weekday === rule.weekday) {
+        const start = zonedTimeToUtc(
+          { ...day, minutes: rule.startMin },
+          rule.timezone
+        );
+        const end = zonedTimeToUtc(
+          { ...day, minutes: rule.endMin },
+          rule.timezone
+        );
+        if (end > from && start < to) {
+          windows.push({
+            start: start < from ? new Date(from) : start,
+            end: end > to ? new Date(to) : end,
+          });
+        }
+      }
+      day = addDays(day, 1);
+    }
+  }
+
+  return mergeIntervals(windows);
+}
+
+/**
+ * Cut free windows into bookable slots of `durationMin`, starting every
+ * `stepMin` from the beginning of each window.
+ */
+export function sliceIntoSlots(free, durationMin, stepMin, notBefore = null) {
+  const slots = [];
+  const durationMs = durationMin * MIN_MS;
+  const stepMs = stepMin * MIN_MS;
+
+  for (const w of free) {
+    for (
+      let t = w.start.getTime();
+      t + durationMs <= w.end.getTime();
+      t += stepMs
+    ) {
+      if (notBefore && t < notBefore.getTime()) continue;
+      slots.push({ startAt: new Date(t), endAt: new Date(t + durationMs) });
+    }
+  }
+  return slots;
+}
+
+/* -------------------------------------------------------------------------- */
+/* DB-backed helpers                                                          */
+/* -------------------------------------------------------------------------- */
+
+// Bookable windows for a teacher in [from, to): weekly rules + extra
+// exceptions, minus time off. Teachers who haven't declared any weekly hours
+// are open the whole range except for their time off, so existing workflows
+// keep working. Existing sessions are NOT subtracted here.
+async function getAvailabilityWindows(teacherId, from, to) {
+  const [rules, exceptions] = await Promise.all([
+    prisma.teacherAvailability.findMany({
+      where: { teacherId: Number(teacherId) },
+      select: { weekday: true, startMin: true, endMin: true, timezone: true },
+    }),
+    prisma.teacherAvailabilityException.findMany({
+      where: {
+        teacherId: Number(teacherId),
+        startAt: { lt: to },
+        endAt: { gt: from },
+      },
+      select: { kind: true, startAt: true, endAt: true },
+    }),
+  ]);
+
+  const extra = exceptions
+    .filter((e) => e.kind === "extra")
+    .map((e) => ({ start: e.startAt, end: e.endAt }));
+  const timeOff = exceptions
+    .filter((e) => e.kind === "time_off")
+    .map((e) => ({ start: e.startAt, end: e.endAt }));
+
+  const windows = rules.length
+    ? [...expandWeeklyRules(rules, from, to), ...extra]
+    : [{ start: from, end: to }];
+
+  return subtractIntervals(windows, timeOff);
+}
+
+/**
+ * Free slots for a teacher between `from` and `to`, with their existing
+ * (non-canceled) sessions and waitlist holds subtracted. Slots in the past are skipped.
+ */
+export async function getTeacherFreeSlots(
+  teacherId,
+  { from, to, durationMin, stepMin }
+) {
+  const windows = await getAvailabilityWindows(teacherId, from, to);
+
+  const sessions = await prisma.session.findMany({
+    where: {
+      teacherId: Number(teacherId),
+      status: { not: "canceled" },
+      startAt: { lt: to },
+      OR: [{ endAt: { gt: from } }, { endAt: null }],
+    },
+    select: { startAt: true, endAt: true },
+  });
+
+  // Slots held for a waitlisted learner aren't open to anyone else
+  const holds = await prisma.waitlistEntry.findMany({
+    where: {
+      teacherId: Number(teacherId),
+      status: "offered",
+      holdExpiresAt: { gt: new Date() },
+      offerStartAt: { lt: to },
+      offerEndAt: { gt: from },
+    },
+    select: { offerStartAt: true, offerEndAt: true },
+  });
+
+  const busy = [
+    ...sessions.map((s) => ({
+      start: s.startAt,
+      // Open-ended sessions block an hour, same as a default booking
+      end: s.endAt || new Date(s.startAt.getTime() + 60 * MIN_MS),
+    })),
+    ...holds.map((h) => ({ start: h.offerStartAt, end: h.offerEndAt })),
+  ];
+
+  return sliceIntoSlots(
+    subtractIntervals(windows, busy),
+    durationMin,
+    stepMin,
+    new Date()
+  );
+}
+
+/**
+ * Is [startAt, endAt) inside the teacher's availability? Uses the same
+ * windows as getTeacherFreeSlots, so a listed slot can always be booked.
+ */
+export async function isWithinAvailability(teacherId, startAt, endAt) {
+  const windows = await getAvailabilityWindows(teacherId, startAt, endAt);
+  return windows.some((w) => w.start <= startAt && w.end >= endAt);
+}
@@ -0,0 +1,143 @@
+// src/services/bookingService.js
+import { Prisma } from "@prisma/client";
+import { prisma } from "../lib/prisma.js";
+import { findSessionConflicts } from "./sessionsService.js";
+import { chargeSessionCredit } from "./creditsService.js";
+import { isWithinAvailability } from "./availabilityService.js";
+import { findActiveHolds } from "./waitlistService.js";
+
+const NO_CREDITS = "no_credits";
+const HOLD_GONE = "hold_gone";
+
+// Row-locks the given users until the transaction ends
+export async function lockUsers(tx, ids) {
+  await tx.$queryRaw`
+    SELECT id FROM "User"
+    WHERE id IN (${Prisma.join(ids.filter((id) => id != null).map(Number))})
+    ORDER BY id
+    FOR UPDATE`;
+}
+
+/**
+ * Book [startAt, endAt) with a teacher for a learner and reserve one credit.
+ * Checks the teacher's availability, then, holding locks on both users,
+ * waitlist holds for other learners, conflicts and credits. Pass
+ * `waitlistEntryId` to claim that held offer in the same transaction.
+ * Returns { session, credit } or { error: { status, body } }.
+ */
+export async function bookSession({
+  learnerId,
+  teacherId,
+  startAt,
+  endAt,
+  title,
+  actorId,
+  waitlistEntryId = null,
+}) {
+  if (!(await isWithinAvailability(teacherId, startAt, endAt))) {
+    return {
+      error: {
+        status: 409,
+        body: { error: "Teacher is not available at that time" },
+      },
+    };
+  }
+
+  // Create the session and reserve its credit together; with no credit
+  // left the transaction is rolled back and nothing is booked.
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // Concurrent bookings for the same learner or teacher wait here, so
+      // each one sees the sessions and credits the others just took
+      await lockUsers(tx, [learnerId, teacherId]);
+
+      const holds = await findActiveHolds(
+        { teacherId, startAt, endAt, excludeLearnerId: learnerId },
+        tx
+      );
+      if (holds.length) {
+        return {
+          error: {
+            status: 409,
+            body: { error: "That time is being held for a waitlisted learner" },
+          },
+        };
+      }
+
+      const conflicts = await findSessionConflicts(
+        { startAt, endAt, userId: learnerId, teacherId },
+        tx
+      );
+      if (conflicts.length) {
+        return {
+          error: { status: 409, body: { error: "Time conflict", conflicts } },
+        };
+      }
+
+      const session = await tx.session.create({
+        data: {
+          userId: learnerId,
+          teacherId,
+          title,
+          startAt,
+          endAt,
+          status: "scheduled",
+        },
+        select: {
+          id: true,
+          title: true,
+          userId: true,
+          teacherId: true,
+          startAt: true,
+          endAt: true,
+          joinUrl: true,
+          status: true,
+        },
+      });
+      const credit = await chargeSessionCredit(session.id, {
+        userId: learnerId,
+        reason: "booking",
+        actorId,
+        db: tx,
+      });
+      if (!credit.ok) throw new Error(NO_CREDITS);
+
+      if (waitlistEntryId) {
+        const { count } = await tx.waitlistEntry.updateMany({
+          where: {
+            id: waitlistEntryId,
+            status: "offered",
+            holdExpiresAt: { gt: new Date() },
+          },
+          data: { status: "booked", sessionId: session.id },
+        });
+        if (!count) throw new Error(HOLD_GONE);
+      }
+
+      return { credit, session };
+    });
+  } catch (e) {
+    if (e.message === NO_CREDITS) {
+      return {
+        error: {
+          status: 422,
+          body: {
+            error: "no_credits",
+            message:
+              "You have no remaining credits. Purchase a package to book.",
+            remaining: 0,
+          },
+        },
+      };
+    }
+    if (e.message === HOLD_GONE) {
+      return {
+        error: {
+          status: 409,
+          body: { error: "This offer is no longer available" },
+        },
+      };
+    }
+    throw e;
+  }
+}
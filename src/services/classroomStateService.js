@@ -0,0 +1,235 @@
+// src/services/classroomStateService.js
+// The shared state of a lesson's /ws/classroom room: the material on screen,
+// its page, the annotations drawn on it and the shared notes. The server
+// keeps it per room, sends it to whoever joins and saves it (debounced) to
+// Session.classroomState for review after the lesson.
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { sessionIdFromRoom } from "./roomAccessService.js";
+
+export const CLASSROOM_SAVE_DEBOUNCE_MS = 2000;
+export const MAX_ANNOTATIONS = 5000;
+export const MAX_NOTES_LENGTH = 100000;
+
+export function emptyClassroomState() {
+  return {
+    material: null,
+    page: 1,
+    annotations: [],
+    notes: "",
+    updatedAt: null,
+  };
+}
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isId = (v) => (typeof v === "string" && v !== "") || Number.isInteger(v);
+
+function toPage(raw) {
+  const page = Number(isObject(raw) ? raw.page : raw);
+  return Number.isInteger(page) && page >= 1 ? page : null;
+}
+
+// signalType -> (state, data) => next state, or null when data is invalid.
+// Other signal types are only relayed.
+export const STATE_SIGNALS = {
+  // { id, title?, url?, …, page? }: a new material opens on its first page
+  material: (state, data) => {
+    if (!isObject(data) || !isId(data.id)) return null;
+    const { page, ...material } = data;
+    return { ...state, material, page: toPage(page) || 1 };
+  },
+
+  // { page } or a bare page number
+  page: (state, data) => {
+    const page = toPage(data);
+    return page ? { ...state, page } : null;
+  },
+
+  // { id, … }: drawn on the current material and page unless it says
+  annotation: (state, data) => {
+    if (!isObject(data) || !isId(data.id)) return null;
+    const annotation = {
+      materialId: state.material?.id ?? null,
+      page: state.page,
+      ...data,
+    };
+    const annotations = [
+      ...state.annotations.filter((a) => a.id !== data.id),
+      annotation,
+    ];
+    return { ...state, annotations: annotations.slice(-MAX_ANNOTATIONS) };
+  },
+
+  // { id }
+  "annotation-remove": (state, data) => {
+    if (!isObject(data) || !isId(data.id)) return null;
+    return {
+      ...state,
+      annotations: state.annotations.filter((a) => a.id !== data.id),
+    };
+  },
+
+  // { page? }: that page of the current material, or all of it
+  "annotations-clear": (state, data) => {
+    const page = isObject(data) && data.page !== undefined ? toPage(data) : 0;
+    if (page === null) return null;
+    const materialId = state.material?.id ?? null;
+    return {
+      ...state,
+      annotations: state.annotations.filter(
+        (a) => a.materialId !== materialId || (page && a.page !== page)
+      ),
+    };
+  },
+
+  // { text } or a bare string
+  notes: (state, data) => {
+    const text = isObject(data) ? data.text : data;
+    if (typeof text !== "string" || text.length > MAX_NOTES_LENGTH) {
+      return null;
+    }
+    return { ...state, notes: text };
+  },
+};
+
+/**
+ * The state after one classroom signal, or null when the signal doesn't
+ * change the state (not a state signal, or invalid data).
+ */
+export function applyClassroomSignal(
+  state,
+  signalType,
+  data,
+  now = new Date()
+) {
+  const reduce = Object.hasOwn(STATE_SIGNALS, signalType)
+    ? STATE_SIGNALS[signalType]
+    : null;
+  const next = reduce ? reduce(state, data) : null;
+  return next ? { ...next, updatedAt: now.toISOString() } : null;
+}
+
+export async function loadClassroomState(sessionId) {
+  const session = await prisma.session.findUnique({
+    where: { id: Number(sessionId) },
+    select: { classroomState: true },
+  });
+  const saved = session?.classroomState;
+  return isObject(saved) ? { ...emptyClassroomState(), ...saved } : null;
+}
+
+export async function saveClassroomState(sessionId, state) {
+  await prisma.session.updateMany({
+    where: { id: Number(sessionId) },
+    data: { classroomState: state },
+  });
+}
+
+// Only the lesson's main room ("42") is saved to its Session; other rooms
+// ("42-breakout", or any room while auth is off) live in memory only
+function savedSessionId(roomId) {
+  const sessionId = sessionIdFromRoom(roomId);
+  return sessionId && String(sessionId) === roomId ? sessionId : null;
+}
+
+/**
+ * In-memory classroom states, one per room. A room's state is loaded from
+ * its Session on first use, saved at most every `debounceMs` while it
+ * changes, and saved and dropped when the room empties (`release`).
+ */
+export function createClassroomStateStore({
+  debounceMs = CLASSROOM_SAVE_DEBOUNCE_MS,
+  load = loadClassroomState,
+  save = saveClassroomState,
+} = {}) {
+  const entries = new Map(); // roomId -> { sessionId, state, ready, timer, dirty }
+  const saving = new Map(); // roomId -> Promise of the last save
+
+  function entryFor(roomId) {
+    let entry = entries.get(roomId);
+    if (entry) return entry;
+
+    const sessionId = savedSessionId(roomId);
+    entry = {
+      sessionId,
+      state: emptyClassroomState(),
+      timer: null,
+      dirty: false,
+    };
+    // A save still running for this room must land before we read it back
+    entry.ready = (saving.get(roomId) || Promise.resolve())
+      .then(() => (sessionId ? load(sessionId) : null))
+      .then((saved) => {
+        if (saved) entry.state = saved;
+      })
+      .catch((err) => {
+        logger.error({ err, roomId }, "[Classroom] state load failed");
+      });
+    entries.set(roomId, entry);
+    return entry;
+  }
+
+  function persist(roomId, entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    if (!entry.dirty || !entry.sessionId) return Promise.resolve();
+
+    entry.dirty = false;
+    const state = entry.state;
+    const done = (saving.get(roomId) || Promise.resolve())
+      .then(() => save(entry.sessionId, state))
+      .catch((err) => {
+        entry.dirty = true;
+        logger.error({ err, roomId }, "[Classroom] state save failed");
+      })
+      .finally(() => {
+        if (saving.get(roomId) === done) saving.delete(roomId);
+      });
+    saving.set(roomId, done);
+    return done;
+  }
+
+  function schedule(roomId, entry) {
+    entry.dirty = true;
+    if (!entry.sessionId || entry.timer) return;
+    entry.timer = setTimeout(() => persist(roomId, entry), debounceMs);
+    entry.timer.unref?.();
+  }
+
+  return {
+    async snapshot(roomId) {
+      const entry = entryFor(roomId);
+      await entry.ready;
+      return entry.state;
+    },
+
+    // true when the signal changed the room's state
+    async apply(roomId, signalType, data, now = new Date()) {
+      if (!Object.hasOwn(STATE_SIGNALS, signalType)) return false;
+      const entry = entryFor(roomId);
+      await entry.ready;
+      const next = applyClassroomSignal(entry.state, signalType, data, now);
+      if (!next) return false;
+      entry.state = next;
+      schedule(roomId, entry);
+      return true;
+    },
+
+    release(roomId) {
+      const entry = entries.get(roomId);
+      if (!entry) return Promise.resolve();
+      entries.delete(roomId);
+      return persist(roomId, entry);
+    },
+
+    flushAll() {
+      return Promise.all(
+        Array.from(entries, ([roomId, entry]) => persist(roomId, entry))
+      );
+    },
+
+    getRoomCount() {
+      return entries.size;
+    },
+  };
+}
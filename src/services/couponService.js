@@ -0,0 +1,137 @@
+// src/services/couponService.js
+import { prisma } from "../lib/prisma.js";
+
+// A pending redemption holds its use this long (the checkout's lifetime);
+// after that an unpaid order no longer counts against the limits
+export const REDEMPTION_HOLD_MS = 60 * 60 * 1000;
+
+// The smallest amount we send to a payment provider
+export const MIN_CHARGE_CENTS = 100;
+
+export function normalizeCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Discount `coupon` gives on `amountCents` (never more than the amount).
+ */
+export function discountFor(coupon, amountCents) {
+  const off = coupon.percentOff
+    ? Math.round((amountCents * coupon.percentOff) / 100)
+    : coupon.amountOffCents || 0;
+  return Math.min(amountCents, off);
+}
+
+/**
+ * Whether `coupon` applies to buying `pkg` at `price`, given how often it
+ * has been used ({ total, byUser }). Returns { ok, discountCents,
+ * amountCents } or { ok: false, error }.
+ */
+export function evaluateCoupon(
+  coupon,
+  { pkg, price, usage, now = new Date() }
+) {
+  if (!coupon || !coupon.active) {
+    return { ok: false, error: "This code isn't valid" };
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    return { ok: false, error: "This code isn't active yet" };
+  }
+  if (coupon.expiresAt && now >= coupon.expiresAt) {
+    return { ok: false, error: "This code has expired" };
+  }
+  if (coupon.packageIds?.length && !coupon.packageIds.includes(pkg.id)) {
+    return { ok: false, error: "This code doesn't apply to this package" };
+  }
+  if (coupon.audience && coupon.audience !== pkg.audience) {
+    return { ok: false, error: "This code doesn't apply to this package" };
+  }
+  if (coupon.amountOffCents && coupon.currency !== price.currency) {
+    return {
+      ok: false,
+      error: `This code is only valid for ${coupon.currency} payments`,
+    };
+  }
+  const limitError = usageLimitError(coupon, usage);
+  if (limitError) return { ok: false, error: limitError };
+
+  const discountCents = discountFor(coupon, price.amountCents);
+  const amountCents = price.amountCents - discountCents;
+  if (amountCents < MIN_CHARGE_CENTS) {
+    return {
+      ok: false,
+      error: "This code can't be used online for this package",
+    };
+  }
+  return { ok: true, discountCents, amountCents };
+}
+
+function usageLimitError(coupon, usage) {
+  if (coupon.maxRedemptions != null && usage.total >= coupon.maxRedemptions) {
+    return "This code has been fully used";
+  }
+  if (coupon.perUserLimit != null && usage.byUser >= coupon.perUserLimit) {
+    return "You've already used this code";
+  }
+  return null;
+}
+
+// Redemptions that count against a coupon's limits
+function countingWhere(couponId, now) {
+  return {
+    couponId,
+    OR: [
+      { status: "redeemed" },
+      {
+        status: "pending",
+        createdAt: { gt: new Date(now.getTime() - REDEMPTION_HOLD_MS) },
+      },
+    ],
+  };
+}
+
+export async function couponUsage(
+  couponId,
+  userId,
+  now = new Date(),
+  db = prisma
+) {
+  const where = countingWhere(couponId, now);
+  const [total, byUser] = await Promise.all([
+    db.couponRedemption.count({ where }),
+    db.couponRedemption.count({ where: { ...where, userId } }),
+  ]);
+  return { total, byUser };
+}
+
+/**
+ * Lock `coupon`'s row in the transaction `tx` that records a redemption
+ * and check its limits again, so concurrent checkouts can't all take the
+ * last use. Returns the error message when the code is used up, else null.
+ */
+export async function lockCouponLimits(tx, coupon, userId, now = new Date()) {
+  await tx.$queryRaw`SELECT id FROM "Coupon" WHERE id = ${coupon.id} FOR UPDATE`;
+  const usage = await couponUsage(coupon.id, userId, now, tx);
+  return usageLimitError(coupon, usage);
+}
+
+export async function findCoupon(code) {
+  const normalized = normalizeCode(code);
+  if (!normalized) return null;
+  return prisma.coupon.findUnique({ where: { code: normalized } });
+}
+
+/**
+ * The payment for an order settled: its coupon use becomes final, or is
+ * given back if the payment failed (a failed order can still be paid later).
+ */
+export async function settleRedemption(orderId, paid, db = prisma) {
+  return db.couponRedemption.updateMany({
+    where: paid
+      ? { orderId, status: { not: "redeemed" } }
+      : { orderId, status: "pending" },
+    data: { status: paid ? "redeemed" : "released" },
+  });
+}
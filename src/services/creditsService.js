@@ -0,0 +1,922 @@
+// src/services/creditsService.js
+// Credit ledger. Every change to a learner's credits is an append-only
+// CreditTransaction row; a pack's balance is sessionsTotal + SUM(delta).
+// UserPackage.sessionsUsed is kept in step as a cache for old readers.
+import { Prisma } from "@prisma/client";
+import { prisma } from "../lib/prisma.js";
+
+function activePackWhere(userId) {
+  return {
+    userId: Number(userId),
+    status: "active",
+    OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+  };
+}
+
+// An organization's shared pool: its packs that belong to no one member
+function poolPackWhere(organizationId, { usable = true } = {}) {
+  return {
+    organizationId: Number(organizationId),
+    userId: null,
+    ...(usable
+      ? {
+          status: "active",
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+        }
+      : {}),
+  };
+}
+
+// Credits can be fractional (late-cancel fees); keep sums to 2 decimals
+export function roundCredits(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function isUniqueViolation(e) {
+  return e?.code === "P2002";
+}
+
+// Error shape of the pack operations below, ready for a route to send
+const packError = (status, error) => ({ error: { status, body: { error } } });
+
+// Sum of ledger deltas per pack: Map<userPackageId, delta>
+export async function getLedgerSums(packIds, db = prisma) {
+  if (!packIds.length) return new Map();
+  const rows = await db.creditTransaction.groupBy({
+    by: ["userPackageId"],
+    where: { userPackageId: { in: packIds } },
+    _sum: { delta: true },
+  });
+  return new Map(rows.map((r) => [r.userPackageId, r._sum.delta || 0]));
+}
+
+// Attach `used`/`remaining` (from the ledger) to a list of packs
+export async function withBalances(packs, db = prisma) {
+  const sums = await getLedgerSums(
+    packs.map((p) => p.id),
+    db
+  );
+  return packs.map((p) => {
+    const delta = roundCredits(sums.get(p.id) || 0);
+    return {
+      ...p,
+      used: -delta,
+      remaining: Math.max(0, roundCredits(Number(p.sessionsTotal) + delta)),
+    };
+  });
+}
+
+const sumRemaining = (packs) =>
+  roundCredits(packs.reduce((sum, p) => sum + p.remaining, 0));
+
+/**
+ * Pool credits a member has used (net of refunds) from their organization's
+ * pool packs. Allocations are pool-level entries and don't count.
+ */
+export async function poolUsage(userId, organizationId, db = prisma) {
+  const packs = await db.userPackage.findMany({
+    where: poolPackWhere(organizationId, { usable: false }),
+    select: { id: true },
+  });
+  if (!packs.length) return 0;
+  const { _sum } = await db.creditTransaction.aggregate({
+    where: {
+      userId: Number(userId),
+      userPackageId: { in: packs.map((p) => p.id) },
+    },
+    _sum: { delta: true },
+  });
+  return roundCredits(-(_sum.delta || 0));
+}
+
+/**
+ * The shared pool a learner may book from, or null when they aren't a
+ * learner member (the ones taking a seat) of an active organization:
+ * { organizationId, packs (with balances, oldest expiry first), remaining,
+ * capLeft (null = no cap), available }.
+ */
+export async function memberPool(userId, db = prisma) {
+  const member = await db.organizationMember.findUnique({
+    where: { userId: Number(userId) },
+    select: {
+      organizationId: true,
+      role: true,
+      creditCap: true,
+      organization: { select: { active: true } },
+    },
+  });
+  if (!member || member.role !== "learner" || !member.organization.active) {
+    return null;
+  }
+
+  const packs = await withBalances(
+    await db.userPackage.findMany({
+      where: poolPackWhere(member.organizationId),
+      orderBy: [{ expiresAt: { sort: "asc", nulls: "last" } }, { id: "asc" }],
+      select: { id: true, userId: true, sessionsTotal: true },
+    }),
+    db
+  );
+  const remaining = sumRemaining(packs);
+  const capLeft =
+    member.creditCap === null
+      ? null
+      : Math.max(
+          0,
+          roundCredits(
+            member.creditCap -
+              (await poolUsage(userId, member.organizationId, db))
+          )
+        );
+  return {
+    organizationId: member.organizationId,
+    packs,
+    remaining,
+    capLeft,
+    available: capLeft === null ? remaining : Math.min(remaining, capLeft),
+  };
+}
+
+// How many total remaining credits does a user have right now? Their own
+// packs plus what they may still use of their organization's pool.
+export async function getRemainingCredits(userId, db = prisma) {
+  const packs = await db.userPackage.findMany({
+    where: activePackWhere(userId),
+    select: { id: true, sessionsTotal: true },
+  });
+  const own = sumRemaining(await withBalances(packs, db));
+  const pool = await memberPool(userId, db);
+  return roundCredits(own + (pool?.available || 0));
+}
+
+// Row-locks every pack a user's charges can come from (their own and their
+// organization's pool) until the transaction ends, so charges for different
+// sessions read the balance one after the other instead of both spending it
+async function lockCreditPacks(db, userId) {
+  const id = Number(userId);
+  await db.$queryRaw`
+    SELECT p.id FROM "UserPackage" p
+    WHERE p."userId" = ${id}
+       OR (p."userId" IS NULL AND p."organizationId" IN (
+         SELECT m."organizationId" FROM "OrganizationMember" m
+         WHERE m."userId" = ${id}))
+    ORDER BY p.id
+    FOR UPDATE`;
+}
+
+// Append one ledger entry and keep the sessionsUsed cache in step
+async function appendEntry(db, data) {
+  const entry = await db.creditTransaction.create({ data });
+  await db.userPackage.update({
+    where: { id: data.userPackageId },
+    data: { sessionsUsed: { increment: -data.delta } },
+  });
+  return entry;
+}
+
+/**
+ * Ledger state of one session: every entry written for it, how much it is
+ * charged right now (`held`, e.g. 1, 0.5 after a late-cancel fee, or 0) and
+ * the latest charge entry while anything is held.
+ */
+export async function getSessionCharge(sessionId, db = prisma) {
+  const entries = await db.creditTransaction.findMany({
+    where: { sessionId: Number(sessionId) },
+    orderBy: { id: "asc" },
+  });
+  const held = roundCredits(-entries.reduce((sum, e) => sum + e.delta, 0));
+  const charge =
+    held > 0 ? entries.filter((e) => e.delta < 0).at(-1) || null : null;
+  return { entries, held, charge };
+}
+
+/**
+ * Move a session's charge to exactly `target` credits by writing the
+ * difference to the ledger. Extra charges come from the pack already charged
+ * when it has room, else the newest active pack; give-backs return to the
+ * pack that was charged. The per-session idempotency key stops two
+ * concurrent calls from both writing; charges lock the learner's packs, so
+ * charges for different sessions can't both spend the same credit. Runs in
+ * its own transaction unless given one as `db`.
+ */
+export async function settleSessionCredit(
+  sessionId,
+  target,
+  { userId, reason, actorId = null, meta, db = prisma }
+) {
+  if (db === prisma) {
+    try {
+      return await prisma.$transaction((tx) =>
+        settleSessionCredit(sessionId, target, {
+          userId,
+          reason,
+          actorId,
+          meta,
+          db: tx,
+        })
+      );
+    } catch (e) {
+      if (!isUniqueViolation(e)) throw e;
+      const { held } = await getSessionCharge(sessionId);
+      return { ok: false, conflict: true, held };
+    }
+  }
+
+  if (target > 0) await lockCreditPacks(db, userId);
+  const { entries, held, charge } = await getSessionCharge(sessionId, db);
+  const diff = roundCredits(target - held);
+  if (diff === 0) return { ok: true, unchanged: true, held };
+
+  let pack;
+  if (diff > 0) {
+    // The learner's own packs first, then their organization's pool (as
+    // far as their cap allows)
+    const own = await withBalances(
+      await db.userPackage.findMany({
+        where: activePackWhere(userId),
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        select: { id: true, userId: true, sessionsTotal: true },
+      }),
+      db
+    );
+    const pool = await memberPool(userId, db);
+    const packs =
+      pool && (pool.capLeft === null || pool.capLeft >= diff)
+        ? [...own, ...pool.packs]
+        : own;
+    const fits = packs.filter((p) => p.remaining >= diff);
+    pack = fits.find((p) => p.id === charge?.userPackageId) || fits[0];
+    if (!pack) return { ok: false, held };
+    // Pool packs have no owner; the entry is the learner's
+    pack = { ...pack, userId: Number(userId) };
+  } else {
+    pack = { id: charge.userPackageId, userId: charge.userId };
+  }
+
+  const kind = diff > 0 ? "charge" : "refund";
+  const n = entries.filter((e) =>
+    diff > 0 ? e.delta < 0 : e.delta > 0
+  ).length;
+  await appendEntry(db, {
+    userId: pack.userId,
+    userPackageId: pack.id,
+    sessionId: Number(sessionId),
+    delta: -diff,
+    reason,
+    idempotencyKey: `session:${sessionId}:${kind}:${n}`,
+    actorId,
+    ...(meta ? { meta } : {}),
+  });
+
+  return { ok: true, packId: pack.id, held: target, delta: -diff };
+}
+
+// Charge a session one full credit (a no-op when it already holds one)
+export async function chargeSessionCredit(
+  sessionId,
+  { userId, reason, actorId = null, db = prisma }
+) {
+  const r = await settleSessionCredit(sessionId, 1, {
+    userId,
+    reason,
+    actorId,
+    db,
+  });
+  if (r.unchanged) return { ok: true, alreadyCharged: true };
+  if (r.conflict) return { ok: true, alreadyCharged: true };
+  return r;
+}
+
+/**
+ * Give back everything a session holds, to the pack it came from.
+ * Sessions that were never charged (or already refunded) get nothing.
+ * `onlyReason` limits the refund to charges made for that reason.
+ */
+export async function refundSessionCredit(
+  sessionId,
+  {
+    reason = "cancel_refund",
+    onlyReason = null,
+    actorId = null,
+    db = prisma,
+  } = {}
+) {
+  const { charge } = await getSessionCharge(sessionId, db);
+  if (!charge) return { ok: false };
+  if (onlyReason && charge.reason !== onlyReason) return { ok: false };
+
+  const r = await settleSessionCredit(sessionId, 0, {
+    userId: charge.userId,
+    reason,
+    actorId,
+    db,
+  });
+  return r.ok ? { ok: true, packId: charge.userPackageId } : { ok: false };
+}
+
+/**
+ * A pack given outside checkout (bank transfer, corporate deal, goodwill):
+ * a copy of Package `packageId`, whose sessionsTotal, minutesPerSession and
+ * expiresAt can be overridden, or a custom pack with a `title`. Without
+ * expiresAt a copy follows the package's validityDays and a custom pack
+ * never expires. `owner` is { userId } or { organizationId } (its pool).
+ * Returns { pack } or { error: { status, body } }.
+ */
+export async function grantPack(owner, input = {}, now = new Date()) {
+  const { packageId = null, title, minutesPerSession } = input;
+
+  let pkg = null;
+  if (packageId !== null) {
+    pkg = await prisma.package.findUnique({
+      where: { id: Number(packageId) },
+      select: {
+        id: true,
+        title: true,
+        sessionsPerPack: true,
+        durationMin: true,
+        validityDays: true,
+      },
+    });
+    if (!pkg) return packError(404, "Package not found");
+  } else if (!String(title ?? "").trim()) {
+    return packError(400, "Provide a packageId or a title for a custom pack");
+  }
+
+  const sessionsTotal = Number(
+    input.sessionsTotal ?? pkg?.sessionsPerPack ?? NaN
+  );
+  if (!Number.isInteger(sessionsTotal) || sessionsTotal <= 0) {
+    return packError(400, "sessionsTotal must be a positive whole number");
+  }
+
+  let expiresAt = pkg ? packExpiresAt(pkg.validityDays, now) : null;
+  if (input.expiresAt !== undefined) {
+    expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= now)) {
+      return packError(400, "expiresAt must be a future date");
+    }
+  }
+
+  const minutes =
+    minutesPerSession !== undefined && minutesPerSession !== null
+      ? Number(minutesPerSession)
+      : pkg?.durationMin || null;
+  if (minutes !== null && !(Number.isInteger(minutes) && minutes > 0)) {
+    return packError(400, "minutesPerSession must be a positive whole number");
+  }
+
+  const pack = await prisma.userPackage.create({
+    data: {
+      userId: owner.userId ?? null,
+      organizationId: owner.organizationId ?? null,
+      packageId: pkg?.id ?? 0,
+      title: String(title ?? "").trim() || pkg.title,
+      minutesPerSession: minutes,
+      sessionsTotal,
+      sessionsUsed: 0,
+      expiresAt,
+      status: "active",
+    },
+  });
+  return { pack };
+}
+
+/**
+ * Add (`delta` > 0) or remove credits from a pack by hand, with an
+ * `admin_adjustment` entry carrying the admin's `note`. Removing more than
+ * the pack has left is refused. Two concurrent adjustments to one pack
+ * can't both write (the entry key is numbered per pack).
+ * Returns { entry, remaining } or { error: { status, body } }.
+ */
+export async function adjustPackCredits(
+  packId,
+  delta,
+  { actorId = null, note = null } = {}
+) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const pack = await tx.userPackage.findUnique({
+        where: { id: packId },
+        select: { id: true, userId: true, sessionsTotal: true, status: true },
+      });
+      if (!pack) return packError(404, "Package not found");
+      if (pack.status === "canceled") {
+        return packError(409, "A canceled package can't be adjusted");
+      }
+
+      const [{ remaining }] = await withBalances([pack], tx);
+      const after = roundCredits(remaining + delta);
+      if (after < 0) {
+        return packError(409, `The package only has ${remaining} credits left`);
+      }
+
+      const n = await tx.creditTransaction.count({
+        where: {
+          userPackageId: pack.id,
+          reason: "admin_adjustment",
+          sessionId: null,
+        },
+      });
+      const entry = await appendEntry(tx, {
+        userId: pack.userId,
+        userPackageId: pack.id,
+        delta,
+        reason: "admin_adjustment",
+        idempotencyKey: `pack:${pack.id}:adjust:${n}`,
+        actorId,
+        meta: { note },
+      });
+      return { entry, remaining: after };
+    });
+  } catch (e) {
+    if (isUniqueViolation(e)) {
+      return packError(409, "The package changed; try again");
+    }
+    throw e;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Organization pools                                                         */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Hand `credits` whole credits from an organization's pool to a member as
+ * their own pack(s): one per pool pack drawn from (soonest expiry first),
+ * keeping that pack's expiry. Returns { packs } or { error }.
+ */
+export async function allocatePoolCredits(
+  organizationId,
+  { userId, credits, actorId = null }
+) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const pool = await withBalances(
+        await tx.userPackage.findMany({
+          where: poolPackWhere(organizationId),
+          orderBy: [
+            { expiresAt: { sort: "asc", nulls: "last" } },
+            { id: "asc" },
+          ],
+        }),
+        tx
+      );
+      const available = pool.reduce((n, p) => n + Math.floor(p.remaining), 0);
+      if (available < credits) {
+        return packError(409, `The pool only has ${available} credits left`);
+      }
+
+      const packs = [];
+      let left = credits;
+      for (const source of pool) {
+        const take = Math.min(Math.floor(source.remaining), left);
+        if (take <= 0) continue;
+
+        const pack = await tx.userPackage.create({
+          data: {
+            userId: Number(userId),
+            packageId: source.packageId,
+            title: source.title,
+            minutesPerSession: source.minutesPerSession,
+            sessionsTotal: take,
+            sessionsUsed: 0,
+            expiresAt: source.expiresAt,
+            status: "active",
+            organizationId: Number(organizationId),
+            allocatedFromId: source.id,
+          },
+        });
+        const n = await tx.creditTransaction.count({
+          where: { userPackageId: source.id, reason: "org_allocation" },
+        });
+        await appendEntry(tx, {
+          userId: null,
+          userPackageId: source.id,
+          delta: -take,
+          reason: "org_allocation",
+          idempotencyKey: `pack:${source.id}:allocation:${n}`,
+          actorId,
+          meta: { toUserId: Number(userId), userPackageId: pack.id },
+        });
+        packs.push(pack);
+
+        left -= take;
+        if (!left) break;
+      }
+      return { packs };
+    });
+  } catch (e) {
+    if (isUniqueViolation(e)) {
+      return packError(409, "The pool changed; try again");
+    }
+    throw e;
+  }
+}
+
+/**
+ * Take back the unused credits of a member's allocated packs (e.g. when
+ * they leave the organization): each pack is canceled and its credits go
+ * back to the pool pack they came from. Returns the credits returned.
+ */
+export async function reclaimAllocatedCredits(
+  organizationId,
+  userId,
+  { actorId = null } = {}
+) {
+  return prisma.$transaction(async (tx) => {
+    const packs = await withBalances(
+      await tx.userPackage.findMany({
+        where: {
+          userId: Number(userId),
+          organizationId: Number(organizationId),
+          status: { in: ["active", "frozen"] },
+        },
+        select: {
+          id: true,
+          userId: true,
+          sessionsTotal: true,
+          allocatedFromId: true,
+        },
+      }),
+      tx
+    );
+
+    let returned = 0;
+    for (const pack of packs) {
+      const { count } = await tx.userPackage.updateMany({
+        where: { id: pack.id, status: { in: ["active", "frozen"] } },
+        data: { status: "canceled" },
+      });
+      if (!count || !(pack.remaining > 0)) continue;
+
+      await appendEntry(tx, {
+        userId: pack.userId,
+        userPackageId: pack.id,
+        delta: -pack.remaining,
+        reason: "org_allocation",
+        idempotencyKey: `pack:${pack.id}:reclaim`,
+        actorId,
+      });
+      if (pack.allocatedFromId) {
+        await appendEntry(tx, {
+          userId: null,
+          userPackageId: pack.allocatedFromId,
+          delta: pack.remaining,
+          reason: "org_allocation",
+          idempotencyKey: `pack:${pack.allocatedFromId}:reclaim:${pack.id}`,
+          actorId,
+          meta: { fromUserId: pack.userId, userPackageId: pack.id },
+        });
+      }
+      returned += pack.remaining;
+    }
+    return roundCredits(returned);
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/* Expiry                                                                     */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Flip active packs past their expiresAt to "expired" and write off their
+ * unused credits with an `expiry` ledger entry. Safe to run concurrently:
+ * the status change is a compare-and-set and the entry key is per pack.
+ */
+export async function expireDuePackages(now = new Date()) {
+  const due = await prisma.userPackage.findMany({
+    where: { status: "active", expiresAt: { lte: now } },
+    select: { id: true, userId: true, sessionsTotal: true },
+  });
+
+  let expired = 0;
+  let creditsWrittenOff = 0;
+
+  for (const pack of due) {
+    const done = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.userPackage.updateMany({
+        where: { id: pack.id, status: "active" },
+        data: { status: "expired" },
+      });
+      if (!count) return null;
+
+      const [{ remaining }] = await withBalances([pack], tx);
+      if (remaining > 0) {
+        const n = await tx.creditTransaction.count({
+          where: { userPackageId: pack.id, reason: "expiry" },
+        });
+        await appendEntry(tx, {
+          userId: pack.userId,
+          userPackageId: pack.id,
+          delta: -remaining,
+          reason: "expiry",
+          idempotencyKey: `pack:${pack.id}:expiry:${n}`,
+        });
+      }
+      return { remaining };
+    });
+
+    if (done) {
+      expired += 1;
+      creditsWrittenOff += done.remaining;
+    }
+  }
+
+  return { found: due.length, expired, creditsWrittenOff };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a pack bought at `from` expires, given its package's validityDays;
+ * null (never) when the package has no validity.
+ */
+export function packExpiresAt(validityDays, from = new Date()) {
+  if (!(validityDays > 0)) return null;
+  return new Date(from.getTime() + validityDays * DAY_MS);
+}
+
+/**
+ * Move a pack's expiry to `expiresAt`, or `days` past its current expiry
+ * (past now if that has already gone by). An expired pack becomes active
+ * again and gets back the credits its last expiry wrote off. Expiry warnings
+ * are sent again for the new date.
+ * Returns { pack, reinstated } or { error: { status, body } }.
+ */
+export async function extendPackage(
+  packId,
+  { days = null, expiresAt = null, actorId = null },
+  now = new Date()
+) {
+  return prisma.$transaction(async (tx) => {
+    const pack = await tx.userPackage.findUnique({ where: { id: packId } });
+    if (!pack) return packError(404, "Package not found");
+    if (pack.status === "canceled") {
+      return packError(409, "A canceled package can't be extended");
+    }
+
+    const from = pack.expiresAt && pack.expiresAt > now ? pack.expiresAt : now;
+    const until = expiresAt
+      ? new Date(expiresAt)
+      : new Date(from.getTime() + days * DAY_MS);
+    if (!(until > now)) {
+      return packError(400, "The new expiry must be in the future");
+    }
+
+    const { count } = await tx.userPackage.updateMany({
+      where: { id: pack.id, status: pack.status },
+      data: {
+        status: pack.status === "expired" ? "active" : pack.status,
+        expiresAt: until,
+        expiryWarning14dSentAt: null,
+        expiryWarning3dSentAt: null,
+      },
+    });
+    if (!count) return packError(409, "The package changed; try again");
+
+    let reinstated = 0;
+    if (pack.status === "expired") {
+      const n = await tx.creditTransaction.count({
+        where: { userPackageId: pack.id, reason: "expiry" },
+      });
+      const writeOff = await tx.creditTransaction.findUnique({
+        where: { idempotencyKey: `pack:${pack.id}:expiry:${n - 1}` },
+      });
+      if (writeOff && writeOff.delta < 0) {
+        reinstated = -writeOff.delta;
+        await appendEntry(tx, {
+          userId: pack.userId,
+          userPackageId: pack.id,
+          delta: reinstated,
+          reason: "admin_adjustment",
+          idempotencyKey: `pack:${pack.id}:reinstate:${n - 1}`,
+          actorId,
+          meta: { reinstated: writeOff.id },
+        });
+      }
+    }
+
+    const updated = await tx.userPackage.findUnique({ where: { id: pack.id } });
+    return { pack: updated, reinstated };
+  });
+}
+
+/**
+ * Stop a pack's expiry clock (e.g. a learner on leave). Its credits can't
+ * be booked with until it is unfrozen. Subscription packs follow their
+ * subscription, which is paused instead.
+ */
+export async function freezePackage(packId, now = new Date()) {
+  const pack = await prisma.userPackage.findUnique({ where: { id: packId } });
+  if (!pack) return packError(404, "Package not found");
+  if (pack.subscriptionId) {
+    return packError(409, "Pause the subscription instead");
+  }
+  if (pack.status !== "active" || (pack.expiresAt && pack.expiresAt <= now)) {
+    return packError(409, `A ${pack.status} package can't be frozen`);
+  }
+
+  const { count } = await prisma.userPackage.updateMany({
+    where: { id: pack.id, status: "active" },
+    data: { status: "frozen", frozenAt: now },
+  });
+  if (!count) return packError(409, "The package changed; try again");
+  return {
+    pack: await prisma.userPackage.findUnique({ where: { id: pack.id } }),
+  };
+}
+
+/**
+ * Make a frozen pack usable again; its expiry moves on by however long it
+ * was frozen.
+ */
+export async function unfreezePackage(packId, now = new Date()) {
+  const pack = await prisma.userPackage.findUnique({ where: { id: packId } });
+  if (!pack) return packError(404, "Package not found");
+  if (pack.status !== "frozen") {
+    return packError(409, "The package isn't frozen");
+  }
+
+  const frozenMs = Math.max(0, now - (pack.frozenAt || now));
+  const { count } = await prisma.userPackage.updateMany({
+    where: { id: pack.id, status: "frozen", frozenAt: pack.frozenAt },
+    data: {
+      status: "active",
+      frozenAt: null,
+      expiresAt: pack.expiresAt
+        ? new Date(pack.expiresAt.getTime() + frozenMs)
+        : null,
+      expiryWarning14dSentAt: null,
+      expiryWarning3dSentAt: null,
+    },
+  });
+  if (!count) return packError(409, "The package changed; try again");
+  return {
+    pack: await prisma.userPackage.findUnique({ where: { id: pack.id } }),
+  };
+}
+
+/**
+ * Move up to `max` whole unused credits out of a subscription's previous
+ * period pack with a `rollover` entry; the caller adds them to the next
+ * pack's total. Runs inside the caller's transaction; once per pack.
+ * Returns how many credits were carried.
+ */
+export async function rolloverPackCredits(tx, pack, max) {
+  if (!pack || !(max > 0)) return 0;
+  const [{ remaining }] = await withBalances([pack], tx);
+  const carried = Math.floor(Math.min(remaining, max));
+  if (carried <= 0) return 0;
+
+  await appendEntry(tx, {
+    userId: pack.userId,
+    userPackageId: pack.id,
+    delta: -carried,
+    reason: "rollover",
+    idempotencyKey: `pack:${pack.id}:rollover`,
+  });
+  return carried;
+}
+
+/**
+ * Take back credits from a pack whose order was (partly) refunded. `share` is
+ * the refunded fraction of the price; across calls the pack loses that share
+ * of its credits, but never more than it still has unused. A full refund
+ * (share 1) takes everything left and cancels the pack.
+ * Returns { clawedBack, shortfall } for this call; shortfall is what couldn't
+ * be taken because it was already used.
+ */
+export async function clawbackPackCredits(
+  userPackageId,
+  { share, actorId = null, meta = null }
+) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const pack = await tx.userPackage.findUnique({
+        where: { id: userPackageId },
+        select: { id: true, userId: true, sessionsTotal: true },
+      });
+      if (!pack) return null;
+
+      const full = share >= 1;
+      if (full) {
+        await tx.userPackage.updateMany({
+          where: { id: pack.id, status: { not: "canceled" } },
+          data: { status: "canceled" },
+        });
+      }
+
+      const [{ remaining }] = await withBalances([pack], tx);
+      const prior = await tx.creditTransaction.aggregate({
+        where: { userPackageId: pack.id, reason: "refund_clawback" },
+        _sum: { delta: true },
+      });
+      const already = -(prior._sum.delta || 0);
+
+      const target = full
+        ? already + remaining
+        : roundCredits(pack.sessionsTotal * share);
+      const owed = Math.max(0, roundCredits(target - already));
+      const take = roundCredits(Math.min(owed, remaining));
+
+      if (take > 0) {
+        // Keyed on the running total, so a replayed refund is a no-op
+        await appendEntry(tx, {
+          userId: pack.userId,
+          userPackageId: pack.id,
+          delta: -take,
+          reason: "refund_clawback",
+          actorId,
+          meta,
+          idempotencyKey: `pack:${pack.id}:clawback:${roundCredits(already + take)}`,
+        });
+      }
+
+      return { clawedBack: take, shortfall: roundCredits(owed - take) };
+    });
+  } catch (e) {
+    if (isUniqueViolation(e)) return { clawedBack: 0, shortfall: 0 };
+    throw e;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* Reconciliation                                                             */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Compare every pack's sessionsUsed cache with its ledger, and list
+ * completed sessions that were never charged. With `fix`, the cache is
+ * rewritten from the ledger (the ledger itself is never edited here).
+ */
+export async function reconcileCredits({ userId = null, fix = false } = {}) {
+  const packs = await prisma.userPackage.findMany({
+    where: userId ? { userId: Number(userId) } : {},
+    orderBy: { id: "asc" },
+    select: {
+      id: true,
+      userId: true,
+      title: true,
+      sessionsTotal: true,
+      sessionsUsed: true,
+      status: true,
+    },
+  });
+  const balances = await withBalances(packs);
+
+  const mismatches = balances
+    .filter((p) => roundCredits(p.sessionsUsed) !== p.used)
+    .map((p) => ({
+      userPackageId: p.id,
+      userId: p.userId,
+      title: p.title,
+      cachedUsed: p.sessionsUsed,
+      ledgerUsed: p.used,
+    }));
+
+  const overdrawn = balances
+    .filter((p) => p.sessionsTotal - p.used < 0)
+    .map((p) => ({
+      userPackageId: p.id,
+      userId: p.userId,
+      sessionsTotal: p.sessionsTotal,
+      ledgerUsed: p.used,
+    }));
+
+  const completed = await prisma.session.findMany({
+    where: {
+      status: "completed",
+      ...(userId ? { userId: Number(userId) } : {}),
+    },
+    select: { id: true, userId: true, startAt: true },
+  });
+  const charged = await prisma.creditTransaction.groupBy({
+    by: ["sessionId"],
+    where: {
+      sessionId: { not: null },
+      ...(userId ? { userId: Number(userId) } : {}),
+    },
+    _sum: { delta: true },
+  });
+  const chargedIds = new Set(
+    charged.filter((c) => (c._sum.delta || 0) < 0).map((c) => c.sessionId)
+  );
+  const unchargedSessions = completed.filter((s) => !chargedIds.has(s.id));
+
+  if (fix) {
+    for (const m of mismatches) {
+      await prisma.userPackage.update({
+        where: { id: m.userPackageId },
+        data: { sessionsUsed: m.ledgerUsed },
+      });
+    }
+  }
+
+  return {
+    packsChecked: packs.length,
+    mismatches,
+    overdrawn,
+    unchargedSessions,
+    fixed: fix ? mismatches.length : 0,
+  };
+}
@@ -16,6 +16,24 @@ function parseFromHeader(from) {
   return { name, email };
 }
 
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+export const escapeHtml = (str) =>
+  String(str).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+// "Monday, June 2, 2025 at 3:00 PM" in the recipient's timezone
+export const formatInTimeZone = (date, tz) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: tz || "UTC",
+    dateStyle: "full",
+    timeStyle: "short",
+  }).format(new Date(date));
+
 export async function sendEmail(to, subject, html) {
   if (!BREVO_API_KEY) {
     logger.info(
@@ -0,0 +1,220 @@
+// src/services/invoiceService.js
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { textPdf } from "../lib/pdf.js";
+import { sendEmail, escapeHtml } from "./emailService.js";
+import {
+  INVOICE_SELLER_NAME,
+  INVOICE_SELLER_ADDRESS,
+  INVOICE_SELLER_TAX_ID,
+  INVOICE_TAX_RATE,
+} from "../config/env.js";
+
+// Orders that were paid and keep their invoice (refunds don't void it)
+export const INVOICEABLE_STATUSES = ["paid", "partially_refunded", "refunded"];
+
+export function invoiceNumber(year, seq) {
+  return `SPX-${year}-${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * The tax contained in a tax-inclusive total at `ratePercent`.
+ */
+export function taxIncluded(totalCents, ratePercent) {
+  if (!(ratePercent > 0)) return 0;
+  return Math.round((totalCents * ratePercent) / (100 + ratePercent));
+}
+
+export function formatMoney(cents, currency) {
+  return `${currency} ${(cents / 100).toFixed(2)}`;
+}
+
+function isUniqueViolation(e) {
+  return e?.code === "P2002";
+}
+
+/**
+ * Issue the invoice for a paid order (or return the one it already has).
+ * The number comes from the year's counter inside the same transaction.
+ * Returns the invoice, or null when the order isn't invoiceable.
+ */
+export async function issueInvoice(orderId, now = new Date()) {
+  const existing = await prisma.invoice.findUnique({ where: { orderId } });
+  if (existing) return existing;
+
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order || !INVOICEABLE_STATUSES.includes(order.status)) return null;
+
+  const [buyer, pkg, coupon] = await Promise.all([
+    order.userId
+      ? prisma.user.findUnique({
+          where: { id: order.userId },
+          select: { name: true, email: true },
+        })
+      : null,
+    order.packageId
+      ? prisma.package.findUnique({
+          where: { id: order.packageId },
+          select: { title: true, sessionsPerPack: true },
+        })
+      : null,
+    order.couponId
+      ? prisma.coupon.findUnique({
+          where: { id: order.couponId },
+          select: { code: true },
+        })
+      : null,
+  ]);
+
+  const description = pkg
+    ? pkg.sessionsPerPack
+      ? `${pkg.title} (${pkg.sessionsPerPack} sessions)`
+      : pkg.title
+    : "Speexify package";
+  const year = now.getUTCFullYear();
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const counter = await tx.invoiceCounter.upsert({
+        where: { year },
+        create: { year, last: 1 },
+        update: { last: { increment: 1 } },
+      });
+      return tx.invoice.create({
+        data: {
+          number: invoiceNumber(year, counter.last),
+          orderId: order.id,
+          userId: order.userId,
+          issuedAt: now,
+          sellerName: INVOICE_SELLER_NAME,
+          sellerAddress: INVOICE_SELLER_ADDRESS || null,
+          sellerTaxId: INVOICE_SELLER_TAX_ID || null,
+          buyerName: buyer?.name || null,
+          buyerEmail: buyer?.email || order.customerEmail,
+          buyerCompany: order.billingCompany,
+          buyerTaxId: order.billingTaxId,
+          packageId: order.packageId,
+          description,
+          currency: order.currency,
+          subtotalCents: order.amountCents + order.discountCents,
+          discountCents: order.discountCents,
+          couponCode: coupon?.code || null,
+          taxRatePercent: INVOICE_TAX_RATE,
+          taxCents: taxIncluded(order.amountCents, INVOICE_TAX_RATE),
+          totalCents: order.amountCents,
+        },
+      });
+    });
+  } catch (e) {
+    // Issued concurrently (e.g. a webhook retry); that one stands
+    if (!isUniqueViolation(e)) throw e;
+    return prisma.invoice.findUnique({ where: { orderId } });
+  }
+}
+
+// Rows shared by the HTML and PDF renderings
+function invoiceRows(inv) {
+  const money = (c) => formatMoney(c, inv.currency);
+  const rows = [[inv.description, money(inv.subtotalCents)]];
+  if (inv.discountCents > 0) {
+    rows.push([
+      inv.couponCode ? `Discount (${inv.couponCode})` : "Discount",
+      `-${money(inv.discountCents)}`,
+    ]);
+  }
+  rows.push(["Total", money(inv.totalCents)]);
+  if (inv.taxCents > 0) {
+    rows.push([`Includes tax (${inv.taxRatePercent}%)`, money(inv.taxCents)]);
+  }
+  return rows;
+}
+
+const issuedOn = (inv) => new Date(inv.issuedAt).toISOString().slice(0, 10);
+
+function parties(inv) {
+  const seller = [
+    inv.sellerName,
+    inv.sellerAddress,
+    inv.sellerTaxId && `Tax ID: ${inv.sellerTaxId}`,
+  ].filter(Boolean);
+  const buyer = [
+    inv.buyerCompany,
+    inv.buyerName,
+    inv.buyerEmail,
+    inv.buyerTaxId && `Tax ID: ${inv.buyerTaxId}`,
+  ].filter(Boolean);
+  return { seller, buyer };
+}
+
+export function invoiceHtml(inv) {
+  const { seller, buyer } = parties(inv);
+  const lines = (arr) => arr.map(escapeHtml).join("<br>");
+  const rows = invoiceRows(inv)
+    .map(
+      ([label, amount]) =>
+        `<tr${label === "Total" ? ' style="font-weight:bold"' : ""}>` +
+        `<td style="padding:4px 12px 4px 0">${escapeHtml(label)}</td>` +
+        `<td style="padding:4px 0;text-align:right">${escapeHtml(amount)}</td></tr>`
+    )
+    .join("\n");
+
+  return [
+    `<h2>Invoice ${escapeHtml(inv.number)}</h2>`,
+    `<p>Date: ${escapeHtml(issuedOn(inv))}<br>Order: ${escapeHtml(inv.orderId)}</p>`,
+    `<p><strong>From</strong><br>${lines(seller)}</p>`,
+    `<p><strong>Billed to</strong><br>${lines(buyer)}</p>`,
+    `<table style="border-collapse:collapse">`,
+    rows,
+    `</table>`,
+    `<p>Paid in full. Thank you for learning with Speexify.</p>`,
+  ].join("\n");
+}
+
+export function invoicePdf(inv) {
+  const { seller, buyer } = parties(inv);
+  return textPdf(
+    [
+      { text: `Invoice ${inv.number}`, size: 18, bold: true },
+      { text: `Date: ${issuedOn(inv)}`, gap: 6 },
+      `Order: ${inv.orderId}`,
+      { text: "From", bold: true, gap: 12 },
+      ...seller,
+      { text: "Billed to", bold: true, gap: 12 },
+      ...buyer,
+      ...invoiceRows(inv).map(([label, amount], i) => ({
+        columns: [
+          [0, label],
+          [360, amount],
+        ],
+        bold: label === "Total",
+        gap: i === 0 ? 18 : 2,
+      })),
+      { text: "Paid in full. Thank you for learning with Speexify.", gap: 18 },
+    ],
+    { title: `Invoice ${inv.number}` }
+  );
+}
+
+/**
+ * Issue the invoice for a freshly paid order and email it to the buyer.
+ * Never throws; a missing receipt mustn't fail the payment webhook.
+ */
+export async function invoicePaidOrder(orderId) {
+  try {
+    const invoice = await issueInvoice(orderId);
+    if (!invoice?.buyerEmail || invoice.emailedAt) return invoice;
+
+    await sendEmail(
+      invoice.buyerEmail,
+      `Your Speexify receipt – ${invoice.number}`,
+      invoiceHtml(invoice)
+    );
+    return prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { emailedAt: new Date() },
+    });
+  } catch (err) {
+    logger.error({ err, orderId }, "[invoices] issuing receipt failed");
+    return null;
+  }
+}
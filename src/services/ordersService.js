@@ -0,0 +1,374 @@
+// src/services/ordersService.js
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { clawbackPackCredits, packExpiresAt } from "./creditsService.js";
+import { settleRedemption, lockCouponLimits } from "./couponService.js";
+import { invoicePaidOrder } from "./invoiceService.js";
+import {
+  startPaidPeriod,
+  renewalFailed,
+  saveCardToken,
+} from "./subscriptionService.js";
+
+// Orders that have been paid at some point (and so may have credits)
+export const PAID_STATUSES = [
+  "paid",
+  "amount_mismatch",
+  "partially_refunded",
+  "refunded",
+  "voided",
+];
+
+function isUniqueViolation(e) {
+  return e?.code === "P2002";
+}
+
+/**
+ * Order status and refunded total from its refund records.
+ */
+export function refundStatus(order, refunds) {
+  if (refunds.some((r) => r.kind === "void")) {
+    return { status: "voided", refundedCents: order.amountCents };
+  }
+  const total = Math.min(
+    order.amountCents,
+    refunds.reduce((sum, r) => sum + r.amountCents, 0)
+  );
+  if (total <= 0) return { status: order.status, refundedCents: 0 };
+  return {
+    status: total >= order.amountCents ? "refunded" : "partially_refunded",
+    refundedCents: total,
+  };
+}
+
+/**
+ * Record a refund (`amountCents`) or a void for a paid order, then bring the
+ * order's status and the credits it bought in line: the linked pack loses the
+ * refunded share of its credits (all unused ones on a full refund or void).
+ * `pspRefundId` makes the call idempotent: the same refund reported twice
+ * (admin call + webhook, or a webhook retry) is only counted once.
+ * Returns { ok, order, clawback } or { ok: false, error }.
+ */
+export async function applyOrderRefund(
+  orderId,
+  {
+    amountCents = 0,
+    voided = false,
+    pspRefundId = null,
+    actorId = null,
+    source,
+  }
+) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) return { ok: false, error: "not_found" };
+  if (!PAID_STATUSES.includes(order.status)) {
+    return { ok: false, error: "not_paid" };
+  }
+
+  if (voided || amountCents > 0) {
+    try {
+      await prisma.orderRefund.create({
+        data: {
+          orderId: order.id,
+          amountCents: voided ? order.amountCents : amountCents,
+          kind: voided ? "void" : "refund",
+          pspRefundId: pspRefundId ? String(pspRefundId) : null,
+          source,
+          actorId,
+        },
+      });
+    } catch (e) {
+      if (!isUniqueViolation(e)) throw e;
+    }
+  }
+
+  // Recompute from the records, so concurrent calls converge
+  const refunds = await prisma.orderRefund.findMany({
+    where: { orderId: order.id },
+    select: { amountCents: true, kind: true },
+  });
+  const updated = await prisma.order.update({
+    where: { id: order.id },
+    data: refundStatus(order, refunds),
+  });
+
+  const share =
+    updated.status === "voided" || !updated.amountCents
+      ? 1
+      : updated.refundedCents / updated.amountCents;
+  const packs = await prisma.userPackage.findMany({
+    where: { orderId: order.id },
+    select: { id: true },
+  });
+
+  const clawback = [];
+  for (const pack of packs) {
+    const r = await clawbackPackCredits(pack.id, {
+      share,
+      actorId,
+      meta: { orderId: order.id, source, refundedCents: updated.refundedCents },
+    });
+    if (r?.shortfall > 0) {
+      logger.warn(
+        { orderId: order.id, userPackageId: pack.id, shortfall: r.shortfall },
+        "[refunds] credits already used; could not claw back in full"
+      );
+    }
+    clawback.push({ userPackageId: pack.id, ...r });
+  }
+
+  return { ok: true, order: updated, clawback };
+}
+
+/**
+ * A pending order (and, with a coupon, the redemption holding its use).
+ * It exists before the provider hears of it, so an early webhook always
+ * finds it. Returns { order }, or { error } when the coupon was used up
+ * since the quote.
+ */
+export async function createOrder({
+  id,
+  amountCents,
+  currency,
+  psp,
+  userId,
+  packageId,
+  coupon = null,
+  discountCents = 0,
+  subscriptionId = null,
+  customer = null,
+  customerEmail = null,
+}) {
+  return prisma.$transaction(async (tx) => {
+    if (coupon) {
+      const limitError = await lockCouponLimits(tx, coupon, userId);
+      if (limitError) {
+        return {
+          error: { status: 409, body: { ok: false, message: limitError } },
+        };
+      }
+    }
+
+    const created = await tx.order.create({
+      data: {
+        id,
+        amountCents,
+        currency,
+        status: "pending",
+        psp,
+        userId,
+        packageId,
+        couponId: coupon?.id ?? null,
+        discountCents,
+        subscriptionId,
+        customerEmail: customerEmail || customer?.email || null,
+        customerPhone: customer?.phone || null,
+        billingCompany: customer?.company || null,
+        billingTaxId: customer?.taxId || null,
+      },
+    });
+    if (coupon) {
+      await tx.couponRedemption.create({
+        data: {
+          couponId: coupon.id,
+          orderId: created.id,
+          userId,
+          discountCents,
+        },
+      });
+    }
+    return { order: created };
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/* Provider events (webhooks, and immediate results of saved-card charges)    */
+/* -------------------------------------------------------------------------- */
+
+const EVENT_ORDER_SELECT = {
+  id: true,
+  status: true,
+  psp: true,
+  userId: true,
+  packageId: true,
+  subscriptionId: true,
+  amountCents: true,
+  currency: true,
+  refundedCents: true,
+};
+
+/**
+ * Apply a normalized provider event (see services/payments) to its order.
+ * Returns false when no order of this provider matches.
+ */
+export async function applyPaymentEvent(provider, event) {
+  // Saved-card tokens arrive on their own, keyed by the provider's order id
+  if (event.kind === "card_token") {
+    const order = await prisma.order.findFirst({
+      where: { psp: provider.name, pspOrderId: Number(event.pspOrderId) },
+      select: { subscriptionId: true },
+    });
+    if (!order) return false;
+    if (order.subscriptionId) {
+      await saveCardToken(order.subscriptionId, {
+        token: event.token,
+        last4: event.cardLast4,
+      });
+    }
+    return true;
+  }
+
+  const existingOrder = await prisma.order.findUnique({
+    where: { id: event.orderId },
+    select: EVENT_ORDER_SELECT,
+  });
+  if (!existingOrder || existingOrder.psp !== provider.name) return false;
+
+  if (event.kind === "refund") {
+    await handleRefund(provider, event, existingOrder);
+  } else {
+    await handlePayment(event, existingOrder);
+  }
+  return true;
+}
+
+/**
+ * A refund or void reported by the provider. Events carrying the running
+ * refunded total only add the part we haven't recorded yet.
+ */
+async function handleRefund(provider, event, order) {
+  const amountCents =
+    event.refundedTotalCents !== undefined
+      ? Math.max(0, event.refundedTotalCents - (order.refundedCents || 0))
+      : event.amountCents;
+
+  const r = await applyOrderRefund(order.id, {
+    voided: event.voided,
+    amountCents,
+    pspRefundId: event.pspRefundId,
+    source: `${provider.name}_webhook`,
+  });
+  if (!r.ok) {
+    logger.warn(
+      { orderId: order.id, error: r.error },
+      "Refund webhook for an order that isn't paid"
+    );
+  } else {
+    logger.info(
+      { orderId: order.id, status: r.order.status, clawback: r.clawback },
+      event.voided ? "Order voided" : "Order refunded"
+    );
+  }
+}
+
+async function handlePayment(event, existingOrder) {
+  // Only an open order can be paid; replays and late callbacks after a
+  // refund must not grant the package again
+  if (!["pending", "failed"].includes(existingOrder.status)) {
+    logger.info(
+      { orderId: existingOrder.id, status: existingOrder.status },
+      "Duplicate payment webhook ignored"
+    );
+    return;
+  }
+
+  const { success } = event;
+  const pspRefs = {
+    pspPaymentId: event.paymentId,
+    ...(event.pspOrderId ? { pspOrderId: Number(event.pspOrderId) } : {}),
+  };
+
+  // The charge must match what we priced; anything else is held for an
+  // admin to look at (and refund) instead of granting credits
+  const paidCurrency = String(event.currency || existingOrder.currency);
+  if (
+    success &&
+    (event.amountCents !== existingOrder.amountCents ||
+      paidCurrency.toUpperCase() !== existingOrder.currency.toUpperCase())
+  ) {
+    logger.error(
+      {
+        orderId: existingOrder.id,
+        expected: [existingOrder.amountCents, existingOrder.currency],
+        paid: [event.amountCents, paidCurrency],
+      },
+      "Webhook amount does not match the order; credits not granted"
+    );
+    await prisma.order.updateMany({
+      where: { id: existingOrder.id, status: existingOrder.status },
+      data: { status: "amount_mismatch", ...pspRefs },
+    });
+    return;
+  }
+
+  // Update order status (compare-and-set so concurrent callbacks grant once)
+  // and grant what it bought in one transaction: if granting fails the order
+  // stays open, and the provider's retry of the webhook runs it again
+  const settled = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: existingOrder.id, status: existingOrder.status },
+      data: { status: success ? "paid" : "failed", ...pspRefs },
+    });
+    if (!count) return false;
+
+    await settleRedemption(existingOrder.id, success, tx);
+    if (!success) return true;
+    if (existingOrder.subscriptionId) {
+      await startPaidPeriod(existingOrder, new Date(), tx);
+    } else {
+      await grantPackage(existingOrder, tx);
+    }
+    return true;
+  });
+  if (!settled) return;
+
+  if (existingOrder.subscriptionId) {
+    if (!success) {
+      await renewalFailed(existingOrder);
+      return;
+    }
+    if (event.cardToken) {
+      await saveCardToken(existingOrder.subscriptionId, {
+        token: event.cardToken,
+        last4: event.cardLast4,
+      });
+    }
+  } else if (!success) {
+    return;
+  }
+  await invoicePaidOrder(existingOrder.id);
+}
+
+async function grantPackage(existingOrder, db) {
+  if (!existingOrder.userId || !existingOrder.packageId) return;
+
+  const pkg = await db.package.findUnique({
+    where: { id: Number(existingOrder.packageId) },
+    select: {
+      id: true,
+      title: true,
+      sessionsPerPack: true,
+      durationMin: true,
+      validityDays: true,
+    },
+  });
+
+  const sessionsTotal = Number(pkg?.sessionsPerPack || 0);
+  if (sessionsTotal > 0) {
+    const expiresAt = packExpiresAt(pkg.validityDays);
+
+    await db.userPackage.create({
+      data: {
+        userId: existingOrder.userId,
+        packageId: pkg.id,
+        title: pkg.title,
+        minutesPerSession: pkg.durationMin || null,
+        sessionsTotal,
+        sessionsUsed: 0,
+        expiresAt,
+        status: "active",
+        orderId: existingOrder.id,
+      },
+    });
+  }
+}
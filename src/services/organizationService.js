@@ -0,0 +1,424 @@
+// src/services/organizationService.js
+// Corporate accounts. Members book from their organization's shared pool
+// (see creditsService: memberPool) up to their cap, or from credits an org
+// admin allocated to them as their own packs.
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { sendEmail, escapeHtml } from "./emailService.js";
+import {
+  withBalances,
+  roundCredits,
+  reclaimAllocatedCredits,
+} from "./creditsService.js";
+
+export const MEMBER_ROLES = ["learner", "admin"];
+
+// How long an invite can be accepted
+export const INVITE_TTL_DAYS = 14;
+
+const orgError = (status, error) => ({ error: { status, body: { error } } });
+
+/**
+ * A member's credit cap from input: null (no cap) or a non-negative amount
+ * with at most 2 decimals. Returns { value } or { error }.
+ */
+export function parseCreditCap(raw) {
+  if (raw === null || raw === undefined || raw === "") return { value: null };
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || roundCredits(value) !== value) {
+    return { error: "creditCap must be a non-negative number or null" };
+  }
+  return { value };
+}
+
+const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+// Learner members take a seat; org admins (HR contacts) don't
+async function seatTaken(org, db = prisma) {
+  if (org.seats === null) return false;
+  const used = await db.organizationMember.count({
+    where: { organizationId: org.id, role: "learner" },
+  });
+  return used >= org.seats;
+}
+
+// Role and cap of a new member from input: { role, creditCap } or { error }
+function memberInput({ role = "learner", creditCap = null }) {
+  if (!MEMBER_ROLES.includes(role)) {
+    return orgError(400, `role must be one of ${MEMBER_ROLES.join(", ")}`);
+  }
+  const cap = parseCreditCap(creditCap);
+  if (cap.error) return orgError(400, cap.error);
+  return { role, creditCap: cap.value };
+}
+
+/**
+ * Make `user` a member (accepting `invite`, if given). The organization's
+ * row is locked while its seats are counted, so concurrent joins can't take
+ * more seats than it has.
+ * Returns { member } or { error: { status, body } }.
+ */
+async function joinOrganization(
+  org,
+  user,
+  { role, creditCap },
+  { invite = null, now = new Date() } = {}
+) {
+  if (user.role === "teacher") {
+    return orgError(400, "Teachers can't join an organization");
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM "Organization" WHERE id = ${org.id} FOR UPDATE`;
+
+    const existing = await tx.organizationMember.findUnique({
+      where: { userId: user.id },
+      select: { organizationId: true },
+    });
+    if (existing) {
+      return orgError(
+        409,
+        existing.organizationId === org.id
+          ? "Already a member"
+          : "This user belongs to another organization"
+      );
+    }
+    if (role === "learner" && (await seatTaken(org, tx))) {
+      return orgError(409, `All ${org.seats} seats are taken`);
+    }
+
+    const member = await tx.organizationMember.create({
+      data: { organizationId: org.id, userId: user.id, role, creditCap },
+    });
+    if (invite) {
+      await tx.organizationInvite.update({
+        where: { id: invite.id },
+        data: { acceptedAt: now },
+      });
+    }
+    return { member };
+  });
+}
+
+/**
+ * Add the user with `email` to the organization directly. Only platform
+ * admins do this (with the contract as consent); org admins invite. A user
+ * belongs to one organization at a time; teachers can't join.
+ * Returns { member } or { error: { status, body } }.
+ */
+export async function addMember(org, { email, role, creditCap }) {
+  const input = memberInput({ role, creditCap });
+  if (input.error) return input;
+
+  const user = await prisma.user.findUnique({
+    where: { email: normalizeEmail(email) },
+    select: { id: true, role: true },
+  });
+  if (!user) return orgError(404, "No user with this email");
+
+  return joinOrganization(org, user, input);
+}
+
+function inviteEmail(org) {
+  const name = escapeHtml(org.name);
+  const subject = `You're invited to join ${org.name} on Speexify`;
+  const html = [
+    `<p>${name} invited you to take lessons on Speexify on their account.</p>`,
+    `<p>Sign in with this email address (or create an account with it) and accept the invitation from your dashboard within ${INVITE_TTL_DAYS} days.</p>`,
+    `<p>— Speexify</p>`,
+  ].join("\n");
+  return { subject, html };
+}
+
+/**
+ * Invite `email` to the organization as `role` with `creditCap`. The answer
+ * is the same whether or not the email has an account, so org admins can't
+ * probe for users; the email tells the invitee to sign in (or sign up) and
+ * accept. Inviting again renews the invite.
+ * Returns { invite } or { error: { status, body } }.
+ */
+export async function inviteMember(
+  org,
+  { email, role, creditCap },
+  { invitedById = null, now = new Date() } = {}
+) {
+  const address = normalizeEmail(email);
+  if (!/^[^\s@]+@[^\s@]+$/.test(address)) {
+    return orgError(400, "A valid email is required");
+  }
+  const input = memberInput({ role, creditCap });
+  if (input.error) return input;
+  if (input.role === "learner" && (await seatTaken(org))) {
+    return orgError(409, `All ${org.seats} seats are taken`);
+  }
+
+  const data = {
+    ...input,
+    invitedById,
+    expiresAt: new Date(now.getTime() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+    acceptedAt: null,
+  };
+  const invite = await prisma.organizationInvite.upsert({
+    where: {
+      organizationId_email: { organizationId: org.id, email: address },
+    },
+    create: { organizationId: org.id, email: address, ...data },
+    update: data,
+  });
+
+  try {
+    const { subject, html } = inviteEmail(org);
+    await sendEmail(address, subject, html);
+  } catch (err) {
+    logger.error(
+      { err, inviteId: invite.id },
+      "[organizations] invite email failed"
+    );
+  }
+  return { invite };
+}
+
+const pendingInviteWhere = (email, now) => ({
+  email: normalizeEmail(email),
+  acceptedAt: null,
+  expiresAt: { gt: now },
+});
+
+// The signed-in user's open invites, with their organization's name
+export async function listMyInvites(user, now = new Date()) {
+  return prisma.organizationInvite.findMany({
+    where: pendingInviteWhere(user.email, now),
+    orderBy: { createdAt: "desc" },
+    select: {
+      id: true,
+      role: true,
+      expiresAt: true,
+      organization: { select: { id: true, name: true } },
+    },
+  });
+}
+
+/**
+ * Accept invite `inviteId` as the signed-in `user` (it must be addressed to
+ * their email). Returns { member } or { error: { status, body } }.
+ */
+export async function acceptInvite(user, inviteId, now = new Date()) {
+  const invite = await prisma.organizationInvite.findFirst({
+    where: { id: Number(inviteId), ...pendingInviteWhere(user.email, now) },
+    include: { organization: true },
+  });
+  if (!invite) return orgError(404, "Invite not found or expired");
+
+  return joinOrganization(
+    invite.organization,
+    user,
+    { role: invite.role, creditCap: invite.creditCap },
+    { invite, now }
+  );
+}
+
+/**
+ * Change a member's role or credit cap as `actor`. Roles decide who takes a
+ * seat and draws from the pool, so only platform admins change them; org
+ * admins set caps, but not their own.
+ * Returns { member } or { error: { status, body } }.
+ */
+export async function updateMember(org, userId, { role, creditCap }, actor) {
+  const member = await prisma.organizationMember.findUnique({
+    where: { userId: Number(userId) },
+  });
+  if (!member || member.organizationId !== org.id) {
+    return orgError(404, "Not a member");
+  }
+  const platformAdmin = actor.role === "admin";
+
+  const data = {};
+  if (role !== undefined && role !== member.role) {
+    if (!platformAdmin) {
+      return orgError(403, "Only Speexify admins can change a member's role");
+    }
+    if (!MEMBER_ROLES.includes(role)) {
+      return orgError(400, `role must be one of ${MEMBER_ROLES.join(", ")}`);
+    }
+    data.role = role;
+  }
+  if (creditCap !== undefined) {
+    if (!platformAdmin && member.userId === actor.id) {
+      return orgError(403, "You can't change your own credit cap");
+    }
+    const cap = parseCreditCap(creditCap);
+    if (cap.error) return orgError(400, cap.error);
+    data.creditCap = cap.value;
+  }
+
+  // Taking a seat: count the seats with the organization locked, as on join
+  return prisma.$transaction(async (tx) => {
+    if (data.role === "learner" && member.role !== "learner") {
+      await tx.$queryRaw`SELECT id FROM "Organization" WHERE id = ${org.id} FOR UPDATE`;
+      if (await seatTaken(org, tx)) {
+        return orgError(409, `All ${org.seats} seats are taken`);
+      }
+    }
+    const updated = await tx.organizationMember.update({
+      where: { id: member.id },
+      data,
+    });
+    return { member: updated };
+  });
+}
+
+/**
+ * Remove a member. Unused credits allocated to them go back to the pool;
+ * what they used stays on their history.
+ */
+export async function removeMember(org, userId, { actorId = null } = {}) {
+  const member = await prisma.organizationMember.findUnique({
+    where: { userId: Number(userId) },
+  });
+  if (!member || member.organizationId !== org.id) {
+    return orgError(404, "Not a member");
+  }
+
+  const reclaimed = await reclaimAllocatedCredits(org.id, member.userId, {
+    actorId,
+  });
+  await prisma.organizationMember.delete({ where: { id: member.id } });
+  return { member, reclaimed };
+}
+
+const usable = (p, now) =>
+  p.status === "active" && (!p.expiresAt || p.expiresAt > now);
+
+/**
+ * Sessions of member `m` an org admin may see: those starting since they
+ * joined (and in [from, to), if given). What they did before is their own.
+ */
+export function memberSessionsWhere(m, { from = null, to = null } = {}) {
+  const since = from && from > m.createdAt ? from : m.createdAt;
+  return {
+    userId: m.userId,
+    startAt: { gte: since, ...(to ? { lt: to } : {}) },
+  };
+}
+
+/**
+ * What an org admin sees: the pool and, per member, their sessions since
+ * they joined (optionally those starting in [from, to)), attendance and
+ * credits. Attendance is completed / (completed + no-shows); null before any.
+ */
+export async function organizationDashboard(
+  org,
+  { from = null, to = null } = {},
+  now = new Date()
+) {
+  const members = await prisma.organizationMember.findMany({
+    where: { organizationId: org.id },
+    orderBy: [{ role: "asc" }, { createdAt: "asc" }],
+  });
+  const userIds = members.map((m) => m.userId);
+
+  const [users, sessionCounts, ownPacks, poolPacks] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, name: true, email: true },
+    }),
+    prisma.session.groupBy({
+      by: ["userId", "status"],
+      where: { OR: members.map((m) => memberSessionsWhere(m, { from, to })) },
+      _count: { _all: true },
+    }),
+    prisma.userPackage.findMany({
+      where: { userId: { in: userIds }, status: "active" },
+      select: { id: true, userId: true, sessionsTotal: true, expiresAt: true },
+    }),
+    prisma.userPackage.findMany({
+      where: { organizationId: org.id, userId: null },
+      orderBy: { id: "asc" },
+      select: {
+        id: true,
+        title: true,
+        sessionsTotal: true,
+        status: true,
+        expiresAt: true,
+        createdAt: true,
+      },
+    }),
+  ]);
+
+  const poolUsed = poolPacks.length
+    ? await prisma.creditTransaction.groupBy({
+        by: ["userId"],
+        where: {
+          userPackageId: { in: poolPacks.map((p) => p.id) },
+          userId: { in: userIds },
+        },
+        _sum: { delta: true },
+      })
+    : [];
+
+  const pool = await withBalances(poolPacks);
+  const poolRemaining = roundCredits(
+    pool.filter((p) => usable(p, now)).reduce((n, p) => n + p.remaining, 0)
+  );
+
+  const ownRemaining = new Map();
+  for (const p of await withBalances(ownPacks.filter((p) => usable(p, now)))) {
+    ownRemaining.set(
+      p.userId,
+      roundCredits((ownRemaining.get(p.userId) || 0) + p.remaining)
+    );
+  }
+  const usedByUser = new Map(
+    poolUsed.map((r) => [r.userId, roundCredits(-(r._sum.delta || 0))])
+  );
+  const userById = new Map(users.map((u) => [u.id, u]));
+
+  const rows = members.map((m) => {
+    const sessions = { scheduled: 0, completed: 0, canceled: 0, no_show: 0 };
+    for (const c of sessionCounts) {
+      if (c.userId === m.userId) sessions[c.status] = c._count._all;
+    }
+    const attended = sessions.completed + sessions.no_show;
+    const used = usedByUser.get(m.userId) || 0;
+    const capLeft =
+      m.creditCap === null
+        ? null
+        : Math.max(0, roundCredits(m.creditCap - used));
+    const poolAvailable =
+      org.active && m.role === "learner"
+        ? capLeft === null
+          ? poolRemaining
+          : Math.min(poolRemaining, capLeft)
+        : 0;
+    const own = ownRemaining.get(m.userId) || 0;
+
+    return {
+      userId: m.userId,
+      name: userById.get(m.userId)?.name || null,
+      email: userById.get(m.userId)?.email || null,
+      role: m.role,
+      creditCap: m.creditCap,
+      sessions,
+      attendanceRate: attended
+        ? Math.round((sessions.completed / attended) * 100) / 100
+        : null,
+      poolUsed: used,
+      capLeft,
+      ownRemaining: own,
+      available: roundCredits(own + poolAvailable),
+    };
+  });
+
+  return {
+    organization: org,
+    seatsUsed: members.filter((m) => m.role === "learner").length,
+    pool: {
+      remaining: poolRemaining,
+      packs: pool,
+    },
+    members: rows,
+  };
+}
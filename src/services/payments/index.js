@@ -0,0 +1,75 @@
+// src/services/payments/index.js
+// Payment providers behind one interface. Each adapter module exports:
+//   name, currencies          – its Order.psp value and what it can charge
+//   missingConfig()           – env vars it still needs ([] when ready)
+//   createCheckout({ order, pkg, buyer, customer })
+//                             – { checkoutUrl, pspOrderId?, response? }
+//   parseWebhook(req)         – a normalized event, or null if unsigned
+//   refund({ order, amountCents }), canRefund(order)
+//   voidPayment({ order })    – optional; only where the PSP supports voids
+//   chargeSavedCard({ order, token })
+//                             – optional; renewals. Resolves to { pspOrderId? }
+//                               when the result comes by webhook, or
+//                               { event } when it is known right away
+//
+// Webhook events are { kind: "payment", orderId, success, amountCents,
+// currency, paymentId, pspOrderId?, cardToken? }, { kind: "refund", orderId,
+// voided, amountCents | refundedTotalCents, pspRefundId }, { kind:
+// "card_token", pspOrderId, token } or { kind: "ignored" }.
+import { logger } from "../../lib/logger.js";
+import * as paymob from "./paymob.js";
+import * as stripe from "./stripe.js";
+import * as stub from "./stub.js";
+
+// In order of preference when falling back
+export const providers = { paymob, stripe, stub };
+
+// Who charges each currency by default: Paymob is our Egyptian acquirer,
+// buyers abroad pay through Stripe
+const CURRENCY_PROVIDERS = {
+  EGP: "paymob",
+  USD: "stripe",
+  EUR: "stripe",
+  SAR: "stripe",
+};
+// Buyers in these countries pay through Paymob whenever it takes the currency
+const PAYMOB_COUNTRIES = ["EG"];
+
+for (const p of Object.values(providers)) {
+  if (p.devOnly) continue;
+  const missing = p.missingConfig();
+  if (missing.length) {
+    logger.warn(
+      { provider: p.name, missing },
+      "⚠️  Payment provider not configured; checkouts routed to it will fail until set"
+    );
+  }
+}
+
+export function getProvider(name) {
+  return Object.hasOwn(providers, name) ? providers[name] : null;
+}
+
+/**
+ * The provider that should charge `currency` for a buyer in `country`
+ * (`recurring`: one that can also charge the saved card later). Falls back
+ * to another provider taking the currency when the preferred one isn't
+ * configured. Null when nobody takes the currency.
+ */
+export function providerFor({ currency, country, recurring = false } = {}) {
+  const cur = String(currency || "").toUpperCase();
+  const local =
+    PAYMOB_COUNTRIES.includes(String(country || "").toUpperCase()) &&
+    paymob.currencies.includes(cur);
+  const fits = (p) =>
+    p.currencies.includes(cur) && (!recurring || !!p.chargeSavedCard);
+
+  const preferred = getProvider(local ? "paymob" : CURRENCY_PROVIDERS[cur]);
+  const candidates = [
+    ...(preferred && fits(preferred) ? [preferred] : []),
+    ...Object.values(providers).filter((p) => p !== preferred && fits(p)),
+  ];
+  const ready = candidates.find((p) => !p.missingConfig({ recurring }).length);
+  // Nothing configured: stay with the real provider (its error is clearer)
+  return ready || candidates.find((p) => !p.devOnly) || null;
+}
@@ -0,0 +1,312 @@
+// src/services/payments/paymob.js
+// Paymob Accept (hosted iframe checkout). The base URL comes from
+// PAYMOB_BASE_URL so tests (and sandboxes) can point it elsewhere.
+import axios from "axios";
+import crypto from "node:crypto";
+import {
+  PAYMOB_API_KEY,
+  PAYMOB_INTEGRATION_ID,
+  PAYMOB_IFRAME_ID,
+  PAYMOB_HMAC_SECRET,
+  PAYMOB_BASE_URL,
+  PAYMOB_MOTO_INTEGRATION_ID,
+} from "../../config/env.js";
+
+const TIMEOUT_MS = 15000;
+
+export const name = "paymob";
+export const currencies = ["EGP", "USD"];
+
+// Fields Paymob concatenates (in this order) for the transaction HMAC
+const HMAC_FIELDS = [
+  "amount_cents",
+  "created_at",
+  "currency",
+  "error_occured",
+  "has_parent_transaction",
+  "id",
+  "integration_id",
+  "is_3d_secure",
+  "is_auth",
+  "is_capture",
+  "is_refunded",
+  "is_standalone_payment",
+  "is_voided",
+  "order.id",
+  "owner",
+  "pending",
+  "source_data.pan",
+  "source_data.sub_type",
+  "source_data.type",
+  "success",
+];
+
+// Fields of a saved-card (TOKEN) callback's HMAC
+export const TOKEN_HMAC_FIELDS = [
+  "card_subtype",
+  "created_at",
+  "email",
+  "id",
+  "masked_pan",
+  "merchant_id",
+  "order_id",
+  "token",
+];
+
+const isTrue = (v) => String(v).toLowerCase() === "true";
+
+export function missingConfig({ recurring = false } = {}) {
+  return Object.entries({
+    PAYMOB_API_KEY,
+    PAYMOB_INTEGRATION_ID,
+    PAYMOB_IFRAME_ID,
+    PAYMOB_HMAC_SECRET,
+    ...(recurring ? { PAYMOB_MOTO_INTEGRATION_ID } : {}),
+  })
+    .filter(([, v]) => !v)
+    .map(([k]) => k);
+}
+
+export async function paymobAuthToken() {
+  const { data } = await axios.post(
+    `${PAYMOB_BASE_URL}/auth/tokens`,
+    { api_key: PAYMOB_API_KEY },
+    { timeout: TIMEOUT_MS }
+  );
+  return data.token;
+}
+
+export function paymobIframeUrl(paymentToken) {
+  return `${PAYMOB_BASE_URL}/acceptance/iframes/${PAYMOB_IFRAME_ID}?payment_token=${paymentToken}`;
+}
+
+export function paymobHmac(payloadObj, fields = HMAC_FIELDS) {
+  const get = (obj, path) =>
+    path
+      .split(".")
+      .reduce((o, k) => (o && o[k] !== undefined ? o[k] : ""), obj);
+  const concatenated = fields.map((f) => String(get(payloadObj, f))).join("");
+  return crypto
+    .createHmac("sha512", PAYMOB_HMAC_SECRET)
+    .update(concatenated)
+    .digest("hex");
+}
+
+export function verifyPaymobHmac(payloadObj, hmacFromPaymob, fields) {
+  const computed = Buffer.from(paymobHmac(payloadObj, fields));
+  const given = Buffer.from(String(hmacFromPaymob || ""));
+  return (
+    computed.length === given.length && crypto.timingSafeEqual(computed, given)
+  );
+}
+
+// Register the order with Paymob and get a payment key for `integrationId`
+async function paymentKeyFor({ order, buyer, customer, integrationId }) {
+  const [firstName, ...rest] = String(buyer?.name || "").split(" ");
+  const token = await paymobAuthToken();
+
+  const { data: pspOrder } = await axios.post(
+    `${PAYMOB_BASE_URL}/ecommerce/orders`,
+    {
+      auth_token: token,
+      delivery_needed: false,
+      amount_cents: order.amountCents,
+      currency: order.currency,
+      merchant_order_id: order.id,
+      items: [],
+    },
+    { timeout: TIMEOUT_MS }
+  );
+
+  const { data: paymentKey } = await axios.post(
+    `${PAYMOB_BASE_URL}/acceptance/payment_keys`,
+    {
+      auth_token: token,
+      amount_cents: order.amountCents,
+      currency: order.currency,
+      order_id: pspOrder.id,
+      billing_data: {
+        first_name: customer?.firstName || firstName || "NA",
+        last_name: customer?.lastName || rest.join(" ") || "NA",
+        email: order.customerEmail || "na@example.com",
+        phone_number: customer?.phone || "01000000000",
+        apartment: "NA",
+        floor: "NA",
+        street: "NA",
+        building: "NA",
+        shipping_method: "NA",
+        postal_code: "NA",
+        city: "Cairo",
+        country: "EG",
+        state: "EG",
+      },
+      expiration: 3600,
+      integration_id: Number(integrationId),
+    },
+    { timeout: TIMEOUT_MS }
+  );
+
+  return { pspOrderId: pspOrder.id, paymentToken: paymentKey.token };
+}
+
+/**
+ * Register the order with Paymob and get a payment key for the iframe.
+ * Card saving is set up on the integration itself; a saved card is
+ * reported by its own TOKEN callback.
+ * Returns { checkoutUrl, pspOrderId, response }.
+ */
+export async function createCheckout({ order, buyer, customer }) {
+  const { pspOrderId, paymentToken } = await paymentKeyFor({
+    order,
+    buyer,
+    customer,
+    integrationId: PAYMOB_INTEGRATION_ID,
+  });
+
+  const checkoutUrl = paymobIframeUrl(paymentToken);
+  return {
+    checkoutUrl,
+    pspOrderId,
+    response: { iframeUrl: checkoutUrl, paymobOrderId: pspOrderId },
+  };
+}
+
+/**
+ * Charge a saved card through the MOTO integration (subscription renewals).
+ * The result arrives by webhook, like any other transaction.
+ * Returns { pspOrderId }.
+ */
+export async function chargeSavedCard({ order, token }) {
+  const { pspOrderId, paymentToken } = await paymentKeyFor({
+    order,
+    integrationId: PAYMOB_MOTO_INTEGRATION_ID,
+  });
+  await axios.post(
+    `${PAYMOB_BASE_URL}/acceptance/payments/pay`,
+    {
+      source: { identifier: token, subtype: "TOKEN" },
+      payment_token: paymentToken,
+    },
+    { timeout: TIMEOUT_MS }
+  );
+  return { pspOrderId };
+}
+
+/**
+ * The event a Paymob callback reports, or null when its HMAC doesn't check
+ * out. TOKEN callbacks report a card saved during checkout. A refund transaction (it has a parent) carries its own
+ * amount; an updated original transaction carries the running
+ * refunded_amount_cents instead.
+ */
+export function parseWebhook(req) {
+  const hmac = req.query?.hmac || req.body?.hmac;
+  const payload = req.body?.obj || req.body;
+  if (!hmac || !payload) return null;
+
+  if (req.body?.type === "TOKEN") {
+    if (!verifyPaymobHmac(payload, hmac, TOKEN_HMAC_FIELDS)) return null;
+    return {
+      kind: "card_token",
+      pspOrderId: payload.order_id,
+      token: payload.token,
+      cardLast4: String(payload.masked_pan || "").slice(-4) || null,
+    };
+  }
+  if (!verifyPaymobHmac(payload, hmac)) return null;
+
+  const orderId = payload.order?.merchant_order_id;
+  if (!orderId) return { kind: "ignored", reason: "missing merchant_order_id" };
+
+  const success = isTrue(payload.success);
+  if (isTrue(payload.is_voided) || isTrue(payload.is_refunded)) {
+    if (!success) return { kind: "ignored", orderId: String(orderId) };
+
+    const event = {
+      kind: "refund",
+      orderId: String(orderId),
+      voided: isTrue(payload.is_voided),
+    };
+    if (isTrue(payload.has_parent_transaction)) {
+      return {
+        ...event,
+        amountCents: Number(payload.amount_cents || 0),
+        pspRefundId: payload.id,
+      };
+    }
+    const total = Number(payload.refunded_amount_cents || 0);
+    return {
+      ...event,
+      refundedTotalCents: total,
+      pspRefundId: `${payload.id}:refunded:${total}`,
+    };
+  }
+
+  return {
+    kind: "payment",
+    orderId: String(orderId),
+    success,
+    amountCents: Number(payload.amount_cents),
+    currency: payload.currency,
+    pspOrderId: payload.order?.id ?? null,
+    paymentId: payload.id ? String(payload.id) : null,
+  };
+}
+
+/**
+ * Refund (part of) a captured transaction. Resolves to Paymob's refund
+ * transaction; throws on an API error or when Paymob reports no success.
+ */
+export async function refundTransaction({ transactionId, amountCents }) {
+  const token = await paymobAuthToken();
+  const { data } = await axios.post(
+    `${PAYMOB_BASE_URL}/acceptance/void_refund/refund`,
+    {
+      auth_token: token,
+      transaction_id: transactionId,
+      amount_cents: amountCents,
+    },
+    { timeout: TIMEOUT_MS }
+  );
+  if (String(data?.success) !== "true") {
+    throw new Error(data?.data?.message || "Paymob refund was not successful");
+  }
+  return data;
+}
+
+/**
+ * Void a transaction that hasn't settled yet (same day). Voids are always
+ * for the full amount.
+ */
+export async function voidTransaction({ transactionId }) {
+  const token = await paymobAuthToken();
+  const { data } = await axios.post(
+    `${PAYMOB_BASE_URL}/acceptance/void_refund/void`,
+    { transaction_id: transactionId },
+    { params: { token }, timeout: TIMEOUT_MS }
+  );
+  if (String(data?.success) !== "true") {
+    throw new Error(data?.data?.message || "Paymob void was not successful");
+  }
+  return data;
+}
+
+// Orders paid before pspPaymentId existed only have paymobTxnId
+const transactionOf = (order) =>
+  Number(order.pspPaymentId ?? order.paymobTxnId) || null;
+
+export async function refund({ order, amountCents }) {
+  const data = await refundTransaction({
+    transactionId: transactionOf(order),
+    amountCents,
+  });
+  return { id: data?.id ?? null };
+}
+
+export async function voidPayment({ order }) {
+  const data = await voidTransaction({ transactionId: transactionOf(order) });
+  return { id: data?.id ?? null };
+}
+
+export function canRefund(order) {
+  return !!transactionOf(order);
+}
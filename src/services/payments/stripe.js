@@ -0,0 +1,187 @@
+// src/services/payments/stripe.js
+// Stripe Checkout, for corporate clients abroad who can't pay through
+// Paymob. Talks to the REST API directly; STRIPE_BASE_URL lets tests point
+// it at a local fake.
+import axios from "axios";
+import crypto from "node:crypto";
+import {
+  STRIPE_SECRET_KEY,
+  STRIPE_WEBHOOK_SECRET,
+  STRIPE_BASE_URL,
+  CHECKOUT_RETURN_URL,
+} from "../../config/env.js";
+
+const TIMEOUT_MS = 15000;
+// Signed webhooks older than this are rejected (replay protection)
+const SIGNATURE_TOLERANCE_SEC = 5 * 60;
+
+export const name = "stripe";
+export const currencies = ["EGP", "USD", "EUR", "SAR"];
+
+export function missingConfig() {
+  return Object.entries({ STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET })
+    .filter(([, v]) => !v)
+    .map(([k]) => k);
+}
+
+async function stripePost(path, form, { idempotencyKey } = {}) {
+  const { data } = await axios.post(
+    `${STRIPE_BASE_URL}${path}`,
+    new URLSearchParams(form).toString(),
+    {
+      headers: {
+        Authorization: `Bearer ${STRIPE_SECRET_KEY}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+        ...(idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {}),
+      },
+      timeout: TIMEOUT_MS,
+    }
+  );
+  return data;
+}
+
+/**
+ * The Stripe-Signature header value for a raw body (what Stripe sends).
+ */
+export function stripeSignature(
+  rawBody,
+  timestamp = Math.floor(Date.now() / 1000)
+) {
+  const v1 = crypto
+    .createHmac("sha256", STRIPE_WEBHOOK_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+export function verifyStripeSignature(rawBody, header, now = Date.now()) {
+  const parts = String(header || "")
+    .split(",")
+    .map((p) => p.split("="));
+  const timestamp = Number(parts.find(([k]) => k === "t")?.[1]);
+  const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v);
+  if (!timestamp || !signatures.length || rawBody == null) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SEC) return false;
+
+  const expected = Buffer.from(
+    stripeSignature(rawBody, timestamp).split("v1=")[1]
+  );
+  return signatures.some((sig) => {
+    const given = Buffer.from(String(sig));
+    return (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    );
+  });
+}
+
+/**
+ * Open a hosted Checkout Session for the order. The order id rides along as
+ * client_reference_id and as payment metadata, so both the checkout and
+ * later refund events lead back to it.
+ * Returns { checkoutUrl, response }.
+ */
+export async function createCheckout({ order, pkg }) {
+  const back = (result) =>
+    `${CHECKOUT_RETURN_URL}?checkout=${result}&order=${encodeURIComponent(order.id)}`;
+
+  const session = await stripePost(
+    "/checkout/sessions",
+    {
+      mode: "payment",
+      client_reference_id: order.id,
+      "metadata[orderId]": order.id,
+      "payment_intent_data[metadata][orderId]": order.id,
+      "line_items[0][quantity]": "1",
+      "line_items[0][price_data][currency]": order.currency.toLowerCase(),
+      "line_items[0][price_data][unit_amount]": String(order.amountCents),
+      "line_items[0][price_data][product_data][name]":
+        pkg?.title || "Speexify package",
+      success_url: back("success"),
+      cancel_url: back("canceled"),
+      ...(order.customerEmail ? { customer_email: order.customerEmail } : {}),
+    },
+    { idempotencyKey: `checkout:${order.id}` }
+  );
+
+  return { checkoutUrl: session.url, response: { checkoutId: session.id } };
+}
+
+/**
+ * The event a Stripe webhook reports, or null when its signature doesn't
+ * check out. Needs the raw request body (req.rawBody), since the signature
+ * covers the exact bytes Stripe sent.
+ */
+export function parseWebhook(req) {
+  const raw = req.rawBody?.toString("utf8");
+  if (!verifyStripeSignature(raw, req.get?.("stripe-signature"))) return null;
+
+  const event = req.body || {};
+  const obj = event.data?.object || {};
+
+  switch (event.type) {
+    case "checkout.session.completed":
+    case "checkout.session.async_payment_succeeded":
+    case "checkout.session.async_payment_failed":
+    case "checkout.session.expired": {
+      const orderId = obj.client_reference_id || obj.metadata?.orderId;
+      if (!orderId) return { kind: "ignored", reason: "missing order id" };
+      // Delayed methods (bank debits) complete unpaid and settle later
+      if (obj.payment_status === "unpaid" && event.type.endsWith("completed")) {
+        return { kind: "ignored", orderId };
+      }
+      return {
+        kind: "payment",
+        orderId,
+        success:
+          event.type !== "checkout.session.expired" &&
+          event.type !== "checkout.session.async_payment_failed",
+        amountCents: Number(obj.amount_total),
+        currency: obj.currency,
+        paymentId: obj.payment_intent || null,
+      };
+    }
+    case "charge.refunded": {
+      const orderId = obj.metadata?.orderId;
+      if (!orderId) return { kind: "ignored", reason: "missing order id" };
+      const total = Number(obj.amount_refunded || 0);
+      return {
+        kind: "refund",
+        orderId,
+        voided: false,
+        refundedTotalCents: total,
+        pspRefundId: `${obj.id}:refunded:${total}`,
+      };
+    }
+    default:
+      return { kind: "ignored", type: event.type };
+  }
+}
+
+/**
+ * Refund `amountCents` of the order's payment. Resolves to { id }, the key
+ * the refund is recorded under: the same one its charge.refunded webhook
+ * carries (the charge and its running refunded total), so whichever of the
+ * two is applied first, the other is a no-op.
+ */
+export async function refund({ order, amountCents }) {
+  const data = await stripePost(
+    "/refunds",
+    {
+      payment_intent: order.pspPaymentId,
+      amount: String(amountCents),
+      "metadata[orderId]": order.id,
+    },
+    // The same admin refund retried must not refund twice
+    {
+      idempotencyKey: `refund:${order.id}:${order.refundedCents}:${amountCents}`,
+    }
+  );
+  return {
+    id: `${data.charge}:refunded:${order.refundedCents + amountCents}`,
+  };
+}
+
+export function canRefund(order) {
+  return !!order.pspPaymentId;
+}
@@ -0,0 +1,66 @@
+// src/services/payments/stub.js
+// A local stand-in provider for development and tests (PAYMENTS_STUB=true,
+// never in production). Checkouts are "completed" by posting a plain JSON
+// webhook; saved-card charges succeed unless the token contains "fail".
+import crypto from "node:crypto";
+import { PAYMENTS_STUB, CHECKOUT_RETURN_URL } from "../../config/env.js";
+
+export const name = "stub";
+export const currencies = ["EGP", "USD", "EUR", "SAR"];
+// Not a real PSP: no startup warning when it's off
+export const devOnly = true;
+
+export function missingConfig() {
+  return PAYMENTS_STUB ? [] : ["PAYMENTS_STUB"];
+}
+
+export async function createCheckout({ order }) {
+  return {
+    checkoutUrl: `${CHECKOUT_RETURN_URL}?checkout=stub&order=${encodeURIComponent(order.id)}`,
+  };
+}
+
+/**
+ * Body: { orderId, amountCents, currency, success = true, cardToken? }
+ * Like a real PSP, it reports what was charged; the order checks it.
+ */
+export function parseWebhook(req) {
+  if (!PAYMENTS_STUB) return null;
+  const body = req.body || {};
+  if (!body.orderId) return { kind: "ignored", reason: "missing orderId" };
+
+  return {
+    kind: "payment",
+    orderId: String(body.orderId),
+    success: body.success !== false,
+    amountCents: Number(body.amountCents),
+    currency: body.currency,
+    paymentId: `stub_${crypto.randomBytes(6).toString("hex")}`,
+    cardToken: body.cardToken || null,
+    cardLast4: body.cardToken ? "4242" : null,
+  };
+}
+
+/**
+ * Charges right away and hands back the event a webhook would carry.
+ */
+export async function chargeSavedCard({ order, token }) {
+  return {
+    event: {
+      kind: "payment",
+      orderId: order.id,
+      success: !String(token).includes("fail"),
+      amountCents: order.amountCents,
+      currency: order.currency,
+      paymentId: `stub_${crypto.randomBytes(6).toString("hex")}`,
+    },
+  };
+}
+
+export async function refund() {
+  return { id: `stub_refund_${crypto.randomBytes(6).toString("hex")}` };
+}
+
+export function canRefund(order) {
+  return !!order.pspPaymentId;
+}
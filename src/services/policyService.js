@@ -0,0 +1,180 @@
+// src/services/policyService.js
+import { prisma } from "../lib/prisma.js";
+import { getSessionCharge } from "./creditsService.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Used when no SessionPolicy row applies (matches the original hard-coded
+// terms: full refund 12h ahead, otherwise the credit is kept)
+export const FALLBACK_POLICY = {
+  id: null,
+  name: "Standard",
+  refundWindowHours: 12,
+  lateCancelFeeCredits: 1,
+  noShowFeeCredits: 1,
+  rescheduleNoticeHours: 12,
+  maxReschedules: 2,
+  rescheduleRequiresApproval: false,
+};
+
+/**
+ * Decide what a cancellation costs the learner.
+ *   actor: "learner" | "teacher" | "admin"
+ * Admin and teacher cancels never cost the learner anything.
+ * Returns { rule, feeCredits, explanation }; feeCredits is what the session
+ * should end up charged (0 = full refund).
+ */
+export function evaluateCancellation(policy, { actor, startAt, now }) {
+  const hoursBefore = (new Date(startAt) - new Date(now)) / HOUR_MS;
+
+  if (actor === "admin") {
+    return {
+      rule: "admin_cancel",
+      feeCredits: 0,
+      explanation: "Canceled by an admin; the credit is refunded.",
+    };
+  }
+
+  if (actor === "teacher") {
+    return {
+      rule: "teacher_cancel",
+      feeCredits: 0,
+      explanation: "Canceled by the teacher; the credit is always refunded.",
+    };
+  }
+
+  if (hoursBefore >= policy.refundWindowHours) {
+    return {
+      rule: "within_refund_window",
+      feeCredits: 0,
+      explanation: `Canceled at least ${policy.refundWindowHours}h before the start; the credit is refunded.`,
+    };
+  }
+
+  const fee = policy.lateCancelFeeCredits;
+  const late = `Canceled less than ${policy.refundWindowHours}h before the start`;
+  let explanation = `${late}; no fee under this policy.`;
+  if (fee >= 1) explanation = `${late}; the credit is not refunded.`;
+  else if (fee > 0)
+    explanation = `${late}; a late fee of ${fee} credit applies.`;
+
+  return { rule: "late_cancel", feeCredits: fee, explanation };
+}
+
+/**
+ * What a no-show costs. `party` is who didn't turn up.
+ */
+export function evaluateNoShow(policy, { party }) {
+  if (party === "teacher") {
+    return {
+      rule: "teacher_no_show",
+      feeCredits: 0,
+      explanation: "The teacher didn't attend; the credit is refunded.",
+    };
+  }
+  return {
+    rule: "learner_no_show",
+    feeCredits: policy.noShowFeeCredits,
+    explanation:
+      policy.noShowFeeCredits > 0
+        ? `The learner didn't attend; ${policy.noShowFeeCredits} credit is charged.`
+        : "The learner didn't attend; no charge under this policy.",
+  };
+}
+
+/**
+ * May `actor` move this session now? Completed, canceled and no-show sessions
+ * never move; admins skip the notice, start and count limits.
+ * Returns { ok, rule, explanation }.
+ */
+export function evaluateReschedule(policy, { actor, session, now }) {
+  if (session.status !== "scheduled") {
+    return {
+      ok: false,
+      rule: "not_scheduled",
+      explanation: `A ${session.status} session can't be rescheduled.`,
+    };
+  }
+
+  if (actor === "admin") {
+    return {
+      ok: true,
+      rule: "admin_reschedule",
+      explanation: "Rescheduled by an admin; policy limits don't apply.",
+    };
+  }
+
+  const hoursBefore = (new Date(session.startAt) - new Date(now)) / HOUR_MS;
+  if (hoursBefore <= 0) {
+    return {
+      ok: false,
+      rule: "already_started",
+      explanation: "The session has already started.",
+    };
+  }
+  if (hoursBefore < policy.rescheduleNoticeHours) {
+    return {
+      ok: false,
+      rule: "too_late",
+      explanation: `Sessions can only be moved at least ${policy.rescheduleNoticeHours}h before the start.`,
+    };
+  }
+  if ((session.rescheduleCount ?? 0) >= policy.maxReschedules) {
+    return {
+      ok: false,
+      rule: "limit_reached",
+      explanation: `This session has already been rescheduled the maximum of ${policy.maxReschedules} times.`,
+    };
+  }
+
+  return {
+    ok: true,
+    rule: "allowed",
+    explanation: `Rescheduled at least ${policy.rescheduleNoticeHours}h ahead.`,
+  };
+}
+
+/**
+ * Pick the policy for a session from the pack that paid for it (or, when it
+ * hasn't been charged, the learner's newest active pack): package-specific,
+ * then the package's audience, then the default.
+ */
+export async function getPolicyForSession(session, db = prisma) {
+  const { charge } = await getSessionCharge(session.id, db);
+
+  const pack = charge
+    ? await db.userPackage.findUnique({
+        where: { id: charge.userPackageId },
+        select: { packageId: true },
+      })
+    : await db.userPackage.findFirst({
+        where: { userId: session.userId, status: "active" },
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        select: { packageId: true },
+      });
+
+  if (pack?.packageId) {
+    const byPackage = await db.sessionPolicy.findUnique({
+      where: { packageId: pack.packageId },
+    });
+    if (byPackage) return byPackage;
+
+    const pkg = await db.package.findUnique({
+      where: { id: pack.packageId },
+      select: { audience: true },
+    });
+    if (pkg) {
+      const byAudience = await db.sessionPolicy.findFirst({
+        where: { audience: pkg.audience, packageId: null },
+        orderBy: { id: "asc" },
+      });
+      if (byAudience) return byAudience;
+    }
+  }
+
+  const fallback = await db.sessionPolicy.findFirst({
+    where: { isDefault: true },
+    orderBy: { id: "asc" },
+  });
+  return fallback || FALLBACK_POLICY;
+}
@@ -0,0 +1,160 @@
+// src/services/pricingService.js
+// What a package costs at checkout. Prices always come from the database;
+// nothing the client sends decides the amount charged.
+import crypto from "node:crypto";
+import { prisma } from "../lib/prisma.js";
+import { findCoupon, couponUsage, evaluateCoupon } from "./couponService.js";
+
+export const SUPPORTED_CURRENCIES = ["EGP", "USD", "EUR", "SAR"];
+export const BASE_CURRENCY = "USD";
+
+/**
+ * Upper-cased currency code, or null if we don't sell in it.
+ */
+export function normalizeCurrency(currency) {
+  const cur = String(currency || "")
+    .trim()
+    .toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(cur) ? cur : null;
+}
+
+/**
+ * A whole-dollar USD amount in `currency`, in cents. `listCents` (the
+ * package's own price in that currency) wins; otherwise the USD amount is
+ * converted at `fxRates[currency]` (units per USD) and rounded to a whole
+ * unit. Returns { amountCents, currency, source } or null when neither
+ * is known.
+ */
+export function localizeAmount(
+  usd,
+  currency,
+  { listCents, fxRates = {} } = {}
+) {
+  if (listCents > 0) {
+    return { amountCents: listCents, currency, source: "list" };
+  }
+  if (!(usd > 0)) return null;
+  if (currency === BASE_CURRENCY) {
+    return { amountCents: Math.round(usd * 100), currency, source: "base" };
+  }
+  const rate = Number(fxRates[currency]);
+  if (!(rate > 0)) return null;
+  return {
+    amountCents: Math.round(usd * rate) * 100,
+    currency,
+    source: "fx",
+  };
+}
+
+function listPrice(pkg, currency) {
+  return (pkg.prices || []).find((p) => p.currency === currency)?.amountCents;
+}
+
+/**
+ * Checkout price of a package (with its `prices` loaded) in `currency`.
+ * Returns { amountCents, currency, source } or { error } when it can't be
+ * bought online (inactive, custom-quoted, unpriced, or an unsupported
+ * currency).
+ */
+export function priceForPackage(pkg, currency = BASE_CURRENCY, fxRates = {}) {
+  const cur = normalizeCurrency(currency);
+  if (!cur) return { error: `Unsupported currency: ${currency}` };
+  if (!pkg || !pkg.active) return { error: "Package not available" };
+  if (pkg.priceType === "CUSTOM") {
+    return { error: "This package is priced on request" };
+  }
+
+  const price = localizeAmount(pkg.priceUSD, cur, {
+    listCents: listPrice(pkg, cur),
+    fxRates,
+  });
+  if (!price) {
+    return pkg.priceUSD > 0 || pkg.prices?.length
+      ? { error: `This package has no price in ${cur}` }
+      : { error: "This package is priced on request" };
+  }
+  return price;
+}
+
+/**
+ * The prices shown for a package in `currency`: `price` for bundles and
+ * per-session packages, `startingAt` (converted only) for custom ones.
+ */
+export function localizePackage(pkg, currency, fxRates = {}) {
+  const price =
+    pkg.priceType === "CUSTOM"
+      ? null
+      : localizeAmount(pkg.priceUSD, currency, {
+          listCents: listPrice(pkg, currency),
+          fxRates,
+        });
+  const startingAt = localizeAmount(pkg.startingAtUSD, currency, { fxRates });
+  return { price, startingAt };
+}
+
+/**
+ * Current FX rates as { [currency]: unitsPerUSD }.
+ */
+export async function loadFxRates() {
+  const rows = await prisma.fxRate.findMany();
+  return Object.fromEntries(rows.map((r) => [r.currency, r.perUSD]));
+}
+
+/**
+ * What `userId` would pay for a package in `currency`, with an optional
+ * coupon. Returns { pkg, price, coupon, discountCents, amountCents } or
+ * { error: { status, body } }.
+ */
+export async function quoteCheckout({
+  packageId,
+  currency = BASE_CURRENCY,
+  couponCode = null,
+  userId,
+  now = new Date(),
+}) {
+  const fail = (status, message) => ({
+    error: { status, body: { ok: false, message } },
+  });
+
+  const [pkg, fxRates] = await Promise.all([
+    prisma.package.findUnique({
+      where: { id: packageId },
+      include: { prices: true },
+    }),
+    loadFxRates(),
+  ]);
+  if (!pkg) return fail(404, "Package not found");
+
+  const price = priceForPackage(pkg, currency, fxRates);
+  if (price.error) return fail(400, price.error);
+
+  if (!couponCode) {
+    return {
+      pkg,
+      price,
+      coupon: null,
+      discountCents: 0,
+      amountCents: price.amountCents,
+    };
+  }
+
+  const coupon = await findCoupon(couponCode);
+  if (!coupon) return fail(404, "This code isn't valid");
+
+  const usage = await couponUsage(coupon.id, userId, now);
+  const r = evaluateCoupon(coupon, { pkg, price, usage, now });
+  if (!r.ok) return fail(400, r.error);
+
+  return {
+    pkg,
+    price,
+    coupon,
+    discountCents: r.discountCents,
+    amountCents: r.amountCents,
+  };
+}
+
+// Unguessable, server-generated merchant order id
+export function newOrderId() {
+  return `ord_${Date.now().toString(36)}_${crypto.randomBytes(6).toString("hex")}`;
+}
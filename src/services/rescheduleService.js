@@ -0,0 +1,251 @@
+// src/services/rescheduleService.js
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { findSessionConflicts } from "./sessionsService.js";
+import { lockUsers } from "./bookingService.js";
+import { isWithinAvailability } from "./availabilityService.js";
+import { sendEmail, escapeHtml, formatInTimeZone } from "./emailService.js";
+
+const PARTY_SELECT = { id: true, email: true, name: true, timezone: true };
+
+/**
+ * Parse { startAt, endAt? } for moving `session`. Without endAt the session
+ * keeps its current length. Returns { startAt, endAt } or { error }.
+ */
+export function parseNewTime(session, body, now = new Date()) {
+  const startAt = new Date(String(body?.startAt ?? ""));
+  if (!body?.startAt || Number.isNaN(startAt.getTime()))
+    return { error: "startAt must be a valid ISO datetime" };
+  if (startAt <= now) return { error: "startAt must be in the future" };
+
+  let endAt = null;
+  if (body.endAt) {
+    endAt = new Date(String(body.endAt));
+    if (Number.isNaN(endAt.getTime()))
+      return { error: "endAt must be a valid ISO datetime" };
+  } else if (session.endAt) {
+    const lengthMs = new Date(session.endAt) - new Date(session.startAt);
+    endAt = new Date(startAt.getTime() + lengthMs);
+  }
+  if (endAt && endAt <= startAt)
+    return { error: "endAt must be after startAt" };
+
+  return { startAt, endAt };
+}
+
+/**
+ * Is the new slot free for both participants (and, when asked, inside the
+ * teacher's availability)? Returns null or { status, body } for the response.
+ */
+export async function checkNewSlot(
+  session,
+  { startAt, endAt },
+  { checkAvailability = false } = {}
+) {
+  if (
+    checkAvailability &&
+    session.teacherId &&
+    endAt &&
+    !(await isWithinAvailability(session.teacherId, startAt, endAt))
+  ) {
+    return {
+      status: 409,
+      body: { error: "Teacher is not available at that time" },
+    };
+  }
+
+  const conflicts = await findSessionConflicts({
+    startAt,
+    endAt,
+    userId: session.userId,
+    teacherId: session.teacherId,
+    excludeId: session.id,
+  });
+  if (conflicts.length) {
+    return { status: 409, body: { error: "Time conflict", conflicts } };
+  }
+  return null;
+}
+
+// Thrown inside the transaction so the request update rolls back too
+class MoveConflict extends Error {
+  constructor(error) {
+    super("move_conflict");
+    this.error = error;
+  }
+}
+
+const ALREADY_CHANGED = {
+  status: 409,
+  body: { error: "Session was already changed" },
+};
+
+/**
+ * Move a scheduled session. Holding locks on both participants, the new slot
+ * is checked for conflicts again, since another booking or move may have
+ * taken it after checkNewSlot. Guarded on the start time and reschedule
+ * count we read, so a concurrent move (or a cancel) fails rather than
+ * overwrite it. Reminders are re-armed for the new time; other pending
+ * proposals for the session are superseded. Pass `requestId` to mark that
+ * proposal accepted in the same transaction.
+ * Returns { session } or { error: { status, body } }.
+ */
+export async function moveSession(
+  session,
+  { startAt, endAt, requestId = null, respondedById = null }
+) {
+  return prisma
+    .$transaction(async (tx) => {
+      if (requestId) {
+        const { count } = await tx.rescheduleRequest.updateMany({
+          where: { id: requestId, status: "pending" },
+          data: { status: "accepted", respondedById, respondedAt: new Date() },
+        });
+        if (!count) return { error: ALREADY_CHANGED };
+      }
+
+      await lockUsers(tx, [session.userId, session.teacherId]);
+      const conflicts = await findSessionConflicts(
+        {
+          startAt,
+          endAt,
+          userId: session.userId,
+          teacherId: session.teacherId,
+          excludeId: session.id,
+        },
+        tx
+      );
+      if (conflicts.length) {
+        throw new MoveConflict({
+          status: 409,
+          body: { error: "Time conflict", conflicts },
+        });
+      }
+
+      const { count } = await tx.session.updateMany({
+        where: {
+          id: session.id,
+          status: "scheduled",
+          startAt: session.startAt,
+          rescheduleCount: session.rescheduleCount,
+        },
+        data: {
+          startAt,
+          endAt,
+          rescheduleCount: { increment: 1 },
+          reminder24hSentAt: null,
+          reminder1hSentAt: null,
+        },
+      });
+      if (!count) throw new MoveConflict(ALREADY_CHANGED);
+
+      await tx.rescheduleRequest.updateMany({
+        where: {
+          sessionId: session.id,
+          status: "pending",
+          ...(requestId ? { id: { not: requestId } } : {}),
+        },
+        data: { status: "superseded" },
+      });
+
+      return {
+        session: await tx.session.findUnique({ where: { id: session.id } }),
+      };
+    })
+    .catch((e) => {
+      if (e instanceof MoveConflict) return { error: e.error };
+      throw e;
+    });
+}
+
+/* ========================================================================== */
+/*                                   EMAILS                                   */
+/* ========================================================================== */
+
+/**
+ * kind: "moved" | "proposed" | "declined"
+ * `recipient` gets times in their own timezone.
+ */
+export function rescheduleEmail(
+  kind,
+  { recipient, session, previousStartAt, proposedStartAt, actorName }
+) {
+  const title = session.title || "Session";
+  const tz = recipient?.timezone || "UTC";
+  const fmt = (d) => `${formatInTimeZone(d, tz)} (${tz})`;
+  const by = actorName || "Someone";
+
+  let subject;
+  let body;
+  if (kind === "moved") {
+    subject = `Rescheduled: ${title} – ${formatInTimeZone(session.startAt, tz)}`;
+    body = [
+      `<p>${escapeHtml(by)} moved <strong>${escapeHtml(title)}</strong>.</p>`,
+      previousStartAt ? `<p>Was: ${escapeHtml(fmt(previousStartAt))}</p>` : "",
+      `<p>Now: <strong>${escapeHtml(fmt(session.startAt))}</strong></p>`,
+    ];
+  } else if (kind === "proposed") {
+    subject = `New time proposed: ${title}`;
+    body = [
+      `<p>${escapeHtml(by)} proposed a new time for <strong>${escapeHtml(title)}</strong>.</p>`,
+      `<p>Currently: ${escapeHtml(fmt(session.startAt))}</p>`,
+      `<p>Proposed: <strong>${escapeHtml(fmt(proposedStartAt))}</strong></p>`,
+      `<p>Open your dashboard to accept or decline.</p>`,
+    ];
+  } else {
+    subject = `New time declined: ${title}`;
+    body = [
+      `<p>${escapeHtml(by)} declined moving <strong>${escapeHtml(title)}</strong> to ${escapeHtml(fmt(proposedStartAt))}.</p>`,
+      `<p>The session stays at ${escapeHtml(fmt(session.startAt))}.</p>`,
+    ];
+  }
+
+  const html = [
+    `<p>Hi ${escapeHtml(recipient?.name || "there")},</p>`,
+    ...body,
+    `<p>— Speexify</p>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return { subject, html };
+}
+
+/**
+ * Email `kind` to the given participants ("learner", "teacher"). Failures are
+ * logged, never thrown: the change itself has already been saved.
+ */
+export async function notifyReschedule(kind, sessionId, parties, details) {
+  try {
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId },
+      include: {
+        user: { select: PARTY_SELECT },
+        teacher: { select: PARTY_SELECT },
+      },
+    });
+    if (!session) return;
+
+    const recipients = parties
+      .map((p) => (p === "learner" ? session.user : session.teacher))
+      .filter((u) => u?.email);
+
+    for (const recipient of recipients) {
+      const { subject, html } = rescheduleEmail(kind, {
+        ...details,
+        recipient,
+        session,
+      });
+      try {
+        await sendEmail(recipient.email, subject, html);
+      } catch (err) {
+        logger.error(
+          { err, sessionId, kind, to: recipient.id },
+          "[reschedule] email failed"
+        );
+      }
+    }
+  } catch (err) {
+    logger.error({ err, sessionId, kind }, "[reschedule] notify failed");
+  }
+}
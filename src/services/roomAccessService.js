@@ -0,0 +1,91 @@
+// src/services/roomAccessService.js
+// Who may join a lesson's signaling rooms (/ws/prep, /ws/classroom). A room
+// belongs to the Session whose id it starts with ("42", "42-screen"), and
+// only that session's learner, its teacher or an admin get in.
+import crypto from "crypto";
+import { prisma } from "../lib/prisma.js";
+import { SESSION_SECRET } from "../config/env.js";
+
+// Long enough to open the socket, short enough that a leaked link is useless
+export const JOIN_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const ROOM_SESSION_RE = /^(\d+)(?:[-_]|$)/;
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", SESSION_SECRET)
+    .update(`join:${payload}`)
+    .digest("base64url");
+}
+
+/**
+ * A token that lets `userId` open a signaling socket for `sessionId` until
+ * it expires: "<sessionId>.<userId>.<expiresMs>.<signature>".
+ */
+export function signJoinToken({ sessionId, userId }, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + JOIN_TOKEN_TTL_MS);
+  const payload = `${Number(sessionId)}.${Number(userId)}.${expiresAt.getTime()}`;
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// { sessionId, userId } for a valid, unexpired token; otherwise null
+export function verifyJoinToken(token, now = new Date()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 4) return null;
+
+  const payload = parts.slice(0, 3).join(".");
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(parts[3]);
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return null;
+  }
+
+  const [sessionId, userId, expiresMs] = parts.slice(0, 3).map(Number);
+  if (!(expiresMs > now.getTime())) return null;
+  return { sessionId, userId };
+}
+
+// The Session a room belongs to, or null for a room that isn't a lesson's
+export function sessionIdFromRoom(roomId) {
+  const m = ROOM_SESSION_RE.exec(String(roomId || ""));
+  return m ? Number(m[1]) : null;
+}
+
+export function canJoinSession(user, session) {
+  return (
+    !!user &&
+    !!session &&
+    (user.role === "admin" ||
+      session.userId === user.id ||
+      session.teacherId === user.id)
+  );
+}
+
+// The signed-in user behind a socket; null when missing or disabled
+export async function loadRoomUser(userId) {
+  if (!Number.isInteger(Number(userId))) return null;
+  const user = await prisma.user.findUnique({
+    where: { id: Number(userId) },
+    select: { id: true, role: true, isDisabled: true },
+  });
+  return user && !user.isDisabled ? user : null;
+}
+
+/**
+ * May `user` join `roomId`? A socket opened with a join token
+ * (`boundSessionId`) is limited to that session's rooms.
+ */
+export async function canJoinRoom(user, roomId, boundSessionId = null) {
+  const sessionId = sessionIdFromRoom(roomId);
+  if (!sessionId) return false;
+  if (boundSessionId && boundSessionId !== sessionId) return false;
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { userId: true, teacherId: true },
+  });
+  return canJoinSession(user, session);
+}
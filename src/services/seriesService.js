@@ -0,0 +1,86 @@
+// src/services/seriesService.js
+import { addDays, getZonedParts, zonedTimeToUtc } from "../lib/timezone.js";
+import { findSessionConflicts } from "./sessionsService.js";
+
+const MIN_MS = 60 * 1000;
+
+// "YYYY-MM-DD" -> { year, month, day, weekday } (null when malformed)
+export function parseLocalDate(value) {
+  const m = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!m) return null;
+  const d = addDays({ year: +m[1], month: +m[2], day: +m[3] }, 0);
+  // Reject rollovers like 2025-02-31
+  if (d.month !== +m[2] || d.day !== +m[3]) return null;
+  return d;
+}
+
+export function formatLocalDate({ year, month, day }) {
+  return [
+    String(year),
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+}
+
+// Local calendar date of an instant in `timeZone`, as "YYYY-MM-DD"
+export function localDateOf(date, timeZone) {
+  return formatLocalDate(getZonedParts(date, timeZone));
+}
+
+/**
+ * Expand a series template into concrete occurrences.
+ * Walks `weeks * 7` local days from `startDate` and keeps the listed weekdays,
+ * so "18:00" stays 18:00 local time across DST changes.
+ */
+export function generateOccurrences({
+  startDate,
+  weekdays,
+  startMin,
+  durationMin,
+  weeks,
+  timezone,
+}) {
+  const first = parseLocalDate(startDate);
+  if (!first) return [];
+
+  const wanted = new Set(weekdays.map(Number));
+  const occurrences = [];
+
+  for (let i = 0; i < weeks * 7; i++) {
+    const day = addDays(first, i);
+    if (!wanted.has(day.weekday)) continue;
+
+    const startAt = zonedTimeToUtc({ ...day, minutes: startMin }, timezone);
+    occurrences.push({
+      date: formatLocalDate(day),
+      startAt,
+      endAt: new Date(startAt.getTime() + durationMin * MIN_MS),
+    });
+  }
+  return occurrences;
+}
+
+/**
+ * Run findSessionConflicts for every occurrence.
+ * Returns [{ date, startAt, endAt, conflicts }] for the ones that clash.
+ */
+export async function findOccurrenceClashes(
+  occurrences,
+  { userId, teacherId, excludeIds = [] }
+) {
+  const clashes = [];
+  for (const occ of occurrences) {
+    const conflicts = (
+      await findSessionConflicts({
+        startAt: occ.startAt,
+        endAt: occ.endAt,
+        userId,
+        teacherId,
+        excludeId: occ.sessionId,
+      })
+    ).filter((c) => !excludeIds.includes(c.id));
+
+    if (conflicts.length) clashes.push({ ...occ, conflicts });
+  }
+  return clashes;
+}
@@ -1,6 +1,13 @@
 // src/services/sessionsService.js
 import { prisma } from "../lib/prisma.js";
 import { logger } from "../lib/logger.js";
+import {
+  chargeSessionCredit,
+  refundSessionCredit,
+  settleSessionCredit,
+} from "./creditsService.js";
+import { getPolicyForSession, evaluateNoShow } from "./policyService.js";
+import { attendanceOutcome, presentUserIds } from "./attendanceService.js";
 
 // Re-used in many places to check time overlaps
 export function overlapsFilter(startAt, endAt) {
@@ -12,13 +19,10 @@ export function overlapsFilter(startAt, endAt) {
 }
 
 // Find conflicting sessions for learner / teacher
-export async function findSessionConflicts({
-  startAt,
-  endAt,
-  userId,
-  teacherId,
-  excludeId,
-}) {
+export async function findSessionConflicts(
+  { startAt, endAt, userId, teacherId, excludeId },
+  db = prisma
+) {
   const whereCommon = {
     status: { not: "canceled" },
     ...(excludeId ? { id: { not: excludeId } } : {}),
@@ -30,7 +34,7 @@ export async function findSessionConflicts({
   if (teacherId) clauses.push({ ...whereCommon, teacherId });
   if (!clauses.length) return [];
 
-  return prisma.session.findMany({
+  return db.session.findMany({
     where: { OR: clauses },
     select: {
       id: true,
@@ -45,154 +49,176 @@ export async function findSessionConflicts({
   });
 }
 
-// How many total remaining credits does a user have right now?
-export async function getRemainingCredits(userId) {
-  const packs = await prisma.userPackage.findMany({
-    where: {
-      userId: Number(userId),
-      status: "active",
-      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
-    },
-    select: { sessionsTotal: true, sessionsUsed: true },
-  });
-  return packs.reduce(
-    (sum, p) =>
-      sum + Math.max(0, Number(p.sessionsTotal) - Number(p.sessionsUsed || 0)),
-    0
-  );
-}
-
-// Take 1 credit from the newest active pack that still has remaining credits.
-export async function consumeOneCredit(userId) {
-  const pack = await prisma.userPackage.findFirst({
-    where: {
-      userId: Number(userId),
-      status: "active",
-      OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
-      sessionsUsed: { lt: prisma.userPackage.fields.sessionsTotal },
-    },
-    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
-  });
-
-  if (!pack) return { ok: false };
-
-  const updated = await prisma.userPackage.update({
-    where: { id: pack.id },
-    data: { sessionsUsed: { increment: 1 } },
-  });
-
-  return {
-    ok: true,
-    packId: pack.id,
-    remaining: updated.sessionsTotal - updated.sessionsUsed,
-  };
-}
-
-// Give back 1 credit to the newest pack that has at least 1 used.
-export async function refundOneCredit(userId) {
-  const pack = await prisma.userPackage.findFirst({
-    where: {
-      userId: Number(userId),
-      status: "active",
-      sessionsUsed: { gt: 0 },
-    },
-    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
-  });
-
-  if (!pack) return { ok: false };
+/**
+ * Change a session's status and apply its credit movement in one
+ * transaction. The status update is a compare-and-set on `from` (a status
+ * or a Prisma status filter), so when two requests race only one gets
+ * `changed: true`, and only that one charges or refunds.
+ *   credit: "charge" | "refund" | "settle" (to `settleTo` credits) | null
+ */
+export async function transitionSession(
+  sessionId,
+  {
+    from,
+    to,
+    data = {},
+    credit = null,
+    reason,
+    refundOnlyReason,
+    settleTo,
+    actorId = null,
+    meta,
+    include,
+  }
+) {
+  const id = Number(sessionId);
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.session.updateMany({
+      where: { id, status: from },
+      data: { ...data, status: to },
+    });
+    if (!count) return { changed: false };
+
+    const session = await tx.session.findUnique({
+      where: { id },
+      ...(include ? { include } : {}),
+    });
+
+    let creditResult = null;
+    if (credit === "charge") {
+      creditResult = await chargeSessionCredit(id, {
+        userId: session.userId,
+        reason,
+        actorId,
+        db: tx,
+      });
+    } else if (credit === "refund") {
+      creditResult = await refundSessionCredit(id, {
+        reason,
+        onlyReason: refundOnlyReason,
+        actorId,
+        db: tx,
+      });
+    } else if (credit === "settle") {
+      creditResult = await settleSessionCredit(id, settleTo, {
+        userId: session.userId,
+        reason,
+        actorId,
+        meta,
+        db: tx,
+      });
+    }
 
-  const updated = await prisma.userPackage.update({
-    where: { id: pack.id },
-    data: { sessionsUsed: { decrement: 1 } },
+    return { changed: true, session, credit: creditResult };
   });
-
-  return {
-    ok: true,
-    packId: pack.id,
-    remaining: updated.sessionsTotal - updated.sessionsUsed,
-  };
 }
 
-// Auto-mark ended sessions as completed (lazy finalization) for a learner
+// Settle ended sessions from their attendance (run by the
+// "finalize-sessions" job, see src/jobs): completed and charged when both
+// sides came, a no-show under the session's policy when only one did.
+// Sessions nobody joined in the app are completed as before, since they
+// may have run on an external joinUrl.
 const COMPLETION_GRACE_MIN = 2;
 
-export async function finalizeExpiredSessionsForUser(userId) {
+export async function finalizeExpiredSessions(where = {}) {
   const cutoff = new Date(Date.now() - COMPLETION_GRACE_MIN * 60 * 1000);
 
   const toFinalize = await prisma.session.findMany({
     where: {
-      userId: Number(userId),
-      status: { not: "canceled" },
-      NOT: { status: "completed" },
+      ...where,
+      status: "scheduled",
       OR: [
         { endAt: { lt: cutoff } },
         { AND: [{ endAt: null }, { startAt: { lt: cutoff } }] },
       ],
     },
-    select: { id: true, userId: true },
+    select: {
+      id: true,
+      userId: true,
+      teacherId: true,
+      startAt: true,
+      endAt: true,
+    },
     orderBy: { startAt: "asc" },
   });
 
+  const attendance = await prisma.sessionAttendance.findMany({
+    where: { sessionId: { in: toFinalize.map((s) => s.id) } },
+  });
+  const now = new Date();
+
+  let completed = 0;
+  let unattended = 0;
+  let noShows = 0;
+  let uncharged = 0;
+  let failed = 0;
+
   for (const s of toFinalize) {
     try {
-      await prisma.session.update({
-        where: { id: s.id },
-        data: { status: "completed" },
-      });
-      try {
-        await consumeOneCredit(s.userId);
-      } catch (e) {
-        logger.error(
-          { err: e, sessionId: s.id },
-          "[finalize] credit consume failed for session"
-        );
-      }
-    } catch (e) {
-      logger.error(
-        { err: e, sessionId: s.id },
-        "[finalize] update failed for session"
+      const outcome = attendanceOutcome(
+        s,
+        presentUserIds(
+          s,
+          attendance.filter((a) => a.sessionId === s.id),
+          now
+        )
       );
-    }
-  }
-}
 
-// Same idea, but for teacher views
-export async function finalizeExpiredSessionsForTeacher(teacherId) {
-  const cutoff = new Date(Date.now() - COMPLETION_GRACE_MIN * 60 * 1000);
-
-  const toFinalize = await prisma.session.findMany({
-    where: {
-      teacherId: Number(teacherId),
-      status: { not: "canceled" },
-      NOT: { status: "completed" },
-      OR: [
-        { endAt: { lt: cutoff } },
-        { AND: [{ endAt: null }, { startAt: { lt: cutoff } }] },
-      ],
-    },
-    select: { id: true, userId: true },
-    orderBy: { startAt: "asc" },
-  });
+      if (outcome === "completed" || outcome === "no_attendance") {
+        // Booked sessions already hold their credit; the charge is a no-op
+        const r = await transitionSession(s.id, {
+          from: "scheduled",
+          to: "completed",
+          credit: "charge",
+          reason: "completion",
+        });
+        if (!r.changed) continue;
+        completed += 1;
+        if (outcome === "no_attendance") unattended += 1;
+        if (!r.credit.ok) {
+          uncharged += 1;
+          logger.warn(
+            { sessionId: s.id },
+            "[finalize] no credit to charge for session"
+          );
+        }
+        continue;
+      }
 
-  for (const s of toFinalize) {
-    try {
-      await prisma.session.update({
-        where: { id: s.id },
-        data: { status: "completed" },
+      const party = outcome === "learner_no_show" ? "learner" : "teacher";
+      const policy = await getPolicyForSession(s);
+      const noShow = evaluateNoShow(policy, { party });
+      const r = await transitionSession(s.id, {
+        from: "scheduled",
+        to: party === "learner" ? "no_show" : "canceled",
+        credit: "settle",
+        settleTo: noShow.feeCredits,
+        reason: noShow.feeCredits > 0 ? "no_show_fee" : "cancel_refund",
+        meta: { rule: noShow.rule, policyId: policy.id, attendance: true },
       });
-      try {
-        await consumeOneCredit(s.userId);
-      } catch (e) {
-        logger.error(
-          { err: e, sessionId: s.id },
-          "[finalize-teacher] credit consume failed"
-        );
-      }
+      if (!r.changed) continue;
+      noShows += 1;
+      logger.info(
+        { sessionId: s.id, rule: noShow.rule },
+        "[finalize] no-show from attendance"
+      );
     } catch (e) {
+      failed += 1;
       logger.error(
         { err: e, sessionId: s.id },
-        "[finalize-teacher] update failed"
+        "[finalize] finalize failed for session"
       );
     }
   }
+
+  if (failed) {
+    throw new Error(`${failed} of ${toFinalize.length} sessions failed`);
+  }
+  return {
+    found: toFinalize.length,
+    completed,
+    unattended,
+    noShows,
+    uncharged,
+  };
 }
@@ -0,0 +1,53 @@
+// src/services/signaling/index.js
+// Signaling backplanes: what the /ws/prep and /ws/classroom servers share
+// between app instances. Each adapter module exports name, missingConfig()
+// and create({ nodeId }), which returns:
+//   nodeId
+//   join(channel, roomId, member, { maxPeers, maxRooms })
+//                             – member is { peerId, socketId, userId, role };
+//                               one per peerId, so a peer joining again from
+//                               another socket replaces its old one. Returns
+//                               { ok: true, size, roster, replaced } with the
+//                               room's members across all instances and the
+//                               member replaced (or null), or { ok: false,
+//                               reason: "full" | "rooms" }
+//   leave(channel, roomId, member)
+//                             – { removed, size }; not removed when another
+//                               socket has taken over member.peerId
+//   connectionCounts(ip)      – { total, perIp } across all instances
+//   addConnection(ip), removeConnection(ip)
+//   publish(channel, roomId, message, to?)
+//                             – delivers to the room's sockets (or only peer
+//                               `to`) on the *other* instances
+//   subscribe(handler)        – handler({ channel, roomId, message, to }) for
+//                               what other instances publish
+//   close()
+// Everything is async. Members and connections of an instance that dies
+// are dropped once its heartbeat expires.
+import crypto from "node:crypto";
+import { logger } from "../../lib/logger.js";
+import { SIGNALING_BACKPLANE } from "../../config/env.js";
+import * as memory from "./memory.js";
+import * as redis from "./redis.js";
+
+export const backplanes = { memory, redis };
+
+/**
+ * The configured backplane (SIGNALING_BACKPLANE). One that isn't set up
+ * falls back to memory, which only works with a single instance.
+ */
+export function createBackplane(
+  kind = SIGNALING_BACKPLANE,
+  { nodeId = crypto.randomUUID() } = {}
+) {
+  let adapter = Object.hasOwn(backplanes, kind) ? backplanes[kind] : null;
+  const missing = adapter ? adapter.missingConfig() : [];
+  if (!adapter || missing.length) {
+    logger.warn(
+      { backplane: kind, missing },
+      "⚠️  Signaling backplane not available; rooms stay on this instance"
+    );
+    adapter = memory;
+  }
+  return adapter.create({ nodeId });
+}
@@ -0,0 +1,83 @@
+// src/services/signaling/memory.js
+// The default backplane: rooms and connection counts in this process only,
+// so every peer of a call has to reach the same instance.
+export const name = "memory";
+
+export function missingConfig() {
+  return [];
+}
+
+export function create({ nodeId }) {
+  const rooms = new Map(); // "channel:roomId" -> Map<peerId, member>
+  const roomCounts = new Map(); // channel -> number of rooms
+  const connections = new Map(); // ip -> count
+  let total = 0;
+
+  return {
+    name,
+    nodeId,
+
+    async join(channel, roomId, member, { maxPeers, maxRooms }) {
+      const key = `${channel}:${roomId}`;
+      let room = rooms.get(key);
+      const previous = room?.get(member.peerId) || null;
+      if (!previous) {
+        if (!room && (roomCounts.get(channel) || 0) >= maxRooms) {
+          return { ok: false, reason: "rooms" };
+        }
+        if (room && room.size >= maxPeers) {
+          return { ok: false, reason: "full" };
+        }
+      }
+
+      if (!room) {
+        room = new Map();
+        rooms.set(key, room);
+        roomCounts.set(channel, (roomCounts.get(channel) || 0) + 1);
+      }
+      room.set(member.peerId, { ...member, nodeId });
+      return {
+        ok: true,
+        size: room.size,
+        roster: [...room.values()],
+        replaced:
+          previous && previous.socketId !== member.socketId ? previous : null,
+      };
+    },
+
+    async leave(channel, roomId, member) {
+      const key = `${channel}:${roomId}`;
+      const room = rooms.get(key);
+      if (!room) return { removed: false, size: 0 };
+      const removed = room.get(member.peerId)?.socketId === member.socketId;
+      if (removed) room.delete(member.peerId);
+      if (!room.size) {
+        rooms.delete(key);
+        roomCounts.set(channel, Math.max(0, roomCounts.get(channel) - 1));
+      }
+      return { removed, size: room.size };
+    },
+
+    async connectionCounts(ip) {
+      return { total, perIp: connections.get(ip) || 0 };
+    },
+
+    async addConnection(ip) {
+      total += 1;
+      connections.set(ip, (connections.get(ip) || 0) + 1);
+    },
+
+    async removeConnection(ip) {
+      total = Math.max(0, total - 1);
+      const left = (connections.get(ip) || 0) - 1;
+      if (left > 0) connections.set(ip, left);
+      else connections.delete(ip);
+    },
+
+    // There are no other instances to deliver to
+    async publish() {},
+    subscribe() {},
+
+    async close() {},
+  };
+}
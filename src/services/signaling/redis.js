@@ -0,0 +1,255 @@
+// src/services/signaling/redis.js
+// Backplane on Redis (REDIS_URL), so peers connected to different app
+// instances share rooms: membership and connection counts live in Redis
+// hashes, and signals fan out over one pub/sub channel. Checks that must
+// not race between instances (room full, room limit) run as Lua scripts (the
+// cleanup script builds key names, so use a single Redis, not Cluster).
+//
+// Keys (prefix speexify:signal:):
+//   room:<channel>:<roomId>  hash peerId -> member JSON (with nodeId)
+//   rooms:<channel>          set of roomIds in use
+//   rooms-of:<nodeId>        set of "<channel>:<roomId>" the node is in
+//   conns                    hash "*" -> total, "ip:<ip>" -> count
+//   conns:<nodeId>           the same, for what this node added
+//   node:<nodeId>            heartbeat, expires when the node dies
+//   nodes                    set of nodeIds
+import { createClient } from "redis";
+import { logger } from "../../lib/logger.js";
+import { REDIS_URL } from "../../config/env.js";
+
+export const name = "redis";
+
+const PREFIX = "speexify:signal:";
+const MESSAGES = `${PREFIX}messages`;
+export const NODE_HEARTBEAT_MS = 10 * 1000;
+// A node that missed this many heartbeats is dead; others clean up after it
+export const NODE_TTL_MS = 3 * NODE_HEARTBEAT_MS;
+
+export function missingConfig() {
+  return REDIS_URL ? [] : ["REDIS_URL"];
+}
+
+// KEYS: room, rooms:<channel>, rooms-of:<node>
+// ARGV: peerId, member JSON, maxPeers, maxRooms, roomId, "<channel>:<roomId>"
+// -> { room size, member replaced or "", members }, { -1 } when full,
+//    { -2 } when there are too many rooms
+const JOIN = `
+local previous = redis.call('HGET', KEYS[1], ARGV[1])
+local size = redis.call('HLEN', KEYS[1])
+if not previous then
+  if size == 0 and redis.call('SISMEMBER', KEYS[2], ARGV[5]) == 0
+    and redis.call('SCARD', KEYS[2]) >= tonumber(ARGV[4]) then
+    return { -2 }
+  end
+  if size >= tonumber(ARGV[3]) then return { -1 } end
+  size = size + 1
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+redis.call('SADD', KEYS[2], ARGV[5])
+redis.call('SADD', KEYS[3], ARGV[6])
+return { size, previous or '', redis.call('HVALS', KEYS[1]) }
+`;
+
+// KEYS: room, rooms:<channel>, rooms-of:<node>
+// ARGV: peerId, socketId, nodeId, roomId, "<channel>:<roomId>"
+// -> { 1 when removed, members left }
+const LEAVE = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+local removed = 0
+if current and cjson.decode(current).socketId == ARGV[2] then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+  removed = 1
+end
+local members = redis.call('HVALS', KEYS[1])
+if #members == 0 then redis.call('SREM', KEYS[2], ARGV[4]) end
+for _, member in ipairs(members) do
+  if cjson.decode(member).nodeId == ARGV[3] then return { removed, #members } end
+end
+redis.call('SREM', KEYS[3], ARGV[5])
+return { removed, #members }
+`;
+
+// KEYS: conns, conns:<node>; ARGV: "ip:<ip>", +1 / -1
+const COUNT = `
+for _, key in ipairs(KEYS) do
+  for _, field in ipairs({'*', ARGV[1]}) do
+    if redis.call('HINCRBY', key, field, ARGV[2]) <= 0 then
+      redis.call('HDEL', key, field)
+    end
+  end
+end
+`;
+
+// Removes a dead node's members and connections, once.
+// ARGV: key prefix, nodeId -> 1 when this call cleaned up
+const SWEEP = `
+local P, node = ARGV[1], ARGV[2]
+if redis.call('EXISTS', P .. 'node:' .. node) == 1 then return 0 end
+if redis.call('SREM', P .. 'nodes', node) == 0 then return 0 end
+local conns = redis.call('HGETALL', P .. 'conns:' .. node)
+for i = 1, #conns, 2 do
+  if redis.call('HINCRBY', P .. 'conns', conns[i], -tonumber(conns[i + 1])) <= 0 then
+    redis.call('HDEL', P .. 'conns', conns[i])
+  end
+end
+redis.call('DEL', P .. 'conns:' .. node)
+for _, ref in ipairs(redis.call('SMEMBERS', P .. 'rooms-of:' .. node)) do
+  local key = P .. 'room:' .. ref
+  local fields = redis.call('HGETALL', key)
+  for i = 1, #fields, 2 do
+    if cjson.decode(fields[i + 1]).nodeId == node then
+      redis.call('HDEL', key, fields[i])
+    end
+  end
+  if redis.call('HLEN', key) == 0 then
+    local channel, roomId = string.match(ref, '^([^:]+):(.*)$')
+    redis.call('SREM', P .. 'rooms:' .. channel, roomId)
+  end
+end
+redis.call('DEL', P .. 'rooms-of:' .. node)
+return 1
+`;
+
+export function create({ nodeId, url = REDIS_URL }) {
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+  const handlers = [];
+  for (const c of [client, subscriber]) {
+    c.on("error", (err) => logger.error({ err }, "[Backplane] Redis error"));
+  }
+
+  const roomKeys = (channel, roomId) => [
+    `${PREFIX}room:${channel}:${roomId}`,
+    `${PREFIX}rooms:${channel}`,
+    `${PREFIX}rooms-of:${nodeId}`,
+  ];
+  const ownConns = `${PREFIX}conns:${nodeId}`;
+
+  async function heartbeat() {
+    await client.set(`${PREFIX}node:${nodeId}`, "1", {
+      expiration: { type: "PX", value: NODE_TTL_MS },
+    });
+    await client.sAdd(`${PREFIX}nodes`, nodeId);
+
+    for (const other of await client.sMembers(`${PREFIX}nodes`)) {
+      if (other === nodeId) continue;
+      const swept = await client.eval(SWEEP, { arguments: [PREFIX, other] });
+      if (swept) logger.info({ nodeId: other }, "[Backplane] dead node swept");
+    }
+  }
+
+  const beat = () =>
+    heartbeat().catch((err) =>
+      logger.error({ err }, "[Backplane] heartbeat failed")
+    );
+
+  // Commands queue until the clients are connected
+  const ready = Promise.all([client.connect(), subscriber.connect()])
+    .then(() =>
+      subscriber.subscribe(MESSAGES, (raw) => {
+        let event;
+        try {
+          event = JSON.parse(raw);
+        } catch {
+          return;
+        }
+        if (event.nodeId === nodeId) return;
+        for (const handler of handlers) handler(event);
+      })
+    )
+    .then(beat)
+    .catch((err) => logger.error({ err }, "[Backplane] Redis connect failed"));
+
+  const timer = setInterval(beat, NODE_HEARTBEAT_MS);
+  timer.unref?.();
+
+  return {
+    name,
+    nodeId,
+    ready,
+
+    async join(channel, roomId, member, { maxPeers, maxRooms }) {
+      const [size, previous, members] = await client.eval(JOIN, {
+        keys: roomKeys(channel, roomId),
+        arguments: [
+          member.peerId,
+          JSON.stringify({ ...member, nodeId }),
+          String(maxPeers),
+          String(maxRooms),
+          roomId,
+          `${channel}:${roomId}`,
+        ],
+      });
+      if (size === -1) return { ok: false, reason: "full" };
+      if (size === -2) return { ok: false, reason: "rooms" };
+      const replaced = previous ? JSON.parse(previous) : null;
+      return {
+        ok: true,
+        size,
+        roster: members.map((m) => JSON.parse(m)),
+        replaced: replaced?.socketId !== member.socketId ? replaced : null,
+      };
+    },
+
+    async leave(channel, roomId, member) {
+      const [removed, size] = await client.eval(LEAVE, {
+        keys: roomKeys(channel, roomId),
+        arguments: [
+          member.peerId,
+          member.socketId,
+          nodeId,
+          roomId,
+          `${channel}:${roomId}`,
+        ],
+      });
+      return { removed: removed === 1, size };
+    },
+
+    async connectionCounts(ip) {
+      const [total, perIp] = await client.hmGet(`${PREFIX}conns`, [
+        "*",
+        `ip:${ip}`,
+      ]);
+      return { total: Number(total || 0), perIp: Number(perIp || 0) };
+    },
+
+    async addConnection(ip) {
+      await client.eval(COUNT, {
+        keys: [`${PREFIX}conns`, ownConns],
+        arguments: [`ip:${ip}`, "1"],
+      });
+    },
+
+    async removeConnection(ip) {
+      await client.eval(COUNT, {
+        keys: [`${PREFIX}conns`, ownConns],
+        arguments: [`ip:${ip}`, "-1"],
+      });
+    },
+
+    async publish(channel, roomId, message, to = null) {
+      await client.publish(
+        MESSAGES,
+        JSON.stringify({ nodeId, channel, roomId, message, to })
+      );
+    },
+
+    subscribe(handler) {
+      handlers.push(handler);
+    },
+
+    // Leaves nothing behind: our heartbeat key goes first, so the sweep
+    // removes this node's members and connections right away
+    async close() {
+      clearInterval(timer);
+      await ready;
+      try {
+        await client.del(`${PREFIX}node:${nodeId}`);
+        await client.eval(SWEEP, { arguments: [PREFIX, nodeId] });
+      } catch (err) {
+        logger.error({ err }, "[Backplane] cleanup on close failed");
+      }
+      await Promise.allSettled([subscriber.close(), client.close()]);
+    },
+  };
+}
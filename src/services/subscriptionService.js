@@ -0,0 +1,289 @@
+// src/services/subscriptionService.js
+// Recurring plans. Every paid period (reported by the payment webhook)
+// grants a fresh UserPackage; renewals are charged to the saved card by the
+// subscription-renewals job, and failed charges are retried (dunning).
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { rolloverPackCredits } from "./creditsService.js";
+import { sendEmail, escapeHtml, formatInTimeZone } from "./emailService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SUBSCRIPTION_INTERVALS = ["week", "month"];
+
+// Renewals are charged this long before the period ends, so the webhook
+// (and the credit rollover) lands while the current pack is still active
+export const RENEWAL_LEAD_MS = DAY_MS;
+
+// Days to wait before retrying after the 1st, 2nd, … failed renewal; one
+// more failure after the last retry cancels the subscription
+export const DUNNING_RETRY_DAYS = [1, 3, 5];
+
+/**
+ * `date` moved on by one billing interval. Month ends clamp (Jan 31 →
+ * Feb 28/29).
+ */
+export function addInterval(date, interval) {
+  const d = new Date(date);
+  if (interval === "week") return new Date(d.getTime() + 7 * DAY_MS);
+
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + 1);
+  const lastDay = new Date(
+    Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+/**
+ * Where a subscription stands after its `failedAttempts`-th failed renewal:
+ * { final: true } or { final: false, retryAt }.
+ */
+export function dunningStep(failedAttempts, now = new Date()) {
+  const days = DUNNING_RETRY_DAYS[failedAttempts - 1];
+  if (days === undefined) return { final: true };
+  return { final: false, retryAt: new Date(now.getTime() + days * DAY_MS) };
+}
+
+/**
+ * A new subscription for a SUBSCRIPTION package at `price`. It stays
+ * `pending` until its first order is paid.
+ */
+export function createSubscription({ userId, pkg, price, psp }) {
+  return prisma.subscription.create({
+    data: {
+      userId,
+      packageId: pkg.id,
+      title: pkg.title,
+      interval: pkg.billingInterval || "month",
+      creditsPerPeriod: Number(pkg.sessionsPerPack || 0),
+      rolloverMax: pkg.rolloverMax || 0,
+      minutesPerSession: pkg.durationMin || null,
+      amountCents: price.amountCents,
+      currency: price.currency,
+      psp,
+    },
+  });
+}
+
+/**
+ * An order of the subscription was paid: open the next period and grant its
+ * pack (creditsPerPeriod plus up to rolloverMax unused credits from the
+ * previous period's pack). The order's paid transition is a compare-and-set,
+ * so this runs once per order; pass its transaction as `db` so the period
+ * commits with it.
+ */
+export async function startPaidPeriod(order, now = new Date(), db = prisma) {
+  if (db === prisma) {
+    return prisma.$transaction((tx) => startPaidPeriod(order, now, tx));
+  }
+
+  const sub = await db.subscription.findUnique({
+    where: { id: order.subscriptionId },
+  });
+  if (!sub) return null;
+
+  const previous = await db.userPackage.findFirst({
+    where: { subscriptionId: sub.id, status: "active" },
+    orderBy: { id: "desc" },
+    select: { id: true, userId: true, sessionsTotal: true },
+  });
+  const carried = await rolloverPackCredits(db, previous, sub.rolloverMax);
+
+  const periodStart =
+    sub.currentPeriodEnd && sub.currentPeriodEnd > now
+      ? sub.currentPeriodEnd
+      : now;
+  const periodEnd = addInterval(periodStart, sub.interval);
+
+  const pack = await db.userPackage.create({
+    data: {
+      userId: sub.userId,
+      packageId: sub.packageId,
+      title: sub.title,
+      minutesPerSession: sub.minutesPerSession,
+      sessionsTotal: sub.creditsPerPeriod + carried,
+      sessionsUsed: 0,
+      expiresAt: periodEnd,
+      status: "active",
+      orderId: order.id,
+      subscriptionId: sub.id,
+    },
+  });
+
+  // A period paid after a pause / cancel still counts, but doesn't
+  // restart billing
+  const billing = ["pending", "active", "past_due"].includes(sub.status);
+  const updated = await db.subscription.update({
+    where: { id: sub.id },
+    data: {
+      status: billing ? "active" : sub.status,
+      currentPeriodStart: periodStart,
+      currentPeriodEnd: periodEnd,
+      nextChargeAt:
+        billing && !sub.cancelAtPeriodEnd
+          ? new Date(periodEnd.getTime() - RENEWAL_LEAD_MS)
+          : null,
+      failedAttempts: 0,
+    },
+  });
+
+  return { subscription: updated, pack, carried };
+}
+
+/**
+ * A renewal charge failed: schedule the retry (past_due) or, after the last
+ * one, cancel. Emails the learner either way. The first payment of a
+ * pending subscription failing isn't dunning; the learner just retries.
+ */
+export async function renewalFailed(order, now = new Date()) {
+  const sub = await prisma.subscription.findUnique({
+    where: { id: order.subscriptionId },
+  });
+  if (!sub || !["active", "past_due"].includes(sub.status)) return null;
+
+  const failedAttempts = sub.failedAttempts + 1;
+  const step = dunningStep(failedAttempts, now);
+  const { count } = await prisma.subscription.updateMany({
+    where: { id: sub.id, failedAttempts: sub.failedAttempts },
+    data: step.final
+      ? {
+          status: "canceled",
+          canceledAt: now,
+          nextChargeAt: null,
+          failedAttempts,
+        }
+      : { status: "past_due", nextChargeAt: step.retryAt, failedAttempts },
+  });
+  if (!count) return null; // another failure was recorded meanwhile
+
+  await sendDunningEmail(sub, { failedAttempts, ...step });
+  return { failedAttempts, ...step };
+}
+
+export function dunningEmail({ user, subscription, final, retryAt }) {
+  const tz = user?.timezone || "UTC";
+  const plan = subscription.title;
+  const subject = final
+    ? `Your ${plan} subscription has been canceled`
+    : `We couldn't renew your ${plan} subscription`;
+  const html = [
+    `<p>Hi ${escapeHtml(user?.name || "there")},</p>`,
+    final
+      ? `<p>We tried to renew your <strong>${escapeHtml(plan)}</strong> subscription several times without success, so it has been canceled. Credits you already have stay valid until they expire.</p>`
+      : `<p>We couldn't charge your card for the next period of your <strong>${escapeHtml(plan)}</strong> subscription. We'll try again on ${escapeHtml(formatInTimeZone(retryAt, tz))}.</p>`,
+    final
+      ? `<p>You can subscribe again at any time from your dashboard.</p>`
+      : `<p>Please make sure your card is valid and has enough funds. Your current credits stay available in the meantime.</p>`,
+    `<p>— Speexify</p>`,
+  ].join("\n");
+  return { subject, html };
+}
+
+async function sendDunningEmail(subscription, step) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: subscription.userId },
+      select: { email: true, name: true, timezone: true },
+    });
+    if (!user?.email) return;
+    const { subject, html } = dunningEmail({ user, subscription, ...step });
+    await sendEmail(user.email, subject, html);
+  } catch (err) {
+    logger.error(
+      { err, subscriptionId: subscription.id },
+      "[subscriptions] dunning email failed"
+    );
+  }
+}
+
+export async function saveCardToken(subscriptionId, { token, last4 = null }) {
+  if (!subscriptionId || !token) return null;
+  return prisma.subscription.update({
+    where: { id: subscriptionId },
+    data: { cardToken: String(token), cardLast4: last4 },
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/* Learner actions                                                            */
+/* -------------------------------------------------------------------------- */
+
+// Compare-and-set on the status we read, so concurrent actions can't both win
+async function transition(sub, fromStatuses, data) {
+  const { count } = await prisma.subscription.updateMany({
+    where: { id: sub.id, status: { in: fromStatuses } },
+    data,
+  });
+  if (!count) return null;
+  return prisma.subscription.findUnique({ where: { id: sub.id } });
+}
+
+/**
+ * Stop renewing without canceling. The current period (and its credits)
+ * runs to its end.
+ */
+export function pauseSubscription(sub, now = new Date()) {
+  return transition(sub, ["active", "past_due"], {
+    status: "paused",
+    pausedAt: now,
+    nextChargeAt: null,
+  });
+}
+
+/**
+ * Start renewing again: at the end of the current period, or right away if
+ * it has already ended.
+ */
+export function resumeSubscription(sub, now = new Date()) {
+  const renewAt = sub.currentPeriodEnd
+    ? new Date(sub.currentPeriodEnd.getTime() - RENEWAL_LEAD_MS)
+    : now;
+  return transition(sub, ["paused"], {
+    status: "active",
+    pausedAt: null,
+    failedAttempts: 0,
+    cancelAtPeriodEnd: false,
+    nextChargeAt: renewAt > now ? renewAt : now,
+  });
+}
+
+/**
+ * Cancel now, or (atPeriodEnd) let the paid period run out first. Either
+ * way nothing more is charged; credits already granted stay until they
+ * expire.
+ */
+export function cancelSubscription(
+  sub,
+  { atPeriodEnd = true } = {},
+  now = new Date()
+) {
+  if (atPeriodEnd && sub.currentPeriodEnd && sub.currentPeriodEnd > now) {
+    return transition(sub, ["active", "past_due", "paused"], {
+      cancelAtPeriodEnd: true,
+      nextChargeAt: null,
+    });
+  }
+  return transition(sub, ["pending", "active", "past_due", "paused"], {
+    status: "canceled",
+    canceledAt: now,
+    nextChargeAt: null,
+  });
+}
+
+/**
+ * Job step: subscriptions set to cancel at period end whose period is over.
+ */
+export async function closeEndedSubscriptions(now = new Date()) {
+  const { count } = await prisma.subscription.updateMany({
+    where: {
+      status: { in: ["active", "past_due", "paused"] },
+      cancelAtPeriodEnd: true,
+      currentPeriodEnd: { lte: now },
+    },
+    data: { status: "canceled", canceledAt: now },
+  });
+  return count;
+}
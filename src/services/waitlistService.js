@@ -0,0 +1,207 @@
+// src/services/waitlistService.js
+import { prisma } from "../lib/prisma.js";
+import { logger } from "../lib/logger.js";
+import { findSessionConflicts } from "./sessionsService.js";
+import { getRemainingCredits } from "./creditsService.js";
+import { isWithinAvailability } from "./availabilityService.js";
+import { sendEmail, escapeHtml, formatInTimeZone } from "./emailService.js";
+
+const MIN_MS = 60 * 1000;
+
+// How long a freed slot is held for the learner it's offered to
+export const WAITLIST_HOLD_MS = 2 * 60 * MIN_MS;
+
+/**
+ * The part of a freed slot offered to `entry`, or null if it doesn't fit the
+ * entry's window. Learners with a preferred length get that much from the
+ * start of the slot; otherwise the whole slot.
+ */
+export function fitSlotToEntry(entry, { startAt, endAt }) {
+  const slotMin = (endAt - startAt) / MIN_MS;
+  const durationMin = entry.durationMin ?? slotMin;
+  if (durationMin > slotMin) return null;
+
+  const offerEndAt = new Date(startAt.getTime() + durationMin * MIN_MS);
+  if (startAt < entry.windowStart || offerEndAt > entry.windowEnd) return null;
+
+  return { startAt, endAt: offerEndAt };
+}
+
+/**
+ * Unexpired holds on a teacher overlapping [startAt, endAt), other than the
+ * given learner's own.
+ */
+export async function findActiveHolds(
+  { teacherId, startAt, endAt, excludeLearnerId = null },
+  db = prisma
+) {
+  return db.waitlistEntry.findMany({
+    where: {
+      teacherId,
+      status: "offered",
+      holdExpiresAt: { gt: new Date() },
+      offerStartAt: { lt: endAt },
+      offerEndAt: { gt: startAt },
+      ...(excludeLearnerId ? { learnerId: { not: excludeLearnerId } } : {}),
+    },
+    select: { id: true, offerStartAt: true, offerEndAt: true },
+  });
+}
+
+export function waitlistOfferEmail({ learner, teacher, entry }) {
+  const tz = learner?.timezone || "UTC";
+  const when = formatInTimeZone(entry.offerStartAt, tz);
+  const until = formatInTimeZone(entry.holdExpiresAt, tz);
+  const teacherName = teacher?.name || "your teacher";
+
+  const subject = `A slot opened up with ${teacherName} – ${when}`;
+  const html = [
+    `<p>Hi ${escapeHtml(learner?.name || "there")},</p>`,
+    `<p>A session you were waiting for just became free:</p>`,
+    `<p><strong>${escapeHtml(teacherName)}</strong><br>`,
+    `${escapeHtml(when)} (${escapeHtml(tz)})</p>`,
+    `<p>We're holding it for you until ${escapeHtml(until)}. Claim it from your waitlist before then; after that it goes to the next learner.</p>`,
+    `<p>— Speexify</p>`,
+  ].join("\n");
+
+  return { subject, html };
+}
+
+/**
+ * A teacher's slot was freed (a session was canceled): offer it to the first
+ * waiting learner whose window it fits, who has a credit and is free then.
+ * Only times inside the teacher's availability are offered, since the claim
+ * books them like any other booking (an admin may have placed the canceled
+ * session outside those hours).
+ * Returns the offered entry or null. Never throws; a failed offer just
+ * leaves the slot open for normal booking.
+ */
+export async function offerFreedSlot(
+  { teacherId, startAt, endAt },
+  now = new Date()
+) {
+  try {
+    if (!teacherId || !endAt || startAt <= now) return null;
+
+    // Someone may already have booked (or been offered) the time
+    const [taken, held] = await Promise.all([
+      findSessionConflicts({ startAt, endAt, teacherId }),
+      findActiveHolds({ teacherId, startAt, endAt }),
+    ]);
+    if (taken.length || held.length) return null;
+
+    const candidates = await prisma.waitlistEntry.findMany({
+      where: {
+        teacherId,
+        status: "waiting",
+        windowStart: { lte: startAt },
+        windowEnd: { gt: startAt },
+      },
+      orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    });
+
+    const available = new Map(); // offer end -> within availability
+    for (const entry of candidates) {
+      const offer = fitSlotToEntry(entry, { startAt, endAt });
+      if (!offer) continue;
+
+      const key = offer.endAt.getTime();
+      if (!available.has(key)) {
+        available.set(
+          key,
+          await isWithinAvailability(teacherId, offer.startAt, offer.endAt)
+        );
+      }
+      if (!available.get(key)) continue;
+
+      const busy = await findSessionConflicts({
+        ...offer,
+        userId: entry.learnerId,
+      });
+      if (busy.length) continue;
+      if ((await getRemainingCredits(entry.learnerId)) < 1) continue;
+
+      const holdExpiresAt = new Date(
+        Math.min(now.getTime() + WAITLIST_HOLD_MS, offer.startAt.getTime())
+      );
+      const { count } = await prisma.waitlistEntry.updateMany({
+        where: { id: entry.id, status: "waiting" },
+        data: {
+          status: "offered",
+          offerStartAt: offer.startAt,
+          offerEndAt: offer.endAt,
+          offeredAt: now,
+          holdExpiresAt,
+        },
+      });
+      if (!count) continue; // left the list meanwhile
+
+      const offered = await prisma.waitlistEntry.findUnique({
+        where: { id: entry.id },
+      });
+      await sendOfferEmail(offered);
+      return offered;
+    }
+    return null;
+  } catch (err) {
+    logger.error({ err, teacherId, startAt }, "[waitlist] offer failed");
+    return null;
+  }
+}
+
+async function sendOfferEmail(entry) {
+  try {
+    const [learner, teacher] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: entry.learnerId },
+        select: { email: true, name: true, timezone: true },
+      }),
+      prisma.user.findUnique({
+        where: { id: entry.teacherId },
+        select: { name: true },
+      }),
+    ]);
+    if (!learner?.email) return;
+
+    const { subject, html } = waitlistOfferEmail({ learner, teacher, entry });
+    await sendEmail(learner.email, subject, html);
+  } catch (err) {
+    logger.error({ err, entryId: entry.id }, "[waitlist] offer email failed");
+  }
+}
+
+/**
+ * Job: lapse unclaimed holds and pass each slot on to the next learner, and
+ * expire entries whose window has passed.
+ */
+export async function expireWaitlistHolds(now = new Date()) {
+  const lapsed = await prisma.waitlistEntry.findMany({
+    where: { status: "offered", holdExpiresAt: { lte: now } },
+  });
+
+  let reoffered = 0;
+  for (const entry of lapsed) {
+    const { count } = await prisma.waitlistEntry.updateMany({
+      where: { id: entry.id, status: "offered" },
+      data: { status: "expired" },
+    });
+    if (!count) continue; // claimed at the last moment
+
+    const next = await offerFreedSlot(
+      {
+        teacherId: entry.teacherId,
+        startAt: entry.offerStartAt,
+        endAt: entry.offerEndAt,
+      },
+      now
+    );
+    if (next) reoffered += 1;
+  }
+
+  const { count: closed } = await prisma.waitlistEntry.updateMany({
+    where: { status: "waiting", windowEnd: { lte: now } },
+    data: { status: "expired" },
+  });
+
+  return { lapsed: lapsed.length, reoffered, closed };
+}
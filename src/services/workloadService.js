@@ -0,0 +1,160 @@
+// src/services/workloadService.js
+import { prisma } from "../lib/prisma.js";
+
+// Sessions without an endAt are counted as a standard one-hour lesson
+const DEFAULT_SESSION_MIN = 60;
+
+function sessionMinutes(s) {
+  if (!s.endAt) return DEFAULT_SESSION_MIN;
+  const diff = new Date(s.endAt).getTime() - new Date(s.startAt).getTime();
+  return diff > 0 ? Math.round(diff / 60000) : 0;
+}
+
+// A per-session rate wins over an hourly rate when a teacher has both
+function payMethodFor(teacher) {
+  if (teacher.ratePerSessionCents != null) return "per_session";
+  if (teacher.rateHourlyCents != null) return "hourly";
+  return "none";
+}
+
+function payFor(teacher, sessions, minutes) {
+  switch (payMethodFor(teacher)) {
+    case "per_session":
+      return sessions * teacher.ratePerSessionCents;
+    case "hourly":
+      return Math.round((minutes / 60) * teacher.rateHourlyCents);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Aggregate completed sessions (with `teacher` and `user` loaded) into one
+ * row per teacher, each broken down per learner.
+ */
+export function buildTeacherWorkload(sessions) {
+  const byTeacher = new Map();
+
+  for (const s of sessions) {
+    if (!s.teacher) continue;
+
+    let t = byTeacher.get(s.teacher.id);
+    if (!t) {
+      t = { teacher: s.teacher, learners: new Map() };
+      byTeacher.set(s.teacher.id, t);
+    }
+
+    let l = t.learners.get(s.user.id);
+    if (!l) {
+      l = { learner: s.user, sessions: 0, minutes: 0 };
+      t.learners.set(s.user.id, l);
+    }
+    l.sessions += 1;
+    l.minutes += sessionMinutes(s);
+  }
+
+  return Array.from(byTeacher.values())
+    .map(({ teacher, learners }) => {
+      const rows = Array.from(learners.values())
+        .map((l) => ({
+          learnerId: l.learner.id,
+          learnerName: l.learner.name || null,
+          learnerEmail: l.learner.email,
+          sessions: l.sessions,
+          minutes: l.minutes,
+          payCents: payFor(teacher, l.sessions, l.minutes),
+        }))
+        .sort((a, b) => b.minutes - a.minutes);
+
+      const totals = rows.reduce(
+        (acc, r) => ({
+          sessions: acc.sessions + r.sessions,
+          minutes: acc.minutes + r.minutes,
+          payCents: acc.payCents + r.payCents,
+        }),
+        { sessions: 0, minutes: 0, payCents: 0 }
+      );
+
+      return {
+        teacherId: teacher.id,
+        teacherName: teacher.name || null,
+        teacherEmail: teacher.email,
+        payMethod: payMethodFor(teacher),
+        rateHourlyCents: teacher.rateHourlyCents ?? null,
+        ratePerSessionCents: teacher.ratePerSessionCents ?? null,
+        ...totals,
+        hours: Number((totals.minutes / 60).toFixed(2)),
+        learners: rows,
+      };
+    })
+    .sort((a, b) => a.teacherEmail.localeCompare(b.teacherEmail));
+}
+
+export async function getTeacherWorkload({ from, to, teacherId = null }) {
+  const sessions = await prisma.session.findMany({
+    where: {
+      status: "completed",
+      teacherId: teacherId ? Number(teacherId) : { not: null },
+      startAt: { gte: from, lt: to },
+    },
+    select: {
+      startAt: true,
+      endAt: true,
+      user: { select: { id: true, name: true, email: true } },
+      teacher: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          rateHourlyCents: true,
+          ratePerSessionCents: true,
+        },
+      },
+    },
+  });
+
+  return buildTeacherWorkload(sessions);
+}
+
+/* -------------------------------------------------------------------------- */
+/* CSV export                                                                 */
+/* -------------------------------------------------------------------------- */
+
+const CSV_COLUMNS = [
+  "teacherId",
+  "teacherName",
+  "teacherEmail",
+  "learnerId",
+  "learnerName",
+  "learnerEmail",
+  "sessions",
+  "minutes",
+  "payMethod",
+  "payCents",
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let str = String(value);
+  // Don't let names like "=HYPERLINK(...)" run as spreadsheet formulas
+  if (typeof value === "string" && /^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// One line per teacher/learner pair, ready for finance spreadsheets
+export function workloadToCsv(report) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const t of report) {
+    for (const l of t.learners) {
+      const row = {
+        teacherId: t.teacherId,
+        teacherName: t.teacherName,
+        teacherEmail: t.teacherEmail,
+        payMethod: t.payMethod,
+        ...l,
+      };
+      lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(","));
+    }
+  }
+  return lines.join("\r\n") + "\r\n";
+}
@@ -1,19 +1,33 @@
 // src/webrtcSignaling.js
+import crypto from "node:crypto";
 import { WebSocketServer, WebSocket } from "ws";
 import { logger } from "./lib/logger.js";
+import { sessionMiddleware } from "./middleware/session.js";
+import {
+  verifyJoinToken,
+  loadRoomUser,
+  canJoinRoom,
+} from "./services/roomAccessService.js";
+import { createClassroomStateStore } from "./services/classroomStateService.js";
+import {
+  ATTENDANCE_HEARTBEAT_MS,
+  createAttendanceRecorder,
+} from "./services/attendanceService.js";
+import { createBackplane } from "./services/signaling/index.js";
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION - All security settings in one place
 // ═══════════════════════════════════════════════════════════════════════════════
 const CONFIG = {
-  // Authentication (set to null to disable - maintains backward compatibility)
-  AUTH_ENABLED: false,
+  // Authentication: the speexify.sid session cookie, or a join token from
+  // GET /api/sessions/:id/join-token. Rooms then only admit the Session's
+  // learner, its teacher and admins (see services/roomAccessService.js).
+  AUTH_ENABLED: true,
   AUTH_TOKEN_HEADER: "sec-websocket-protocol", // or use a custom header
   validateToken: async (token, request) => {
-    // Override this function to implement your auth logic
-    // Return { valid: true, userId: "..." } or { valid: false }
-    // Example: return await verifyJWT(token);
-    return { valid: true, userId: "anonymous" };
+    const claims = verifyJoinToken(token);
+    if (!claims) return { valid: false, reason: "Invalid or expired token" };
+    return { valid: true, userId: claims.userId, sessionId: claims.sessionId };
   },
 
   // Origin validation (set to null/empty to disable - maintains backward compatibility)
@@ -38,6 +52,7 @@ const CONFIG = {
 
   // Room ID validation
   ROOM_ID_REGEX: /^[a-zA-Z0-9_-]{1,128}$/,
+  PEER_ID_REGEX: /^[a-zA-Z0-9_-]{1,64}$/, // the `to` of a signal
 
   // Heartbeat (ping/pong)
   HEARTBEAT_ENABLED: true,
@@ -68,6 +83,8 @@ const MSG_TYPES = {
   PEER_LEFT: "peer-left",
   ERROR: "error",
   PONG: "pong",
+  STATE: "state", // classroom state snapshot, sent on join
+  REPLACED: "replaced", // the same peer joined the room from another socket
 };
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -77,10 +94,15 @@ function getMeta(ws) {
   let meta = socketMeta.get(ws);
   if (!meta) {
     meta = {
+      socketId: crypto.randomUUID(), // its member id on the backplane
+      tracked: false,
       videoRoomId: null,
       classroomRoomId: null,
       isInitiator: false,
       userId: null,
+      user: null, // { id, role } once authenticated
+      peerId: null, // see peerIdFor
+      joinSessionId: null, // set when the socket was opened with a join token
       ip: null,
       isAlive: true,
       messageTimestamps: [],
@@ -90,51 +112,72 @@ function getMeta(ws) {
   return meta;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// CONNECTION TRACKING - For connection limits
-// ═══════════════════════════════════════════════════════════════════════════════
-const connectionsByIP = new Map(); // IP -> Set<WebSocket>
-let totalConnections = 0;
-
-function trackConnection(ws, ip) {
-  totalConnections++;
+// A peer is a user, so its ID stays the same when it reconnects or opens
+// another tab; without auth each socket is its own peer
+function peerIdFor(meta) {
+  return meta.user ? `u${meta.user.id}` : `anon-${meta.socketId}`;
+}
 
-  let ipConnections = connectionsByIP.get(ip);
-  if (!ipConnections) {
-    ipConnections = new Set();
-    connectionsByIP.set(ip, ipConnections);
-  }
-  ipConnections.add(ws);
+// A socket's entry in a backplane room
+function memberOf(meta) {
+  return {
+    peerId: meta.peerId,
+    socketId: meta.socketId,
+    userId: meta.user?.id ?? null,
+    role: meta.user?.role ?? null,
+  };
+}
 
-  getMeta(ws).ip = ip;
+// What a room's members learn about each other
+function peerInfo(member) {
+  return { peerId: member.peerId, userId: member.userId, role: member.role };
 }
 
-function untrackConnection(ws) {
-  totalConnections = Math.max(0, totalConnections - 1);
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONNECTION TRACKING - For connection limits, counted across all instances
+// ═══════════════════════════════════════════════════════════════════════════════
+function createConnectionTracker(backplane) {
+  let localConnections = 0; // on this instance, for stats
 
-  const meta = getMeta(ws);
-  if (meta.ip) {
-    const ipConnections = connectionsByIP.get(meta.ip);
-    if (ipConnections) {
-      ipConnections.delete(ws);
-      if (ipConnections.size === 0) {
-        connectionsByIP.delete(meta.ip);
-      }
+  async function canAcceptConnection(ip) {
+    const { total, perIp } = await backplane.connectionCounts(ip);
+    if (total >= CONFIG.MAX_CONNECTIONS_TOTAL) {
+      return { allowed: false, reason: "Server at maximum capacity" };
     }
+    if (perIp >= CONFIG.MAX_CONNECTIONS_PER_IP) {
+      return { allowed: false, reason: "Too many connections from your IP" };
+    }
+    return { allowed: true };
   }
-}
 
-function canAcceptConnection(ip) {
-  if (totalConnections >= CONFIG.MAX_CONNECTIONS_TOTAL) {
-    return { allowed: false, reason: "Server at maximum capacity" };
+  // Both are safe to call twice for a socket (error + close, heartbeat)
+  function trackConnection(ws, ip) {
+    const meta = getMeta(ws);
+    if (meta.tracked) return;
+    meta.tracked = true;
+    meta.ip = ip;
+    localConnections++;
+    backplane.addConnection(ip).catch((err) => {
+      logger.error({ err }, "[Backplane] Failed to count connection");
+    });
   }
 
-  const ipConnections = connectionsByIP.get(ip);
-  if (ipConnections && ipConnections.size >= CONFIG.MAX_CONNECTIONS_PER_IP) {
-    return { allowed: false, reason: "Too many connections from your IP" };
+  function untrackConnection(ws) {
+    const meta = getMeta(ws);
+    if (!meta.tracked) return;
+    meta.tracked = false;
+    localConnections = Math.max(0, localConnections - 1);
+    backplane.removeConnection(meta.ip).catch((err) => {
+      logger.error({ err }, "[Backplane] Failed to uncount connection");
+    });
   }
 
-  return { allowed: true };
+  return {
+    canAcceptConnection,
+    trackConnection,
+    untrackConnection,
+    getLocalCount: () => localConnections,
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -244,22 +287,92 @@ function getClientIP(request) {
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // ROOM MANAGER FACTORY - DRY principle, shared logic for video and classroom
+// Membership and fan-out go through the backplane, so peers connected to
+// different instances share a room; `rooms` holds this instance's sockets.
 // ═══════════════════════════════════════════════════════════════════════════════
 function createRoomManager(options) {
   const {
     name,
+    backplane,
     maxPeers,
     maxRooms,
     roomIdKey, // 'videoRoomId' or 'classroomRoomId'
     notifyOnJoin = true,
     notifyOnLeave = true,
     trackInitiator = false,
+    onJoin = null, // (ws, roomId) after a socket is added
+    onLeave = null, // (ws, roomId) after a socket is taken out
+    onEmpty = null, // (roomId) after the last local socket left
+    onRemote = null, // (roomId, message) other instances broadcast to a local room
   } = options;
 
-  const rooms = new Map(); // roomId -> Set<WebSocket>
-  const roomLocks = new Map(); // roomId -> boolean (simple mutex for race condition)
+  const channel = name.toLowerCase();
+  const rooms = new Map(); // roomId -> Set<WebSocket> on this instance
+  const roomQueues = new Map(); // roomId -> Promise (joins/leaves run in order)
+
+  function inRoomQueue(roomId, fn) {
+    const run = (roomQueues.get(roomId) || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    roomQueues.set(roomId, tail);
+    tail.then(() => {
+      if (roomQueues.get(roomId) === tail) roomQueues.delete(roomId);
+    });
+    return run;
+  }
+
+  function publish(roomId, message, to = null) {
+    backplane.publish(channel, roomId, message, to).catch((err) => {
+      logger.error({ err, roomId }, `[${name}] Backplane publish failed`);
+    });
+  }
+
+  // To this instance's sockets in the room, and to the other instances
+  function fanOut(roomId, message, except = null) {
+    const room = rooms.get(roomId);
+    for (const peer of room || []) {
+      if (peer !== except && peer.readyState === WebSocket.OPEN) {
+        safeSend(peer, message);
+      }
+    }
+    publish(roomId, message);
+  }
 
-  function join(ws, roomId) {
+  // Takes a socket whose peer joined again elsewhere out of the room. Its
+  // backplane entry already belongs to the new socket, so no leave.
+  function dropReplaced(roomId, socketId) {
+    const room = rooms.get(roomId);
+    for (const peer of room || []) {
+      const meta = getMeta(peer);
+      if (meta.socketId !== socketId) continue;
+      room.delete(peer);
+      meta[roomIdKey] = null;
+      onLeave?.(peer, roomId);
+      safeSend(peer, { type: MSG_TYPES.REPLACED, roomId });
+      logger.info({ roomId, peerId: meta.peerId }, `[${name}] peer replaced`);
+    }
+    if (room && room.size === 0) {
+      rooms.delete(roomId);
+      onEmpty?.(roomId);
+    }
+  }
+
+  backplane.subscribe((event) => {
+    if (event.channel !== channel) return;
+    if (event.message?.type === MSG_TYPES.REPLACED) {
+      dropReplaced(event.roomId, event.message.socketId);
+      return;
+    }
+    for (const peer of rooms.get(event.roomId) || []) {
+      if (event.to && getMeta(peer).peerId !== event.to) continue;
+      if (peer.readyState === WebSocket.OPEN) safeSend(peer, event.message);
+    }
+    // Rooms with no socket here are another instance's to keep
+    if (!event.to && rooms.has(event.roomId)) {
+      onRemote?.(event.roomId, event.message);
+    }
+  });
+
+  async function join(ws, roomId) {
     const meta = getMeta(ws);
 
     // Validate room ID
@@ -269,133 +382,163 @@ function createRoomManager(options) {
       return false;
     }
 
-    // Check total room limit
-    if (!rooms.has(roomId) && rooms.size >= maxRooms) {
-      safeSend(ws, {
-        type: MSG_TYPES.ERROR,
-        message: "Maximum room limit reached",
-      });
-      return false;
+    // If this socket was already in another room, leave it first
+    if (meta[roomIdKey] && meta[roomIdKey] !== roomId) {
+      await leave(ws);
     }
 
-    // Simple lock to prevent race condition
-    if (roomLocks.get(roomId)) {
-      // Room is being modified, retry after small delay
-      setTimeout(() => join(ws, roomId), 10);
-      return false;
-    }
-    roomLocks.set(roomId, true);
-
-    try {
+    return inRoomQueue(roomId, async () => {
       let room = rooms.get(roomId);
-      if (!room) {
-        room = new Set();
-        rooms.set(roomId, room);
-      }
-
-      // If this socket was already in another room, leave it first
-      if (meta[roomIdKey] && meta[roomIdKey] !== roomId) {
-        leave(ws);
-      }
 
       // Remove any dead sockets
-      for (const peer of Array.from(room)) {
+      for (const peer of Array.from(room || [])) {
         if (peer.readyState !== WebSocket.OPEN) {
           room.delete(peer);
         }
       }
 
       // If already in this room, nothing to do
-      if (room.has(ws)) {
-        roomLocks.set(roomId, false);
-        return true;
+      if (room?.has(ws)) return true;
+
+      // Enforce max peers and the total room limit, across instances
+      const member = memberOf(meta);
+      let result;
+      try {
+        result = await backplane.join(channel, roomId, member, {
+          maxPeers,
+          maxRooms,
+        });
+      } catch (err) {
+        logger.error({ err, roomId }, `[${name}] Backplane join failed`);
+        safeSend(ws, { type: MSG_TYPES.ERROR, message: "Could not join room" });
+        return false;
+      }
+      if (!result.ok) {
+        safeSend(
+          ws,
+          result.reason === "full"
+            ? { type: MSG_TYPES.ROOM_FULL }
+            : { type: MSG_TYPES.ERROR, message: "Maximum room limit reached" }
+        );
+        return false;
       }
 
-      // Enforce max peers
-      if (room.size >= maxPeers) {
-        safeSend(ws, { type: MSG_TYPES.ROOM_FULL });
-        roomLocks.set(roomId, false);
+      // The socket may have closed while we waited
+      if (ws.readyState !== WebSocket.OPEN) {
+        await backplane.leave(channel, roomId, member).catch(() => {});
         return false;
       }
 
       // Add to room
+      if (!room) {
+        room = new Set();
+        rooms.set(roomId, room);
+      }
       room.add(ws);
       meta[roomIdKey] = roomId;
 
-      const isInitiator = trackInitiator ? room.size === 1 : false;
+      // The peer's previous socket (a stale connection, another tab) is out
+      if (result.replaced) {
+        dropReplaced(roomId, result.replaced.socketId);
+        publish(roomId, {
+          type: MSG_TYPES.REPLACED,
+          socketId: result.replaced.socketId,
+        });
+      }
+
+      const isInitiator = trackInitiator ? result.size === 1 : false;
       if (trackInitiator) {
         meta.isInitiator = isInitiator;
       }
 
-      // Send joined confirmation (matches old behavior)
+      // Send joined confirmation, with who else is in the room
       safeSend(ws, {
         type: MSG_TYPES.JOINED,
         roomId,
         isInitiator,
+        peerId: meta.peerId,
+        peers: result.roster
+          .filter((m) => m.peerId !== meta.peerId)
+          .map(peerInfo),
       });
 
       // Notify all peers (including this one, maintaining original behavior)
       if (notifyOnJoin) {
-        for (const peer of room) {
-          if (peer.readyState === WebSocket.OPEN) {
-            safeSend(peer, { type: MSG_TYPES.PEER_JOINED, roomId });
-          }
-        }
+        fanOut(roomId, {
+          type: MSG_TYPES.PEER_JOINED,
+          roomId,
+          ...peerInfo(member),
+        });
       }
 
-      logger.info({ roomId, size: room.size }, `[${name}] join room`);
+      logger.info({ roomId, size: result.size }, `[${name}] join room`);
+      onJoin?.(ws, roomId);
       return true;
-    } finally {
-      roomLocks.set(roomId, false);
-    }
+    });
   }
 
   function leave(ws) {
     const meta = getMeta(ws);
     const roomId = meta[roomIdKey];
-    if (!roomId) return;
-
-    const room = rooms.get(roomId);
-    if (!room) {
-      meta[roomIdKey] = null;
-      return;
-    }
+    if (!roomId) return Promise.resolve();
+    meta[roomIdKey] = null;
 
-    room.delete(ws);
+    return inRoomQueue(roomId, async () => {
+      const room = rooms.get(roomId);
+      if (!room?.delete(ws)) return;
+      onLeave?.(ws, roomId);
 
-    // Notify remaining peers
-    if (notifyOnLeave) {
-      for (const peer of room) {
-        if (peer.readyState === WebSocket.OPEN) {
-          safeSend(peer, { type: MSG_TYPES.PEER_LEFT, roomId });
-        }
+      if (room.size === 0) {
+        rooms.delete(roomId);
+        onEmpty?.(roomId);
       }
-    }
 
-    const remainingSize = room.size;
-    if (remainingSize === 0) {
-      rooms.delete(roomId);
-      roomLocks.delete(roomId);
-    }
+      const member = memberOf(meta);
+      let removed = true;
+      let remainingSize = room.size;
+      try {
+        ({ removed, size: remainingSize } = await backplane.leave(
+          channel,
+          roomId,
+          member
+        ));
+      } catch (err) {
+        logger.error({ err, roomId }, `[${name}] Backplane leave failed`);
+      }
 
-    meta[roomIdKey] = null;
+      // Notify remaining peers, unless the peer is still here on a new socket
+      if (notifyOnLeave && removed) {
+        fanOut(
+          roomId,
+          { type: MSG_TYPES.PEER_LEFT, roomId, ...peerInfo(member) },
+          ws
+        );
+      }
 
-    logger.info({ roomId, size: remainingSize }, `[${name}] leave room`);
+      logger.info({ roomId, size: remainingSize }, `[${name}] leave room`);
+    });
   }
 
   function broadcast(ws, message) {
     const meta = getMeta(ws);
     const roomId = meta[roomIdKey];
-    if (!roomId) return;
+    if (!roomId || !rooms.has(roomId)) return;
 
-    const room = rooms.get(roomId);
-    if (!room) return;
+    fanOut(roomId, message, ws);
+  }
+
+  // Unicast to one peer of the sender's room, wherever it's connected
+  function sendTo(ws, peerId, message) {
+    const roomId = getMeta(ws)[roomIdKey];
+    if (!roomId || !rooms.has(roomId)) return;
 
-    for (const peer of room) {
-      if (peer !== ws && peer.readyState === WebSocket.OPEN) {
+    for (const peer of rooms.get(roomId)) {
+      if (peer !== ws && getMeta(peer).peerId === peerId) {
         safeSend(peer, message);
+        return; // a peer has one socket per room
       }
     }
+    publish(roomId, message, peerId);
   }
 
   function getRoom(ws) {
@@ -427,6 +570,7 @@ function createRoomManager(options) {
     join,
     leave,
     broadcast,
+    sendTo,
     getRoom,
     getRoomId,
     getRoomCount,
@@ -452,12 +596,31 @@ function safeSend(ws, data) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // AUTHENTICATION HELPER
 // ═══════════════════════════════════════════════════════════════════════════════
+// Runs the app's express-session middleware on the upgrade request, so the
+// speexify.sid cookie resolves against the same store as the HTTP API
+function loadHttpSession(request) {
+  return new Promise((resolve) => {
+    sessionMiddleware(request, {}, (err) => {
+      if (err) logger.warn({ err }, "[Auth] Session lookup failed");
+      resolve(err ? null : request.session);
+    });
+  });
+}
+
 async function authenticateConnection(request) {
   if (!CONFIG.AUTH_ENABLED) {
     return { authenticated: true, userId: "anonymous" };
   }
 
   try {
+    // Signed-in browsers send the session cookie with the upgrade
+    const httpSession = await loadHttpSession(request);
+    if (httpSession?.user?.id) {
+      const user = await loadRoomUser(httpSession.user.id);
+      if (!user) return { authenticated: false, reason: "Account disabled" };
+      return { authenticated: true, userId: user.id, user };
+    }
+
     // Try to get token from various sources
     let token = null;
 
@@ -495,11 +658,17 @@ async function authenticateConnection(request) {
     }
 
     const result = await CONFIG.validateToken(token, request);
-    if (result.valid) {
-      return { authenticated: true, userId: result.userId };
-    } else {
+    if (!result.valid) {
       return { authenticated: false, reason: result.reason || "Invalid token" };
     }
+    const user = await loadRoomUser(result.userId);
+    if (!user) return { authenticated: false, reason: "Account disabled" };
+    return {
+      authenticated: true,
+      userId: user.id,
+      user,
+      sessionId: result.sessionId || null,
+    };
   } catch (err) {
     logger.error({ err }, "[Auth] Authentication error");
     return { authenticated: false, reason: "Authentication error" };
@@ -509,7 +678,15 @@ async function authenticateConnection(request) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN SETUP FUNCTION
 // ═══════════════════════════════════════════════════════════════════════════════
-export function setupWebRtcSignaling(httpServer) {
+// `backplane` shares rooms and connection counts between instances (see
+// services/signaling); SIGNALING_BACKPLANE picks it by default
+export function setupWebRtcSignaling(
+  httpServer,
+  { backplane = createBackplane() } = {}
+) {
+  const { canAcceptConnection, trackConnection, untrackConnection, ...conns } =
+    createConnectionTracker(backplane);
+
   // Create two WS servers (noServer = true)
   const wssPrep = new WebSocketServer({
     noServer: true,
@@ -520,27 +697,73 @@ export function setupWebRtcSignaling(httpServer) {
     maxPayload: CONFIG.MAX_MESSAGE_SIZE_BYTES,
   });
 
+  // ─────────────────────────────────────────────
+  // Attendance: each user's time in a lesson's rooms (SessionAttendance)
+  // ─────────────────────────────────────────────
+  const attendance = createAttendanceRecorder();
+  const startAttendance = (ws, roomId, channel) => {
+    const meta = getMeta(ws);
+    attendance.start(meta.socketId, {
+      roomId,
+      userId: meta.user?.id ?? null,
+      role: meta.user?.role ?? null,
+      channel,
+    });
+  };
+  const stopAttendance = (ws) => attendance.stop(getMeta(ws).socketId);
+
   // ─────────────────────────────────────────────
   // Room Managers
   // ─────────────────────────────────────────────
   const videoRoomManager = createRoomManager({
     name: "WebRTC",
+    backplane,
     maxPeers: CONFIG.MAX_VIDEO_PEERS,
     maxRooms: CONFIG.MAX_TOTAL_ROOMS,
     roomIdKey: "videoRoomId",
     notifyOnJoin: true,
     notifyOnLeave: true,
     trackInitiator: true,
+    onJoin: (ws, roomId) => startAttendance(ws, roomId, "webrtc"),
+    onLeave: stopAttendance,
   });
 
+  // The classroom keeps each room's state (material, page, annotations,
+  // notes): late joiners get a snapshot, and it's saved to the Session
+  const classroomStates = createClassroomStateStore();
+  const updateClassroomState = (roomId, msg) => {
+    classroomStates.apply(roomId, msg.signalType, msg.data).catch((err) => {
+      logger.error({ err, roomId }, "[Classroom] state update failed");
+    });
+  };
+
   const classroomRoomManager = createRoomManager({
     name: "Classroom",
+    backplane,
     maxPeers: CONFIG.MAX_CLASSROOM_PEERS,
     maxRooms: CONFIG.MAX_TOTAL_ROOMS,
     roomIdKey: "classroomRoomId",
     notifyOnJoin: false,
     notifyOnLeave: false,
     trackInitiator: false,
+    onJoin: (ws, roomId) => {
+      startAttendance(ws, roomId, "classroom");
+      classroomStates
+        .snapshot(roomId)
+        .then((state) => safeSend(ws, { type: MSG_TYPES.STATE, roomId, state }))
+        .catch((err) => {
+          logger.error({ err, roomId }, "[Classroom] snapshot failed");
+        });
+    },
+    onLeave: stopAttendance,
+    onEmpty: (roomId) => {
+      classroomStates.release(roomId);
+    },
+    // Peers on other instances change the room's state too
+    onRemote: (roomId, message) => {
+      if (message?.type === MSG_TYPES.SIGNAL)
+        updateClassroomState(roomId, message);
+    },
   });
 
   // ─────────────────────────────────────────────
@@ -549,6 +772,12 @@ export function setupWebRtcSignaling(httpServer) {
   let heartbeatIntervalPrep = null;
   let heartbeatIntervalClassroom = null;
 
+  // Keeps open attendance intervals fresh (see ATTENDANCE_STALE_MS)
+  const heartbeatIntervalAttendance = setInterval(
+    () => attendance.heartbeat(),
+    ATTENDANCE_HEARTBEAT_MS
+  );
+
   if (CONFIG.HEARTBEAT_ENABLED) {
     // Heartbeat for /ws/prep
     heartbeatIntervalPrep = setInterval(() => {
@@ -581,10 +810,32 @@ export function setupWebRtcSignaling(httpServer) {
     }, CONFIG.HEARTBEAT_INTERVAL_MS);
   }
 
+  // ─────────────────────────────────────────────
+  // Room membership: only the Session's learner, teacher or an admin
+  // ─────────────────────────────────────────────
+  async function authorizeRoom(ws, roomId) {
+    if (!CONFIG.AUTH_ENABLED) return true;
+
+    const meta = getMeta(ws);
+    try {
+      const allowed = await canJoinRoom(meta.user, roomId, meta.joinSessionId);
+      if (!allowed) {
+        logger.warn(
+          { userId: meta.userId, roomId, ip: meta.ip },
+          "[Security] Room join refused"
+        );
+      }
+      return allowed;
+    } catch (err) {
+      logger.error({ err, roomId }, "[Security] Room membership check failed");
+      return false;
+    }
+  }
+
   // ─────────────────────────────────────────────
   // Message handler factory
   // ─────────────────────────────────────────────
-  function createMessageHandler(roomManager, channelName) {
+  function createMessageHandler(roomManager, channelName, onSignal = null) {
     return (ws, raw) => {
       // Rate limiting
       if (!checkRateLimit(ws)) {
@@ -618,7 +869,18 @@ export function setupWebRtcSignaling(httpServer) {
             safeSend(ws, { type: MSG_TYPES.ERROR, message: validation.reason });
             return;
           }
-          roomManager.join(ws, roomId);
+          authorizeRoom(ws, roomId).then((allowed) => {
+            // The socket may have closed while we checked
+            if (ws.readyState !== WebSocket.OPEN) return;
+            if (allowed) {
+              roomManager.join(ws, roomId);
+            } else {
+              safeSend(ws, {
+                type: MSG_TYPES.ERROR,
+                message: "Not allowed in this room",
+              });
+            }
+          });
           break;
         }
 
@@ -644,12 +906,32 @@ export function setupWebRtcSignaling(httpServer) {
             return;
           }
 
-          // Forward to other peers (matches old behavior)
-          roomManager.broadcast(ws, {
+          // `to` makes it a unicast to that peer (mesh calls)
+          const { to } = msg;
+          if (
+            to !== undefined &&
+            to !== null &&
+            (typeof to !== "string" || !CONFIG.PEER_ID_REGEX.test(to))
+          ) {
+            safeSend(ws, { type: MSG_TYPES.ERROR, message: "Invalid peer id" });
+            return;
+          }
+
+          const signal = {
             type: MSG_TYPES.SIGNAL,
             signalType: msg.signalType,
             data: msg.data,
-          });
+            from: getMeta(ws).peerId,
+          };
+          if (to) {
+            roomManager.sendTo(ws, to, signal);
+            break;
+          }
+
+          onSignal?.(roomId, msg);
+
+          // Forward to other peers (matches old behavior)
+          roomManager.broadcast(ws, signal);
           break;
         }
 
@@ -724,7 +1006,8 @@ export function setupWebRtcSignaling(httpServer) {
   const prepMessageHandler = createMessageHandler(videoRoomManager, "WebRTC");
   const classroomMessageHandler = createMessageHandler(
     classroomRoomManager,
-    "Classroom"
+    "Classroom",
+    updateClassroomState
   );
 
   wssPrep.on(
@@ -775,8 +1058,14 @@ export function setupWebRtcSignaling(httpServer) {
       return;
     }
 
-    // Connection limit check
-    const connectionCheck = canAcceptConnection(ip);
+    // Connection limit check (all instances)
+    let connectionCheck;
+    try {
+      connectionCheck = await canAcceptConnection(ip);
+    } catch (err) {
+      logger.error({ err }, "[Backplane] Connection count failed");
+      connectionCheck = { allowed: false, reason: "Backplane unavailable" };
+    }
     if (!connectionCheck.allowed) {
       logger.warn(
         { ip, reason: connectionCheck.reason },
@@ -803,8 +1092,12 @@ export function setupWebRtcSignaling(httpServer) {
     const wss = pathname === "/ws/prep" ? wssPrep : wssClassroom;
 
     wss.handleUpgrade(request, socket, head, (ws) => {
-      // Store authenticated user ID
-      getMeta(ws).userId = authResult.userId;
+      // Store the authenticated user
+      const meta = getMeta(ws);
+      meta.userId = authResult.userId;
+      meta.user = authResult.user || null;
+      meta.joinSessionId = authResult.sessionId || null;
+      meta.peerId = peerIdFor(meta);
       wss.emit("connection", ws, request);
     });
   });
@@ -822,6 +1115,7 @@ export function setupWebRtcSignaling(httpServer) {
     if (heartbeatIntervalClassroom) {
       clearInterval(heartbeatIntervalClassroom);
     }
+    clearInterval(heartbeatIntervalAttendance);
 
     // Close all WebSocket connections gracefully
     const closePromises = [];
@@ -851,12 +1145,20 @@ export function setupWebRtcSignaling(httpServer) {
       closePromises.push(closeConnection(ws, "Classroom"));
     });
 
-    Promise.all(closePromises).then(() => {
-      logger.info("[Server] All WebSocket connections closed");
-      // Close the WebSocket servers
-      wssPrep.close();
-      wssClassroom.close();
-    });
+    return Promise.all(closePromises)
+      .then(() =>
+        Promise.all([classroomStates.flushAll(), attendance.stopAll()])
+      )
+      .then(() => {
+        logger.info("[Server] All WebSocket connections closed");
+        // Close the WebSocket servers
+        wssPrep.close();
+        wssClassroom.close();
+        return backplane.close();
+      })
+      .catch((err) => {
+        logger.error({ err }, "[Server] Signaling shutdown failed");
+      });
   };
 
   // Register shutdown handlers
@@ -867,9 +1169,12 @@ export function setupWebRtcSignaling(httpServer) {
   // Health check / stats endpoint (optional)
   // ─────────────────────────────────────────────
   const getStats = () => ({
-    totalConnections,
+    totalConnections: conns.getLocalCount(),
+    backplane: backplane.name,
     videoRooms: videoRoomManager.getRoomCount(),
     classroomRooms: classroomRoomManager.getRoomCount(),
+    classroomStates: classroomStates.getRoomCount(),
+    openAttendance: attendance.getOpenCount(),
     prepClients: wssPrep.clients.size,
     classroomClients: wssClassroom.clients.size,
   });
@@ -883,6 +1188,7 @@ export function setupWebRtcSignaling(httpServer) {
     wssClassroom,
     videoRoomManager,
     classroomRoomManager,
+    classroomStates,
     getStats,
     shutdown,
     CONFIG, // Expose config for runtime modification if needed
@@ -0,0 +1,110 @@
+// tests/admin-credits.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+
+test("POST /api/admin/users/:id/packages requires authentication", async () => {
+  const res = await request(app)
+    .post("/api/admin/users/1/packages")
+    .send({ packageId: 1, reason: "bank transfer" });
+  assert.equal(res.statusCode, 401);
+});
+
+test("admins grant packs and adjust credits with a reason", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const admin = await prisma.user.create({
+    data: {
+      email: `grant-admin+${stamp}@example.com`,
+      hashedPassword,
+      role: "admin",
+    },
+  });
+  const learner = await prisma.user.create({
+    data: {
+      email: `grant-learner+${stamp}@example.com`,
+      hashedPassword,
+      role: "learner",
+    },
+  });
+  const pkg = await prisma.package.create({
+    data: {
+      title: `Corporate 10 ${stamp}`,
+      sessionsPerPack: 10,
+      durationMin: 45,
+      validityDays: 30,
+    },
+  });
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.audit.deleteMany({ where: { actorId: admin.id } });
+    await prisma.package.delete({ where: { id: pkg.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [admin.id, learner.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email: admin.email, password });
+
+  const noReason = await agent
+    .post(`/api/admin/users/${learner.id}/packages`)
+    .send({ packageId: pkg.id });
+  assert.equal(noReason.statusCode, 400);
+
+  const granted = await agent
+    .post(`/api/admin/users/${learner.id}/packages`)
+    .send({ packageId: pkg.id, reason: "Bank transfer #123" });
+  assert.equal(granted.statusCode, 201);
+  assert.equal(granted.body.pack.title, pkg.title);
+  assert.equal(granted.body.pack.sessionsTotal, 10);
+  assert.equal(granted.body.pack.minutesPerSession, 45);
+  const days =
+    (new Date(granted.body.pack.expiresAt) - Date.now()) / (24 * 3600 * 1000);
+  assert.ok(days > 29.9 && days <= 30);
+
+  const custom = await agent
+    .post(`/api/admin/users/${learner.id}/packages`)
+    .send({ title: "Goodwill", sessionsTotal: 1, reason: "Teacher no-show" });
+  assert.equal(custom.statusCode, 201);
+  assert.equal(custom.body.pack.expiresAt, null);
+
+  const packId = granted.body.pack.id;
+  const added = await agent
+    .post(`/api/admin/user-packages/${packId}/adjust`)
+    .send({ delta: 2, reason: "Referral bonus" });
+  assert.equal(added.statusCode, 200);
+  assert.equal(added.body.remaining, 12);
+
+  const tooMany = await agent
+    .post(`/api/admin/user-packages/${packId}/adjust`)
+    .send({ delta: -20, reason: "Typo" });
+  assert.equal(tooMany.statusCode, 409);
+
+  const entries = await prisma.creditTransaction.findMany({
+    where: { userPackageId: packId },
+  });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].reason, "admin_adjustment");
+  assert.equal(entries[0].actorId, admin.id);
+
+  const audits = await prisma.audit.findMany({
+    where: { actorId: admin.id },
+    orderBy: { id: "asc" },
+  });
+  assert.deepEqual(
+    audits.map((a) => a.action),
+    ["package_grant", "package_grant", "credits_adjust"]
+  );
+  assert.equal(audits[0].meta.reason, "Bank transfer #123");
+});
@@ -0,0 +1,256 @@
+// tests/attendance.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import {
+  ATTENDANCE_STALE_MS,
+  summarizeAttendance,
+  attendanceOutcome,
+  presentUserIds,
+  createAttendanceRecorder,
+} from "../src/services/attendanceService.js";
+import { finalizeExpiredSessions } from "../src/services/sessionsService.js";
+
+const at = (min) => new Date(Date.UTC(2026, 2, 1, 10, min));
+
+test("attendance summaries merge overlaps and count reconnects", () => {
+  const now = at(60);
+  const rows = [
+    // The teacher on video and the classroom at the same time
+    {
+      userId: 2,
+      role: "teacher",
+      channel: "webrtc",
+      joinedAt: at(0),
+      lastSeenAt: at(50),
+      leftAt: at(50),
+    },
+    {
+      userId: 2,
+      role: "teacher",
+      channel: "classroom",
+      joinedAt: at(5),
+      lastSeenAt: at(45),
+      leftAt: at(45),
+    },
+    // The learner drops out for ten minutes, then is still connected
+    {
+      userId: 1,
+      role: "learner",
+      channel: "webrtc",
+      joinedAt: at(2),
+      lastSeenAt: at(20),
+      leftAt: at(20),
+    },
+    {
+      userId: 1,
+      role: "learner",
+      channel: "webrtc",
+      joinedAt: at(30),
+      lastSeenAt: at(59),
+      leftAt: null,
+    },
+  ];
+
+  const [teacher, learner] = summarizeAttendance(rows, now);
+  assert.deepEqual(teacher, {
+    userId: 2,
+    role: "teacher",
+    firstJoinAt: at(0),
+    lastSeenAt: at(50),
+    connectedMinutes: 50,
+    reconnects: 0,
+    connected: false,
+  });
+  assert.equal(learner.connectedMinutes, 48);
+  assert.equal(learner.reconnects, 1);
+  assert.equal(learner.connected, true);
+
+  // An interval whose instance died ends at its last heartbeat
+  const later = new Date(at(59).getTime() + ATTENDANCE_STALE_MS + 1);
+  const [, stale] = summarizeAttendance(rows, later);
+  assert.equal(stale.lastSeenAt.getTime(), at(59).getTime());
+  assert.equal(stale.connected, false);
+});
+
+test("attendance decides completion and who was a no-show", () => {
+  const session = { userId: 1, teacherId: 2 };
+  assert.equal(attendanceOutcome(session, [1, 2]), "completed");
+  assert.equal(attendanceOutcome(session, [2, 9]), "learner_no_show");
+  assert.equal(attendanceOutcome(session, [1]), "teacher_no_show");
+  assert.equal(attendanceOutcome(session, [9]), "no_attendance");
+  assert.equal(
+    attendanceOutcome({ userId: 1, teacherId: null }, [1]),
+    "completed"
+  );
+});
+
+test("only time inside the lesson counts as being present", () => {
+  const session = { userId: 1, teacherId: 2, startAt: at(0), endAt: at(50) };
+  const row = (userId, joinedAt, leftAt) => ({
+    userId,
+    role: userId === 1 ? "learner" : "teacher",
+    channel: "webrtc",
+    joinedAt,
+    lastSeenAt: leftAt,
+    leftAt,
+  });
+  const dayBefore = (min) => new Date(at(min).getTime() - 24 * 60 * 60 * 1000);
+
+  // The learner tested their camera for an hour the day before, and the
+  // teacher waited early but left two minutes into the lesson
+  assert.deepEqual(
+    presentUserIds(
+      session,
+      [row(1, dayBefore(0), dayBefore(60)), row(2, at(-30), at(2))],
+      at(60)
+    ),
+    []
+  );
+  // Joining late still counts once they've been there long enough
+  assert.deepEqual(
+    presentUserIds(
+      session,
+      [row(1, at(40), at(50)), row(2, at(-5), at(60))],
+      at(60)
+    ),
+    [1, 2]
+  );
+});
+
+test("the recorder opens, touches and closes intervals per socket", async () => {
+  const calls = [];
+  let nextId = 1;
+  const recorder = createAttendanceRecorder({
+    open: async (row) => {
+      calls.push(["open", row.sessionId, row.channel]);
+      return nextId++;
+    },
+    close: async (id) => calls.push(["close", id]),
+    touch: async (ids) => calls.push(["touch", ids]),
+  });
+  const user = { userId: 7, role: "learner" };
+
+  await recorder.start("a", { ...user, roomId: "42", channel: "webrtc" });
+  await recorder.start("b", { ...user, roomId: "42-x", channel: "classroom" });
+  // Rooms that aren't a lesson's, and sockets without a user, aren't recorded
+  await recorder.start("c", { ...user, roomId: "lobby", channel: "webrtc" });
+  await recorder.start("d", { roomId: "42", userId: null, channel: "webrtc" });
+  assert.equal(recorder.getOpenCount(), 2);
+
+  await recorder.heartbeat();
+  await recorder.stop("a");
+  await recorder.stop("a");
+  await recorder.stopAll();
+
+  assert.deepEqual(calls, [
+    ["open", 42, "webrtc"],
+    ["open", 42, "classroom"],
+    ["touch", [1, 2]],
+    ["close", 1],
+    ["close", 2],
+  ]);
+  assert.equal(recorder.getOpenCount(), 0);
+});
+
+test("GET /api/admin/sessions/:id/attendance requires authentication", async () => {
+  const res = await request(app).get("/api/admin/sessions/1/attendance");
+  assert.equal(res.statusCode, 401);
+});
+
+test("finalization completes attended sessions and records no-shows", async (t) => {
+  const stamp = Date.now();
+  const hashedPassword = await bcrypt.hash("Password123", 10);
+  const [learner, teacher] = await Promise.all(
+    ["learner", "teacher"].map((role) =>
+      prisma.user.create({
+        data: {
+          email: `attendance-${role}+${stamp}@example.com`,
+          hashedPassword,
+          role,
+        },
+      })
+    )
+  );
+  await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 3,
+    },
+  });
+  const lesson = (hoursAgo) =>
+    prisma.session.create({
+      data: {
+        userId: learner.id,
+        teacherId: teacher.id,
+        title: "Lesson",
+        startAt: new Date(Date.now() - hoursAgo * 60 * 60 * 1000),
+        endAt: new Date(Date.now() - (hoursAgo - 1) * 60 * 60 * 1000),
+      },
+    });
+  const attended = await lesson(3);
+  const missed = await lesson(5);
+  const early = await lesson(7);
+  const joined = (
+    session,
+    user,
+    joinedAt = session.startAt,
+    leftAt = session.endAt
+  ) =>
+    prisma.sessionAttendance.create({
+      data: {
+        sessionId: session.id,
+        userId: user.id,
+        role: user.role,
+        channel: "webrtc",
+        joinedAt,
+        lastSeenAt: leftAt,
+        leftAt,
+      },
+    });
+  await joined(attended, learner);
+  await joined(attended, teacher);
+  await joined(missed, teacher);
+  // The learner only opened the room the day before the lesson
+  await joined(early, teacher);
+  const dayBefore = (d) => new Date(d.getTime() - 24 * 60 * 60 * 1000);
+  await joined(
+    early,
+    learner,
+    dayBefore(early.startAt),
+    dayBefore(early.endAt)
+  );
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.session.deleteMany({ where: { userId: learner.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [learner.id, teacher.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const result = await finalizeExpiredSessions({
+    id: { in: [attended.id, missed.id, early.id] },
+  });
+  assert.equal(result.completed, 1);
+  assert.equal(result.noShows, 2);
+
+  const statuses = await prisma.session.findMany({
+    where: { id: { in: [attended.id, missed.id, early.id] } },
+    orderBy: { id: "asc" },
+    select: { status: true },
+  });
+  assert.deepEqual(
+    statuses.map((s) => s.status),
+    ["completed", "no_show", "no_show"]
+  );
+});
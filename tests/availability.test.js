@@ -0,0 +1,122 @@
+// tests/availability.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { prisma } from "../src/lib/prisma.js";
+import {
+  expandWeeklyRules,
+  subtractIntervals,
+  sliceIntoSlots,
+  getTeacherFreeSlots,
+  isWithinAvailability,
+} from "../src/services/availabilityService.js";
+import { zonedTimeToUtc } from "../src/lib/timezone.js";
+
+test("zonedTimeToUtc follows the zone's DST offset", () => {
+  // New York: EST (-5) in January, EDT (-4) in July
+  const winter = zonedTimeToUtc(
+    { year: 2025, month: 1, day: 15, minutes: 9 * 60 },
+    "America/New_York"
+  );
+  const summer = zonedTimeToUtc(
+    { year: 2025, month: 7, day: 15, minutes: 9 * 60 },
+    "America/New_York"
+  );
+  assert.equal(winter.toISOString(), "2025-01-15T14:00:00.000Z");
+  assert.equal(summer.toISOString(), "2025-07-15T13:00:00.000Z");
+});
+
+test("weekly rules expand in the teacher's timezone", () => {
+  // Mondays 09:00-11:00 Cairo time (UTC+2 in winter)
+  const rules = [
+    { weekday: 1, startMin: 540, endMin: 660, timezone: "Africa/Cairo" },
+  ];
+  const windows = expandWeeklyRules(
+    rules,
+    new Date("2025-01-05T00:00:00Z"),
+    new Date("2025-01-19T00:00:00Z")
+  );
+
+  assert.deepEqual(
+    windows.map((w) => [w.start.toISOString(), w.end.toISOString()]),
+    [
+      ["2025-01-06T07:00:00.000Z", "2025-01-06T09:00:00.000Z"],
+      ["2025-01-13T07:00:00.000Z", "2025-01-13T09:00:00.000Z"],
+    ]
+  );
+});
+
+test("booked sessions are subtracted before slicing into slots", () => {
+  const free = [
+    {
+      start: new Date("2025-01-06T07:00:00Z"),
+      end: new Date("2025-01-06T10:00:00Z"),
+    },
+  ];
+  const busy = [
+    {
+      start: new Date("2025-01-06T08:00:00Z"),
+      end: new Date("2025-01-06T09:00:00Z"),
+    },
+  ];
+
+  const slots = sliceIntoSlots(subtractIntervals(free, busy), 60, 30);
+
+  assert.deepEqual(
+    slots.map((s) => s.startAt.toISOString()),
+    ["2025-01-06T07:00:00.000Z", "2025-01-06T09:00:00.000Z"]
+  );
+});
+
+test("without weekly hours, slots and booking agree outside time off", async (t) => {
+  const teacher = await prisma.user.create({
+    data: {
+      email: `avail-open+${Date.now()}@example.com`,
+      hashedPassword: "x",
+      role: "teacher",
+    },
+  });
+  t.after(async () => {
+    await prisma.teacherAvailabilityException.deleteMany({
+      where: { teacherId: teacher.id },
+    });
+    await prisma.user.delete({ where: { id: teacher.id } });
+    await prisma.$disconnect();
+  });
+
+  const HOUR = 60 * 60 * 1000;
+  const from = new Date(Math.ceil(Date.now() / HOUR) * HOUR + 24 * HOUR);
+  const to = new Date(from.getTime() + 3 * HOUR);
+  await prisma.teacherAvailabilityException.create({
+    data: {
+      teacherId: teacher.id,
+      kind: "time_off",
+      startAt: new Date(from.getTime() + HOUR),
+      endAt: new Date(from.getTime() + 2 * HOUR),
+    },
+  });
+
+  const slots = await getTeacherFreeSlots(teacher.id, {
+    from,
+    to,
+    durationMin: 60,
+    stepMin: 60,
+  });
+  assert.deepEqual(
+    slots.map((s) => s.startAt.getTime()),
+    [from.getTime(), from.getTime() + 2 * HOUR]
+  );
+  for (const s of slots) {
+    assert.equal(
+      await isWithinAvailability(teacher.id, s.startAt, s.endAt),
+      true
+    );
+  }
+  assert.equal(
+    await isWithinAvailability(
+      teacher.id,
+      new Date(from.getTime() + HOUR),
+      new Date(from.getTime() + 2 * HOUR)
+    ),
+    false
+  );
+});
@@ -0,0 +1,94 @@
+// tests/classroom-state.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import app from "../src/app.js";
+import {
+  emptyClassroomState,
+  applyClassroomSignal,
+  createClassroomStateStore,
+} from "../src/services/classroomStateService.js";
+
+const now = new Date("2026-03-01T10:00:00Z");
+
+test("classroom signals update material, page, annotations and notes", () => {
+  let state = emptyClassroomState();
+  const apply = (type, data) => {
+    const next = applyClassroomSignal(state, type, data, now);
+    if (next) state = next;
+    return next;
+  };
+
+  assert.ok(apply("material", { id: "m1", title: "Unit 1", page: 3 }));
+  assert.deepEqual(state.material, { id: "m1", title: "Unit 1" });
+  assert.equal(state.page, 3);
+  assert.equal(state.updatedAt, now.toISOString());
+
+  apply("annotation", { id: "a1", path: "M0 0L1 1" });
+  apply("page", { page: 4 });
+  apply("annotation", { id: "a2", path: "M1 1L2 2" });
+  assert.deepEqual(
+    state.annotations.map((a) => [a.id, a.materialId, a.page]),
+    [
+      ["a1", "m1", 3],
+      ["a2", "m1", 4],
+    ]
+  );
+
+  apply("annotations-clear", { page: 4 });
+  assert.deepEqual(
+    state.annotations.map((a) => a.id),
+    ["a1"]
+  );
+  apply("annotation-remove", { id: "a1" });
+  assert.equal(state.annotations.length, 0);
+
+  apply("notes", { text: "Past simple: -ed" });
+  assert.equal(state.notes, "Past simple: -ed");
+
+  // Invalid data and other signals leave the state alone
+  assert.equal(apply("page", { page: 0 }), null);
+  assert.equal(apply("annotation", { path: "no id" }), null);
+  assert.equal(apply("offer", { sdp: "…" }), null);
+  assert.equal(apply("toString", {}), null);
+});
+
+test("the store restores saved state, debounces saves and flushes on release", async () => {
+  const saved = new Map([[42, { ...emptyClassroomState(), notes: "saved" }]]);
+  const writes = [];
+  const store = createClassroomStateStore({
+    debounceMs: 20,
+    load: async (sessionId) => saved.get(sessionId) || null,
+    save: async (sessionId, state) => {
+      writes.push([sessionId, state.page]);
+      saved.set(sessionId, state);
+    },
+  });
+
+  // A late joiner gets what was saved before
+  assert.equal((await store.snapshot("42")).notes, "saved");
+
+  await store.apply("42", "page", 2, now);
+  await store.apply("42", "page", 3, now);
+  assert.deepEqual(writes, []);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(writes, [[42, 3]]);
+
+  await store.apply("42", "page", 5, now);
+  await store.release("42");
+  assert.deepEqual(writes, [
+    [42, 3],
+    [42, 5],
+  ]);
+  assert.equal(store.getRoomCount(), 0);
+
+  // Rooms that aren't a lesson's main room are never saved
+  await store.apply("42-breakout", "page", 7, now);
+  await store.release("42-breakout");
+  assert.equal(writes.length, 2);
+});
+
+test("GET /api/sessions/:id/classroom-state requires authentication", async () => {
+  const res = await request(app).get("/api/sessions/1/classroom-state");
+  assert.equal(res.statusCode, 401);
+});
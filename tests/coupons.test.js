@@ -0,0 +1,159 @@
+// tests/coupons.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import {
+  evaluateCoupon,
+  discountFor,
+  normalizeCode,
+} from "../src/services/couponService.js";
+import { createOrder } from "../src/services/ordersService.js";
+import { newOrderId } from "../src/services/pricingService.js";
+
+const pkg = { id: 7, audience: "INDIVIDUAL" };
+const price = { amountCents: 12000, currency: "USD" };
+const unused = { total: 0, byUser: 0 };
+const now = new Date("2025-06-01T12:00:00Z");
+
+test("percentage and fixed coupons discount the price", () => {
+  assert.equal(discountFor({ percentOff: 15 }, 12000), 1800);
+  assert.equal(discountFor({ amountOffCents: 2500 }, 12000), 2500);
+  assert.equal(discountFor({ amountOffCents: 99999 }, 12000), 12000);
+  assert.equal(normalizeCode("  spring25 "), "SPRING25");
+
+  const coupon = { active: true, percentOff: 25, perUserLimit: 1 };
+  assert.deepEqual(evaluateCoupon(coupon, { pkg, price, usage: unused, now }), {
+    ok: true,
+    discountCents: 3000,
+    amountCents: 9000,
+  });
+});
+
+test("coupon restrictions are enforced", () => {
+  const base = { active: true, percentOff: 10, perUserLimit: 1 };
+  const check = (coupon, usage = unused) =>
+    evaluateCoupon({ ...base, ...coupon }, { pkg, price, usage, now });
+
+  assert.match(check({ active: false }).error, /isn't valid/);
+  assert.match(
+    check({ expiresAt: new Date("2025-05-31T00:00:00Z") }).error,
+    /expired/
+  );
+  assert.match(
+    check({ startsAt: new Date("2025-06-02T00:00:00Z") }).error,
+    /isn't active yet/
+  );
+  assert.match(check({ packageIds: [1, 2] }).error, /doesn't apply/);
+  assert.equal(check({ packageIds: [7] }).ok, true);
+  assert.match(check({ audience: "CORPORATE" }).error, /doesn't apply/);
+  assert.match(
+    check({ maxRedemptions: 5 }, { total: 5, byUser: 0 }).error,
+    /fully used/
+  );
+  assert.match(check({}, { total: 1, byUser: 1 }).error, /already used/);
+  assert.equal(check({ perUserLimit: null }, { total: 1, byUser: 1 }).ok, true);
+  assert.match(
+    check({ percentOff: null, amountOffCents: 1000, currency: "EGP" }).error,
+    /only valid for EGP/
+  );
+  // Nothing (or almost nothing) left to charge
+  assert.match(check({ percentOff: 100 }).error, /can't be used online/);
+});
+
+test("POST /api/payments/quote requires authentication", async () => {
+  const res = await request(app)
+    .post("/api/payments/quote")
+    .send({ packageId: 1, couponCode: "SPRING25" });
+  assert.equal(res.statusCode, 401);
+});
+
+test("a quote applies the coupon without using it", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const user = await prisma.user.create({
+    data: {
+      email: `coupon+${stamp}@example.com`,
+      hashedPassword: await bcrypt.hash(password, 10),
+      role: "learner",
+    },
+  });
+  const bundle = await prisma.package.create({
+    data: { title: "Test bundle", priceUSD: 120, sessionsPerPack: 4 },
+  });
+  const coupon = await prisma.coupon.create({
+    data: { code: `TEST${stamp}`, percentOff: 25, packageIds: [bundle.id] },
+  });
+
+  t.after(async () => {
+    await prisma.coupon.delete({ where: { id: coupon.id } });
+    await prisma.package.delete({ where: { id: bundle.id } });
+    await prisma.user.delete({ where: { id: user.id } });
+    await prisma.$disconnect();
+  });
+
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email: user.email, password });
+
+  const res = await agent.post("/api/payments/quote").send({
+    packageId: bundle.id,
+    currency: "USD",
+    couponCode: coupon.code.toLowerCase(),
+  });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.listAmountCents, 12000);
+  assert.equal(res.body.discountCents, 3000);
+  assert.equal(res.body.amountCents, 9000);
+  assert.equal(
+    await prisma.couponRedemption.count({ where: { couponId: coupon.id } }),
+    0
+  );
+});
+
+test("concurrent checkouts can't take more uses than the coupon allows", async (t) => {
+  const stamp = Date.now();
+  const user = await prisma.user.create({
+    data: {
+      email: `coupon-race+${stamp}@example.com`,
+      hashedPassword: "not-used",
+      role: "learner",
+    },
+  });
+  const coupon = await prisma.coupon.create({
+    data: { code: `RACE${stamp}`, percentOff: 10, maxRedemptions: 1 },
+  });
+
+  t.after(async () => {
+    await prisma.couponRedemption.deleteMany({
+      where: { couponId: coupon.id },
+    });
+    await prisma.order.deleteMany({ where: { userId: user.id } });
+    await prisma.coupon.delete({ where: { id: coupon.id } });
+    await prisma.user.delete({ where: { id: user.id } });
+    await prisma.$disconnect();
+  });
+
+  // Both checkouts were quoted while the code was still unused
+  const results = await Promise.all(
+    [0, 1].map(() =>
+      createOrder({
+        id: newOrderId(),
+        amountCents: 10800,
+        currency: "USD",
+        psp: "paymob",
+        userId: user.id,
+        packageId: 0,
+        coupon,
+        discountCents: 1200,
+      })
+    )
+  );
+  assert.equal(results.filter((r) => r.order).length, 1);
+  assert.equal(results.filter((r) => r.error?.status === 409).length, 1);
+  assert.equal(
+    await prisma.couponRedemption.count({ where: { couponId: coupon.id } }),
+    1
+  );
+});
@@ -0,0 +1,74 @@
+// tests/invoices.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import app from "../src/app.js";
+import {
+  invoiceNumber,
+  taxIncluded,
+  invoiceHtml,
+  invoicePdf,
+} from "../src/services/invoiceService.js";
+
+const invoice = {
+  number: "SPX-2025-000042",
+  orderId: "ord_test",
+  issuedAt: new Date("2025-06-01T10:00:00Z"),
+  sellerName: "Speexify",
+  sellerTaxId: "123-456",
+  buyerName: "Mona <Admin>",
+  buyerEmail: "mona@example.com",
+  buyerCompany: "Acme LLC",
+  description: "Business English (8 sessions)",
+  currency: "EGP",
+  subtotalCents: 500000,
+  discountCents: 50000,
+  couponCode: "SPRING10",
+  taxRatePercent: 14,
+  taxCents: taxIncluded(450000, 14),
+  totalCents: 450000,
+};
+
+test("invoice numbers are sequential per year", () => {
+  assert.equal(invoiceNumber(2025, 42), "SPX-2025-000042");
+  assert.equal(invoiceNumber(2026, 1), "SPX-2026-000001");
+});
+
+test("tax is the part of an inclusive total", () => {
+  assert.equal(taxIncluded(11400, 14), 1400);
+  assert.equal(taxIncluded(11400, 0), 0);
+});
+
+test("the HTML receipt escapes and itemizes", () => {
+  const html = invoiceHtml(invoice);
+  assert.match(html, /Invoice SPX-2025-000042/);
+  assert.match(html, /Mona &lt;Admin&gt;/);
+  assert.match(html, /Discount \(SPRING10\)/);
+  assert.match(html, /-EGP 500\.00/);
+  assert.match(html, /EGP 4500\.00/);
+  assert.match(html, /Includes tax \(14%\).*EGP 552\.63/);
+});
+
+test("the PDF receipt is a well-formed PDF", () => {
+  const pdf = invoicePdf(invoice).toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-1.4\n"));
+  assert.ok(pdf.endsWith("%%EOF\n"));
+  assert.match(pdf, /\(Invoice SPX-2025-000042\) Tj/);
+  assert.match(pdf, /\(Mona <Admin>\) Tj/);
+
+  // Every xref entry points at its object
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  const entries = pdf
+    .slice(startxref)
+    .split("\n")
+    .filter((l) => / 00000 n $/.test(l));
+  entries.forEach((line, i) => {
+    const offset = Number(line.slice(0, 10));
+    assert.ok(pdf.startsWith(`${i + 1} 0 obj`, offset));
+  });
+});
+
+test("GET /api/me/orders requires authentication", async () => {
+  const res = await request(app).get("/api/me/orders");
+  assert.equal(res.statusCode, 401);
+});
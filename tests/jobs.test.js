@@ -0,0 +1,50 @@
+// tests/jobs.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { retryDelayMs } from "../src/jobs/runner.js";
+import { reminderEmail } from "../src/jobs/reminders.js";
+import { expiryWarningEmail } from "../src/jobs/packageExpiry.js";
+import { packExpiresAt } from "../src/services/creditsService.js";
+
+test("job retries back off exponentially up to the job interval", () => {
+  const base = 30 * 1000;
+  const interval = 5 * 60 * 1000;
+  assert.equal(retryDelayMs(1, interval, base), base);
+  assert.equal(retryDelayMs(2, interval, base), 2 * base);
+  assert.equal(retryDelayMs(3, interval, base), 4 * base);
+  assert.equal(retryDelayMs(10, interval, base), interval);
+});
+
+test("reminder emails use the learner's timezone and escape content", () => {
+  const { subject, html } = reminderEmail("1h", {
+    title: "<b>Speaking</b>",
+    startAt: new Date("2025-07-15T13:00:00Z"),
+    joinUrl: "https://meet.example.com/abc",
+    user: { name: "Sam", timezone: "America/New_York" },
+  });
+
+  assert.match(subject, /^Starting in ~1 hour: /);
+  assert.match(html, /9:00 AM/);
+  assert.match(html, /&lt;b&gt;Speaking&lt;\/b&gt;/);
+  assert.match(html, /href="https:\/\/meet\.example\.com\/abc"/);
+});
+
+test("expiry warnings count the credits left and use the learner's timezone", () => {
+  const { subject, html } = expiryWarningEmail("3d", {
+    title: "Starter <4>",
+    remaining: 1,
+    expiresAt: new Date("2025-07-15T13:00:00Z"),
+    user: { name: "Sam", timezone: "America/New_York" },
+  });
+
+  assert.match(subject, /^Last days to use your Starter <4> credits/);
+  assert.match(html, /1 credit<\/strong>/);
+  assert.match(html, /9:00 AM/);
+  assert.match(html, /Starter &lt;4&gt;/);
+});
+
+test("a pack's expiry follows its package's validity", () => {
+  const from = new Date("2025-07-01T00:00:00Z");
+  assert.deepEqual(packExpiresAt(90, from), new Date("2025-09-29T00:00:00Z"));
+  assert.equal(packExpiresAt(null, from), null);
+});
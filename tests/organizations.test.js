@@ -0,0 +1,207 @@
+// tests/organizations.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import { parseCreditCap } from "../src/services/organizationService.js";
+import {
+  chargeSessionCredit,
+  getRemainingCredits,
+} from "../src/services/creditsService.js";
+
+test("GET /api/organizations/:id/dashboard requires authentication", async () => {
+  const res = await request(app).get("/api/organizations/1/dashboard");
+  assert.equal(res.statusCode, 401);
+});
+
+test("credit caps are null or a non-negative amount", () => {
+  assert.deepEqual(parseCreditCap(null), { value: null });
+  assert.deepEqual(parseCreditCap(""), { value: null });
+  assert.deepEqual(parseCreditCap("2.5"), { value: 2.5 });
+  assert.ok(parseCreditCap(-1).error);
+  assert.ok(parseCreditCap(1.234).error);
+  assert.ok(parseCreditCap("lots").error);
+});
+
+test("members book from the pool up to their cap; allocations come back on removal", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const admin = await prisma.user.create({
+    data: {
+      email: `org-admin+${stamp}@example.com`,
+      hashedPassword,
+      role: "admin",
+    },
+  });
+  const hr = await prisma.user.create({
+    data: { email: `org-hr+${stamp}@example.com`, hashedPassword },
+  });
+  const [alice, bob] = await Promise.all(
+    ["alice", "bob"].map((name) =>
+      prisma.user.create({
+        data: {
+          email: `org-${name}+${stamp}@example.com`,
+          hashedPassword,
+          role: "learner",
+        },
+      })
+    )
+  );
+  const userIds = [admin.id, hr.id, alice.id, bob.id];
+  const session = await prisma.session.create({
+    data: {
+      userId: alice.id,
+      title: "Lesson",
+      startAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      endAt: new Date(Date.now() + 25 * 60 * 60 * 1000),
+    },
+  });
+  // A lesson Alice had before joining stays hidden from the organization
+  const before = await prisma.session.create({
+    data: {
+      userId: alice.id,
+      title: "Private lesson",
+      status: "completed",
+      startAt: new Date(Date.now() - 48 * 60 * 60 * 1000),
+      endAt: new Date(Date.now() - 47 * 60 * 60 * 1000),
+    },
+  });
+
+  let orgId;
+  t.after(async () => {
+    const packs = await prisma.userPackage.findMany({
+      where: { OR: [{ userId: { in: userIds } }, { organizationId: orgId }] },
+      select: { id: true },
+    });
+    const packIds = packs.map((p) => p.id);
+    await prisma.creditTransaction.deleteMany({
+      where: { userPackageId: { in: packIds } },
+    });
+    await prisma.userPackage.deleteMany({ where: { id: { in: packIds } } });
+    await prisma.session.deleteMany({
+      where: { id: { in: [session.id, before.id] } },
+    });
+    await prisma.audit.deleteMany({ where: { actorId: { in: userIds } } });
+    if (orgId) await prisma.organization.delete({ where: { id: orgId } });
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prisma.$disconnect();
+  });
+
+  const platform = request.agent(app);
+  await platform.post("/api/auth/login").send({ email: admin.email, password });
+
+  const created = await platform
+    .post("/api/admin/organizations")
+    .send({ name: `Acme ${stamp}`, seats: 1 });
+  assert.equal(created.statusCode, 201);
+  orgId = created.body.id;
+
+  const pool = await platform
+    .post(`/api/admin/organizations/${orgId}/packages`)
+    .send({ title: "Acme pool", sessionsTotal: 10, reason: "Contract #7" });
+  assert.equal(pool.statusCode, 201);
+  assert.equal(pool.body.pack.userId, null);
+
+  // The HR contact runs the account from here
+  const addHr = await platform
+    .post(`/api/organizations/${orgId}/members`)
+    .send({ email: hr.email, role: "admin" });
+  assert.equal(addHr.statusCode, 201);
+
+  const orgAdmin = request.agent(app);
+  await orgAdmin.post("/api/auth/login").send({ email: hr.email, password });
+
+  // Org admins invite; whether the email has an account isn't revealed
+  const direct = await orgAdmin
+    .post(`/api/organizations/${orgId}/members`)
+    .send({ email: alice.email });
+  assert.equal(direct.statusCode, 403);
+  const inviteAlice = await orgAdmin
+    .post(`/api/organizations/${orgId}/invites`)
+    .send({ email: alice.email, creditCap: 1 });
+  assert.equal(inviteAlice.statusCode, 201);
+  const inviteNobody = await orgAdmin
+    .post(`/api/organizations/${orgId}/invites`)
+    .send({ email: `org-nobody+${stamp}@example.com` });
+  assert.equal(inviteNobody.statusCode, 201);
+  assert.deepEqual(
+    Object.keys(inviteNobody.body),
+    Object.keys(inviteAlice.body)
+  );
+
+  const learner = request.agent(app);
+  await learner.post("/api/auth/login").send({ email: alice.email, password });
+  const [invite] = (await learner.get("/api/me/organization-invites")).body;
+  assert.equal(invite.organization.id, orgId);
+  const accepted = await learner.post(
+    `/api/me/organization-invites/${invite.id}/accept`
+  );
+  assert.equal(accepted.statusCode, 201);
+
+  const noSeat = await orgAdmin
+    .post(`/api/organizations/${orgId}/invites`)
+    .send({ email: bob.email });
+  assert.equal(noSeat.statusCode, 409);
+
+  // Alice has no credits of her own: the pool pays, up to her cap
+  assert.equal(await getRemainingCredits(alice.id), 1);
+  const charged = await chargeSessionCredit(session.id, {
+    userId: alice.id,
+    reason: "booking",
+  });
+  assert.equal(charged.ok, true);
+  assert.equal(charged.packId, pool.body.pack.id);
+  assert.equal(await getRemainingCredits(alice.id), 0);
+
+  const allocated = await orgAdmin
+    .post(`/api/organizations/${orgId}/allocations`)
+    .send({ userId: alice.id, credits: 2 });
+  assert.equal(allocated.statusCode, 201);
+  assert.equal(await getRemainingCredits(alice.id), 2);
+
+  const dashboard = await orgAdmin.get(`/api/organizations/${orgId}/dashboard`);
+  assert.equal(dashboard.statusCode, 200);
+  assert.equal(dashboard.body.seatsUsed, 1);
+  assert.equal(dashboard.body.pool.remaining, 7);
+  const row = dashboard.body.members.find((m) => m.userId === alice.id);
+  assert.equal(row.sessions.scheduled, 1);
+  assert.equal(row.sessions.completed, 0);
+  assert.equal(row.poolUsed, 1);
+  assert.equal(row.capLeft, 0);
+  assert.equal(row.available, 2);
+
+  // The HR contact takes no seat and books nothing from the pool; roles and
+  // their own cap are for platform admins
+  assert.equal(await getRemainingCredits(hr.id), 0);
+  const promote = await orgAdmin
+    .patch(`/api/organizations/${orgId}/members/${alice.id}`)
+    .send({ role: "admin" });
+  assert.equal(promote.statusCode, 403);
+  const ownCap = await orgAdmin
+    .patch(`/api/organizations/${orgId}/members/${hr.id}`)
+    .send({ creditCap: null });
+  assert.equal(ownCap.statusCode, 403);
+
+  // Learners can't see the dashboard
+  const forbidden = await learner.get(`/api/organizations/${orgId}/dashboard`);
+  assert.equal(forbidden.statusCode, 403);
+  const mine = await learner.get("/api/me/organization");
+  assert.equal(mine.body.poolUsed, 1);
+  assert.equal(mine.body.poolAvailable, 0);
+
+  const removed = await orgAdmin.delete(
+    `/api/organizations/${orgId}/members/${alice.id}`
+  );
+  assert.equal(removed.statusCode, 200);
+  assert.equal(removed.body.reclaimed, 2);
+  assert.equal(await getRemainingCredits(alice.id), 0);
+
+  const audits = await prisma.audit.findMany({
+    where: { entity: "Organization", entityId: orgId },
+  });
+  assert.ok(audits.some((a) => a.action === "organization_allocate"));
+});
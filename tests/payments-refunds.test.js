@@ -0,0 +1,195 @@
+// tests/payments-refunds.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+
+// A local stand-in for the Paymob API; records every call it gets
+const calls = [];
+const fakePaymob = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (c) => (raw += c));
+  req.on("end", () => {
+    const url = new URL(req.url, "http://localhost");
+    calls.push({ path: url.pathname, query: url.searchParams, body: raw });
+    res.setHeader("Content-Type", "application/json");
+    if (url.pathname === "/api/auth/tokens") {
+      return res.end(JSON.stringify({ token: "fake-token" }));
+    }
+    if (url.pathname.startsWith("/api/acceptance/void_refund/")) {
+      const body = JSON.parse(raw || "{}");
+      return res.end(
+        JSON.stringify({
+          id: 9000 + calls.length,
+          success: true,
+          amount_cents: body.amount_cents,
+        })
+      );
+    }
+    res.statusCode = 404;
+    res.end("{}");
+  });
+});
+await new Promise((resolve) => fakePaymob.listen(0, resolve));
+
+process.env.PAYMOB_BASE_URL = `http://127.0.0.1:${fakePaymob.address().port}/api`;
+process.env.PAYMOB_HMAC_SECRET = "test-hmac-secret";
+
+const { refundTransaction, voidTransaction, paymobHmac } =
+  await import("../src/services/payments/paymob.js");
+const { refundStatus } = await import("../src/services/ordersService.js");
+
+test.after(() => fakePaymob.close());
+
+test("refund status follows the refunded total", () => {
+  const order = { amountCents: 10000, status: "paid" };
+  assert.deepEqual(refundStatus(order, []), {
+    status: "paid",
+    refundedCents: 0,
+  });
+  assert.deepEqual(
+    refundStatus(order, [{ kind: "refund", amountCents: 2500 }]),
+    { status: "partially_refunded", refundedCents: 2500 }
+  );
+  assert.deepEqual(
+    refundStatus(order, [
+      { kind: "refund", amountCents: 2500 },
+      { kind: "refund", amountCents: 7500 },
+    ]),
+    { status: "refunded", refundedCents: 10000 }
+  );
+  assert.equal(
+    refundStatus(order, [{ kind: "void", amountCents: 0 }]).status,
+    "voided"
+  );
+});
+
+test("refund and void calls reach the Paymob API", async () => {
+  calls.length = 0;
+  const refund = await refundTransaction({
+    transactionId: 123,
+    amountCents: 500,
+  });
+  assert.equal(refund.success, true);
+  assert.deepEqual(
+    calls.map((c) => c.path),
+    ["/api/auth/tokens", "/api/acceptance/void_refund/refund"]
+  );
+  assert.deepEqual(JSON.parse(calls[1].body), {
+    auth_token: "fake-token",
+    transaction_id: 123,
+    amount_cents: 500,
+  });
+
+  calls.length = 0;
+  await voidTransaction({ transactionId: 123 });
+  assert.equal(calls[1].path, "/api/acceptance/void_refund/void");
+  assert.equal(calls[1].query.get("token"), "fake-token");
+});
+
+test("admin refund claws back credits once, even when the webhook repeats it", async (t) => {
+  const { prisma } = await import("../src/lib/prisma.js");
+  const { default: app } = await import("../src/app.js");
+
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const admin = await prisma.user.create({
+    data: {
+      email: `refund-admin+${stamp}@example.com`,
+      hashedPassword,
+      role: "admin",
+    },
+  });
+  const learner = await prisma.user.create({
+    data: {
+      email: `refund-learner+${stamp}@example.com`,
+      hashedPassword,
+      role: "learner",
+    },
+  });
+  const order = await prisma.order.create({
+    data: {
+      id: `test_${stamp}`,
+      amountCents: 10000,
+      status: "paid",
+      userId: learner.id,
+      pspOrderId: 555,
+      paymobTxnId: 777,
+    },
+  });
+  const pack = await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 4,
+      orderId: order.id,
+    },
+  });
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.orderRefund.deleteMany({ where: { orderId: order.id } });
+    await prisma.order.delete({ where: { id: order.id } });
+    await prisma.audit.deleteMany({ where: { actorId: admin.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [admin.id, learner.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email: admin.email, password });
+
+  // Another refund of the order is still with the provider
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { refundStartedAt: new Date() },
+  });
+  const busy = await agent
+    .post(`/api/admin/orders/${order.id}/refund`)
+    .send({ amountCents: 5000 });
+  assert.equal(busy.statusCode, 409);
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { refundStartedAt: null },
+  });
+
+  const refunded = await agent
+    .post(`/api/admin/orders/${order.id}/refund`)
+    .send({ amountCents: 5000 });
+  assert.equal(refunded.statusCode, 200);
+  assert.equal(refunded.body.order.status, "partially_refunded");
+  assert.equal(refunded.body.clawback[0].clawedBack, 2);
+
+  // Paymob then reports the same refund transaction
+  const refundTxnId = (
+    await prisma.orderRefund.findFirst({ where: { orderId: order.id } })
+  ).pspRefundId;
+  const payload = {
+    id: Number(refundTxnId),
+    amount_cents: 5000,
+    success: true,
+    is_refunded: true,
+    has_parent_transaction: true,
+    order: { id: 555, merchant_order_id: order.id },
+  };
+  const hook = await request(app)
+    .post(`/api/payments/webhook/paymob?hmac=${paymobHmac(payload)}`)
+    .send({ obj: payload });
+  assert.equal(hook.statusCode, 200);
+
+  const after = await prisma.order.findUnique({ where: { id: order.id } });
+  assert.equal(after.refundedCents, 5000);
+  const clawbacks = await prisma.creditTransaction.findMany({
+    where: { userPackageId: pack.id, reason: "refund_clawback" },
+  });
+  assert.equal(clawbacks.length, 1);
+  assert.equal(clawbacks[0].delta, -2);
+});
@@ -0,0 +1,235 @@
+// tests/payments-stripe.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import request from "supertest";
+
+// A local stand-in for the Stripe API; records every call it gets
+const calls = [];
+const fakeStripe = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (c) => (raw += c));
+  req.on("end", () => {
+    calls.push({
+      path: req.url,
+      headers: req.headers,
+      form: new URLSearchParams(raw),
+    });
+    res.setHeader("Content-Type", "application/json");
+    if (req.url === "/v1/checkout/sessions") {
+      return res.end(
+        JSON.stringify({ id: "cs_test_1", url: "https://stripe.test/cs_1" })
+      );
+    }
+    if (req.url === "/v1/refunds") {
+      return res.end(JSON.stringify({ id: "re_1", charge: "ch_1" }));
+    }
+    res.statusCode = 404;
+    res.end("{}");
+  });
+});
+await new Promise((resolve) => fakeStripe.listen(0, resolve));
+
+process.env.STRIPE_BASE_URL = `http://127.0.0.1:${fakeStripe.address().port}/v1`;
+process.env.STRIPE_SECRET_KEY = "sk_test_fake";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test";
+// Both providers configured, so routing doesn't fall back
+for (const k of ["API_KEY", "INTEGRATION_ID", "IFRAME_ID", "HMAC_SECRET"]) {
+  process.env[`PAYMOB_${k}`] ||= "1";
+}
+
+const stripe = await import("../src/services/payments/stripe.js");
+const { providerFor, getProvider } =
+  await import("../src/services/payments/index.js");
+
+test.after(() => fakeStripe.close());
+
+// What parseWebhook sees for a JSON body Stripe signed
+function signedRequest(event, signature) {
+  const raw = JSON.stringify(event);
+  const headers = {
+    "stripe-signature": signature ?? stripe.stripeSignature(raw),
+  };
+  return {
+    body: event,
+    rawBody: Buffer.from(raw),
+    get: (h) => headers[h.toLowerCase()],
+  };
+}
+
+test("currency and country pick the provider", () => {
+  assert.equal(providerFor({ currency: "EUR" }).name, "stripe");
+  assert.equal(providerFor({ currency: "usd" }).name, "stripe");
+  assert.equal(providerFor({ currency: "EGP" }).name, "paymob");
+  assert.equal(providerFor({ currency: "USD", country: "eg" }).name, "paymob");
+  // Paymob doesn't take EUR, so Egypt doesn't change that
+  assert.equal(providerFor({ currency: "EUR", country: "EG" }).name, "stripe");
+  assert.equal(providerFor({ currency: "XYZ" }), null);
+  assert.equal(getProvider("toString"), null);
+});
+
+test("stripe checkout carries the order id and the server's amount", async () => {
+  calls.length = 0;
+  const order = {
+    id: "ord_test_1",
+    amountCents: 11000,
+    currency: "EUR",
+    customerEmail: "buyer@example.com",
+  };
+  const checkout = await stripe.createCheckout({
+    order,
+    pkg: { title: "Corporate bundle" },
+  });
+
+  assert.equal(checkout.checkoutUrl, "https://stripe.test/cs_1");
+  const { form, headers } = calls[0];
+  assert.equal(headers.authorization, "Bearer sk_test_fake");
+  assert.equal(headers["idempotency-key"], "checkout:ord_test_1");
+  assert.equal(form.get("client_reference_id"), "ord_test_1");
+  assert.equal(
+    form.get("payment_intent_data[metadata][orderId]"),
+    "ord_test_1"
+  );
+  assert.equal(form.get("line_items[0][price_data][currency]"), "eur");
+  assert.equal(form.get("line_items[0][price_data][unit_amount]"), "11000");
+});
+
+test("stripe webhooks are verified and normalized", () => {
+  const completed = {
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        client_reference_id: "ord_test_1",
+        payment_status: "paid",
+        amount_total: 11000,
+        currency: "eur",
+        payment_intent: "pi_1",
+      },
+    },
+  };
+  assert.deepEqual(stripe.parseWebhook(signedRequest(completed)), {
+    kind: "payment",
+    orderId: "ord_test_1",
+    success: true,
+    amountCents: 11000,
+    currency: "eur",
+    paymentId: "pi_1",
+  });
+
+  // Wrong secret, tampered body, or a stale timestamp
+  assert.equal(
+    stripe.parseWebhook(signedRequest(completed, "t=1,v1=00")),
+    null
+  );
+  const tampered = signedRequest(completed);
+  tampered.rawBody = Buffer.from(
+    tampered.rawBody.toString().replace("11000", "1")
+  );
+  assert.equal(stripe.parseWebhook(tampered), null);
+  const old = Math.floor(Date.now() / 1000) - 3600;
+  const stale = JSON.stringify(completed);
+  assert.equal(
+    stripe.verifyStripeSignature(stale, stripe.stripeSignature(stale, old)),
+    false
+  );
+
+  const refunded = {
+    type: "charge.refunded",
+    data: {
+      object: {
+        id: "ch_1",
+        amount_refunded: 5000,
+        metadata: { orderId: "ord_test_1" },
+      },
+    },
+  };
+  assert.deepEqual(stripe.parseWebhook(signedRequest(refunded)), {
+    kind: "refund",
+    orderId: "ord_test_1",
+    voided: false,
+    refundedTotalCents: 5000,
+    pspRefundId: "ch_1:refunded:5000",
+  });
+});
+
+test("an admin refund is recorded under its webhook's key", async () => {
+  // 20.00 was refunded before; this refunds another 30.00
+  const { id } = await stripe.refund({
+    order: { id: "ord_test_1", pspPaymentId: "pi_1", refundedCents: 2000 },
+    amountCents: 3000,
+  });
+  const refunded = {
+    type: "charge.refunded",
+    data: {
+      object: {
+        id: "ch_1",
+        amount_refunded: 5000,
+        metadata: { orderId: "ord_test_1" },
+      },
+    },
+  };
+  assert.equal(id, stripe.parseWebhook(signedRequest(refunded)).pspRefundId);
+});
+
+test("a signed stripe checkout grants the package", async (t) => {
+  const { prisma } = await import("../src/lib/prisma.js");
+  const { default: app } = await import("../src/app.js");
+  const { newOrderId } = await import("../src/services/pricingService.js");
+
+  const stamp = Date.now();
+  const user = await prisma.user.create({
+    data: {
+      email: `stripe-payer+${stamp}@example.com`,
+      hashedPassword: "not-used",
+      role: "learner",
+    },
+  });
+  const pkg = await prisma.package.create({
+    data: { title: "Test bundle", priceUSD: 120, sessionsPerPack: 4 },
+  });
+  const order = await prisma.order.create({
+    data: {
+      id: newOrderId(),
+      amountCents: 11000,
+      currency: "EUR",
+      psp: "stripe",
+      userId: user.id,
+      packageId: pkg.id,
+    },
+  });
+
+  t.after(async () => {
+    await prisma.userPackage.deleteMany({ where: { userId: user.id } });
+    await prisma.order.delete({ where: { id: order.id } });
+    await prisma.package.delete({ where: { id: pkg.id } });
+    await prisma.user.delete({ where: { id: user.id } });
+    await prisma.$disconnect();
+  });
+
+  const raw = JSON.stringify({
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        client_reference_id: order.id,
+        payment_status: "paid",
+        amount_total: 11000,
+        currency: "eur",
+        payment_intent: "pi_test",
+      },
+    },
+  });
+  const res = await request(app)
+    .post("/api/payments/webhook/stripe")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", stripe.stripeSignature(raw))
+    .send(raw);
+  assert.equal(res.statusCode, 200);
+
+  const after = await prisma.order.findUnique({ where: { id: order.id } });
+  assert.equal(after.status, "paid");
+  assert.equal(after.pspPaymentId, "pi_test");
+  assert.equal(
+    await prisma.userPackage.count({ where: { userId: user.id } }),
+    1
+  );
+});
@@ -0,0 +1,170 @@
+// tests/payments.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import {
+  priceForPackage,
+  localizePackage,
+  newOrderId,
+} from "../src/services/pricingService.js";
+import { paymobHmac } from "../src/services/payments/paymob.js";
+
+test("checkout price comes from the package, not the client", () => {
+  const pkg = { active: true, priceType: "BUNDLE", priceUSD: 120 };
+  assert.deepEqual(priceForPackage(pkg), {
+    amountCents: 12000,
+    currency: "USD",
+    source: "base",
+  });
+
+  assert.match(
+    priceForPackage({ ...pkg, priceType: "CUSTOM" }).error,
+    /on request/
+  );
+  assert.match(priceForPackage({ ...pkg, active: false }).error, /available/);
+  assert.match(priceForPackage(pkg, "XYZ").error, /Unsupported currency/);
+});
+
+test("other currencies use the list price, else the FX rate", () => {
+  const pkg = {
+    active: true,
+    priceType: "BUNDLE",
+    priceUSD: 120,
+    startingAtUSD: 30,
+    prices: [{ currency: "EGP", amountCents: 450000 }],
+  };
+  const fxRates = { EGP: 48.5, EUR: 0.92 };
+
+  assert.deepEqual(priceForPackage(pkg, "egp", fxRates), {
+    amountCents: 450000,
+    currency: "EGP",
+    source: "list",
+  });
+  // 120 × 0.92 = 110.4, rounded to a whole euro
+  assert.deepEqual(priceForPackage(pkg, "EUR", fxRates), {
+    amountCents: 11000,
+    currency: "EUR",
+    source: "fx",
+  });
+  assert.match(priceForPackage(pkg, "SAR", fxRates).error, /no price in SAR/);
+
+  const shown = localizePackage(pkg, "EUR", fxRates);
+  assert.equal(shown.price.amountCents, 11000);
+  assert.equal(shown.startingAt.amountCents, 2800);
+  assert.deepEqual(localizePackage(pkg, "SAR", fxRates), {
+    price: null,
+    startingAt: null,
+  });
+});
+
+test("order ids are generated and unguessable", () => {
+  const a = newOrderId();
+  const b = newOrderId();
+  assert.match(a, /^ord_[0-9a-z]+_[0-9a-f]{12}$/);
+  assert.notEqual(a, b);
+});
+
+test("POST /api/payments/create-intent requires authentication", async () => {
+  const res = await request(app)
+    .post("/api/payments/create-intent")
+    .send({ amountCents: 1, orderId: "pkg_1_user_1" });
+  assert.equal(res.statusCode, 401);
+});
+
+test("a webhook paying less than the order grants nothing", async (t) => {
+  const stamp = Date.now();
+  const user = await prisma.user.create({
+    data: {
+      email: `payer+${stamp}@example.com`,
+      hashedPassword: "not-used",
+      role: "learner",
+    },
+  });
+  const pkg = await prisma.package.create({
+    data: { title: "Test bundle", priceUSD: 100, sessionsPerPack: 4 },
+  });
+  const order = await prisma.order.create({
+    data: {
+      id: newOrderId(),
+      amountCents: 10000,
+      currency: "USD",
+      userId: user.id,
+      packageId: pkg.id,
+    },
+  });
+
+  t.after(async () => {
+    await prisma.userPackage.deleteMany({ where: { userId: user.id } });
+    await prisma.order.delete({ where: { id: order.id } });
+    await prisma.package.delete({ where: { id: pkg.id } });
+    await prisma.user.delete({ where: { id: user.id } });
+    await prisma.$disconnect();
+  });
+
+  const payload = {
+    id: 4242,
+    amount_cents: 1,
+    currency: "USD",
+    success: true,
+    order: { id: 99, merchant_order_id: order.id },
+  };
+  const res = await request(app)
+    .post(`/api/payments/webhook/paymob?hmac=${paymobHmac(payload)}`)
+    .send({ obj: payload });
+  assert.equal(res.statusCode, 200);
+
+  const after = await prisma.order.findUnique({ where: { id: order.id } });
+  assert.equal(after.status, "amount_mismatch");
+  assert.equal(
+    await prisma.userPackage.count({ where: { userId: user.id } }),
+    0
+  );
+});
+
+test("an order stays unpaid when granting its package fails", async (t) => {
+  // The grant's pack can't be created for a user that no longer exists
+  const gone = await prisma.user.create({
+    data: {
+      email: `gone+${Date.now()}@example.com`,
+      hashedPassword: "not-used",
+      role: "learner",
+    },
+  });
+  await prisma.user.delete({ where: { id: gone.id } });
+  const pkg = await prisma.package.create({
+    data: { title: "Test bundle", priceUSD: 100, sessionsPerPack: 4 },
+  });
+  const order = await prisma.order.create({
+    data: {
+      id: newOrderId(),
+      amountCents: 10000,
+      currency: "USD",
+      userId: gone.id,
+      packageId: pkg.id,
+    },
+  });
+
+  t.after(async () => {
+    await prisma.order.delete({ where: { id: order.id } });
+    await prisma.package.delete({ where: { id: pkg.id } });
+    await prisma.$disconnect();
+  });
+
+  const payload = {
+    id: 4343,
+    amount_cents: 10000,
+    currency: "USD",
+    success: true,
+    order: { id: 100, merchant_order_id: order.id },
+  };
+  const res = await request(app)
+    .post(`/api/payments/webhook/paymob?hmac=${paymobHmac(payload)}`)
+    .send({ obj: payload });
+  // The provider retries, and the retry can grant it
+  assert.equal(res.statusCode, 500);
+
+  const after = await prisma.order.findUnique({ where: { id: order.id } });
+  assert.equal(after.status, "pending");
+});
@@ -0,0 +1,122 @@
+// tests/policy.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  FALLBACK_POLICY,
+  evaluateCancellation,
+  evaluateNoShow,
+  evaluateReschedule,
+} from "../src/services/policyService.js";
+
+const now = new Date("2025-06-01T10:00:00Z");
+const hoursFromNow = (h) => new Date(now.getTime() + h * 60 * 60 * 1000);
+
+test("learner cancels inside and outside the refund window", () => {
+  const early = evaluateCancellation(FALLBACK_POLICY, {
+    actor: "learner",
+    startAt: hoursFromNow(12),
+    now,
+  });
+  assert.equal(early.rule, "within_refund_window");
+  assert.equal(early.feeCredits, 0);
+
+  const late = evaluateCancellation(FALLBACK_POLICY, {
+    actor: "learner",
+    startAt: hoursFromNow(11.5),
+    now,
+  });
+  assert.equal(late.rule, "late_cancel");
+  assert.equal(late.feeCredits, 1);
+});
+
+test("corporate-style terms charge a partial late fee", () => {
+  const corporate = {
+    ...FALLBACK_POLICY,
+    refundWindowHours: 24,
+    lateCancelFeeCredits: 0.5,
+  };
+  const r = evaluateCancellation(corporate, {
+    actor: "learner",
+    startAt: hoursFromNow(20),
+    now,
+  });
+  assert.equal(r.rule, "late_cancel");
+  assert.equal(r.feeCredits, 0.5);
+  assert.match(r.explanation, /24h/);
+});
+
+test("teacher and admin cancels refund regardless of timing", () => {
+  const startAt = hoursFromNow(1);
+  assert.equal(
+    evaluateCancellation(FALLBACK_POLICY, { actor: "teacher", startAt, now })
+      .feeCredits,
+    0
+  );
+  assert.equal(
+    evaluateCancellation(FALLBACK_POLICY, { actor: "admin", startAt, now })
+      .rule,
+    "admin_cancel"
+  );
+
+  const strict = { ...FALLBACK_POLICY, refundWindowHours: 48 };
+  assert.equal(
+    evaluateCancellation(strict, { actor: "teacher", startAt, now }).rule,
+    "teacher_cancel"
+  );
+});
+
+test("no-shows charge the learner but not for a missing teacher", () => {
+  const policy = { ...FALLBACK_POLICY, noShowFeeCredits: 0.75 };
+  assert.equal(evaluateNoShow(policy, { party: "learner" }).feeCredits, 0.75);
+  assert.equal(evaluateNoShow(policy, { party: "teacher" }).feeCredits, 0);
+});
+
+test("reschedules need notice and are capped per session", () => {
+  const session = {
+    status: "scheduled",
+    startAt: hoursFromNow(24),
+    rescheduleCount: 0,
+  };
+  const ok = evaluateReschedule(FALLBACK_POLICY, {
+    actor: "learner",
+    session,
+    now,
+  });
+  assert.equal(ok.ok, true);
+
+  const late = evaluateReschedule(FALLBACK_POLICY, {
+    actor: "teacher",
+    session: { ...session, startAt: hoursFromNow(6) },
+    now,
+  });
+  assert.equal(late.rule, "too_late");
+
+  const capped = evaluateReschedule(FALLBACK_POLICY, {
+    actor: "learner",
+    session: { ...session, rescheduleCount: FALLBACK_POLICY.maxReschedules },
+    now,
+  });
+  assert.equal(capped.rule, "limit_reached");
+
+  // Admins skip the notice and count limits
+  const admin = evaluateReschedule(FALLBACK_POLICY, {
+    actor: "admin",
+    session: { ...session, startAt: hoursFromNow(1), rescheduleCount: 9 },
+    now,
+  });
+  assert.equal(admin.ok, true);
+});
+
+test("finished sessions can't be rescheduled by anyone", () => {
+  for (const status of ["completed", "canceled", "no_show"]) {
+    for (const actor of ["learner", "admin"]) {
+      const r = evaluateReschedule(FALLBACK_POLICY, {
+        actor,
+        session: { status, startAt: hoursFromNow(48), rescheduleCount: 0 },
+        now,
+      });
+      assert.equal(r.ok, false);
+      assert.equal(r.rule, "not_scheduled");
+    }
+  }
+});
@@ -0,0 +1,47 @@
+// tests/series.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  generateOccurrences,
+  parseLocalDate,
+} from "../src/services/seriesService.js";
+
+test("series occurrences land on the chosen weekdays", () => {
+  // 2025-03-03 is a Monday; Tuesdays + Thursdays for two weeks
+  const occ = generateOccurrences({
+    startDate: "2025-03-03",
+    weekdays: [2, 4],
+    startMin: 18 * 60,
+    durationMin: 45,
+    weeks: 2,
+    timezone: "UTC",
+  });
+
+  assert.deepEqual(
+    occ.map((o) => o.date),
+    ["2025-03-04", "2025-03-06", "2025-03-11", "2025-03-13"]
+  );
+  assert.equal(occ[0].startAt.toISOString(), "2025-03-04T18:00:00.000Z");
+  assert.equal(occ[0].endAt.toISOString(), "2025-03-04T18:45:00.000Z");
+});
+
+test("series keep local wall-clock time across DST", () => {
+  // US clocks go forward on 2025-03-09
+  const occ = generateOccurrences({
+    startDate: "2025-03-03",
+    weekdays: [4],
+    startMin: 18 * 60,
+    durationMin: 60,
+    weeks: 2,
+    timezone: "America/New_York",
+  });
+
+  assert.equal(occ[0].startAt.toISOString(), "2025-03-06T23:00:00.000Z");
+  assert.equal(occ[1].startAt.toISOString(), "2025-03-13T22:00:00.000Z");
+});
+
+test("parseLocalDate rejects impossible dates", () => {
+  assert.equal(parseLocalDate("2025-02-31"), null);
+  assert.equal(parseLocalDate("not-a-date"), null);
+  assert.equal(parseLocalDate("2025-02-28").weekday, 5);
+});
@@ -0,0 +1,180 @@
+// tests/sessions-booking.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import { bookSession } from "../src/services/bookingService.js";
+
+test("POST /api/sessions requires authentication", async () => {
+  const res = await request(app).post("/api/sessions").send({});
+  assert.equal(res.statusCode, 401);
+});
+
+test("learner booking reserves a credit and blocks overbooking", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const learner = await prisma.user.create({
+    data: {
+      email: `learner+${stamp}@example.com`,
+      hashedPassword,
+      role: "learner",
+    },
+  });
+  const teacher = await prisma.user.create({
+    data: {
+      email: `teacher+${stamp}@example.com`,
+      hashedPassword,
+      role: "teacher",
+    },
+  });
+  const pack = await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      minutesPerSession: 45,
+      sessionsTotal: 1,
+    },
+  });
+
+  t.after(async () => {
+    const userIds = [learner.id, teacher.id];
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.session.deleteMany({ where: { userId: learner.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+    await prisma.$disconnect();
+  });
+
+  const agent = request.agent(app);
+  const login = await agent
+    .post("/api/auth/login")
+    .send({ email: learner.email, password });
+  assert.equal(login.statusCode, 200);
+
+  const startAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+  const first = await agent
+    .post("/api/sessions")
+    .send({ teacherId: teacher.id, startAt: startAt.toISOString() });
+
+  assert.equal(first.statusCode, 201);
+  assert.equal(first.body.remaining, 0);
+  // Duration falls back to the pack's minutesPerSession
+  assert.equal(
+    new Date(first.body.session.endAt).getTime() - startAt.getTime(),
+    45 * 60 * 1000
+  );
+
+  const reloaded = await prisma.userPackage.findUnique({
+    where: { id: pack.id },
+  });
+  assert.equal(reloaded.sessionsUsed, 1);
+
+  const ledger = await prisma.creditTransaction.findMany({
+    where: { sessionId: first.body.session.id },
+  });
+  assert.equal(ledger.length, 1);
+  assert.equal(ledger[0].reason, "booking");
+  assert.equal(ledger[0].userPackageId, pack.id);
+
+  const second = await agent.post("/api/me/sessions").send({
+    teacherId: teacher.id,
+    startAt: new Date(startAt.getTime() + 3 * 60 * 60 * 1000).toISOString(),
+  });
+  assert.equal(second.statusCode, 422);
+  assert.equal(second.body.error, "no_credits");
+
+  // Early cancel gives the reserved credit back, once
+  const cancel = await agent.post(
+    `/api/sessions/${first.body.session.id}/cancel`
+  );
+  assert.equal(cancel.statusCode, 200);
+  await agent.post(`/api/sessions/${first.body.session.id}/cancel`);
+
+  const refunds = await prisma.creditTransaction.findMany({
+    where: { sessionId: first.body.session.id, reason: "cancel_refund" },
+  });
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].userPackageId, pack.id);
+});
+
+test("concurrent bookings can't overdraw credits or double-book a teacher", async (t) => {
+  const stamp = Date.now();
+  const hashedPassword = await bcrypt.hash("Password123", 10);
+  const [ann, ben, cid, teacher] = await Promise.all(
+    ["ann", "ben", "cid", "teacher"].map((name) =>
+      prisma.user.create({
+        data: {
+          email: `race-${name}+${stamp}@example.com`,
+          hashedPassword,
+          role: name === "teacher" ? "teacher" : "learner",
+        },
+      })
+    )
+  );
+  await Promise.all(
+    [ann, ben, cid].map((learner) =>
+      prisma.userPackage.create({
+        data: {
+          userId: learner.id,
+          packageId: 0,
+          title: "Test pack",
+          sessionsTotal: 1,
+        },
+      })
+    )
+  );
+
+  t.after(async () => {
+    const learnerIds = [ann.id, ben.id, cid.id];
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: { in: learnerIds } },
+    });
+    await prisma.session.deleteMany({ where: { userId: { in: learnerIds } } });
+    await prisma.userPackage.deleteMany({
+      where: { userId: { in: learnerIds } },
+    });
+    await prisma.user.deleteMany({
+      where: { id: { in: [...learnerIds, teacher.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const slot = (daysAhead) => {
+    const startAt = new Date(Date.now() + daysAhead * 24 * 60 * 60 * 1000);
+    return { startAt, endAt: new Date(startAt.getTime() + 60 * 60 * 1000) };
+  };
+  const book = (learner, times) =>
+    bookSession({
+      learnerId: learner.id,
+      teacherId: teacher.id,
+      title: "Lesson",
+      actorId: learner.id,
+      ...times,
+    });
+
+  // Ann has one credit and books two different times at once
+  const annResults = await Promise.all([
+    book(ann, slot(3)),
+    book(ann, slot(4)),
+  ]);
+  assert.equal(annResults.filter((r) => r.session).length, 1);
+  assert.equal(annResults.find((r) => r.error).error.body.error, "no_credits");
+
+  // Ben and Cid race for the same teacher slot
+  const same = slot(5);
+  const slotResults = await Promise.all([book(ben, same), book(cid, same)]);
+  assert.equal(slotResults.filter((r) => r.session).length, 1);
+  assert.equal(slotResults.find((r) => r.error).error.status, 409);
+
+  const sessions = await prisma.session.count({
+    where: { teacherId: teacher.id },
+  });
+  assert.equal(sessions, 2);
+});
@@ -0,0 +1,340 @@
+// tests/sessions-complete.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import { chargeSessionCredit } from "../src/services/creditsService.js";
+
+test("concurrent completes charge a session exactly once", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const learner = await prisma.user.create({
+    data: {
+      email: `complete+${stamp}@example.com`,
+      hashedPassword,
+      role: "learner",
+    },
+  });
+  const pack = await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 3,
+    },
+  });
+  const session = await prisma.session.create({
+    data: {
+      userId: learner.id,
+      title: "Lesson",
+      startAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+      endAt: new Date(Date.now() - 60 * 60 * 1000),
+    },
+  });
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.session.deleteMany({ where: { userId: learner.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.delete({ where: { id: learner.id } });
+    await prisma.$disconnect();
+  });
+
+  const agent = request.agent(app);
+  const login = await agent
+    .post("/api/auth/login")
+    .send({ email: learner.email, password });
+  assert.equal(login.statusCode, 200);
+
+  const results = await Promise.all([
+    agent.post(`/api/sessions/${session.id}/complete`),
+    agent.post(`/api/sessions/${session.id}/complete`),
+    agent.post(`/api/sessions/${session.id}/complete`),
+  ]);
+  for (const r of results) assert.equal(r.statusCode, 200);
+
+  const charges = await prisma.creditTransaction.findMany({
+    where: { sessionId: session.id },
+  });
+  assert.equal(charges.length, 1);
+  assert.equal(charges[0].reason, "completion");
+
+  const reloaded = await prisma.userPackage.findUnique({
+    where: { id: pack.id },
+  });
+  assert.equal(reloaded.sessionsUsed, 1);
+});
+
+test("concurrent charges for different sessions can't overdraw a pack", async (t) => {
+  const learner = await prisma.user.create({
+    data: {
+      email: `overdraw+${Date.now()}@example.com`,
+      hashedPassword: "not-used",
+      role: "learner",
+    },
+  });
+  const pack = await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 1,
+    },
+  });
+  const sessions = await Promise.all(
+    [3, 2].map((hoursAgo) =>
+      prisma.session.create({
+        data: {
+          userId: learner.id,
+          title: "Lesson",
+          startAt: new Date(Date.now() - hoursAgo * 60 * 60 * 1000),
+        },
+      })
+    )
+  );
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.session.deleteMany({ where: { userId: learner.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.delete({ where: { id: learner.id } });
+    await prisma.$disconnect();
+  });
+
+  const results = await Promise.all(
+    sessions.map((s) =>
+      chargeSessionCredit(s.id, { userId: learner.id, reason: "completion" })
+    )
+  );
+  assert.deepEqual(results.map((r) => r.ok).sort(), [false, true]);
+
+  const reloaded = await prisma.userPackage.findUnique({
+    where: { id: pack.id },
+  });
+  assert.equal(reloaded.sessionsUsed, 1);
+});
+
+test("an admin cancel refunds the booking and a canceled session can't complete", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const [learner, admin] = await Promise.all(
+    ["learner", "admin"].map((role) =>
+      prisma.user.create({
+        data: {
+          email: `${role}-cancel+${stamp}@example.com`,
+          hashedPassword,
+          role,
+        },
+      })
+    )
+  );
+  const pack = await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 1,
+    },
+  });
+  // A booked session: its credit is reserved
+  const session = await prisma.session.create({
+    data: {
+      userId: learner.id,
+      title: "Lesson",
+      startAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    },
+  });
+  await chargeSessionCredit(session.id, {
+    userId: learner.id,
+    reason: "booking",
+  });
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.session.deleteMany({ where: { userId: learner.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [learner.id, admin.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const adminAgent = request.agent(app);
+  await adminAgent
+    .post("/api/auth/login")
+    .send({ email: admin.email, password });
+  const patch = await adminAgent
+    .patch(`/api/admin/sessions/${session.id}`)
+    .send({ status: "canceled" });
+  assert.equal(patch.statusCode, 200);
+
+  const learnerAgent = request.agent(app);
+  await learnerAgent
+    .post("/api/auth/login")
+    .send({ email: learner.email, password });
+  const complete = await learnerAgent.post(
+    `/api/sessions/${session.id}/complete`
+  );
+  assert.equal(complete.statusCode, 409);
+
+  const reloaded = await prisma.userPackage.findUnique({
+    where: { id: pack.id },
+  });
+  assert.equal(reloaded.sessionsUsed, 0);
+});
+
+test("no-shows can't be reported against attendance or on completed sessions", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const [learner, teacher, admin] = await Promise.all(
+    ["learner", "teacher", "admin"].map((role) =>
+      prisma.user.create({
+        data: {
+          email: `${role}-noshow+${stamp}@example.com`,
+          hashedPassword,
+          role,
+        },
+      })
+    )
+  );
+  await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 3,
+    },
+  });
+  const lesson = (status) =>
+    prisma.session.create({
+      data: {
+        userId: learner.id,
+        teacherId: teacher.id,
+        title: "Lesson",
+        status,
+        startAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+        endAt: new Date(Date.now() - 60 * 60 * 1000),
+      },
+    });
+  const attended = await lesson("scheduled");
+  const finalized = await lesson("completed");
+  await prisma.sessionAttendance.create({
+    data: {
+      sessionId: attended.id,
+      userId: learner.id,
+      role: "learner",
+      channel: "webrtc",
+      joinedAt: attended.startAt,
+      lastSeenAt: attended.endAt,
+      leftAt: attended.endAt,
+    },
+  });
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.session.deleteMany({ where: { userId: learner.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [learner.id, teacher.id, admin.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const teacherAgent = request.agent(app);
+  await teacherAgent
+    .post("/api/auth/login")
+    .send({ email: teacher.email, password });
+  const present = await teacherAgent
+    .post(`/api/sessions/${attended.id}/no-show`)
+    .send({ party: "learner" });
+  assert.equal(present.statusCode, 409);
+  const completed = await teacherAgent
+    .post(`/api/sessions/${finalized.id}/no-show`)
+    .send({ party: "learner" });
+  assert.equal(completed.statusCode, 409);
+
+  // An admin can still correct what finalization decided
+  const adminAgent = request.agent(app);
+  await adminAgent
+    .post("/api/auth/login")
+    .send({ email: admin.email, password });
+  const corrected = await adminAgent
+    .post(`/api/sessions/${finalized.id}/no-show`)
+    .send({ party: "learner" });
+  assert.equal(corrected.statusCode, 200);
+  assert.equal(corrected.body.session.status, "no_show");
+});
+
+test("deleting a booked session gives the learner their credit back", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+  const [learner, admin] = await Promise.all(
+    ["learner", "admin"].map((role) =>
+      prisma.user.create({
+        data: {
+          email: `${role}-delete+${stamp}@example.com`,
+          hashedPassword,
+          role,
+        },
+      })
+    )
+  );
+  const pack = await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 1,
+    },
+  });
+  const session = await prisma.session.create({
+    data: {
+      userId: learner.id,
+      title: "Lesson",
+      startAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
+    },
+  });
+  await chargeSessionCredit(session.id, {
+    userId: learner.id,
+    reason: "booking",
+  });
+
+  t.after(async () => {
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: learner.id },
+    });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [learner.id, admin.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const adminAgent = request.agent(app);
+  await adminAgent
+    .post("/api/auth/login")
+    .send({ email: admin.email, password });
+  const res = await adminAgent.delete(`/api/admin/sessions/${session.id}`);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.refunded, true);
+
+  const reloaded = await prisma.userPackage.findUnique({
+    where: { id: pack.id },
+  });
+  assert.equal(reloaded.sessionsUsed, 0);
+});
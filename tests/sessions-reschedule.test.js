@@ -0,0 +1,186 @@
+// tests/sessions-reschedule.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import {
+  parseNewTime,
+  moveSession,
+  rescheduleEmail,
+} from "../src/services/rescheduleService.js";
+
+const HOUR = 60 * 60 * 1000;
+
+test("a moved session keeps its length unless endAt is given", () => {
+  const now = new Date("2025-06-01T10:00:00Z");
+  const session = {
+    startAt: new Date("2025-06-02T10:00:00Z"),
+    endAt: new Date("2025-06-02T10:45:00Z"),
+  };
+
+  const moved = parseNewTime(session, { startAt: "2025-06-03T08:00:00Z" }, now);
+  assert.equal(moved.endAt.toISOString(), "2025-06-03T08:45:00.000Z");
+
+  assert.match(
+    parseNewTime(session, { startAt: "2025-05-31T08:00:00Z" }, now).error,
+    /future/
+  );
+  assert.match(
+    parseNewTime(
+      session,
+      { startAt: "2025-06-03T08:00:00Z", endAt: "2025-06-03T07:00:00Z" },
+      now
+    ).error,
+    /after startAt/
+  );
+});
+
+test("reschedule emails use the recipient's timezone and escape names", () => {
+  const { subject, html } = rescheduleEmail("moved", {
+    recipient: { name: "Ann", timezone: "Africa/Cairo" },
+    session: { title: "Lesson", startAt: new Date("2025-06-02T10:00:00Z") },
+    previousStartAt: new Date("2025-06-01T10:00:00Z"),
+    actorName: "<Bob>",
+  });
+  assert.match(subject, /^Rescheduled: Lesson/);
+  assert.match(html, /1:00 PM \(Africa\/Cairo\)/);
+  assert.match(html, /&lt;Bob&gt; moved/);
+});
+
+test("learner proposes a new time and the teacher accepts", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const learner = await prisma.user.create({
+    data: {
+      email: `resched-learner+${stamp}@example.com`,
+      hashedPassword,
+      role: "learner",
+    },
+  });
+  const teacher = await prisma.user.create({
+    data: {
+      email: `resched-teacher+${stamp}@example.com`,
+      hashedPassword,
+      role: "teacher",
+    },
+  });
+  const session = await prisma.session.create({
+    data: {
+      userId: learner.id,
+      teacherId: teacher.id,
+      title: "Lesson",
+      startAt: new Date(Date.now() + 48 * HOUR),
+      endAt: new Date(Date.now() + 49 * HOUR),
+    },
+  });
+
+  t.after(async () => {
+    await prisma.session.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [learner.id, teacher.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const learnerAgent = request.agent(app);
+  const teacherAgent = request.agent(app);
+  await learnerAgent
+    .post("/api/auth/login")
+    .send({ email: learner.email, password });
+  await teacherAgent
+    .post("/api/auth/login")
+    .send({ email: teacher.email, password });
+
+  const newStart = new Date(Date.now() + 72 * HOUR);
+  const proposed = await learnerAgent
+    .post(`/api/sessions/${session.id}/reschedule-requests`)
+    .send({ startAt: newStart.toISOString() });
+  assert.equal(proposed.statusCode, 201);
+
+  // The proposer can't accept their own proposal
+  const selfAccept = await learnerAgent.post(
+    `/api/reschedule-requests/${proposed.body.id}/accept`
+  );
+  assert.equal(selfAccept.statusCode, 403);
+
+  const accepted = await teacherAgent.post(
+    `/api/reschedule-requests/${proposed.body.id}/accept`
+  );
+  assert.equal(accepted.statusCode, 200);
+  assert.equal(
+    new Date(accepted.body.session.startAt).getTime(),
+    newStart.getTime()
+  );
+  assert.equal(accepted.body.session.rescheduleCount, 1);
+
+  // Completed sessions stay put
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { status: "completed" },
+  });
+  const again = await learnerAgent
+    .post(`/api/sessions/${session.id}/reschedule`)
+    .send({ startAt: new Date(Date.now() + 96 * HOUR).toISOString() });
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.rule, "not_scheduled");
+});
+
+test("a move re-checks the slot after it was checked", async (t) => {
+  const stamp = Date.now();
+  const [learner, other, teacher] = await Promise.all(
+    ["learner", "other", "teacher"].map((name) =>
+      prisma.user.create({
+        data: {
+          email: `resched-race-${name}+${stamp}@example.com`,
+          hashedPassword: "x",
+          role: name === "teacher" ? "teacher" : "learner",
+        },
+      })
+    )
+  );
+  const startAt = new Date(Date.now() + 48 * HOUR);
+  const session = await prisma.session.create({
+    data: {
+      userId: learner.id,
+      teacherId: teacher.id,
+      title: "Lesson",
+      startAt,
+      endAt: new Date(startAt.getTime() + HOUR),
+    },
+  });
+
+  t.after(async () => {
+    await prisma.session.deleteMany({ where: { teacherId: teacher.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [learner.id, other.id, teacher.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  // Someone else takes the teacher's new slot between the check and the move
+  const taken = new Date(startAt.getTime() + 24 * HOUR);
+  await prisma.session.create({
+    data: {
+      userId: other.id,
+      teacherId: teacher.id,
+      title: "Other lesson",
+      startAt: taken,
+      endAt: new Date(taken.getTime() + HOUR),
+    },
+  });
+
+  const moved = await moveSession(session, {
+    startAt: taken,
+    endAt: new Date(taken.getTime() + HOUR),
+  });
+  assert.equal(moved.error.status, 409);
+  assert.equal(moved.error.body.conflicts.length, 1);
+
+  const after = await prisma.session.findUnique({ where: { id: session.id } });
+  assert.equal(after.startAt.toISOString(), startAt.toISOString());
+  assert.equal(after.rescheduleCount, 0);
+});
@@ -0,0 +1,383 @@
+// tests/signaling.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import request from "supertest";
+import { WebSocket } from "ws";
+import app from "../src/app.js";
+import { setupWebRtcSignaling } from "../src/webrtcSignaling.js";
+import {
+  JOIN_TOKEN_TTL_MS,
+  signJoinToken,
+  verifyJoinToken,
+  sessionIdFromRoom,
+  canJoinSession,
+} from "../src/services/roomAccessService.js";
+import * as memory from "../src/services/signaling/memory.js";
+
+test("join tokens carry the session and user until they expire", () => {
+  const now = new Date("2026-03-01T10:00:00Z");
+  const { token, expiresAt } = signJoinToken({ sessionId: 42, userId: 7 }, now);
+  assert.equal(expiresAt.getTime() - now.getTime(), JOIN_TOKEN_TTL_MS);
+
+  assert.deepEqual(verifyJoinToken(token, now), { sessionId: 42, userId: 7 });
+  assert.equal(verifyJoinToken(token, expiresAt), null);
+
+  // Any edit breaks the signature
+  assert.equal(verifyJoinToken(token.replace(/^42\./, "43."), now), null);
+  assert.equal(verifyJoinToken("42.7.9999999999999.forged", now), null);
+  assert.equal(verifyJoinToken(undefined, now), null);
+});
+
+test("rooms belong to the session they start with", () => {
+  assert.equal(sessionIdFromRoom("42"), 42);
+  assert.equal(sessionIdFromRoom("42-screen"), 42);
+  assert.equal(sessionIdFromRoom("lobby"), null);
+  assert.equal(sessionIdFromRoom("42abc"), null);
+
+  const session = { userId: 1, teacherId: 2 };
+  assert.ok(canJoinSession({ id: 1, role: "learner" }, session));
+  assert.ok(canJoinSession({ id: 2, role: "teacher" }, session));
+  assert.ok(canJoinSession({ id: 9, role: "admin" }, session));
+  assert.ok(!canJoinSession({ id: 3, role: "learner" }, session));
+  assert.ok(!canJoinSession(null, session));
+});
+
+test("GET /api/sessions/:id/join-token requires authentication", async () => {
+  const res = await request(app).get("/api/sessions/1/join-token");
+  assert.equal(res.statusCode, 401);
+});
+
+test("signaling upgrades without a session cookie or valid token are refused", async (t) => {
+  const server = http.createServer(app);
+  const signaling = setupWebRtcSignaling(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.after(() => {
+    signaling.shutdown("test");
+    server.close();
+  });
+
+  const { port } = server.address();
+  const statusOf = (path) =>
+    new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+      ws.on("unexpected-response", (_req, res) => resolve(res.statusCode));
+      ws.on("open", () => {
+        ws.close();
+        resolve(101);
+      });
+      ws.on("error", reject);
+    });
+
+  assert.equal(await statusOf("/ws/classroom"), 401);
+  assert.equal(await statusOf("/ws/prep?token=1.2.3.nope"), 401);
+});
+
+test("the memory backplane enforces room and connection limits", async () => {
+  const bp = memory.create({ nodeId: "n1" });
+  const limits = { maxPeers: 2, maxRooms: 1 };
+  const peer = (peerId, socketId = peerId) => ({
+    peerId,
+    socketId,
+    userId: null,
+    role: null,
+  });
+
+  assert.deepEqual(await bp.join("webrtc", "1", peer("a"), limits), {
+    ok: true,
+    size: 1,
+    roster: [{ ...peer("a"), nodeId: "n1" }],
+    replaced: null,
+  });
+  assert.equal((await bp.join("webrtc", "1", peer("b"), limits)).size, 2);
+  assert.deepEqual(await bp.join("webrtc", "1", peer("c"), limits), {
+    ok: false,
+    reason: "full",
+  });
+  assert.deepEqual(await bp.join("webrtc", "2", peer("c"), limits), {
+    ok: false,
+    reason: "rooms",
+  });
+  // Channels count their rooms separately
+  assert.ok((await bp.join("classroom", "2", peer("c"), limits)).ok);
+
+  // A peer joining from another socket replaces its old one, even when full
+  const rejoin = await bp.join("webrtc", "1", peer("a", "a2"), limits);
+  assert.equal(rejoin.size, 2);
+  assert.equal(rejoin.replaced.socketId, "a");
+  // ...and the old socket leaving doesn't take the peer out
+  assert.deepEqual(await bp.leave("webrtc", "1", peer("a")), {
+    removed: false,
+    size: 2,
+  });
+
+  assert.deepEqual(await bp.leave("webrtc", "1", peer("a", "a2")), {
+    removed: true,
+    size: 1,
+  });
+  assert.equal((await bp.leave("webrtc", "1", peer("b"))).size, 0);
+  assert.ok((await bp.join("webrtc", "2", peer("c"), limits)).ok);
+
+  await bp.addConnection("1.2.3.4");
+  await bp.addConnection("1.2.3.4");
+  await bp.addConnection("5.6.7.8");
+  await bp.removeConnection("1.2.3.4");
+  assert.deepEqual(await bp.connectionCounts("1.2.3.4"), {
+    total: 2,
+    perIp: 1,
+  });
+});
+
+// Two instances sharing one membership store, with publish delivering to
+// the other instance, as a Redis backplane would
+function sharedBackplanes(count) {
+  const store = memory.create({ nodeId: "shared" });
+  const nodes = [];
+  for (let i = 0; i < count; i++) {
+    const handlers = [];
+    const node = {
+      ...store,
+      name: "shared",
+      nodeId: `node-${i}`,
+      handlers,
+      async publish(channel, roomId, message, to = null) {
+        for (const other of nodes) {
+          if (other === node) continue;
+          for (const h of other.handlers) h({ channel, roomId, message, to });
+        }
+      },
+      subscribe: (handler) => handlers.push(handler),
+    };
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+test("peers on different instances share a call through the backplane", async (t) => {
+  const servers = [];
+  for (const backplane of sharedBackplanes(2)) {
+    const server = http.createServer(app);
+    const signaling = setupWebRtcSignaling(server, { backplane });
+    await new Promise((resolve) => server.listen(0, resolve));
+    servers.push({ server, signaling });
+  }
+  const { CONFIG } = servers[0].signaling;
+  CONFIG.AUTH_ENABLED = false;
+
+  const sockets = [];
+  t.after(async () => {
+    CONFIG.AUTH_ENABLED = true;
+    for (const ws of sockets) ws.terminate();
+    for (const { server, signaling } of servers) {
+      await signaling.shutdown("test");
+      server.close();
+    }
+  });
+
+  // Resolves with each message as it arrives
+  const connect = async (i, path = "/ws/prep") => {
+    const { port } = servers[i].server.address();
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+    sockets.push(ws);
+    const queue = [];
+    const waiting = [];
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (waiting.length) waiting.shift()(msg);
+      else queue.push(msg);
+    });
+    await new Promise((resolve, reject) => {
+      ws.on("open", resolve);
+      ws.on("error", reject);
+    });
+    ws.next = () =>
+      queue.length
+        ? Promise.resolve(queue.shift())
+        : new Promise((resolve) => waiting.push(resolve));
+    return ws;
+  };
+
+  const alice = await connect(0);
+  alice.send(JSON.stringify({ type: "join", roomId: "call-1" }));
+  const aliceJoined = await alice.next();
+  assert.deepEqual(aliceJoined, {
+    type: "joined",
+    roomId: "call-1",
+    isInitiator: true,
+    peerId: aliceJoined.peerId,
+    peers: [],
+  });
+  assert.equal((await alice.next()).type, "peer-joined");
+
+  const bob = await connect(1);
+  bob.send(JSON.stringify({ type: "join", roomId: "call-1" }));
+  const bobJoined = await bob.next();
+  assert.equal(bobJoined.isInitiator, false);
+  // Bob's roster has Alice, who is on the other instance
+  assert.deepEqual(bobJoined.peers, [
+    { peerId: aliceJoined.peerId, userId: null, role: null },
+  ]);
+  // Alice hears about Bob from the other instance
+  assert.deepEqual(await alice.next(), {
+    type: "peer-joined",
+    roomId: "call-1",
+    peerId: bobJoined.peerId,
+    userId: null,
+    role: null,
+  });
+
+  bob.send(
+    JSON.stringify({ type: "signal", signalType: "offer", data: { sdp: "x" } })
+  );
+  assert.deepEqual(await alice.next(), {
+    type: "signal",
+    signalType: "offer",
+    data: { sdp: "x" },
+    from: bobJoined.peerId,
+  });
+
+  // The call is full on every instance
+  const carol = await connect(0);
+  carol.send(JSON.stringify({ type: "join", roomId: "call-1" }));
+  assert.equal((await carol.next()).type, "room-full");
+});
+
+test("signals with `to` reach only that peer, on any instance", async (t) => {
+  const servers = [];
+  for (const backplane of sharedBackplanes(2)) {
+    const server = http.createServer(app);
+    const signaling = setupWebRtcSignaling(server, { backplane });
+    await new Promise((resolve) => server.listen(0, resolve));
+    servers.push({ server, signaling });
+  }
+  const { CONFIG } = servers[0].signaling;
+  CONFIG.AUTH_ENABLED = false;
+
+  const sockets = [];
+  t.after(async () => {
+    CONFIG.AUTH_ENABLED = true;
+    for (const ws of sockets) ws.terminate();
+    for (const { server, signaling } of servers) {
+      await signaling.shutdown("test");
+      server.close();
+    }
+  });
+
+  const join = async (i) => {
+    const { port } = servers[i].server.address();
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/classroom`);
+    sockets.push(ws);
+    const queue = [];
+    const waiting = [];
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.type === "state") return; // the classroom snapshot
+      if (waiting.length) waiting.shift()(msg);
+      else queue.push(msg);
+    });
+    await new Promise((resolve, reject) => {
+      ws.on("open", resolve);
+      ws.on("error", reject);
+    });
+    ws.next = () =>
+      queue.length
+        ? Promise.resolve(queue.shift())
+        : new Promise((resolve) => waiting.push(resolve));
+    ws.send(JSON.stringify({ type: "join", roomId: "mesh-1" }));
+    ws.peerId = (await ws.next()).peerId;
+    return ws;
+  };
+
+  const alice = await join(0);
+  const bob = await join(1);
+  const carol = await join(0);
+
+  const offer = (to) =>
+    JSON.stringify({ type: "signal", signalType: "offer", data: 1, to });
+
+  // Across instances, then on the same one
+  carol.send(offer(bob.peerId));
+  assert.deepEqual(await bob.next(), {
+    type: "signal",
+    signalType: "offer",
+    data: 1,
+    from: carol.peerId,
+  });
+  bob.send(offer(alice.peerId));
+  assert.equal((await alice.next()).from, bob.peerId);
+  carol.send(offer(alice.peerId));
+  assert.equal((await alice.next()).from, carol.peerId);
+
+  // Alice saw neither of the offers meant for Bob: her next is a broadcast
+  bob.send(JSON.stringify({ type: "signal", signalType: "hello", data: 2 }));
+  assert.equal((await alice.next()).signalType, "hello");
+  assert.equal((await carol.next()).signalType, "hello");
+
+  carol.send(offer(42));
+  assert.deepEqual(await carol.next(), {
+    type: "error",
+    message: "Invalid peer id",
+  });
+});
+
+test("only instances with sockets in a classroom keep its state", async (t) => {
+  const servers = [];
+  for (const backplane of sharedBackplanes(2)) {
+    const server = http.createServer(app);
+    const signaling = setupWebRtcSignaling(server, { backplane });
+    await new Promise((resolve) => server.listen(0, resolve));
+    servers.push({ server, signaling });
+  }
+  const { CONFIG } = servers[0].signaling;
+  CONFIG.AUTH_ENABLED = false;
+
+  const sockets = [];
+  t.after(async () => {
+    CONFIG.AUTH_ENABLED = true;
+    for (const ws of sockets) ws.terminate();
+    for (const { server, signaling } of servers) {
+      await signaling.shutdown("test");
+      server.close();
+    }
+  });
+
+  const join = async (i) => {
+    const { port } = servers[i].server.address();
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/classroom`);
+    sockets.push(ws);
+    const queue = [];
+    const waiting = [];
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(raw.toString());
+      if (msg.type === "state") return; // the classroom snapshot
+      if (waiting.length) waiting.shift()(msg);
+      else queue.push(msg);
+    });
+    await new Promise((resolve, reject) => {
+      ws.on("open", resolve);
+      ws.on("error", reject);
+    });
+    ws.next = () =>
+      queue.length
+        ? Promise.resolve(queue.shift())
+        : new Promise((resolve) => waiting.push(resolve));
+    ws.send(JSON.stringify({ type: "join", roomId: "board-1" }));
+    await ws.next();
+    return ws;
+  };
+
+  // Both peers are on the first instance
+  const alice = await join(0);
+  const bob = await join(0);
+  alice.send(
+    JSON.stringify({
+      type: "signal",
+      signalType: "material",
+      data: { id: "m1" },
+    })
+  );
+  assert.equal((await bob.next()).signalType, "material");
+
+  assert.equal(servers[0].signaling.classroomStates.getRoomCount(), 1);
+  assert.equal(servers[1].signaling.classroomStates.getRoomCount(), 0);
+});
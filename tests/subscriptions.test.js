@@ -0,0 +1,194 @@
+// tests/subscriptions.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+
+// Paymob is set up for one-off payments only (no MOTO integration), so
+// renewals go through the local stub provider
+process.env.PAYMENTS_STUB = "true";
+for (const k of ["API_KEY", "INTEGRATION_ID", "IFRAME_ID", "HMAC_SECRET"]) {
+  process.env[`PAYMOB_${k}`] ||= "1";
+}
+delete process.env.PAYMOB_MOTO_INTEGRATION_ID;
+
+const { addInterval, dunningStep, dunningEmail } =
+  await import("../src/services/subscriptionService.js");
+const { providerFor, getProvider } =
+  await import("../src/services/payments/index.js");
+
+test("billing intervals clamp to the end of shorter months", () => {
+  const at = (iso) => new Date(iso);
+  assert.deepEqual(
+    addInterval(at("2026-01-31T10:00:00Z"), "month"),
+    at("2026-02-28T10:00:00Z")
+  );
+  assert.deepEqual(
+    addInterval(at("2028-01-31T10:00:00Z"), "month"),
+    at("2028-02-29T10:00:00Z")
+  );
+  assert.deepEqual(
+    addInterval(at("2026-12-15T00:00:00Z"), "month"),
+    at("2027-01-15T00:00:00Z")
+  );
+  assert.deepEqual(
+    addInterval(at("2026-03-01T00:00:00Z"), "week"),
+    at("2026-03-08T00:00:00Z")
+  );
+});
+
+test("failed renewals are retried, then the subscription is canceled", () => {
+  const now = new Date("2026-03-01T00:00:00Z");
+  assert.deepEqual(dunningStep(1, now), {
+    final: false,
+    retryAt: new Date("2026-03-02T00:00:00Z"),
+  });
+  assert.deepEqual(
+    dunningStep(3, now).retryAt,
+    new Date("2026-03-06T00:00:00Z")
+  );
+  assert.deepEqual(dunningStep(4, now), { final: true });
+
+  const subscription = { title: "Monthly 4" };
+  const user = { name: "Mona", timezone: "Africa/Cairo" };
+  const retry = dunningEmail({
+    user,
+    subscription,
+    ...dunningStep(1, now),
+  });
+  assert.match(retry.subject, /couldn't renew your Monthly 4/);
+  assert.match(retry.html, /try again on/);
+  const final = dunningEmail({ user, subscription, final: true });
+  assert.match(final.subject, /has been canceled/);
+});
+
+test("recurring payments go to a provider that can charge saved cards", () => {
+  assert.equal(providerFor({ currency: "EGP" }).name, "paymob");
+  assert.equal(providerFor({ currency: "EGP", recurring: true }).name, "stub");
+  // Stripe Checkout has no saved-card renewals here
+  assert.equal(providerFor({ currency: "EUR", recurring: true }).name, "stub");
+});
+
+test("the stub provider charges saved cards right away", async () => {
+  const stub = getProvider("stub");
+  const order = { id: "ord_x", amountCents: 5000, currency: "USD" };
+
+  const ok = await stub.chargeSavedCard({ order, token: "tok_ok" });
+  assert.equal(ok.event.kind, "payment");
+  assert.equal(ok.event.success, true);
+  assert.equal(ok.event.amountCents, 5000);
+
+  const failed = await stub.chargeSavedCard({ order, token: "tok_fail" });
+  assert.equal(failed.event.success, false);
+});
+
+test("GET /api/me/subscriptions requires authentication", async () => {
+  const { default: app } = await import("../src/app.js");
+  const res = await request(app).get("/api/me/subscriptions");
+  assert.equal(res.statusCode, 401);
+});
+
+test("a subscription renews from the saved card, with rollover and dunning", async (t) => {
+  const { prisma } = await import("../src/lib/prisma.js");
+  const { default: app } = await import("../src/app.js");
+  const { runSubscriptionRenewals } =
+    await import("../src/jobs/subscriptions.js");
+
+  const stamp = Date.now();
+  const password = "Password123";
+  const user = await prisma.user.create({
+    data: {
+      email: `subscriber+${stamp}@example.com`,
+      hashedPassword: await bcrypt.hash(password, 10),
+      role: "learner",
+    },
+  });
+  const pkg = await prisma.package.create({
+    data: {
+      title: `Monthly 4 ${stamp}`,
+      priceType: "SUBSCRIPTION",
+      priceUSD: 50,
+      sessionsPerPack: 4,
+      durationMin: 60,
+      billingInterval: "month",
+      rolloverMax: 2,
+    },
+  });
+
+  t.after(async () => {
+    const orders = await prisma.order.findMany({
+      where: { userId: user.id },
+      select: { id: true },
+    });
+    const orderIds = orders.map((o) => o.id);
+    await prisma.creditTransaction.deleteMany({ where: { userId: user.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: user.id } });
+    await prisma.invoice.deleteMany({ where: { orderId: { in: orderIds } } });
+    await prisma.order.deleteMany({ where: { userId: user.id } });
+    await prisma.subscription.deleteMany({ where: { userId: user.id } });
+    await prisma.package.delete({ where: { id: pkg.id } });
+    await prisma.user.delete({ where: { id: user.id } });
+    await prisma.$disconnect();
+  });
+
+  const agent = request.agent(app);
+  await agent.post("/api/auth/login").send({ email: user.email, password });
+
+  const started = await agent
+    .post("/api/payments/subscribe")
+    .send({ packageId: pkg.id, currency: "USD" });
+  assert.equal(started.statusCode, 200);
+  const { subscriptionId } = started.body;
+
+  // The first period is paid at checkout, which saves the card
+  const first = await prisma.order.findFirst({ where: { subscriptionId } });
+  assert.equal(first.psp, "stub");
+  const hook = await request(app).post("/api/payments/webhook/stub").send({
+    orderId: first.id,
+    amountCents: 5000,
+    currency: "USD",
+    cardToken: "tok_ok",
+  });
+  assert.equal(hook.statusCode, 200);
+
+  let sub = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+  });
+  assert.equal(sub.status, "active");
+  assert.equal(sub.cardToken, "tok_ok");
+  const firstPack = await prisma.userPackage.findFirst({
+    where: { subscriptionId },
+  });
+  assert.equal(firstPack.sessionsTotal, 4);
+  assert.deepEqual(firstPack.expiresAt, sub.currentPeriodEnd);
+
+  // Renewal: a new pack with the period's credits plus 2 rolled over
+  const renewed = await runSubscriptionRenewals(sub.nextChargeAt);
+  assert.equal(renewed.charged, 1);
+  const packs = await prisma.userPackage.findMany({
+    where: { subscriptionId },
+    orderBy: { id: "asc" },
+  });
+  assert.equal(packs.length, 2);
+  assert.equal(packs[1].sessionsTotal, 6);
+  assert.equal(packs[0].sessionsUsed, 2);
+
+  // A failing card puts the subscription past due and schedules a retry
+  sub = await prisma.subscription.update({
+    where: { id: subscriptionId },
+    data: { cardToken: "tok_fail" },
+  });
+  const failed = await runSubscriptionRenewals(sub.nextChargeAt);
+  assert.equal(failed.failed, 1);
+  sub = await prisma.subscription.findUnique({
+    where: { id: subscriptionId },
+  });
+  assert.equal(sub.status, "past_due");
+  assert.equal(sub.failedAttempts, 1);
+  assert.ok(sub.nextChargeAt > new Date());
+
+  const mine = await agent.get("/api/me/subscriptions");
+  assert.equal(mine.statusCode, 200);
+  assert.equal(mine.body[0].status, "past_due");
+  assert.equal(mine.body[0].cardToken, undefined);
+});
@@ -0,0 +1,212 @@
+// tests/waitlist.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { prisma } from "../src/lib/prisma.js";
+import app from "../src/app.js";
+import {
+  fitSlotToEntry,
+  waitlistOfferEmail,
+  offerFreedSlot,
+} from "../src/services/waitlistService.js";
+
+const HOUR = 60 * 60 * 1000;
+const d = (s) => new Date(s);
+
+test("freed slots are offered only inside the learner's window", () => {
+  const entry = {
+    windowStart: d("2025-06-02T08:00:00Z"),
+    windowEnd: d("2025-06-02T12:00:00Z"),
+    durationMin: null,
+  };
+  const slot = {
+    startAt: d("2025-06-02T10:00:00Z"),
+    endAt: d("2025-06-02T11:00:00Z"),
+  };
+
+  assert.deepEqual(fitSlotToEntry(entry, slot), slot);
+  assert.equal(
+    fitSlotToEntry(entry, {
+      startAt: d("2025-06-02T11:30:00Z"),
+      endAt: d("2025-06-02T12:30:00Z"),
+    }),
+    null
+  );
+
+  // A preferred length takes the start of a longer slot, never more
+  const short = fitSlotToEntry({ ...entry, durationMin: 30 }, slot);
+  assert.equal(short.endAt.toISOString(), "2025-06-02T10:30:00.000Z");
+  assert.equal(fitSlotToEntry({ ...entry, durationMin: 90 }, slot), null);
+});
+
+test("offer email names the teacher and the hold deadline", () => {
+  const { subject, html } = waitlistOfferEmail({
+    learner: { name: "Ann", timezone: "UTC" },
+    teacher: { name: "<Tom>" },
+    entry: {
+      offerStartAt: d("2025-06-02T10:00:00Z"),
+      holdExpiresAt: d("2025-06-01T12:00:00Z"),
+    },
+  });
+  assert.match(subject, /A slot opened up with <Tom>/);
+  assert.match(html, /&lt;Tom&gt;/);
+  assert.match(html, /holding it for you until Sunday, June 1, 2025/);
+});
+
+test("a canceled session is held for the first waitlisted learner", async (t) => {
+  const stamp = Date.now();
+  const password = "Password123";
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const mkUser = (name, role) =>
+    prisma.user.create({
+      data: { email: `${name}+${stamp}@example.com`, hashedPassword, role },
+    });
+  const [booker, waiter, other, teacher] = await Promise.all([
+    mkUser("wl-booker", "learner"),
+    mkUser("wl-waiter", "learner"),
+    mkUser("wl-other", "learner"),
+    mkUser("wl-teacher", "teacher"),
+  ]);
+  const learnerIds = [booker.id, waiter.id, other.id];
+  for (const userId of learnerIds) {
+    await prisma.userPackage.create({
+      data: { userId, packageId: 0, title: "Test pack", sessionsTotal: 2 },
+    });
+  }
+
+  t.after(async () => {
+    await prisma.waitlistEntry.deleteMany({
+      where: { teacherId: teacher.id },
+    });
+    await prisma.creditTransaction.deleteMany({
+      where: { userId: { in: learnerIds } },
+    });
+    await prisma.session.deleteMany({ where: { teacherId: teacher.id } });
+    await prisma.userPackage.deleteMany({
+      where: { userId: { in: learnerIds } },
+    });
+    await prisma.user.deleteMany({
+      where: { id: { in: [...learnerIds, teacher.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  const login = async (user) => {
+    const agent = request.agent(app);
+    await agent.post("/api/auth/login").send({ email: user.email, password });
+    return agent;
+  };
+  const [bookerAgent, waiterAgent, otherAgent] = await Promise.all([
+    login(booker),
+    login(waiter),
+    login(other),
+  ]);
+
+  const startAt = new Date(Date.now() + 72 * HOUR);
+  const booked = await bookerAgent.post("/api/sessions").send({
+    teacherId: teacher.id,
+    startAt: startAt.toISOString(),
+    durationMin: 60,
+  });
+  assert.equal(booked.statusCode, 201);
+
+  const joined = await waiterAgent.post("/api/waitlist").send({
+    teacherId: teacher.id,
+    windowStart: new Date(startAt.getTime() - 2 * HOUR).toISOString(),
+    windowEnd: new Date(startAt.getTime() + 4 * HOUR).toISOString(),
+  });
+  assert.equal(joined.statusCode, 201);
+
+  const canceled = await bookerAgent.post(
+    `/api/sessions/${booked.body.session.id}/cancel`
+  );
+  assert.equal(canceled.statusCode, 200);
+
+  const entry = await prisma.waitlistEntry.findUnique({
+    where: { id: joined.body.id },
+  });
+  assert.equal(entry.status, "offered");
+  assert.equal(entry.offerStartAt.getTime(), startAt.getTime());
+
+  // Held: nobody else can take it
+  const sniped = await otherAgent.post("/api/sessions").send({
+    teacherId: teacher.id,
+    startAt: startAt.toISOString(),
+    durationMin: 60,
+  });
+  assert.equal(sniped.statusCode, 409);
+
+  const claimed = await waiterAgent.post(`/api/waitlist/${entry.id}/claim`);
+  assert.equal(claimed.statusCode, 201);
+  assert.equal(claimed.body.session.userId, waiter.id);
+
+  const after = await prisma.waitlistEntry.findUnique({
+    where: { id: entry.id },
+  });
+  assert.equal(after.status, "booked");
+  assert.equal(after.sessionId, claimed.body.session.id);
+});
+
+test("a freed slot outside the teacher's hours isn't offered", async (t) => {
+  const stamp = Date.now();
+  const [learner, teacher] = await Promise.all(
+    ["learner", "teacher"].map((role) =>
+      prisma.user.create({
+        data: {
+          email: `wl-hours-${role}+${stamp}@example.com`,
+          hashedPassword: "not-used",
+          role,
+        },
+      })
+    )
+  );
+  await prisma.userPackage.create({
+    data: {
+      userId: learner.id,
+      packageId: 0,
+      title: "Test pack",
+      sessionsTotal: 2,
+    },
+  });
+  const startAt = new Date(Date.now() + 72 * HOUR);
+  const endAt = new Date(startAt.getTime() + HOUR);
+  // The teacher only works the day after the freed slot
+  await prisma.teacherAvailability.create({
+    data: {
+      teacherId: teacher.id,
+      weekday: (startAt.getUTCDay() + 1) % 7,
+      startMin: 0,
+      endMin: 1440,
+      timezone: "UTC",
+    },
+  });
+  const entry = await prisma.waitlistEntry.create({
+    data: {
+      learnerId: learner.id,
+      teacherId: teacher.id,
+      windowStart: new Date(startAt.getTime() - 2 * HOUR),
+      windowEnd: new Date(startAt.getTime() + 4 * HOUR),
+    },
+  });
+
+  t.after(async () => {
+    await prisma.waitlistEntry.delete({ where: { id: entry.id } });
+    await prisma.userPackage.deleteMany({ where: { userId: learner.id } });
+    await prisma.user.deleteMany({
+      where: { id: { in: [learner.id, teacher.id] } },
+    });
+    await prisma.$disconnect();
+  });
+
+  // An admin-placed session there was canceled
+  assert.equal(
+    await offerFreedSlot({ teacherId: teacher.id, startAt, endAt }),
+    null
+  );
+  const after = await prisma.waitlistEntry.findUnique({
+    where: { id: entry.id },
+  });
+  assert.equal(after.status, "waiting");
+});
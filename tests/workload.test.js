@@ -0,0 +1,75 @@
+// tests/workload.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildTeacherWorkload,
+  workloadToCsv,
+} from "../src/services/workloadService.js";
+
+const hourly = {
+  id: 1,
+  name: "Hourly Teacher",
+  email: "a-teacher@example.com",
+  rateHourlyCents: 2000,
+  ratePerSessionCents: null,
+};
+const perSession = {
+  id: 2,
+  name: "Flat, Teacher",
+  email: "b-teacher@example.com",
+  rateHourlyCents: 2000,
+  ratePerSessionCents: 1500,
+};
+const ann = { id: 10, name: "Ann", email: "ann@example.com" };
+const bob = { id: 11, name: "=Bob", email: "bob@example.com" };
+
+function lesson(teacher, user, minutes) {
+  const startAt = new Date("2025-03-03T10:00:00Z");
+  return {
+    teacher,
+    user,
+    startAt,
+    endAt: new Date(startAt.getTime() + minutes * 60000),
+  };
+}
+
+test("workload aggregates minutes and pay per teacher and learner", () => {
+  const report = buildTeacherWorkload([
+    lesson(hourly, ann, 60),
+    lesson(hourly, ann, 30),
+    lesson(hourly, bob, 45),
+    lesson(perSession, bob, 90),
+  ]);
+
+  assert.equal(report.length, 2);
+
+  const [a, b] = report;
+  assert.equal(a.payMethod, "hourly");
+  assert.equal(a.sessions, 3);
+  assert.equal(a.minutes, 135);
+  assert.equal(a.payCents, 3000 + 1500);
+  assert.deepEqual(
+    a.learners.map((l) => [l.learnerId, l.sessions, l.minutes]),
+    [
+      [10, 2, 90],
+      [11, 1, 45],
+    ]
+  );
+
+  // Per-session rate takes precedence over the hourly rate
+  assert.equal(b.payMethod, "per_session");
+  assert.equal(b.payCents, 1500);
+});
+
+test("workload CSV escapes commas and formula-like values", () => {
+  const csv = workloadToCsv(
+    buildTeacherWorkload([lesson(perSession, bob, 60)])
+  );
+  const [header, row] = csv.trim().split("\r\n");
+
+  assert.ok(header.startsWith("teacherId,teacherName"));
+  assert.equal(
+    row,
+    '2,"Flat, Teacher",b-teacher@example.com,11,\'=Bob,bob@example.com,1,60,per_session,1500'
+  );
+});